@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * escrow — non-interactive CLI for FreelancerEscrow.
+ *
+ *   escrow --network localhost deploy --freelancer 0x.. --mediator 0x.. --fee 3 --stake 1 --milestones 3
+ *   escrow status <address> --json
+ *   escrow complete <address> 0 --as freelancer
+ *
+ * Run `escrow --help` for every subcommand and lib/cli/exitCodes.js for exit codes.
+ */
+
+const { run } = require("../lib/cli/program");
+
+run(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("❌ Script error:", err.reason || err.message || err);
+    process.exitCode = 1;
+  });
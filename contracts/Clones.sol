@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Clones
+ * @notice Deploys EIP-1167 minimal proxies that delegate every call to a fixed implementation.
+ * @dev Adapted from OpenZeppelin Contracts v4.9 (MIT), `Clones.clone`.
+ */
+library Clones {
+    function clone(address implementation) internal returns (address instance) {
+        /// @solidity memory-safe-assembly
+        assembly {
+            // Cleans the upper 96 bits of `implementation` and places it in the proxy bytecode
+            mstore(0x00, or(shr(0xe8, shl(0x60, implementation)), 0x3d602d80600a3d3981f3363d3d373d3d3d363d73000000))
+            mstore(0x20, or(shl(0x78, implementation), 0x5af43d82803e903d91602b57fd5bf3))
+            instance := create(0, 0x09, 0x37)
+        }
+        require(instance != address(0), "Clone creation failed");
+    }
+}
@@ -1,22 +1,27 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "./SafeToken.sol";
+
 /**
- * @title FreelancerEscrow
- * @notice A decentralized escrow contract to automate milestone-based payments for freelance work.
- *         Includes a mediation fee for disputes and stores an IPFS hash referencing milestone definitions.
+ * @title FreelancerEscrowStorage
+ * @notice State of a project escrow and its set-up. FreelancerEscrowBase adds the escrow logic on top; the
+ *         set-up alone is also deployed as FreelancerEscrowInitializer, which clones delegate it to, so both
+ *         lay out storage the same way.
  */
-contract FreelancerEscrow {
+abstract contract FreelancerEscrowStorage {
     // Addresses of the client (project payer), freelancer (worker), and assigned mediator (for disputes)
     address public client;
     address public freelancer;
     address public mediator;
 
-    // Contract states for controlling function logic
-    enum State { Created, InProgress, Disputed, Completed }
+    // Contract states for controlling function logic. Disputes are held per milestone, so the project stays
+    // InProgress until every milestone is settled (Completed). The last three are terminal:
+    // Cancelled by the client before staking, Expired after the stake deadline, Terminated by both parties.
+    enum State { Created, InProgress, Completed, Cancelled, Expired, Terminated }
     State public contractState;
 
-    // Total amount paid by the client for the project
+    // Total amount paid by the client for the project (sum of all milestone amounts)
     uint256 public projectFee;
 
     // Amount the freelancer is required to stake (security deposit)
@@ -25,11 +30,24 @@ contract FreelancerEscrow {
     // Number of milestones in the project
     uint256 public numMilestones;
 
-    // Index of the current milestone being worked on
-    uint256 public currentMilestone;
+    // Milestones paid out or refunded so far; the project is completed once all of them are
+    uint256 public settledMilestones;
+
+    // Payment token for the project fee, stake and mediation fee; address(0) means native ETH
+    address public token;
+
+    // Mediation fee for ETH escrows that do not set their own
+    uint256 public constant DEFAULT_MEDIATION_FEE = 0.01 ether;
 
-    // Base fee required to open a dispute (economics of mediation)
-    uint256 public constant mediationFee = 0.01 ether;
+    // Fee required to open a dispute (economics of mediation), in units of `token`: either the flat
+    // `mediationFee` or, when `mediationFeeBps` is set, that share of the disputed milestone (see mediationFeeFor)
+    uint256 public mediationFee;
+    uint256 public mediationFeeBps;
+
+    // Platform operator's cut of every milestone payment released to the freelancer, credited to
+    // `feeRecipient`. Set by the factory at creation; standalone escrows charge none.
+    address public feeRecipient;
+    uint256 public platformFeeBps;
 
     // IPFS hash storing the entire milestone definitions/specifications
     // (each references an off-chain doc describing each milestone)
@@ -40,7 +58,13 @@ contract FreelancerEscrow {
         bool completed;    // Has freelancer submitted it as done?
         bool approved;     // Did client approve it?
         bool disputed;     // Is it under dispute?
-        uint256 timestamp; // When it was marked completed (for auto-release logic)
+        uint256 timestamp; // When it was last marked completed (for auto-release logic)
+        uint256 amount;    // Payment released for this milestone
+        uint256 deliveryWindow; // Seconds from the milestone's start until it is overdue (0 = no deadline)
+        uint256 prerequisites;  // Bitmask of earlier milestones that must be settled before this one starts
+        uint256 settledAt;      // When it was approved, resolved or reclaimed (0 = still open)
+        uint256 revisions;      // Changes the client has requested so far
+        uint256 revisedAt;      // When the client last requested changes (restarts the delivery window)
     }
 
     // milestoneIndex -> Milestone data
@@ -49,229 +73,1269 @@ contract FreelancerEscrow {
     // Tracks total dispute fees paid into the contract (if multiple disputes occur)
     uint256 public disputePot;
 
+    // Denominator for dispute splits and stake slashing: 10000 bps = 100%
+    uint256 public constant MAX_BPS = 10000;
+
+    // Part of the freelancer's stake already slashed to the client by dispute resolutions
+    uint256 public stakeSlashed;
+
+    // How long the freelancer has to deposit the stake before the client can reclaim the project fee
+    uint256 public constant STAKE_DEPOSIT_WINDOW = 14 days;
+
+    // Deadline for freelancerDepositStake; afterwards an untouched escrow can be reclaimed
+    uint256 public stakeDeadline;
+
+    // Client or freelancer who proposed a mutual termination that the other party has not accepted yet
+    address public terminationProposer;
+
+    // Review window used when a project does not set its own
+    uint256 public constant DEFAULT_REVIEW_WINDOW = 3 days;
+
+    // Time the client has to review a submitted milestone before the freelancer can auto-release it
+    uint256 public reviewWindow;
+
+    // Share of the stake (in bps of freelancerStake) the client claims for each milestone reclaimed as overdue
+    uint256 public latePenaltyBps;
+
+    // When the stake was deposited. A milestone starts then, or once its last prerequisite is settled;
+    // its delivery deadline counts from its start.
+    uint256 public projectStartedAt;
+
+    // EIP-712 signed actions: anyone (e.g. a relayer paying the gas) can submit a party's signed message.
+    // Each signature uses the signer's next nonce and is only valid until its deadline.
+    mapping(address => uint256) public nonces;
+
+    bytes32 internal constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant APPROVE_MILESTONE_TYPEHASH =
+        keccak256("ApproveMilestone(uint256 milestoneIndex,uint256 nonce,uint256 deadline)");
+    bytes32 public constant ACCEPT_DISPUTE_TYPEHASH =
+        keccak256("AcceptDispute(uint256 milestoneIndex,uint256 nonce,uint256 deadline)");
+    bytes32 public constant PROPOSE_TERMINATION_TYPEHASH =
+        keccak256("ProposeTermination(uint256 nonce,uint256 deadline)");
+    bytes32 public constant ACCEPT_TERMINATION_TYPEHASH =
+        keccak256("AcceptTermination(uint256 nonce,uint256 deadline)");
+
+    // Pull payments: what each address can collect with withdraw(), and the sum of all of it
+    mapping(address => uint256) public credits;
+    uint256 public totalCredits;
+
+    // Ledger: milestone payments not yet credited to anyone, and the part of the stake still held.
+    // Together with disputePot and totalCredits this is everything the escrow owes (see obligations()).
+    uint256 public escrowedFees;
+    uint256 public stakeHeld;
+
+    // Mediator panel: the lead `mediator` first, then the co-mediators. A dispute is settled once `quorum`
+    // members vote for the same outcome; if none is reached within `escalationWindow`, anyone can escalate
+    // the dispute to `backupMediator`, who then decides alone.
+    address[] public mediators;
+    uint256 public quorum;
+    address public backupMediator;
+    uint256 public escalationWindow;
+
+    // Bounds the loops over the panel
+    uint256 public constant MAX_MEDIATORS = 9;
+
+    // Escalation window used when a project does not set its own
+    uint256 public constant DEFAULT_ESCALATION_WINDOW = 7 days;
+
+    // An open dispute over one milestone; any number of milestones can be disputed at the same time
+    struct Dispute {
+        address initiator;  // Client or freelancer who opened it
+        uint256 openedAt;
+        bool escalated;     // Handed to the backup mediator
+        uint256 fee;        // Mediation fee the initiator paid into disputePot
+    }
+
+    // milestoneIndex -> its open dispute, and the number of milestones under dispute
+    mapping(uint256 => Dispute) public disputes;
+    uint256 public openDisputes;
+
+    // milestoneIndex -> panel member -> outcome voted for (bytes32(0) = no vote yet),
+    // and milestoneIndex -> outcome -> number of votes. An outcome is keccak256(shareBps, slashBps).
+    mapping(uint256 => mapping(address => bytes32)) public mediatorVotes;
+    mapping(uint256 => mapping(bytes32 => uint256)) public outcomeVotes;
+
+    // Seconds after a dispute opens during which the parties submit evidence and no one may resolve it
+    uint256 public responseWindow;
+
+    // Evidence entries (IPFS CID + label) each party may attach to one dispute, and the size of each field
+    uint256 public constant MAX_EVIDENCE = 10;
+    uint256 public constant MAX_CID_LENGTH = 100;
+    uint256 public constant MAX_LABEL_LENGTH = 64;
+
+    // Times the client can send a submitted milestone back for changes before having to approve or dispute it
+    uint256 public constant MAX_REVISIONS = 3;
+
+    // milestoneIndex -> party -> evidence entries submitted; the entries themselves are only in the logs
+    mapping(uint256 => mapping(address => uint256)) public evidenceCount;
+
+    // Mediator replacement proposed by the client or freelancer, waiting for the other party
+    address public replacementProposer;
+    address public replacementOld;
+    address public replacementNew;
+
+    // Amendments: client or freelancer proposes a new list of the milestones not yet submitted (and a new
+    // manifest hash), the other party accepts. `amendmentVersion` counts the accepted amendments.
+    // Milestones from `firstAmendableMilestone` on have not been submitted or settled yet.
+    uint256 public firstAmendableMilestone;
+    uint256 public amendmentVersion;
+    address public amendmentProposer;
+    uint256 public amendmentFrom;     // First milestone the pending proposal replaces
+    bytes32 public amendmentHash;     // keccak256 of the proposal's ABI-encoded arguments
+    uint256 public amendmentDeposit;  // Top-up the client paid with their own proposal, refunded on revoke
+    uint256 public amendmentBlock;    // Block of the pending proposal, holding its AmendmentProposed log
+
+    // Review and delivery timing, fixed at construction
+    struct Schedule {
+        uint256 reviewWindow;        // Seconds; 0 => DEFAULT_REVIEW_WINDOW
+        uint256[] deliveryWindows;   // Per milestone, seconds from its start until overdue; empty => no deadlines
+        uint256 latePenaltyBps;      // Stake share claimed by the client per overdue milestone
+        uint256[] prerequisites;     // Per milestone, bitmask of earlier milestones it waits for; empty => none
+    }
+
+    // Who mediates disputes and what opening one costs, fixed at construction (members can later be replaced jointly)
+    struct Panel {
+        address[] coMediators;     // Vote alongside the lead mediator; empty => the lead decides alone
+        uint256 quorum;            // Matching votes that settle a dispute; 0 => simple majority of the panel
+        address backupMediator;    // Decides escalated disputes; address(0) => disputes cannot be escalated
+        uint256 escalationWindow;  // Seconds after a dispute opens before it can be escalated; 0 => default
+        uint256 responseWindow;    // Seconds after a dispute opens before it can be resolved; 0 => immediately
+        uint256 mediationFee;      // Flat fee to open a dispute, in units of token; 0 => DEFAULT_MEDIATION_FEE for ETH
+        uint256 mediationFeeBps;   // Fee as a share of the disputed milestone instead of a flat one; 0 => flat
+    }
+
+    // Everything needed to set up an escrow, bundled to keep initializers below the stack limit
+    struct InitParams {
+        address client;            // Project payer
+        address freelancer;
+        address mediator;
+        address token;             // ERC-20 used for every payment, or address(0) for ETH
+        uint256 projectFee;        // Amount paid in by the client, in units of token
+        uint256 freelancerStake;   // Stake the freelancer must deposit, in units of token
+        address feeRecipient;      // Receives the platform fee; address(0) => no platform fee
+        uint256 platformFeeBps;    // Platform fee on each milestone payment to the freelancer
+        uint256[] milestoneAmounts; // Payment for each milestone, in order. Must sum to projectFee
+        string projectIpfsHash;    // IPFS hash containing the milestone definitions
+        Schedule schedule;         // Review window, delivery deadlines and late penalty
+        Panel panel;               // Co-mediators, quorum, backup mediator and mediation fee
+    }
+
+    /**
+     * @dev Initializes the contract with basic project info.
+     * @param p See InitParams.
+     */
+    function _initialize(InitParams memory p) internal {
+        require(p.freelancer != address(0), "Invalid freelancer");
+        require(p.mediator != address(0), "Invalid mediator");
+        require(p.projectFee > 0, "Project fee required");
+        require(p.milestoneAmounts.length > 0, "Must have at least 1 milestone");
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < p.milestoneAmounts.length; i++) {
+            require(p.milestoneAmounts[i] > 0, "Milestone amount must be positive");
+            milestones[i].amount = p.milestoneAmounts[i];
+            total += p.milestoneAmounts[i];
+        }
+        require(total == p.projectFee, "Milestone amounts must sum to project fee");
+
+        uint256[] memory deliveryWindows = p.schedule.deliveryWindows;
+        require(
+            deliveryWindows.length == 0 || deliveryWindows.length == p.milestoneAmounts.length,
+            "Delivery windows must match milestones"
+        );
+        require(p.schedule.latePenaltyBps <= MAX_BPS, "Invalid basis points");
+        for (uint256 i = 0; i < deliveryWindows.length; i++) {
+            milestones[i].deliveryWindow = deliveryWindows[i];
+        }
+        uint256[] memory prerequisites = p.schedule.prerequisites;
+        require(
+            prerequisites.length == 0 || prerequisites.length == p.milestoneAmounts.length,
+            "Prerequisites must match milestones"
+        );
+        for (uint256 i = 0; i < prerequisites.length; i++) {
+            // Only earlier milestones, so the dependencies can never form a cycle
+            require(prerequisites[i] >> i == 0, "Invalid prerequisites");
+            milestones[i].prerequisites = prerequisites[i];
+        }
+        reviewWindow = p.schedule.reviewWindow == 0 ? DEFAULT_REVIEW_WINDOW : p.schedule.reviewWindow;
+        latePenaltyBps = p.schedule.latePenaltyBps;
+
+        mediators.push(p.mediator);
+        for (uint256 i = 0; i < p.panel.coMediators.length; i++) {
+            address coMediator = p.panel.coMediators[i];
+            require(
+                coMediator != address(0) && coMediator != p.client && coMediator != p.freelancer,
+                "Invalid mediator"
+            );
+            require(!isMediator(coMediator), "Duplicate mediator");
+            mediators.push(coMediator);
+        }
+        require(mediators.length <= MAX_MEDIATORS, "Too many mediators");
+        require(p.panel.quorum <= mediators.length, "Invalid quorum");
+        quorum = p.panel.quorum == 0 ? mediators.length / 2 + 1 : p.panel.quorum;
+        backupMediator = p.panel.backupMediator;
+        escalationWindow = p.panel.escalationWindow == 0 ? DEFAULT_ESCALATION_WINDOW : p.panel.escalationWindow;
+        responseWindow = p.panel.responseWindow;
+
+        client = p.client;
+        freelancer = p.freelancer;
+        mediator = p.mediator;
+        freelancerStake = p.freelancerStake;
+        numMilestones = p.milestoneAmounts.length;
+        projectFee = p.projectFee;
+        escrowedFees = p.projectFee;
+        projectIpfsHash = p.projectIpfsHash;
+        token = p.token;
+        require(p.panel.mediationFee == 0 || p.panel.mediationFeeBps == 0, "Invalid mediation fee");
+        require(p.panel.mediationFeeBps <= MAX_BPS && p.platformFeeBps <= MAX_BPS, "Invalid basis points");
+        require(p.feeRecipient != address(0) || p.platformFeeBps == 0, "Invalid fee recipient");
+        mediationFeeBps = p.panel.mediationFeeBps;
+        mediationFee = p.token == address(0) && p.panel.mediationFee == 0 && p.panel.mediationFeeBps == 0
+            ? DEFAULT_MEDIATION_FEE
+            : p.panel.mediationFee;
+        feeRecipient = p.feeRecipient;
+        platformFeeBps = p.platformFeeBps;
+        stakeDeadline = block.timestamp + STAKE_DEPOSIT_WINDOW;
+        contractState = State.Created;
+    }
+
+    /// @notice Whether `account` sits on the mediator panel (the backup mediator does not, until escalation).
+    function isMediator(address account) public view returns (bool) {
+        for (uint256 i = 0; i < mediators.length; i++) {
+            if (mediators[i] == account) return true;
+        }
+        return false;
+    }
+}
+
+/**
+ * @title FreelancerEscrowBase
+ * @notice A decentralized escrow contract to automate milestone-based payments for freelance work.
+ *         Includes a mediation fee for disputes and stores an IPFS hash referencing milestone definitions.
+ *         Funds are held either in ETH or in a single ERC-20 token (e.g. a stablecoin) chosen at creation.
+ * @dev Holds all escrow logic. Deploy it either directly as FreelancerEscrow or as a clone of
+ *      FreelancerEscrowClone through FreelancerEscrowFactory.
+ */
+abstract contract FreelancerEscrowBase is FreelancerEscrowStorage {
     // EVENTS
     event StakeDeposited(address indexed freelancer, uint256 amount);
     event MilestoneCompleted(uint256 indexed milestoneIndex, uint256 timestamp);
     event MilestoneApproved(uint256 indexed milestoneIndex, uint256 payment);
+    event ChangesRequested(uint256 indexed milestoneIndex, uint256 round, string reasonCid);
+    event SubmissionRetracted(uint256 indexed milestoneIndex);
     event MilestoneDisputed(uint256 indexed milestoneIndex, address indexed initiator, uint256 fee);
-    event DisputeResolved(uint256 indexed milestoneIndex, bool decision, uint256 payment);
+    event DisputeResolved(
+        uint256 indexed milestoneIndex,
+        uint256 freelancerShareBps,
+        uint256 freelancerAmount,
+        uint256 clientAmount,
+        uint256 stakeSlashed
+    );
     event AutoReleased(uint256 indexed milestoneIndex, uint256 payment);
     event StakeWithdrawn(address indexed freelancer, uint256 amount);
+    event ProjectCancelled(address indexed client, uint256 refund);
+    event ProjectExpired(address indexed caller, uint256 refund);
+    event TerminationProposed(address indexed proposer);
+    event TerminationRevoked(address indexed proposer);
+    event ProjectTerminated(address indexed acceptedBy, uint256 clientRefund, uint256 stakeReturned);
+    event MilestoneReclaimed(uint256 indexed milestoneIndex, uint256 refund, uint256 stakeClaimed);
+    event PaymentCredited(address indexed payee, uint256 amount);
+    event PlatformFeePaid(uint256 indexed milestoneIndex, address indexed feeRecipient, uint256 amount);
+    event Withdrawn(address indexed payee, uint256 amount);
+    event SurplusReturned(address indexed client, uint256 amount);
+    event MediatorVoted(
+        uint256 indexed milestoneIndex,
+        address indexed mediator,
+        uint256 freelancerShareBps,
+        uint256 stakeSlashBps,
+        uint256 votes
+    );
+    event EvidenceSubmitted(uint256 indexed milestoneIndex, address indexed party, string cid, string label);
+    event DisputeEscalated(uint256 indexed milestoneIndex, address indexed backupMediator);
+    event MediatorReplacementProposed(address indexed proposer, address indexed oldMediator, address newMediator);
+    event MediatorReplacementRevoked(address indexed proposer);
+    event MediatorReplaced(address indexed oldMediator, address indexed newMediator);
+    event AmendmentProposed(
+        uint256 indexed version,
+        address indexed proposer,
+        uint256 fromMilestone,
+        uint256[] milestoneAmounts,
+        uint256[] deliveryWindows,
+        uint256[] prerequisites,
+        string projectIpfsHash
+    );
+    event AmendmentRevoked(uint256 indexed version, address indexed proposer);
+    event AmendmentAccepted(
+        uint256 indexed version,
+        address indexed acceptedBy,
+        uint256 projectFee,
+        uint256 topUp,
+        uint256 refund
+    );
+    event DisputeAccepted(
+        uint256 indexed milestoneIndex,
+        address indexed acceptedBy,
+        uint256 freelancerAmount,
+        uint256 clientAmount
+    );
 
     /**
-     * @dev Initializes the contract with basic project info.
-     * @param _freelancer The address of the freelancer.
-     * @param _mediator The address of the mediator.
-     * @param _freelancerStake The required stake that the freelancer must deposit.
-     * @param _numMilestones Number of milestones in the project.
-     * @param _projectIpfsHash IPFS hash containing the milestone definitions.
+     * @notice The freelancer deposits their stake, moving the contract into "InProgress" state.
+     * @dev Token escrows pull the stake with transferFrom, so approve this contract first.
      */
-    constructor(
-        address _freelancer,
-        address _mediator,
-        uint256 _freelancerStake,
-        uint256 _numMilestones,
-        string memory _projectIpfsHash
-    )
-        payable
-    {
-        require(_freelancer != address(0), "Invalid freelancer");
-        require(_mediator != address(0), "Invalid mediator");
-        require(msg.value > 0, "Project fee required");
-        require(_numMilestones > 0, "Must have at least 1 milestone");
-
-        client = msg.sender;
-        freelancer = _freelancer;
-        mediator = _mediator;
-        freelancerStake = _freelancerStake;
-        numMilestones = _numMilestones;
-        projectFee = msg.value;
-        projectIpfsHash = _projectIpfsHash;
-        contractState = State.Created;
+    function freelancerDepositStake() external payable {
+        _depositStake();
     }
 
     /**
-     * @notice The freelancer deposits their stake, moving the contract into "InProgress" state.
+     * @notice Token escrows only: deposits the stake using an EIP-2612 permit instead of a prior approve.
      */
-    function freelancerDepositStake() external payable {
-
+    function freelancerDepositStakeWithPermit(uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        require(token != address(0), "Not a token escrow");
+        SafeToken.tryPermit(token, msg.sender, address(this), freelancerStake, deadline, v, r, s);
+        _depositStake();
+    }
 
+    function _depositStake() private {
         require(contractState == State.Created, "Contract must be in Created state");
         require(msg.sender == freelancer, "Only the freelancer can deposit stake");
-        require(msg.value == freelancerStake, "Incorrect stake amount");
+        require(block.timestamp <= stakeDeadline, "Stake deadline passed");
+        _collect(freelancerStake, "Incorrect stake amount");
 
-        // Transition to InProgress
+        // Transition to InProgress (milestone records were set up in the constructor)
         contractState = State.InProgress;
+        stakeHeld = freelancerStake;
+        projectStartedAt = block.timestamp;
 
-        // Initialize each milestone record
-        for (uint256 i = 0; i < numMilestones; i++) {
-            milestones[i] = Milestone(false, false, false, 0);
-        }
-        
-        emit StakeDeposited(msg.sender, msg.value);
+        emit StakeDeposited(msg.sender, freelancerStake);
     }
 
     /**
-     * @notice Freelancer marks the current milestone as completed.
+     * @notice Freelancer marks a milestone as completed. Milestones progress independently: any started one
+     *         (see milestoneStartedAt) can be submitted, whatever state the others are in. A milestone sent
+     *         back with requestChanges or retractSubmission is submitted again the same way.
      * @dev Must be in InProgress, only the freelancer can call.
      * @param milestoneIndex The index of the milestone being completed.
      */
     function markMilestoneCompleted(uint256 milestoneIndex) external {
         require(contractState == State.InProgress, "Not in InProgress state");
         require(msg.sender == freelancer, "Only freelancer can mark completion");
-        require(milestoneIndex == currentMilestone, "Wrong milestone index");
+        _requireOpen(milestoneIndex);
         require(!milestones[milestoneIndex].completed, "Already completed");
+        require(milestoneStartedAt(milestoneIndex) != 0, "Prerequisites not settled");
 
         milestones[milestoneIndex].completed = true;
         milestones[milestoneIndex].timestamp = block.timestamp;
+        if (milestoneIndex >= firstAmendableMilestone) {
+            firstAmendableMilestone = milestoneIndex + 1;
+        }
         
         emit MilestoneCompleted(milestoneIndex, block.timestamp);
     }
 
     /**
-     * @notice Client approves the current milestone, releasing payment to the freelancer.
+     * @notice Client approves a submitted milestone, releasing payment to the freelancer.
      * @dev Must be InProgress, only the client can call, milestone must be completed & undisputed.
      * @param milestoneIndex The index of the milestone being approved.
      */
     function approveMilestone(uint256 milestoneIndex) external {
+        _approveMilestone(msg.sender, milestoneIndex);
+    }
+
+    /**
+     * @notice Submits the client's EIP-712 signed approval of a milestone; anyone can relay it.
+     * @param deadline Last timestamp at which the signature is valid.
+     */
+    function approveMilestoneWithSig(
+        uint256 milestoneIndex,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        bytes memory message = abi.encode(APPROVE_MILESTONE_TYPEHASH, milestoneIndex, nonces[client], deadline);
+        _useSignature(client, message, deadline, v, r, s);
+        _approveMilestone(client, milestoneIndex);
+    }
+
+    function _approveMilestone(address caller, uint256 milestoneIndex) private {
         require(contractState == State.InProgress, "Not in InProgress state");
-        require(msg.sender == client, "Only client can approve");
-        require(milestoneIndex == currentMilestone, "Wrong milestone index");
-        require(milestones[milestoneIndex].completed, "Milestone not completed");
-        require(!milestones[milestoneIndex].disputed, "Milestone under dispute");
+        require(caller == client, "Only client can approve");
+        _requireSubmitted(milestoneIndex);
 
         // Approve and pay out
         milestones[milestoneIndex].approved = true;
-        uint256 milestonePayment = projectFee / numMilestones;
-        payable(freelancer).transfer(milestonePayment);
+        uint256 milestonePayment = milestones[milestoneIndex].amount;
+        _payFreelancer(milestoneIndex, milestonePayment);
         
         emit MilestoneApproved(milestoneIndex, milestonePayment);
+        _settle(milestoneIndex);
+    }
 
-        // Advance to the next milestone
-        currentMilestone++;
-        if (currentMilestone == numMilestones) {
-            contractState = State.Completed;
-        }
+    /**
+     * @notice Client sends a submitted milestone back to the freelancer instead of approving or disputing it,
+     *         with the IPFS CID of a document explaining what to change. The freelancer gets the milestone's
+     *         delivery window again and resubmits it, which restarts the review window. At most MAX_REVISIONS
+     *         rounds per milestone.
+     * @param milestoneIndex The index of the submitted milestone.
+     * @param reasonCid IPFS CID of the requested changes (at most MAX_CID_LENGTH bytes).
+     */
+    function requestChanges(uint256 milestoneIndex, string calldata reasonCid) external {
+        require(contractState == State.InProgress, "Not in InProgress state");
+        require(msg.sender == client, "Only client can request changes");
+        _requireSubmitted(milestoneIndex);
+        Milestone storage m = milestones[milestoneIndex];
+        require(m.revisions < MAX_REVISIONS, "Revision limit reached");
+        require(bytes(reasonCid).length > 0 && bytes(reasonCid).length <= MAX_CID_LENGTH, "Invalid CID");
+
+        m.completed = false;
+        m.revisions++;
+        m.revisedAt = block.timestamp;
+        emit ChangesRequested(milestoneIndex, m.revisions, reasonCid);
+    }
+
+    /**
+     * @notice Freelancer takes back a submitted milestone to fix it before the client has approved or
+     *         disputed it. The delivery deadline keeps running; resubmitting restarts the review window.
+     * @param milestoneIndex The index of the submitted milestone.
+     */
+    function retractSubmission(uint256 milestoneIndex) external {
+        require(contractState == State.InProgress, "Not in InProgress state");
+        require(msg.sender == freelancer, "Only freelancer can retract");
+        _requireSubmitted(milestoneIndex);
+
+        milestones[milestoneIndex].completed = false;
+        emit SubmissionRetracted(milestoneIndex);
     }
 
     /**
-     * @notice Either client or freelancer can dispute the current milestone if they disagree.
-     * @dev Requires a mediation fee to be paid by whoever initiates the dispute.
+     * @notice Either client or freelancer can dispute a submitted milestone if they disagree. Only that milestone
+     *         is frozen; the others carry on while the mediator decides.
+     * @dev Requires the mediation fee (see mediationFeeFor) to be paid by whoever initiates the dispute
+     *      (pulled with transferFrom on token escrows).
      * @param milestoneIndex The index of the milestone being disputed.
      */
     function disputeMilestone(uint256 milestoneIndex) external payable {
         require(contractState == State.InProgress, "Not in InProgress state");
-        require(milestoneIndex == currentMilestone, "Wrong milestone index");
+        _requireOpen(milestoneIndex);
         require(
             msg.sender == client || msg.sender == freelancer,
             "Only client or freelancer can dispute"
         );
         require(milestones[milestoneIndex].completed, "Milestone not completed yet");
-        require(!milestones[milestoneIndex].approved, "Milestone already approved");
         require(!milestones[milestoneIndex].disputed, "Already under dispute");
-        require(msg.value == mediationFee, "Must pay mediation fee");
+        uint256 fee = mediationFeeFor(milestoneIndex);
+        _collect(fee, "Must pay mediation fee");
 
-        // Mark as disputed and set state to Disputed
         milestones[milestoneIndex].disputed = true;
-        contractState = State.Disputed;
-        disputePot += msg.value;
+        disputes[milestoneIndex] = Dispute({
+            initiator: msg.sender,
+            openedAt: block.timestamp,
+            escalated: false,
+            fee: fee
+        });
+        openDisputes++;
+        disputePot += fee;
 
-        emit MilestoneDisputed(milestoneIndex, msg.sender, msg.value);
+        emit MilestoneDisputed(milestoneIndex, msg.sender, fee);
+    }
+
+    /**
+     * @notice Client or freelancer attaches evidence to the open dispute: the IPFS CID of a document and a
+     *         short label describing it. Entries are only emitted, so the mediator reads them from the logs.
+     * @param milestoneIndex The milestone under dispute.
+     * @param cid IPFS CID of the evidence (at most MAX_CID_LENGTH bytes).
+     * @param label What the evidence shows (at most MAX_LABEL_LENGTH bytes).
+     */
+    function submitEvidence(uint256 milestoneIndex, string calldata cid, string calldata label) external {
+        require(milestones[milestoneIndex].disputed, "Milestone not in dispute");
+        require(msg.sender == client || msg.sender == freelancer, "Only client or freelancer can submit evidence");
+        require(bytes(cid).length > 0 && bytes(cid).length <= MAX_CID_LENGTH, "Invalid CID");
+        require(bytes(label).length <= MAX_LABEL_LENGTH, "Label too long");
+        require(evidenceCount[milestoneIndex][msg.sender] < MAX_EVIDENCE, "Evidence limit reached");
+
+        evidenceCount[milestoneIndex][msg.sender]++;
+        emit EvidenceSubmitted(milestoneIndex, msg.sender, cid, label);
     }
 
     /**
      * @notice Mediator resolves the dispute, awarding the milestone funds to either client or freelancer.
-     *         Mediator collects the mediation fee from disputePot.
+     *         Mediator collects the mediation fee from disputePot. On a panel this is one member's vote.
+     * @dev Shorthand for resolveDispute with a 100% / 0% split and no slashing.
      * @param milestoneIndex The milestone under dispute.
      * @param decision True => freelancer wins, false => client wins.
      */
     function disputeResolution(uint256 milestoneIndex, bool decision) external {
-        require(contractState == State.Disputed, "Contract not in Disputed state");
-        require(msg.sender == mediator, "Only the mediator can resolve");
+        _resolveDispute(milestoneIndex, decision ? MAX_BPS : 0, 0);
+    }
+
+    /**
+     * @notice Mediator settles the dispute by splitting the milestone funds, e.g. 7000 bps => 70% to the
+     *         freelancer and 30% refunded to the client. On bad faith, part of the freelancer's stake can
+     *         also be slashed to the client. Mediator collects the mediation fee from disputePot.
+     *         On a panel each call is a member's vote; the dispute is settled by the vote that brings one outcome
+     *         to `quorum`, and the fee is shared by the members who voted for it. Once escalated, the backup
+     *         mediator settles the dispute alone. Neither can act before the response window has passed.
+     * @param milestoneIndex The milestone under dispute.
+     * @param freelancerShareBps Freelancer's share of the milestone amount, in basis points (0-10000).
+     * @param stakeSlashBps Part of the freelancer's stake sent to the client, in basis points of freelancerStake.
+     */
+    function resolveDispute(uint256 milestoneIndex, uint256 freelancerShareBps, uint256 stakeSlashBps) external {
+        _resolveDispute(milestoneIndex, freelancerShareBps, stakeSlashBps);
+    }
+
+    function _resolveDispute(uint256 milestoneIndex, uint256 freelancerShareBps, uint256 stakeSlashBps) private {
         require(milestones[milestoneIndex].disputed, "Milestone not in dispute");
+        Dispute storage dispute = disputes[milestoneIndex];
+        if (dispute.escalated) {
+            require(msg.sender == backupMediator, "Only the backup mediator can resolve");
+        } else {
+            require(isMediator(msg.sender), "Only the mediator can resolve");
+        }
+        require(block.timestamp >= dispute.openedAt + responseWindow, "Response window not over");
+        require(freelancerShareBps <= MAX_BPS && stakeSlashBps <= MAX_BPS, "Invalid basis points");
+        require(
+            stakeSlashed + (freelancerStake * stakeSlashBps) / MAX_BPS <= freelancerStake,
+            "Slash exceeds remaining stake"
+        );
+
+        // Panel vote: nothing is settled until one outcome has `quorum` votes
+        bytes32 outcome;
+        if (!dispute.escalated && quorum > 1) {
+            outcome = keccak256(abi.encode(freelancerShareBps, stakeSlashBps));
+            require(mediatorVotes[milestoneIndex][msg.sender] == bytes32(0), "Already voted");
+            mediatorVotes[milestoneIndex][msg.sender] = outcome;
+            uint256 votes = ++outcomeVotes[milestoneIndex][outcome];
+            emit MediatorVoted(milestoneIndex, msg.sender, freelancerShareBps, stakeSlashBps, votes);
+            if (votes < quorum) return;
+        }
+
+        // The client's share takes the rounding remainder, so nothing is left behind
+        uint256 milestonePayment = milestones[milestoneIndex].amount;
+        uint256 freelancerAmount = (milestonePayment * freelancerShareBps) / MAX_BPS;
+        uint256 clientAmount = milestonePayment - freelancerAmount;
+
+        uint256 slashAmount = (freelancerStake * stakeSlashBps) / MAX_BPS;
+        stakeSlashed += slashAmount;
+        stakeHeld -= slashAmount;
+
+        if (freelancerAmount > 0) {
+            _payFreelancer(milestoneIndex, freelancerAmount);
+        }
+        if (clientAmount + slashAmount > 0) {
+            _credit(client, clientAmount + slashAmount);
+        }
+
+        // Pay the mediator(s) the fee paid into disputePot for this dispute
+        disputePot -= dispute.fee;
+        _payMediators(milestoneIndex, outcome, dispute.fee);
+
+        emit DisputeResolved(milestoneIndex, freelancerShareBps, freelancerAmount, clientAmount, slashAmount);
+
+        // Clear the dispute and settle the milestone; only a full award counts as approved
+        _closeDispute(milestoneIndex, freelancerShareBps == MAX_BPS);
+    }
+
+    /**
+     * @notice The party who did not open the dispute concedes it: the milestone goes wholly to the initiator
+     *         (paid to the freelancer, or refunded to the client) and, as no mediation was needed, the
+     *         mediation fee is returned to the initiator.
+     * @param milestoneIndex The milestone under dispute.
+     */
+    function acceptDispute(uint256 milestoneIndex) external {
+        _acceptDispute(msg.sender, milestoneIndex);
+    }
+
+    /// @notice Submits an EIP-712 signed acceptDispute of `signer` (client or freelancer); anyone can relay it.
+    function acceptDisputeWithSig(
+        uint256 milestoneIndex,
+        address signer,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        bytes memory message = abi.encode(ACCEPT_DISPUTE_TYPEHASH, milestoneIndex, nonces[signer], deadline);
+        _useSignature(signer, message, deadline, v, r, s);
+        _acceptDispute(signer, milestoneIndex);
+    }
 
-        uint256 milestonePayment = projectFee / numMilestones;
+    function _acceptDispute(address caller, uint256 milestoneIndex) private {
+        require(milestones[milestoneIndex].disputed, "Milestone not in dispute");
+        require(caller == client || caller == freelancer, "Only client or freelancer can accept");
+        address initiator = disputes[milestoneIndex].initiator;
+        require(caller != initiator, "Initiator cannot accept");
 
-        if (decision) {
-            // Freelancer wins dispute
-            payable(freelancer).transfer(milestonePayment);
+        bool freelancerWins = initiator == freelancer;
+        uint256 milestonePayment = milestones[milestoneIndex].amount;
+        if (freelancerWins) {
+            _payFreelancer(milestoneIndex, milestonePayment);
         } else {
-            // Client wins dispute, refund milestone portion
-            payable(client).transfer(milestonePayment);
+            _credit(client, milestonePayment);
         }
 
-        // Pay the mediator their fee from disputePot, if available
-        if (disputePot >= mediationFee) {
-            disputePot -= mediationFee;
-            payable(mediator).transfer(mediationFee);
+        uint256 fee = disputes[milestoneIndex].fee;
+        disputePot -= fee;
+        _credit(initiator, fee);
+
+        emit DisputeAccepted(
+            milestoneIndex,
+            caller,
+            freelancerWins ? milestonePayment : 0,
+            freelancerWins ? 0 : milestonePayment
+        );
+        _closeDispute(milestoneIndex, freelancerWins);
+    }
+
+    /**
+     * @dev Splits the dispute's mediation `fee` equally among the members who voted for the winning `outcome`; the member
+     *      casting the deciding vote (or the sole decider, when `outcome` is zero) also gets the remainder.
+     */
+    function _payMediators(uint256 milestoneIndex, bytes32 outcome, uint256 fee) private {
+        uint256 remaining = fee;
+        if (outcome != bytes32(0)) {
+            uint256 share = fee / quorum;
+            for (uint256 i = 0; i < mediators.length; i++) {
+                address member = mediators[i];
+                if (member != msg.sender && mediatorVotes[milestoneIndex][member] == outcome) {
+                    remaining -= share;
+                    _credit(member, share);
+                }
+            }
         }
+        _credit(msg.sender, remaining);
+    }
+
+    /**
+     * @notice Hands a dispute the panel has not settled within `escalationWindow` to the backup mediator.
+     *         Anyone can call it; panel votes on that dispute no longer count afterwards.
+     * @param milestoneIndex The milestone under dispute.
+     */
+    function escalateDispute(uint256 milestoneIndex) external {
+        require(milestones[milestoneIndex].disputed, "Milestone not in dispute");
+        require(backupMediator != address(0), "No backup mediator");
+        Dispute storage dispute = disputes[milestoneIndex];
+        require(!dispute.escalated, "Already escalated");
+        require(block.timestamp >= dispute.openedAt + escalationWindow, "Escalation window not reached");
 
-        emit DisputeResolved(milestoneIndex, decision, milestonePayment);
+        dispute.escalated = true;
+        emit DisputeEscalated(milestoneIndex, backupMediator);
+    }
 
-        // Clear dispute and move to next milestone
-        milestones[milestoneIndex].disputed = false;
-        milestones[milestoneIndex].approved = decision;
-        currentMilestone++;
-        if (currentMilestone == numMilestones) {
-            contractState = State.Completed;
+    /**
+     * @notice Client or freelancer proposes replacing a panel member or the backup mediator (e.g. one who is
+     *         unavailable or compromised); the other party has to accept.
+     */
+    function proposeMediatorReplacement(address oldMediator, address newMediator) external {
+        require(contractState < State.Completed, "Project is closed");
+        require(msg.sender == client || msg.sender == freelancer, "Only client or freelancer can replace");
+        require(replacementProposer == address(0), "Replacement already proposed");
+        require(isMediator(oldMediator) || oldMediator == backupMediator, "Not a mediator");
+        require(
+            newMediator != address(0) && newMediator != client && newMediator != freelancer &&
+                newMediator != backupMediator && !isMediator(newMediator),
+            "Invalid mediator"
+        );
+
+        replacementProposer = msg.sender;
+        replacementOld = oldMediator;
+        replacementNew = newMediator;
+        emit MediatorReplacementProposed(msg.sender, oldMediator, newMediator);
+    }
+
+    /// @notice The proposer withdraws a mediator replacement that has not been accepted.
+    function revokeMediatorReplacement() external {
+        require(replacementProposer != address(0), "No replacement proposed");
+        require(msg.sender == replacementProposer, "Only the proposer can revoke");
+
+        replacementProposer = address(0);
+        emit MediatorReplacementRevoked(msg.sender);
+    }
+
+    /**
+     * @notice The other party accepts the proposed replacement. Both addresses are repeated so that a proposal
+     *         changed in the meantime cannot be accepted by mistake. Votes the old member cast on open
+     *         disputes are withdrawn.
+     */
+    function acceptMediatorReplacement(address oldMediator, address newMediator) external {
+        require(contractState < State.Completed, "Project is closed");
+        require(replacementProposer != address(0), "No replacement proposed");
+        require(msg.sender == client || msg.sender == freelancer, "Only client or freelancer can replace");
+        require(msg.sender != replacementProposer, "Proposer cannot accept");
+        require(oldMediator == replacementOld && newMediator == replacementNew, "Replacement mismatch");
+
+        replacementProposer = address(0);
+        if (oldMediator == backupMediator) {
+            backupMediator = newMediator;
         } else {
-            contractState = State.InProgress;
+            for (uint256 i = 0; i < mediators.length; i++) {
+                if (mediators[i] == oldMediator) mediators[i] = newMediator;
+            }
+            mediator = mediators[0];
+
+            for (uint256 i = 0; i < numMilestones; i++) {
+                bytes32 vote = mediatorVotes[i][oldMediator];
+                if (milestones[i].disputed && vote != bytes32(0)) {
+                    outcomeVotes[i][vote]--;
+                    delete mediatorVotes[i][oldMediator];
+                }
+            }
         }
+        emit MediatorReplaced(oldMediator, newMediator);
+    }
+
+    /// @notice The panel, lead mediator first.
+    function getMediators() external view returns (address[] memory) {
+        return mediators;
+    }
+
+    function _closeDispute(uint256 milestoneIndex, bool approved) private {
+        milestones[milestoneIndex].disputed = false;
+        milestones[milestoneIndex].approved = approved;
+        delete disputes[milestoneIndex];
+        openDisputes--;
+        _settle(milestoneIndex);
     }
 
     /**
-     * @notice If the client is unresponsive, freelancer can call this to auto-release milestone funds after a grace period.
+     * @notice If the client is unresponsive, freelancer can call this to auto-release milestone funds once the
+     *         review window has passed since submission.
      * @param milestoneIndex The index of the milestone being auto-released.
      */
     function autoReleaseIfClientAbsent(uint256 milestoneIndex) external {
         require(contractState == State.InProgress, "Must be InProgress");
         require(msg.sender == freelancer, "Only freelancer can auto-release");
-        require(milestoneIndex == currentMilestone, "Wrong milestone index");
+        _requireOpen(milestoneIndex);
         require(!milestones[milestoneIndex].disputed, "Milestone is disputed");
         require(milestones[milestoneIndex].completed, "Milestone not completed");
 
-        // Enforce a 3-day grace period
+        // Enforce the client's review window
         require(
-            block.timestamp >= milestones[milestoneIndex].timestamp + 3 days,
+            block.timestamp >= milestones[milestoneIndex].timestamp + reviewWindow,
             "Grace period not reached"
         );
 
-        uint256 milestonePayment = projectFee / numMilestones;
-        payable(freelancer).transfer(milestonePayment);
+        uint256 milestonePayment = milestones[milestoneIndex].amount;
+        _payFreelancer(milestoneIndex, milestonePayment);
         emit AutoReleased(milestoneIndex, milestonePayment);
 
         milestones[milestoneIndex].approved = true;
-        currentMilestone++;
-        if (currentMilestone == numMilestones) {
+        _settle(milestoneIndex);
+    }
+
+    /**
+     * @notice If the freelancer misses a milestone's delivery deadline, the client takes back that milestone's
+     *         payment plus latePenaltyBps of the stake (as far as the stake has not been slashed already).
+     * @param milestoneIndex The index of the overdue milestone.
+     */
+    function reclaimOverdueMilestone(uint256 milestoneIndex) external {
+        require(contractState == State.InProgress, "Not in InProgress state");
+        require(msg.sender == client, "Only client can reclaim");
+        _requireOpen(milestoneIndex);
+        require(!milestones[milestoneIndex].completed, "Already completed");
+        require(milestones[milestoneIndex].deliveryWindow > 0, "No delivery deadline");
+        uint256 due = _deliveryDue(milestoneIndex);
+        require(due != 0 && block.timestamp > due, "Delivery deadline not reached");
+
+        uint256 refund = milestones[milestoneIndex].amount;
+        uint256 stakeClaimed = (freelancerStake * latePenaltyBps) / MAX_BPS;
+        if (stakeClaimed > freelancerStake - stakeSlashed) {
+            stakeClaimed = freelancerStake - stakeSlashed;
+        }
+        stakeSlashed += stakeClaimed;
+        stakeHeld -= stakeClaimed;
+
+        _credit(client, refund + stakeClaimed);
+        emit MilestoneReclaimed(milestoneIndex, refund, stakeClaimed);
+
+        _settle(milestoneIndex);
+    }
+
+    /**
+     * @notice Deadlines of an open milestone, as unix timestamps (0 when not applicable): when it becomes
+     *         overdue (started, not yet submitted, with a delivery window) and when the freelancer may
+     *         auto-release it (submitted and not disputed).
+     */
+    function milestoneDeadlines(uint256 milestoneIndex) external view returns (uint256 deliveryDue, uint256 autoReleaseAt) {
+        Milestone storage m = milestones[milestoneIndex];
+        if (contractState != State.InProgress || m.settledAt != 0) return (0, 0);
+        if (!m.completed) {
+            deliveryDue = m.deliveryWindow == 0 ? 0 : _deliveryDue(milestoneIndex);
+        } else if (!m.disputed) {
+            autoReleaseAt = m.timestamp + reviewWindow;
+        }
+    }
+
+    /**
+     * @notice When a milestone started: at the stake deposit, or once the last of its prerequisites was settled.
+     *         0 before the stake is deposited and while a prerequisite is still open.
+     */
+    function milestoneStartedAt(uint256 milestoneIndex) public view returns (uint256 startedAt) {
+        startedAt = projectStartedAt;
+        uint256 prerequisites = milestones[milestoneIndex].prerequisites;
+        for (uint256 i = 0; prerequisites >> i != 0; i++) {
+            if ((prerequisites >> i) & 1 == 0) continue;
+            uint256 settledAt = milestones[i].settledAt;
+            if (settledAt == 0) return 0;
+            if (settledAt > startedAt) startedAt = settledAt;
+        }
+    }
+
+    /// @dev 0 while the milestone has not started. Counts from the last change request, if later.
+    function _deliveryDue(uint256 milestoneIndex) private view returns (uint256) {
+        uint256 startedAt = milestoneStartedAt(milestoneIndex);
+        if (startedAt == 0) return 0;
+        Milestone storage m = milestones[milestoneIndex];
+        return (m.revisedAt > startedAt ? m.revisedAt : startedAt) + m.deliveryWindow;
+    }
+
+    /**
+     * @notice Fee to open a dispute over a milestone: the flat mediationFee, or mediationFeeBps of the
+     *         milestone's amount when the project charges a percentage.
+     */
+    function mediationFeeFor(uint256 milestoneIndex) public view returns (uint256) {
+        if (mediationFeeBps == 0) return mediationFee;
+        return (milestones[milestoneIndex].amount * mediationFeeBps) / MAX_BPS;
+    }
+
+    /// @dev Credits part of a milestone's payment to the freelancer, less the platform fee.
+    function _payFreelancer(uint256 milestoneIndex, uint256 amount) private {
+        uint256 fee = (amount * platformFeeBps) / MAX_BPS;
+        if (fee > 0) {
+            _credit(feeRecipient, fee);
+            emit PlatformFeePaid(milestoneIndex, feeRecipient, fee);
+        }
+        _credit(freelancer, amount - fee);
+    }
+
+    /// @dev Reverts unless `milestoneIndex` exists and has not been settled yet.
+    function _requireOpen(uint256 milestoneIndex) private view {
+        require(milestoneIndex < numMilestones, "Wrong milestone index");
+        require(milestones[milestoneIndex].settledAt == 0, "Milestone already settled");
+    }
+
+    /// @dev Reverts unless the milestone is open, submitted and not under dispute.
+    function _requireSubmitted(uint256 milestoneIndex) private view {
+        _requireOpen(milestoneIndex);
+        require(milestones[milestoneIndex].completed, "Milestone not completed");
+        require(!milestones[milestoneIndex].disputed, "Milestone under dispute");
+    }
+
+    /// @dev Closes a milestone, completing the project once every milestone is settled. Its payment has been
+    ///      credited by the caller, so it leaves the escrowed fees.
+    function _settle(uint256 milestoneIndex) private {
+        escrowedFees -= milestones[milestoneIndex].amount;
+        milestones[milestoneIndex].settledAt = block.timestamp;
+        if (milestoneIndex >= firstAmendableMilestone) {
+            firstAmendableMilestone = milestoneIndex + 1;
+        }
+        if (++settledMilestones == numMilestones) {
             contractState = State.Completed;
         }
     }
 
     /**
-     * @notice Once all milestones are completed, freelancer withdraws their original stake and any remaining funds.
+     * @notice Client calls off the project before the freelancer has staked, taking back the whole project fee.
+     */
+    function cancelProject() external {
+        require(contractState == State.Created, "Contract must be in Created state");
+        require(msg.sender == client, "Only client can cancel");
+
+        contractState = State.Cancelled;
+        escrowedFees = 0;
+        _credit(client, projectFee);
+        emit ProjectCancelled(client, projectFee);
+    }
+
+    /**
+     * @notice Once the stake deadline has passed without a deposit, anyone can return the project fee to the client.
+     */
+    function reclaimAfterDeadline() external {
+        require(contractState == State.Created, "Contract must be in Created state");
+        require(block.timestamp > stakeDeadline, "Stake deadline not reached");
+
+        contractState = State.Expired;
+        escrowedFees = 0;
+        _credit(client, projectFee);
+        emit ProjectExpired(msg.sender, projectFee);
+    }
+
+    /**
+     * @notice Client or freelancer proposes stopping the project; the other party has to accept.
+     */
+    function proposeTermination() external {
+        _proposeTermination(msg.sender);
+    }
+
+    /// @notice Submits an EIP-712 signed proposeTermination of `signer`; anyone can relay it.
+    function proposeTerminationWithSig(address signer, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        _useSignature(signer, abi.encode(PROPOSE_TERMINATION_TYPEHASH, nonces[signer], deadline), deadline, v, r, s);
+        _proposeTermination(signer);
+    }
+
+    function _proposeTermination(address caller) private {
+        require(contractState == State.InProgress, "Not in InProgress state");
+        require(caller == client || caller == freelancer, "Only client or freelancer can terminate");
+        require(terminationProposer == address(0), "Termination already proposed");
+
+        terminationProposer = caller;
+        emit TerminationProposed(caller);
+    }
+
+    /// @notice The proposer withdraws a termination proposal that has not been accepted.
+    function revokeTermination() external {
+        require(terminationProposer != address(0), "No termination proposed");
+        require(msg.sender == terminationProposer, "Only the proposer can revoke");
+
+        terminationProposer = address(0);
+        emit TerminationRevoked(msg.sender);
+    }
+
+    /**
+     * @notice The other party accepts the termination: every unreleased milestone is refunded to the client
+     *         and the (unslashed) stake goes back to the freelancer. Open disputes have to be settled first.
+     */
+    function acceptTermination() external {
+        _acceptTermination(msg.sender);
+    }
+
+    /// @notice Submits an EIP-712 signed acceptTermination of `signer`; anyone can relay it.
+    function acceptTerminationWithSig(address signer, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        _useSignature(signer, abi.encode(ACCEPT_TERMINATION_TYPEHASH, nonces[signer], deadline), deadline, v, r, s);
+        _acceptTermination(signer);
+    }
+
+    function _acceptTermination(address caller) private {
+        require(contractState == State.InProgress, "Not in InProgress state");
+        require(terminationProposer != address(0), "No termination proposed");
+        require(caller == client || caller == freelancer, "Only client or freelancer can terminate");
+        require(caller != terminationProposer, "Proposer cannot accept");
+        require(openDisputes == 0, "Dispute in progress");
+
+        // A pending amendment is dropped, with the top-up the client may have paid for it
+        uint256 clientRefund = escrowedFees + amendmentDeposit;
+        uint256 stakeReturned = stakeHeld;
+
+        contractState = State.Terminated;
+        terminationProposer = address(0);
+        amendmentProposer = address(0);
+        escrowedFees = 0;
+        amendmentDeposit = 0;
+        stakeHeld = 0;
+        if (clientRefund > 0) {
+            _credit(client, clientRefund);
+        }
+        if (stakeReturned > 0) {
+            _credit(freelancer, stakeReturned);
+        }
+        emit ProjectTerminated(caller, clientRefund, stakeReturned);
+    }
+
+    /**
+     * @notice Client or freelancer proposes changing the project's scope: `milestoneAmounts`, `deliveryWindows`
+     *         (empty => no deadlines) and `prerequisites` (empty => none) replace every milestone from
+     *         firstAmendableMilestone on, and `newIpfsHash` points to the amended milestone definitions.
+     *         The other party has to accept.
+     *         If the amended milestones cost more, the client pays the difference with their proposal or
+     *         acceptance; if they cost less, the client is refunded on acceptance.
+     */
+    function proposeAmendment(
+        uint256[] calldata milestoneAmounts,
+        uint256[] calldata deliveryWindows,
+        uint256[] calldata prerequisites,
+        string calldata newIpfsHash
+    ) external payable {
+        require(contractState == State.InProgress, "Not in InProgress state");
+        require(msg.sender == client || msg.sender == freelancer, "Only client or freelancer can amend");
+        require(amendmentProposer == address(0), "Amendment already proposed");
+        uint256 from = firstAmendableMilestone;
+        (uint256 topUp, ) = _amendmentCost(from, milestoneAmounts, deliveryWindows, prerequisites);
+        _collectTopUp(topUp);
+
+        amendmentProposer = msg.sender;
+        amendmentFrom = from;
+        amendmentHash = _amendmentHashOf();
+        amendmentDeposit = msg.sender == client ? topUp : 0;
+        amendmentBlock = block.number;
+        emit AmendmentProposed(
+            amendmentVersion + 1,
+            msg.sender,
+            from,
+            milestoneAmounts,
+            deliveryWindows,
+            prerequisites,
+            newIpfsHash
+        );
+    }
+
+    /// @notice The proposer withdraws an amendment that has not been accepted; a top-up paid with it is credited back.
+    function revokeAmendment() external {
+        require(amendmentProposer != address(0), "No amendment proposed");
+        require(msg.sender == amendmentProposer, "Only the proposer can revoke");
+
+        amendmentProposer = address(0);
+        uint256 deposit = amendmentDeposit;
+        if (deposit > 0) {
+            amendmentDeposit = 0;
+            _credit(client, deposit);
+        }
+        emit AmendmentRevoked(amendmentVersion + 1, msg.sender);
+    }
+
+    /**
+     * @notice The other party accepts the pending amendment. The proposal is repeated so that one changed in the
+     *         meantime cannot be accepted by mistake. Once a milestone it replaces has been submitted or
+     *         settled the proposal is outdated, and has to be revoked and proposed again.
+     */
+    function acceptAmendment(
+        uint256[] calldata milestoneAmounts,
+        uint256[] calldata deliveryWindows,
+        uint256[] calldata prerequisites,
+        string calldata newIpfsHash
+    ) external payable {
+        require(contractState == State.InProgress, "Not in InProgress state");
+        require(amendmentProposer != address(0), "No amendment proposed");
+        require(msg.sender == client || msg.sender == freelancer, "Only client or freelancer can amend");
+        require(msg.sender != amendmentProposer, "Proposer cannot accept");
+        require(firstAmendableMilestone == amendmentFrom, "Amendment outdated");
+        require(
+            _amendmentHashOf() == amendmentHash,
+            "Amendment mismatch"
+        );
+        (uint256 topUp, uint256 refund) = _amendmentCost(amendmentFrom, milestoneAmounts, deliveryWindows, prerequisites);
+        // A top-up the client proposed was paid with the proposal; one the freelancer proposed is paid now
+        _collectTopUp(amendmentDeposit > 0 ? 0 : topUp);
+
+        _applyAmendment(milestoneAmounts, deliveryWindows, prerequisites);
+        projectFee = projectFee + topUp - refund;
+        escrowedFees = escrowedFees + topUp - refund;
+        projectIpfsHash = newIpfsHash;
+        amendmentProposer = address(0);
+        amendmentDeposit = 0;
+        amendmentVersion++;
+        if (refund > 0) {
+            _credit(client, refund);
+        }
+        emit AmendmentAccepted(amendmentVersion, msg.sender, projectFee, topUp, refund);
+    }
+
+    /**
+     * @dev Checks an amendment replacing the milestones from `from` on and returns what it costs the client
+     *      (`topUp`) or gives back (`refund`).
+     */
+    function _amendmentCost(
+        uint256 from,
+        uint256[] calldata milestoneAmounts,
+        uint256[] calldata deliveryWindows,
+        uint256[] calldata prerequisites
+    ) private view returns (uint256 topUp, uint256 refund) {
+        // Dropping every remaining milestone is only allowed while an earlier one is still open
+        require(milestoneAmounts.length > 0 || settledMilestones < from, "Must have at least 1 milestone");
+        require(
+            deliveryWindows.length == 0 || deliveryWindows.length == milestoneAmounts.length,
+            "Delivery windows must match milestones"
+        );
+        require(
+            prerequisites.length == 0 || prerequisites.length == milestoneAmounts.length,
+            "Prerequisites must match milestones"
+        );
+        uint256 oldTotal = 0;
+        for (uint256 i = from; i < numMilestones; i++) {
+            oldTotal += milestones[i].amount;
+        }
+        uint256 newTotal = 0;
+        for (uint256 i = 0; i < milestoneAmounts.length; i++) {
+            require(milestoneAmounts[i] > 0, "Milestone amount must be positive");
+            require(prerequisites.length == 0 || prerequisites[i] >> (from + i) == 0, "Invalid prerequisites");
+            newTotal += milestoneAmounts[i];
+        }
+        if (newTotal > oldTotal) {
+            topUp = newTotal - oldTotal;
+        } else {
+            refund = oldTotal - newTotal;
+        }
+    }
+
+    /**
+     * @dev Identifies the proposal by the arguments of the call: proposeAmendment and acceptAmendment take the
+     *      same ones, so accepting exactly the proposal gives the same hash. An argument encoded differently
+     *      (not as ethers or solc encode it) only makes the acceptance fail.
+     */
+    function _amendmentHashOf() private pure returns (bytes32) {
+        return keccak256(msg.data[4:]);
+    }
+
+    /// @dev Replaces the milestones from amendmentFrom on, clearing any the amendment removes.
+    function _applyAmendment(
+        uint256[] calldata milestoneAmounts,
+        uint256[] calldata deliveryWindows,
+        uint256[] calldata prerequisites
+    ) private {
+        uint256 from = amendmentFrom;
+        for (uint256 i = from + milestoneAmounts.length; i < numMilestones; i++) {
+            delete milestones[i];
+        }
+        for (uint256 i = 0; i < milestoneAmounts.length; i++) {
+            Milestone storage m = milestones[from + i];
+            m.amount = milestoneAmounts[i];
+            m.deliveryWindow = deliveryWindows.length == 0 ? 0 : deliveryWindows[i];
+            m.prerequisites = prerequisites.length == 0 ? 0 : prerequisites[i];
+        }
+        numMilestones = from + milestoneAmounts.length;
+    }
+
+    /// @dev The client pays an amendment's top-up with whichever step they take; nobody else sends funds.
+    function _collectTopUp(uint256 topUp) private {
+        if (msg.sender == client && topUp > 0) {
+            _collect(topUp, "Incorrect top-up");
+        } else {
+            require(msg.value == 0, "Incorrect top-up");
+        }
+    }
+
+    /**
+     * @notice EIP-712 domain of this escrow (name "FreelancerEscrow", version "1"). Computed on every call
+     *         because clones share the implementation's code but each has its own address.
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256("FreelancerEscrow"),
+                keccak256("1"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev Checks that `signer` signed the EIP-712 struct `encodedStruct` (which must embed nonces[signer])
+     *      before `deadline`, then consumes the nonce so the signature cannot be replayed.
+     */
+    function _useSignature(
+        address signer,
+        bytes memory encodedStruct,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) private {
+        require(block.timestamp <= deadline, "Signature expired");
+        // Reject the malleable upper-half `s` so each approval has exactly one valid signature
+        require(uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "Invalid signature");
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), keccak256(encodedStruct)));
+        address recovered = ecrecover(digest, v, r, s);
+        require(recovered != address(0) && recovered == signer, "Invalid signature");
+        nonces[signer]++;
+    }
+
+    /**
+     * @notice Everyone's credited payouts (milestone payments, refunds, mediation fees), collected by the payee.
+     */
+    function withdraw() external {
+        _withdraw(msg.sender);
+    }
+
+    /**
+     * @notice Once all milestones are completed, freelancer withdraws the unslashed part of their stake,
+     *         together with anything else credited to them. Funds owed to other parties stay claimable and
+     *         any surplus nobody is owed goes to the client.
      */
     function withdrawRemainingStake() external {
         require(contractState == State.Completed, "Project not completed yet");
         require(msg.sender == freelancer, "Only freelancer can withdraw stake");
 
-        uint256 amount = address(this).balance;
-        payable(freelancer).transfer(amount);
-        emit StakeWithdrawn(freelancer, amount);
+        uint256 amount = stakeHeld;
+        if (amount > 0) {
+            stakeHeld = 0;
+            _credit(freelancer, amount);
+            emit StakeWithdrawn(freelancer, amount);
+        }
+        _returnSurplus();
+        if (credits[freelancer] > 0) {
+            _withdraw(freelancer);
+        }
+    }
+
+    /**
+     * @notice Everything the escrow currently owes: unreleased milestone payments, the stake still held,
+     *         open mediation fees, a top-up paid with a pending amendment and unwithdrawn credits.
+     *         The escrow's balance never drops below it.
+     */
+    function obligations() public view returns (uint256) {
+        return escrowedFees + stakeHeld + disputePot + amendmentDeposit + totalCredits;
+    }
+
+    /**
+     * @notice Credits the client with funds that nobody is owed, e.g. tokens transferred to the escrow directly
+     *         or ETH forced in without a call. Anyone can trigger it.
+     */
+    function returnSurplus() external {
+        _returnSurplus();
+    }
+
+    function _returnSurplus() private {
+        uint256 held = token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+        uint256 surplus = held - obligations();
+        if (surplus > 0) {
+            _credit(client, surplus);
+            emit SurplusReturned(client, surplus);
+        }
+    }
+
+    /**
+     * @dev Takes `amount` from msg.sender: as msg.value on ETH escrows, via transferFrom on token escrows.
+     * @param wrongValueReason Revert reason when the ETH sent does not match.
+     */
+    function _collect(uint256 amount, string memory wrongValueReason) private {
+        if (token == address(0)) {
+            require(msg.value == amount, wrongValueReason);
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+            SafeToken.safeTransferFrom(token, msg.sender, address(this), amount);
+        }
+    }
 
-        // selfdestruct to clean up contract storage
-        // selfdestruct(payable(client));
+    /**
+     * @dev Credits `amount` to `payee`, who collects it with withdraw(). Payouts are never pushed, so a
+     *      recipient that rejects transfers (e.g. a contract wallet) cannot block the escrow for everyone else.
+     */
+    function _credit(address payee, uint256 amount) private {
+        credits[payee] += amount;
+        totalCredits += amount;
+        emit PaymentCredited(payee, amount);
     }
+
+    /// @dev Pays out everything credited to `payee`, in the escrow's currency.
+    function _withdraw(address payee) private {
+        uint256 amount = credits[payee];
+        require(amount > 0, "Nothing to withdraw");
+        credits[payee] = 0;
+        totalCredits -= amount;
+
+        if (token == address(0)) {
+            (bool success, ) = payable(payee).call{value: amount}("");
+            require(success, "Withdrawal failed");
+        } else {
+            SafeToken.safeTransfer(token, payee, amount);
+        }
+        emit Withdrawn(payee, amount);
+    }
+
     event EtherReceived(address indexed sender, uint256 amount);
 
     /**
-    * @notice Allows the contract to receive ETH directly (e.g., tips, refunds, or future logic).
+    * @notice Accepts ETH sent directly to an ETH escrow. It belongs to nobody in the project, so it is credited
+    *         back to the sender, who can withdraw() it again.
     */
     receive() external payable {
-        emit EtherReceived(msg.sender, msg.value);
+        _receiveStray();
     }
-    function getMilestoneStatus(uint256 i) external view returns (bool, bool, bool, uint256) {
+    function getMilestoneStatus(uint256 i) external view returns (bool, bool, bool, uint256, uint256, uint256) {
         Milestone memory m = milestones[i];
-        return (m.completed, m.approved, m.disputed, m.timestamp);
+        return (m.completed, m.approved, m.disputed, m.timestamp, m.amount, m.deliveryWindow);
     }
 
     /**
@@ -279,7 +1343,111 @@ contract FreelancerEscrow {
     */
     fallback() external payable {
         // Handle unexpected calls or direct ETH with data
+        if (msg.value > 0) {
+            _receiveStray();
         }
+    }
 
-    
+    function _receiveStray() private {
+        require(token == address(0), "ETH not accepted");
+        emit EtherReceived(msg.sender, msg.value);
+        _credit(msg.sender, msg.value);
+    }
+}
+
+/**
+ * @title FreelancerEscrow
+ * @notice Standalone escrow: the deployer is the client and pays the project fee with the deployment.
+ */
+contract FreelancerEscrow is FreelancerEscrowBase {
+    /**
+     * @param _freelancer The address of the freelancer.
+     * @param _mediator The address of the mediator.
+     * @param _freelancerStake The required stake that the freelancer must deposit.
+     * @param _milestoneAmounts Payment for each milestone, in order. Must sum to msg.value.
+     * @param _projectIpfsHash IPFS hash containing the milestone definitions.
+     * @param _schedule Review window, per-milestone delivery windows and late penalty.
+     * @param _panel Co-mediators voting with `_mediator`, their quorum, the backup mediator and the mediation fee.
+     */
+    constructor(
+        address _freelancer,
+        address _mediator,
+        uint256 _freelancerStake,
+        uint256[] memory _milestoneAmounts,
+        string memory _projectIpfsHash,
+        Schedule memory _schedule,
+        Panel memory _panel
+    )
+        payable
+    {
+        _initialize(
+            InitParams({
+                client: msg.sender,
+                freelancer: _freelancer,
+                mediator: _mediator,
+                token: address(0),
+                projectFee: msg.value,
+                freelancerStake: _freelancerStake,
+                feeRecipient: address(0),
+                platformFeeBps: 0,
+                milestoneAmounts: _milestoneAmounts,
+                projectIpfsHash: _projectIpfsHash,
+                schedule: _schedule,
+                panel: _panel
+            })
+        );
+    }
+}
+
+/**
+ * @title FreelancerEscrowInitializer
+ * @notice Sets up FreelancerEscrowClone clones: each clone's initialize() delegatecalls it, so the set-up code
+ *         runs on the clone's storage without adding to the clone implementation's size.
+ * @dev Calling it directly only sets up its own (unused) storage.
+ */
+contract FreelancerEscrowInitializer is FreelancerEscrowStorage {
+    /// @param p See InitParams.
+    function initialize(InitParams calldata p) external payable {
+        if (p.token == address(0)) {
+            require(msg.value == p.projectFee, "Project fee not funded");
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+            require(IERC20(p.token).balanceOf(address(this)) >= p.projectFee, "Project fee not funded");
+        }
+        _initialize(p);
+    }
+}
+
+/**
+ * @title FreelancerEscrowClone
+ * @notice Implementation contract behind the EIP-1167 clones created by FreelancerEscrowFactory.
+ *         Each clone is initialized once, in the same transaction that creates it.
+ */
+contract FreelancerEscrowClone is FreelancerEscrowBase {
+    // Holds the set-up code, which would not fit in this contract next to the escrow logic
+    address private immutable initializer;
+
+    bool private initialized;
+
+    constructor() {
+        // Lock the implementation itself; only clones get initialized
+        initialized = true;
+        initializer = address(new FreelancerEscrowInitializer());
+    }
+
+    /**
+     * @notice Sets up a freshly cloned escrow. ETH escrows receive the project fee as msg.value;
+     *         token escrows must already hold it (the factory transfers it in first).
+     * @dev The parameters are forwarded as they are to FreelancerEscrowInitializer.initialize.
+     */
+    function initialize(InitParams calldata) external payable {
+        require(!initialized, "Already initialized");
+        initialized = true;
+        (bool success, bytes memory reason) = initializer.delegatecall(msg.data);
+        if (!success) {
+            assembly {
+                revert(add(reason, 32), mload(reason))
+            }
+        }
+    }
 }
@@ -0,0 +1,259 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./Clones.sol";
+import "./FreelancerEscrow.sol";
+import "./SafeToken.sol";
+
+/**
+ * @title FreelancerEscrowFactory
+ * @notice Creates one escrow per project as a cheap clone of a shared FreelancerEscrowClone
+ *         implementation, and keeps a registry of projects by client, freelancer and mediator (every
+ *         panel member and the backup mediator, as appointed at creation). The owner can set a platform fee
+ *         that every project created afterwards takes from its milestone payments.
+ */
+contract FreelancerEscrowFactory {
+    // Implementation every project escrow delegates to
+    address public immutable implementation;
+
+    // Platform operator who deployed the factory; only they can change the platform fee
+    address public immutable owner;
+
+    // Platform fee (in bps of each milestone payment) and its recipient, fixed in each project at creation
+    address public feeRecipient;
+    uint256 public platformFeeBps;
+
+    // Every escrow ever created, in creation order (index = projectId)
+    address[] public projects;
+
+    // Party address -> escrows where it holds that role
+    mapping(address => address[]) private projectsByClient;
+    mapping(address => address[]) private projectsByFreelancer;
+    mapping(address => address[]) private projectsByMediator;
+
+    event ProjectCreated(
+        uint256 indexed projectId,
+        address indexed escrow,
+        address indexed client,
+        address freelancer,
+        address mediator,
+        address token,
+        uint256 projectFee,
+        string projectIpfsHash
+    );
+    event PlatformFeeUpdated(address indexed feeRecipient, uint256 platformFeeBps);
+
+    /**
+     * @param _implementation A deployed FreelancerEscrowClone.
+     */
+    constructor(address _implementation) {
+        require(_implementation != address(0), "Invalid implementation");
+        implementation = _implementation;
+        owner = msg.sender;
+    }
+
+    /**
+     * @notice Sets the platform fee for projects created from now on; existing projects keep theirs.
+     * @param _feeRecipient Receives the fee; address(0) (with a zero fee) turns the platform fee off.
+     * @param _platformFeeBps Share of each milestone payment to the freelancer, in basis points.
+     */
+    function setPlatformFee(address _feeRecipient, uint256 _platformFeeBps) external {
+        require(msg.sender == owner, "Only owner can set fees");
+        require(_platformFeeBps <= FreelancerEscrowClone(payable(implementation)).MAX_BPS(), "Invalid basis points");
+        require(_feeRecipient != address(0) || _platformFeeBps == 0, "Invalid fee recipient");
+        feeRecipient = _feeRecipient;
+        platformFeeBps = _platformFeeBps;
+        emit PlatformFeeUpdated(_feeRecipient, _platformFeeBps);
+    }
+
+    /**
+     * @notice Creates a new ETH project escrow. The caller becomes the client and msg.value is the project fee.
+     * @param _freelancer The address of the freelancer.
+     * @param _mediator The address of the mediator.
+     * @param _freelancerStake The required stake that the freelancer must deposit.
+     * @param _milestoneAmounts Payment for each milestone, in order. Must sum to msg.value.
+     * @param _projectIpfsHash IPFS hash containing the milestone definitions.
+     * @param _schedule Review window, per-milestone delivery windows and late penalty.
+     * @param _panel Co-mediators voting with `_mediator`, their quorum, the backup mediator and the mediation fee.
+     * @return escrow The address of the new escrow.
+     */
+    function createProject(
+        address _freelancer,
+        address _mediator,
+        uint256 _freelancerStake,
+        uint256[] calldata _milestoneAmounts,
+        string calldata _projectIpfsHash,
+        FreelancerEscrowBase.Schedule calldata _schedule,
+        FreelancerEscrowBase.Panel calldata _panel
+    )
+        external
+        payable
+        returns (address escrow)
+    {
+        FreelancerEscrowBase.InitParams memory params = _terms(
+            _freelancer, _mediator, _freelancerStake, _milestoneAmounts, _projectIpfsHash, _schedule, _panel
+        );
+        params.projectFee = msg.value;
+
+        escrow = Clones.clone(implementation);
+        FreelancerEscrowClone(payable(escrow)).initialize{value: msg.value}(params);
+        _register(escrow, params);
+    }
+
+    /**
+     * @notice Creates a project escrow paid in an ERC-20 token. The caller becomes the client; the
+     *         project fee (the sum of `_milestoneAmounts`) is pulled from them, so approve this factory first.
+     *         Set the mediation fee in `_panel`, in units of `_token`: it has no default for tokens.
+     * @param _token The ERC-20 used for the project fee, stake and mediation fee.
+     * @param _freelancer The address of the freelancer.
+     * @param _mediator The address of the mediator.
+     * @param _freelancerStake The required stake, in units of _token.
+     * @param _milestoneAmounts Payment for each milestone, in order.
+     * @param _projectIpfsHash IPFS hash containing the milestone definitions.
+     * @param _schedule Review window, per-milestone delivery windows and late penalty.
+     * @param _panel Co-mediators voting with `_mediator`, their quorum, the backup mediator and the mediation fee.
+     * @return escrow The address of the new escrow.
+     */
+    function createTokenProject(
+        address _token,
+        address _freelancer,
+        address _mediator,
+        uint256 _freelancerStake,
+        uint256[] calldata _milestoneAmounts,
+        string calldata _projectIpfsHash,
+        FreelancerEscrowBase.Schedule calldata _schedule,
+        FreelancerEscrowBase.Panel calldata _panel
+    )
+        public
+        returns (address escrow)
+    {
+        require(_token != address(0), "Invalid token");
+        FreelancerEscrowBase.InitParams memory params = _terms(
+            _freelancer, _mediator, _freelancerStake, _milestoneAmounts, _projectIpfsHash, _schedule, _panel
+        );
+        params.token = _token;
+        params.projectFee = _sum(_milestoneAmounts);
+
+        escrow = Clones.clone(implementation);
+        SafeToken.safeTransferFrom(_token, msg.sender, escrow, params.projectFee);
+        FreelancerEscrowClone(payable(escrow)).initialize(params);
+        _register(escrow, params);
+    }
+
+    // EIP-2612 permit signed by the client for this factory
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    /**
+     * @notice Same as createTokenProject, but authorizes the fee transfer with an EIP-2612 permit
+     *         (spender: this factory, value: at least the project fee) instead of a prior approve.
+     */
+    function createTokenProjectWithPermit(
+        address _token,
+        address _freelancer,
+        address _mediator,
+        uint256 _freelancerStake,
+        uint256[] calldata _milestoneAmounts,
+        string calldata _projectIpfsHash,
+        FreelancerEscrowBase.Schedule calldata _schedule,
+        FreelancerEscrowBase.Panel calldata _panel,
+        PermitSignature calldata _permit
+    )
+        external
+        returns (address escrow)
+    {
+        SafeToken.tryPermit(
+            _token, msg.sender, address(this), _permit.value, _permit.deadline, _permit.v, _permit.r, _permit.s
+        );
+        return createTokenProject(
+            _token,
+            _freelancer,
+            _mediator,
+            _freelancerStake,
+            _milestoneAmounts,
+            _projectIpfsHash,
+            _schedule,
+            _panel
+        );
+    }
+
+    /// @dev InitParams shared by ETH and token projects; the caller fills in the payment fields.
+    function _terms(
+        address _freelancer,
+        address _mediator,
+        uint256 _freelancerStake,
+        uint256[] calldata _milestoneAmounts,
+        string calldata _projectIpfsHash,
+        FreelancerEscrowBase.Schedule calldata _schedule,
+        FreelancerEscrowBase.Panel calldata _panel
+    )
+        private
+        view
+        returns (FreelancerEscrowBase.InitParams memory params)
+    {
+        params.client = msg.sender;
+        params.freelancer = _freelancer;
+        params.mediator = _mediator;
+        params.freelancerStake = _freelancerStake;
+        params.milestoneAmounts = _milestoneAmounts;
+        params.projectIpfsHash = _projectIpfsHash;
+        params.schedule = _schedule;
+        params.panel = _panel;
+        params.feeRecipient = feeRecipient;
+        params.platformFeeBps = platformFeeBps;
+    }
+
+    function _sum(uint256[] calldata amounts) private pure returns (uint256 total) {
+        for (uint256 i = 0; i < amounts.length; i++) {
+            total += amounts[i];
+        }
+    }
+
+    /// @dev Indexes the escrow under its client, freelancer and every mediator it was created with.
+    function _register(address escrow, FreelancerEscrowBase.InitParams memory params) private {
+        uint256 projectId = projects.length;
+        projects.push(escrow);
+        projectsByClient[params.client].push(escrow);
+        projectsByFreelancer[params.freelancer].push(escrow);
+        projectsByMediator[params.mediator].push(escrow);
+        for (uint256 i = 0; i < params.panel.coMediators.length; i++) {
+            projectsByMediator[params.panel.coMediators[i]].push(escrow);
+        }
+        if (params.panel.backupMediator != address(0)) {
+            projectsByMediator[params.panel.backupMediator].push(escrow);
+        }
+
+        emit ProjectCreated(
+            projectId,
+            escrow,
+            params.client,
+            params.freelancer,
+            params.mediator,
+            params.token,
+            params.projectFee,
+            params.projectIpfsHash
+        );
+    }
+
+    /// @notice Total number of projects created by this factory.
+    function projectCount() external view returns (uint256) {
+        return projects.length;
+    }
+
+    function getProjectsByClient(address _client) external view returns (address[] memory) {
+        return projectsByClient[_client];
+    }
+
+    function getProjectsByFreelancer(address _freelancer) external view returns (address[] memory) {
+        return projectsByFreelancer[_freelancer];
+    }
+
+    function getProjectsByMediator(address _mediator) external view returns (address[] memory) {
+        return projectsByMediator[_mediator];
+    }
+}
@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @notice The subset of ERC-20 the escrow uses.
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
+/// @notice EIP-2612 signed approvals.
+interface IERC20Permit {
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+}
+
+/**
+ * @title SafeToken
+ * @notice ERC-20 transfers that also accept tokens which return nothing (e.g. USDT) and
+ *         revert with a readable reason when a token reports failure.
+ * @dev Adapted from OpenZeppelin Contracts v4.9 (MIT), `SafeERC20`.
+ */
+library SafeToken {
+    function safeTransfer(address token, address to, uint256 amount) internal {
+        _call(token, abi.encodeCall(IERC20.transfer, (to, amount)));
+    }
+
+    function safeTransferFrom(address token, address from, address to, uint256 amount) internal {
+        _call(token, abi.encodeCall(IERC20.transferFrom, (from, to, amount)));
+    }
+
+    /**
+     * @dev Submits a permit but ignores failure: anyone who saw the signature in the mempool may
+     *      have used it already. The transferFrom that follows fails if no allowance was granted.
+     */
+    function tryPermit(
+        address token,
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        try IERC20Permit(token).permit(owner, spender, value, deadline, v, r, s) {} catch {}
+    }
+
+    function _call(address token, bytes memory data) private {
+        require(token.code.length > 0, "Token transfer failed");
+        (bool success, bytes memory returndata) = token.call(data);
+        require(success && (returndata.length == 0 || abi.decode(returndata, (bool))), "Token transfer failed");
+    }
+}
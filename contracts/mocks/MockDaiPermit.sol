@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockDaiPermit
+ * @notice Just enough of DAI's pre-EIP-2612 permit (holder, spender, nonce, expiry, allowed) to be told apart.
+ */
+contract MockDaiPermit {
+    string public constant name = "Dai Stablecoin";
+    string public constant version = "1";
+    bytes32 public constant PERMIT_TYPEHASH =
+        keccak256("Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)");
+
+    mapping(address => uint256) public nonces;
+}
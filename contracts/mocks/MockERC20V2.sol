@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockERC20V2
+ * @notice MockERC20 whose permits use EIP-712 domain version "2", as USDC's do. It reports the version
+ *         through `version()` and, when `hasDomain` is set, through EIP-5267's `eip712Domain()`.
+ */
+contract MockERC20V2 is MockERC20 {
+    bool public immutable hasDomain;
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        uint8 _decimals,
+        bool _hasDomain
+    ) MockERC20(_name, _symbol, _decimals) {
+        hasDomain = _hasDomain;
+    }
+
+    function version() external pure returns (string memory) {
+        return _permitVersion();
+    }
+
+    function eip712Domain()
+        external
+        view
+        returns (
+            bytes1 fields,
+            string memory domainName,
+            string memory domainVersion,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        require(hasDomain, "No EIP-5267 domain");
+        return (hex"0f", name, _permitVersion(), block.chainid, address(this), bytes32(0), new uint256[](0));
+    }
+
+    function _permitVersion() internal pure override returns (string memory) {
+        return "2";
+    }
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title RevertingReceiver
+ * @notice A contract wallet that rejects ETH until told otherwise, for tests only. It can act as an escrow
+ *         party (client, freelancer or mediator) by forwarding calls with `execute`.
+ */
+contract RevertingReceiver {
+    bool public acceptPayments;
+
+    function setAcceptPayments(bool _acceptPayments) external {
+        acceptPayments = _acceptPayments;
+    }
+
+    /// @notice Calls `target` with `data` and the ETH sent along, bubbling up any revert reason.
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        require(acceptPayments, "Payments rejected");
+    }
+}
@@ -0,0 +1,47 @@
+// Hardhat Ignition module for one FreelancerEscrow project, configured from a parameters file
+// (see ignition/parameters/). Learn more about Ignition at https://hardhat.org/ignition
+//
+//   npx hardhat ignition deploy ignition/modules/FreelancerEscrow.js --network sepolia \
+//     --parameters ignition/parameters/sepolia.json
+//
+// Ignition records every deployment under ignition/deployments/chain-<chainId>/ (or --deployment-id),
+// so a rerun resumes it instead of deploying again; scripts/verifyDeployment.js reads the result back.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+module.exports = buildModule("FreelancerEscrowModule", (m) => {
+  const freelancer = m.getParameter("freelancer");
+  const mediator = m.getParameter("mediator");
+  const freelancerStake = m.getParameter("freelancerStake");
+  const milestoneAmounts = m.getParameter("milestoneAmounts");
+  const projectIpfsHash = m.getParameter("projectIpfsHash");
+  // Sent with the deployment; the contract requires it to equal the sum of milestoneAmounts
+  const projectFee = m.getParameter("projectFee");
+
+  // The contract's Schedule and Panel structs (see toSchedule / toPanel); zeros select the contract defaults
+  const schedule = m.getParameter("schedule", {
+    reviewWindow: 0,
+    deliveryWindows: [],
+    latePenaltyBps: 0,
+    prerequisites: [],
+  });
+  const panel = m.getParameter("panel", {
+    coMediators: [],
+    quorum: 0,
+    backupMediator: ZERO_ADDRESS,
+    escalationWindow: 0,
+    responseWindow: 0,
+    mediationFee: 0,
+    mediationFeeBps: 0,
+  });
+
+  const escrow = m.contract(
+    "FreelancerEscrow",
+    [freelancer, mediator, freelancerStake, milestoneAmounts, projectIpfsHash, schedule, panel],
+    { value: projectFee }
+  );
+
+  return { escrow };
+});
@@ -0,0 +1,1204 @@
+/**
+ * EscrowClient.js
+ *
+ * A thin wrapper around a deployed FreelancerEscrow contract. Every contract
+ * function has a matching method; writes wait for the receipt and reverts are
+ * rethrown as the named errors from ./errors.
+ */
+
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadArtifact } = require("./artifacts");
+const { decodeEscrowError, InvalidSignatureError, SignatureExpiredError, InvalidStateError } = require("./errors");
+const { SIGNER_ROLES, signAction, recoverSigner, toContractCall } = require("./signatures");
+const { tokenAt, getCurrency, ensureAllowance, signPermit } = require("./token");
+const { cidOfFile } = require("./ipfs");
+
+// Mirrors `enum State` in FreelancerEscrow.sol
+const STATES = ["Created", "InProgress", "Completed", "Cancelled", "Expired", "Terminated"];
+
+// Mirrors FreelancerEscrowBase.MAX_BPS, for fee previews
+const MAX_BPS = 10000n;
+
+/**
+ * Converts the numeric State returned by `contractState()` into its name.
+ * @param {bigint|number} value
+ * @returns {string}
+ */
+function decodeState(value) {
+  const name = STATES[Number(value)];
+  if (!name) throw new Error(`Unknown escrow state: ${value}`);
+  return name;
+}
+
+/**
+ * Converts per-milestone dependency lists into the contract's prerequisite bitmasks,
+ * e.g. `[[], [0], [0, 1]]` => `[0n, 1n, 3n]`. Returns `[]` (no dependencies) for an
+ * empty list or one without any dependency. `offset` is the index of the first
+ * milestone listed, for amendments that replace the milestones from there on.
+ * @param {number[][]} dependsOn Per milestone, the earlier milestones it waits for.
+ * @param {number} [offset]
+ * @returns {bigint[]}
+ */
+function toPrerequisites(dependsOn = [], offset = 0) {
+  const masks = dependsOn.map((indexes, i) =>
+    (indexes || []).reduce((mask, index) => {
+      if (!Number.isInteger(index) || index < 0 || index >= offset + i) {
+        throw new RangeError(`Milestone #${offset + i} can only depend on earlier milestones, not #${index}`);
+      }
+      return mask | (1n << BigInt(index));
+    }, 0n)
+  );
+  return masks.some((mask) => mask !== 0n) ? masks : [];
+}
+
+/**
+ * Indexes of the milestones a prerequisite bitmask refers to, lowest first.
+ * @param {bigint} mask
+ * @returns {number[]}
+ */
+function fromPrerequisites(mask) {
+  const indexes = [];
+  for (let i = 0; mask >> BigInt(i) !== 0n; i++) {
+    if ((mask >> BigInt(i)) & 1n) indexes.push(i);
+  }
+  return indexes;
+}
+
+/**
+ * Dependency lists that make `count` milestones run one after another, as escrows
+ * used to: each waits for the one before it.
+ * @param {number} count
+ * @param {number} [offset] Index of the first milestone listed.
+ * @returns {number[][]}
+ */
+function sequentialDependencies(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => (offset + i === 0 ? [] : [offset + i - 1]));
+}
+
+/**
+ * Builds the contract's `Schedule` tuple from deploy params. Omitted fields fall back
+ * to the contract defaults: a 3-day review window, no delivery deadlines and every
+ * milestone open from the start.
+ * @param {Object} params
+ * @param {number} [params.reviewWindow] Seconds the client has to review a submission.
+ * @param {number[]} [params.deliveryWindows] Per milestone, seconds from its start until it is overdue.
+ * @param {number} [params.latePenaltyBps] Stake share the client claims per overdue milestone.
+ * @param {number[][]} [params.dependsOn] Per milestone, the earlier milestones that must be settled before it starts.
+ * @param {boolean} [params.sequential] Shorthand for each milestone depending on the one before it.
+ */
+function toSchedule(params) {
+  const dependsOn = params.sequential ? sequentialDependencies(params.milestoneAmounts.length) : params.dependsOn;
+  return {
+    reviewWindow: params.reviewWindow || 0,
+    deliveryWindows: params.deliveryWindows || [],
+    latePenaltyBps: params.latePenaltyBps || 0,
+    prerequisites: toPrerequisites(dependsOn),
+  };
+}
+
+/**
+ * Builds the contract's `Panel` tuple from deploy params. Omitted fields fall back to
+ * the contract defaults: `mediator` decides alone, disputes cannot be escalated and
+ * can be resolved as soon as they are opened.
+ * @param {Object} params
+ * @param {string[]} [params.coMediators] Vote on disputes alongside `mediator`.
+ * @param {number} [params.quorum] Matching votes that settle a dispute; 0 = simple majority of the panel.
+ * @param {string} [params.backupMediator] Decides disputes the panel has not settled in time.
+ * @param {number} [params.escalationWindow] Seconds before a dispute can be escalated (default 7 days).
+ * @param {number} [params.responseWindow] Seconds the parties have to submit evidence before a dispute can be resolved.
+ * @param {bigint} [params.mediationFee] Flat fee to open a dispute (default 0.01 ETH on ETH escrows, none on token ones).
+ * @param {number} [params.mediationFeeBps] Charge this share of the disputed milestone instead of a flat fee.
+ */
+function toPanel(params) {
+  return {
+    coMediators: params.coMediators || [],
+    quorum: params.quorum || 0,
+    backupMediator: params.backupMediator || ethers.ZeroAddress,
+    escalationWindow: params.escalationWindow || 0,
+    responseWindow: params.responseWindow || 0,
+    mediationFee: params.mediationFee || 0n,
+    mediationFeeBps: params.mediationFeeBps || 0,
+  };
+}
+
+// Where a milestone stands, as reported in MilestoneStatus.status
+const MILESTONE_STATUSES = ["Waiting", "Open", "Submitted", "Disputed", "Settled"];
+
+/**
+ * @typedef {Object} MilestoneStatus
+ * @property {number} index
+ * @property {string} status One of MILESTONE_STATUSES: "Waiting" for its prerequisites, "Open" for work,
+ *   "Submitted" for review, "Disputed" or "Settled".
+ * @property {boolean} completed
+ * @property {boolean} approved
+ * @property {boolean} disputed
+ * @property {number} timestamp Unix seconds when the milestone was last marked completed (0 if never)
+ * @property {bigint} amount Payment released for this milestone
+ * @property {number} deliveryWindow Seconds from the milestone's start until it is overdue (0 = no deadline)
+ * @property {number[]} dependsOn Earlier milestones that must be settled before this one starts.
+ * @property {number|null} startedAt Unix seconds the milestone started (null while it waits for its prerequisites).
+ * @property {number|null} settledAt Unix seconds it was approved, resolved or reclaimed (null while open).
+ * @property {number|null} deliveryDue Unix seconds when the milestone becomes overdue.
+ * @property {number|null} autoReleaseAt Unix seconds when the freelancer may auto-release it.
+ * @property {Dispute|null} dispute The open dispute over this milestone.
+ * @property {number} revisions Times the client has sent it back for changes (at most MAX_REVISIONS).
+ * @property {number|null} revisedAt Unix seconds of the last change request (its delivery window restarts then).
+ */
+
+/**
+ * @typedef {Object} ChangeRequest
+ * @property {number} milestoneIndex
+ * @property {number} round 1 for the first change request on the milestone, and so on.
+ * @property {string} reasonCid IPFS CID of the requested changes.
+ * @property {number} blockNumber
+ * @property {string} txHash
+ */
+
+/**
+ * @typedef {Object} Dispute
+ * @property {string} initiator Party who opened it.
+ * @property {number} openedAt
+ * @property {boolean} escalated Whether it has been handed to the backup mediator.
+ * @property {number|null} escalatesAt Unix seconds when it can be escalated (null = no backup mediator).
+ * @property {number} resolvableAt Unix seconds when it can be resolved.
+ * @property {bigint} fee Mediation fee the initiator paid, shared by the mediators who settle it.
+ * @property {string[]} voted Panel members who have cast their vote on it (only on panels with a quorum above 1).
+ * @property {{client: number, freelancer: number}} evidenceCount Evidence entries each party has attached.
+ */
+
+/**
+ * @typedef {Object} FeeSchedule
+ * @property {bigint} mediationFee Flat fee to open a dispute (unused while `mediationFeeBps` is set).
+ * @property {number} mediationFeeBps Fee to open a dispute as a share of the disputed milestone (0 = flat).
+ * @property {string|null} feeRecipient Receives the platform fee (null = no platform fee).
+ * @property {number} platformFeeBps Share of every milestone payment to the freelancer taken as platform fee.
+ */
+
+/**
+ * @typedef {Object} FeeBreakdown
+ * @property {number} milestoneIndex
+ * @property {bigint} amount The milestone's payment.
+ * @property {bigint} freelancerAmount Part of it released to the freelancer (all of it unless split by a dispute).
+ * @property {bigint} clientAmount Part of it refunded to the client.
+ * @property {bigint} platformFee Taken from `freelancerAmount` for the fee recipient.
+ * @property {bigint} freelancerReceives `freelancerAmount` less the platform fee.
+ * @property {bigint} mediationFee What opening a dispute over the milestone costs.
+ */
+
+/**
+ * @typedef {Object} MediatorPanel
+ * @property {string[]} mediators Panel members, lead mediator first.
+ * @property {number} quorum Matching votes that settle a dispute.
+ * @property {string|null} backupMediator Decides escalated disputes (null = disputes cannot be escalated).
+ * @property {number} escalationWindow Seconds after a dispute opens before it can be escalated.
+ * @property {number} responseWindow Seconds the parties have to submit evidence before a dispute can be resolved.
+ */
+
+/**
+ * @typedef {Object} Evidence
+ * @property {number} milestoneIndex
+ * @property {string} party Client or freelancer who submitted it.
+ * @property {string} cid IPFS CID of the document.
+ * @property {string} label
+ * @property {number} blockNumber
+ * @property {string} txHash
+ */
+
+/**
+ * @typedef {Object} MediatorReplacement
+ * @property {string} proposer Party waiting for the other to accept.
+ * @property {string} oldMediator
+ * @property {string} newMediator
+ */
+
+/**
+ * @typedef {Object} Amendment
+ * @property {number} version The amendmentVersion the escrow moves to once it is accepted.
+ * @property {string} proposer Party waiting for the other to accept.
+ * @property {number} fromMilestone First milestone replaced; earlier ones are kept.
+ * @property {bigint[]} milestoneAmounts New payments for the milestones from `fromMilestone` on.
+ * @property {number[]} deliveryWindows Their delivery windows (empty = no deadlines).
+ * @property {number[][]} dependsOn Their prerequisites, as milestone indexes (empty = none).
+ * @property {bigint[]} prerequisites The same as bitmasks, exactly as proposed.
+ * @property {string} projectIpfsHash The amended milestone definitions.
+ * @property {bigint} topUp What the client pays in on top of the escrowed fees.
+ * @property {bigint} refund What the client gets back.
+ * @property {bigint} deposit Part of `topUp` the client already paid with their proposal.
+ */
+
+/**
+ * @typedef {Object} EscrowSnapshot
+ * @property {string} address
+ * @property {string} contractState
+ * @property {number} numMilestones
+ * @property {number} settledMilestones Milestones approved, resolved or reclaimed; the project completes once all are.
+ * @property {number} openDisputes Milestones currently under dispute.
+ * @property {string} client
+ * @property {string} freelancer
+ * @property {string} mediator
+ * @property {bigint} projectFee
+ * @property {bigint} freelancerStake
+ * @property {bigint} mediationFee Flat fee to open a dispute (see mediationFeeBps).
+ * @property {number} mediationFeeBps Fee to open a dispute as a share of the disputed milestone (0 = flat).
+ * @property {string|null} feeRecipient Receives the platform fee (null = none).
+ * @property {number} platformFeeBps Platform fee on every milestone payment to the freelancer.
+ * @property {bigint} disputePot
+ * @property {bigint} stakeSlashed Part of the stake already slashed to the client.
+ * @property {number} stakeDeadline Unix seconds after which an unstaked escrow can be reclaimed.
+ * @property {string|null} terminationProposer Party waiting for the other to accept a termination.
+ * @property {MediatorPanel} panel
+ * @property {MediatorReplacement|null} mediatorReplacement Pending replacement of a panel member or the backup.
+ * @property {number} amendmentVersion Number of accepted amendments.
+ * @property {number} firstAmendableMilestone First milestone an amendment may replace.
+ * @property {Amendment|null} amendment Pending amendment of the milestones.
+ * @property {number} reviewWindow Seconds the client has to review a submission.
+ * @property {number} latePenaltyBps
+ * @property {number} blockTimestamp Chain time the snapshot was taken at, for "in X hours" output.
+ * @property {bigint} balance
+ * @property {{client: bigint, freelancer: bigint, mediator: bigint}} claimable Credited to each party, awaiting withdraw().
+ * @property {import("./token").Currency} currency What every amount above is denominated in.
+ * @property {string} projectIpfsHash
+ * @property {MilestoneStatus[]} milestones
+ */
+
+class EscrowClient {
+  /**
+   * @param {ethers.Contract} contract A FreelancerEscrow contract instance.
+   * @param {Object} [options]
+   * @param {boolean} [options.simulate] Simulate every write with staticCall first, so one that would
+   *        revert throws its named error before anything is signed.
+   */
+  constructor(contract, { simulate = false } = {}) {
+    this.contract = contract;
+    this.simulate = simulate;
+  }
+
+  /**
+   * Attaches to an escrow that is already deployed.
+   * @param {string} address
+   * @param {ethers.ContractRunner} runner Signer (for writes) or provider (read-only).
+   * @param {Object} [options] See the constructor.
+   */
+  static at(address, runner, options) {
+    const { abi } = loadArtifact("FreelancerEscrow");
+    return new EscrowClient(new ethers.Contract(address, abi, runner), options);
+  }
+
+  /**
+   * Deploys a new ETH escrow. The signer becomes the client and pays the project fee,
+   * which is the sum of `milestoneAmounts` unless `projectFee` is given explicitly.
+   * Token escrows are created through EscrowFactoryClient.createProject.
+   * @param {ethers.Signer} signer
+   * @param {Object} params
+   * @param {string} params.freelancer
+   * @param {string} params.mediator
+   * @param {bigint} params.freelancerStake
+   * @param {bigint[]} params.milestoneAmounts Payment for each milestone, in order.
+   * @param {string} params.projectIpfsHash
+   * @param {bigint} [params.projectFee]
+   * @param {number} [params.reviewWindow] See toSchedule.
+   * @param {number[]} [params.deliveryWindows]
+   * @param {number} [params.latePenaltyBps]
+   * @param {number[][]} [params.dependsOn]
+   * @param {boolean} [params.sequential]
+   * @param {string[]} [params.coMediators] See toPanel.
+   * @param {number} [params.quorum]
+   * @param {string} [params.backupMediator]
+   * @param {number} [params.escalationWindow]
+   * @param {number} [params.responseWindow]
+   * @param {bigint} [params.mediationFee]
+   * @param {number} [params.mediationFeeBps]
+   */
+  static async deploy(signer, params) {
+    if (params.token && params.token !== ethers.ZeroAddress) {
+      throw new TypeError("Token escrows are created through EscrowFactoryClient.createProject");
+    }
+    const { abi, bytecode } = loadArtifact("FreelancerEscrow");
+    const factory = new ethers.ContractFactory(abi, bytecode, signer);
+    const projectFee =
+      params.projectFee === undefined ? params.milestoneAmounts.reduce((sum, a) => sum + a, 0n) : params.projectFee;
+    try {
+      const contract = await factory.deploy(
+        params.freelancer,
+        params.mediator,
+        params.freelancerStake,
+        params.milestoneAmounts,
+        params.projectIpfsHash,
+        toSchedule(params),
+        toPanel(params),
+        { value: projectFee }
+      );
+      await contract.waitForDeployment();
+      return new EscrowClient(contract);
+    } catch (err) {
+      throw decodeEscrowError(err);
+    }
+  }
+
+  /** Returns a new client bound to a different signer or provider. */
+  connect(runner) {
+    return new EscrowClient(this.contract.connect(runner), { simulate: this.simulate });
+  }
+
+  get address() {
+    return this.contract.target;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reads
+  // ---------------------------------------------------------------------------
+
+  async client() {
+    return this.contract.client();
+  }
+
+  async freelancer() {
+    return this.contract.freelancer();
+  }
+
+  async mediator() {
+    return this.contract.mediator();
+  }
+
+  /** @returns {Promise<string>} One of STATES. */
+  async contractState() {
+    return decodeState(await this.contract.contractState());
+  }
+
+  /** @returns {Promise<bigint>} */
+  async projectFee() {
+    return this.contract.projectFee();
+  }
+
+  /** @returns {Promise<bigint>} */
+  async freelancerStake() {
+    return this.contract.freelancerStake();
+  }
+
+  /** @returns {Promise<number>} */
+  async numMilestones() {
+    return Number(await this.contract.numMilestones());
+  }
+
+  /** @returns {Promise<number>} Milestones approved, resolved or reclaimed so far. */
+  async settledMilestones() {
+    return Number(await this.contract.settledMilestones());
+  }
+
+  /** @returns {Promise<number>} Milestones currently under dispute. */
+  async openDisputes() {
+    return Number(await this.contract.openDisputes());
+  }
+
+  /** @returns {Promise<string>} Payment token, or the zero address for ETH escrows. */
+  async token() {
+    return this.contract.token();
+  }
+
+  /**
+   * Symbol and decimals of the payment currency (read once, then cached).
+   * @returns {Promise<import("./token").Currency>}
+   */
+  async currency() {
+    if (!this._currency) {
+      this._currency = this.token().then((address) => getCurrency(address, this.contract.runner));
+    }
+    return this._currency;
+  }
+
+  /** @returns {Promise<bigint>} Flat fee to open a dispute, unless mediationFeeBps() is set. */
+  async mediationFee() {
+    return this.contract.mediationFee();
+  }
+
+  /** @returns {Promise<number>} Fee to open a dispute as basis points of the disputed milestone (0 = flat fee). */
+  async mediationFeeBps() {
+    return Number(await this.contract.mediationFeeBps());
+  }
+
+  /** @returns {Promise<bigint>} What opening a dispute over milestone `index` costs. */
+  async mediationFeeFor(index) {
+    return this.contract.mediationFeeFor(index);
+  }
+
+  /** @returns {Promise<string|null>} null when the escrow charges no platform fee. */
+  async feeRecipient() {
+    const recipient = await this.contract.feeRecipient();
+    return recipient === ethers.ZeroAddress ? null : recipient;
+  }
+
+  /** @returns {Promise<number>} */
+  async platformFeeBps() {
+    return Number(await this.contract.platformFeeBps());
+  }
+
+  /**
+   * The mediation and platform fees as one object.
+   * @returns {Promise<FeeSchedule>}
+   */
+  async fees() {
+    const [mediationFee, mediationFeeBps, feeRecipient, platformFeeBps] = await Promise.all([
+      this.mediationFee(),
+      this.mediationFeeBps(),
+      this.feeRecipient(),
+      this.platformFeeBps(),
+    ]);
+    return { mediationFee, mediationFeeBps, feeRecipient, platformFeeBps };
+  }
+
+  /**
+   * Who gets what if milestone `index` is paid out now, computed the way the contract
+   * does, so it can be shown before sending the transaction.
+   * @param {number} index
+   * @param {Object} [options]
+   * @param {number} [options.freelancerShareBps] Freelancer's share of a disputed milestone (default: all of it).
+   * @returns {Promise<FeeBreakdown>}
+   */
+  async previewFees(index, { freelancerShareBps = Number(MAX_BPS) } = {}) {
+    const [{ amount }, platformFeeBps, mediationFee] = await Promise.all([
+      this.contract.milestones(index),
+      this.platformFeeBps(),
+      this.mediationFeeFor(index),
+    ]);
+    const freelancerAmount = (amount * BigInt(freelancerShareBps)) / MAX_BPS;
+    const platformFee = (freelancerAmount * BigInt(platformFeeBps)) / MAX_BPS;
+    return {
+      milestoneIndex: Number(index),
+      amount,
+      freelancerAmount,
+      clientAmount: amount - freelancerAmount,
+      platformFee,
+      freelancerReceives: freelancerAmount - platformFee,
+      mediationFee,
+    };
+  }
+
+  /** @returns {Promise<bigint>} */
+  async disputePot() {
+    return this.contract.disputePot();
+  }
+
+  /** @returns {Promise<bigint>} */
+  async stakeSlashed() {
+    return this.contract.stakeSlashed();
+  }
+
+  /** @returns {Promise<number>} */
+  async stakeDeadline() {
+    return Number(await this.contract.stakeDeadline());
+  }
+
+  /** @returns {Promise<string|null>} null when no termination is pending. */
+  async terminationProposer() {
+    const proposer = await this.contract.terminationProposer();
+    return proposer === ethers.ZeroAddress ? null : proposer;
+  }
+
+  /** @returns {Promise<string[]>} The mediator panel, lead mediator first. */
+  async mediators() {
+    return [...(await this.contract.getMediators())];
+  }
+
+  /** @returns {Promise<number>} */
+  async quorum() {
+    return Number(await this.contract.quorum());
+  }
+
+  /** @returns {Promise<string|null>} null when disputes cannot be escalated. */
+  async backupMediator() {
+    const backup = await this.contract.backupMediator();
+    return backup === ethers.ZeroAddress ? null : backup;
+  }
+
+  /** @returns {Promise<number>} */
+  async escalationWindow() {
+    return Number(await this.contract.escalationWindow());
+  }
+
+  /** @returns {Promise<number>} */
+  async responseWindow() {
+    return Number(await this.contract.responseWindow());
+  }
+
+  /** @returns {Promise<number>} Evidence entries `address` has attached to the dispute over milestone `index`. */
+  async evidenceCount(index, address) {
+    return Number(await this.contract.evidenceCount(index, address));
+  }
+
+  /**
+   * The panel as one object.
+   * @returns {Promise<MediatorPanel>}
+   */
+  async panel() {
+    const [mediators, quorum, backupMediator, escalationWindow, responseWindow] = await Promise.all([
+      this.mediators(),
+      this.quorum(),
+      this.backupMediator(),
+      this.escalationWindow(),
+      this.responseWindow(),
+    ]);
+    return { mediators, quorum, backupMediator, escalationWindow, responseWindow };
+  }
+
+  /**
+   * The open dispute over milestone `index`.
+   * @param {number} index
+   * @returns {Promise<Dispute|null>} null when the milestone is not under dispute.
+   */
+  async dispute(index) {
+    const [[initiator, openedAt, escalated, fee], backupMediator, escalationWindow, responseWindow] = await Promise.all([
+      this.contract.disputes(index),
+      this.backupMediator(),
+      this.escalationWindow(),
+      this.responseWindow(),
+    ]);
+    if (initiator === ethers.ZeroAddress) return null;
+    const [mediators, client, freelancer] = await Promise.all([this.mediators(), this.client(), this.freelancer()]);
+    const [votes, clientEvidence, freelancerEvidence] = await Promise.all([
+      Promise.all(mediators.map((member) => this.contract.mediatorVotes(index, member))),
+      this.contract.evidenceCount(index, client),
+      this.contract.evidenceCount(index, freelancer),
+    ]);
+    return {
+      initiator,
+      openedAt: Number(openedAt),
+      escalated,
+      escalatesAt: backupMediator ? Number(openedAt) + escalationWindow : null,
+      resolvableAt: Number(openedAt) + responseWindow,
+      fee,
+      voted: mediators.filter((member, i) => votes[i] !== ethers.ZeroHash),
+      evidenceCount: { client: Number(clientEvidence), freelancer: Number(freelancerEvidence) },
+    };
+  }
+
+  /**
+   * Every evidence entry attached to the dispute over milestone `index`, oldest first,
+   * read from the EvidenceSubmitted logs.
+   * @param {number} index
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] First block to search (e.g. the escrow's deployment block).
+   * @returns {Promise<Evidence[]>}
+   */
+  async evidence(index, { fromBlock = 0 } = {}) {
+    const logs = await this.contract.queryFilter(this.contract.filters.EvidenceSubmitted(index), fromBlock);
+    return logs.map((log) => ({
+      milestoneIndex: Number(log.args.milestoneIndex),
+      party: log.args.party,
+      cid: log.args.cid,
+      label: log.args.label,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+    }));
+  }
+
+  /**
+   * Every change the client has requested on milestone `index`, oldest first,
+   * read from the ChangesRequested logs.
+   * @param {number} index
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] First block to search (e.g. the escrow's deployment block).
+   * @returns {Promise<ChangeRequest[]>}
+   */
+  async changeRequests(index, { fromBlock = 0 } = {}) {
+    const logs = await this.contract.queryFilter(this.contract.filters.ChangesRequested(index), fromBlock);
+    return logs.map((log) => ({
+      milestoneIndex: Number(log.args.milestoneIndex),
+      round: Number(log.args.round),
+      reasonCid: log.args.reasonCid,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+    }));
+  }
+
+  /** @returns {Promise<MediatorReplacement|null>} null when no replacement is pending. */
+  async mediatorReplacement() {
+    const [proposer, oldMediator, newMediator] = await Promise.all([
+      this.contract.replacementProposer(),
+      this.contract.replacementOld(),
+      this.contract.replacementNew(),
+    ]);
+    return proposer === ethers.ZeroAddress ? null : { proposer, oldMediator, newMediator };
+  }
+
+  /** @returns {Promise<number>} Number of amendments accepted so far. */
+  async amendmentVersion() {
+    return Number(await this.contract.amendmentVersion());
+  }
+
+  /** @returns {Promise<number>} First milestone an amendment can change (the current one until it is submitted). */
+  async firstAmendableMilestone() {
+    return Number(await this.contract.firstAmendableMilestone());
+  }
+
+  /**
+   * What replacing the milestones from `fromMilestone` on with `milestoneAmounts` costs the client.
+   * @returns {Promise<{topUp: bigint, refund: bigint}>}
+   */
+  async amendmentCost(fromMilestone, milestoneAmounts) {
+    const numMilestones = await this.numMilestones();
+    let oldTotal = 0n;
+    for (let i = fromMilestone; i < numMilestones; i++) oldTotal += (await this.contract.milestones(i)).amount;
+    const newTotal = milestoneAmounts.reduce((sum, amount) => sum + BigInt(amount), 0n);
+    return newTotal > oldTotal ? { topUp: newTotal - oldTotal, refund: 0n } : { topUp: 0n, refund: oldTotal - newTotal };
+  }
+
+  /**
+   * The pending amendment, read back from its AmendmentProposed log in the block the
+   * escrow recorded for it (so no RPC log range limit applies).
+   * @returns {Promise<Amendment|null>} null when no amendment is pending.
+   * @throws {Error} When the provider does not return the proposal's log.
+   */
+  async pendingAmendment() {
+    const [proposer, version, deposit, block] = await Promise.all([
+      this.contract.amendmentProposer(),
+      this.amendmentVersion(),
+      this.contract.amendmentDeposit(),
+      this.contract.amendmentBlock(),
+    ]);
+    if (proposer === ethers.ZeroAddress) return null;
+
+    const filter = this.contract.filters.AmendmentProposed(version + 1, proposer);
+    const logs = await this.contract.queryFilter(filter, Number(block), Number(block));
+    if (logs.length === 0) {
+      throw new Error(`AmendmentProposed log of ${this.address} not found in block ${block}; is the provider pruning logs?`);
+    }
+    // A revoked proposal can be followed by another one for the same version in the same block: the latest is pending
+    const { args } = logs[logs.length - 1];
+    const amendment = {
+      version: version + 1,
+      proposer,
+      fromMilestone: Number(args.fromMilestone),
+      milestoneAmounts: [...args.milestoneAmounts],
+      deliveryWindows: args.deliveryWindows.map(Number),
+      prerequisites: [...args.prerequisites],
+      dependsOn: args.prerequisites.map(fromPrerequisites),
+      projectIpfsHash: args.projectIpfsHash,
+    };
+    return { ...amendment, ...(await this.amendmentCost(amendment.fromMilestone, amendment.milestoneAmounts)), deposit };
+  }
+
+  /** @returns {Promise<number>} Next nonce a signed action of `address` must use. */
+  async nonces(address) {
+    return Number(await this.contract.nonces(address));
+  }
+
+  /** @returns {Promise<number>} */
+  async reviewWindow() {
+    return Number(await this.contract.reviewWindow());
+  }
+
+  /** @returns {Promise<number>} */
+  async latePenaltyBps() {
+    return Number(await this.contract.latePenaltyBps());
+  }
+
+  /**
+   * When milestone `index` becomes overdue and when the freelancer may auto-release it; null where
+   * that does not apply (no deadline, not submitted, not started yet or already settled).
+   * @param {number} index
+   * @returns {Promise<{deliveryDue: number|null, autoReleaseAt: number|null}>}
+   */
+  async deadlines(index) {
+    const [deliveryDue, autoReleaseAt] = await this.contract.milestoneDeadlines(index);
+    return {
+      deliveryDue: deliveryDue === 0n ? null : Number(deliveryDue),
+      autoReleaseAt: autoReleaseAt === 0n ? null : Number(autoReleaseAt),
+    };
+  }
+
+  /**
+   * @param {number} index
+   * @returns {Promise<number|null>} Unix seconds milestone `index` started, null while its prerequisites are open.
+   */
+  async milestoneStartedAt(index) {
+    const startedAt = await this.contract.milestoneStartedAt(index);
+    return startedAt === 0n ? null : Number(startedAt);
+  }
+
+  /** @returns {Promise<bigint>} Payouts credited to `address` that it has not withdrawn yet. */
+  async credits(address) {
+    return this.contract.credits(address);
+  }
+
+  /** @returns {Promise<bigint>} Sum of everyone's unwithdrawn credits. */
+  async totalCredits() {
+    return this.contract.totalCredits();
+  }
+
+  /** @returns {Promise<bigint>} Milestone payments not yet credited to anyone. */
+  async escrowedFees() {
+    return this.contract.escrowedFees();
+  }
+
+  /** @returns {Promise<bigint>} Part of the freelancer's stake the escrow still holds. */
+  async stakeHeld() {
+    return this.contract.stakeHeld();
+  }
+
+  /**
+   * Everything the escrow owes: escrowedFees + stakeHeld + disputePot + amendmentDeposit + totalCredits.
+   * `balance() - obligations()` is surplus nobody is owed, see returnSurplus().
+   * @returns {Promise<bigint>}
+   */
+  async obligations() {
+    return this.contract.obligations();
+  }
+
+  /** @returns {Promise<string>} */
+  async projectIpfsHash() {
+    return this.contract.projectIpfsHash();
+  }
+
+  /** @returns {Promise<bigint>} Funds currently held by the escrow, in its currency. */
+  async balance() {
+    const token = await this.token();
+    if (token === ethers.ZeroAddress) return this.contract.runner.provider.getBalance(this.address);
+    return tokenAt(token, this.contract.runner).balanceOf(this.address);
+  }
+
+  /**
+   * @param {number} index
+   * @returns {Promise<MilestoneStatus>}
+   */
+  async getMilestoneStatus(index) {
+    const [
+      [completed, approved, disputed, timestamp, amount, deliveryWindow, prerequisites, settledAt, revisions, revisedAt],
+      startedAt,
+      deadlines,
+    ] = await Promise.all([this.contract.milestones(index), this.milestoneStartedAt(index), this.deadlines(index)]);
+    let status = "Waiting";
+    if (settledAt !== 0n) status = "Settled";
+    else if (disputed) status = "Disputed";
+    else if (completed) status = "Submitted";
+    else if (startedAt !== null) status = "Open";
+    return {
+      index: Number(index),
+      status,
+      completed,
+      approved,
+      disputed,
+      timestamp: Number(timestamp),
+      amount,
+      deliveryWindow: Number(deliveryWindow),
+      dependsOn: fromPrerequisites(prerequisites),
+      startedAt,
+      settledAt: settledAt === 0n ? null : Number(settledAt),
+      ...deadlines,
+      dispute: disputed ? await this.dispute(index) : null,
+      revisions: Number(revisions),
+      revisedAt: revisedAt === 0n ? null : Number(revisedAt),
+    };
+  }
+
+  /**
+   * Reads everything needed to render the escrow in one go.
+   * @returns {Promise<EscrowSnapshot>}
+   */
+  async snapshot() {
+    const [
+      client,
+      freelancer,
+      mediator,
+      contractState,
+      numMilestones,
+      settledMilestones,
+      openDisputes,
+      projectFee,
+      freelancerStake,
+      fees,
+      disputePot,
+      stakeSlashed,
+      stakeDeadline,
+      terminationProposer,
+      panel,
+      mediatorReplacement,
+      amendmentVersion,
+      firstAmendableMilestone,
+      amendment,
+      reviewWindow,
+      latePenaltyBps,
+      latestBlock,
+      balance,
+      currency,
+      projectIpfsHash,
+    ] = await Promise.all([
+      this.client(),
+      this.freelancer(),
+      this.mediator(),
+      this.contractState(),
+      this.numMilestones(),
+      this.settledMilestones(),
+      this.openDisputes(),
+      this.projectFee(),
+      this.freelancerStake(),
+      this.fees(),
+      this.disputePot(),
+      this.stakeSlashed(),
+      this.stakeDeadline(),
+      this.terminationProposer(),
+      this.panel(),
+      this.mediatorReplacement(),
+      this.amendmentVersion(),
+      this.firstAmendableMilestone(),
+      this.pendingAmendment(),
+      this.reviewWindow(),
+      this.latePenaltyBps(),
+      this.contract.runner.provider.getBlock("latest"),
+      this.balance(),
+      this.currency(),
+      this.projectIpfsHash(),
+    ]);
+
+    const milestones = [];
+    for (let i = 0; i < numMilestones; i++) {
+      milestones.push(await this.getMilestoneStatus(i));
+    }
+    const [clientCredits, freelancerCredits, mediatorCredits] = await Promise.all(
+      [client, freelancer, mediator].map((party) => this.credits(party))
+    );
+
+    return {
+      address: this.address,
+      contractState,
+      numMilestones,
+      settledMilestones,
+      openDisputes,
+      client,
+      freelancer,
+      mediator,
+      projectFee,
+      freelancerStake,
+      ...fees,
+      disputePot,
+      stakeSlashed,
+      stakeDeadline,
+      terminationProposer,
+      panel,
+      mediatorReplacement,
+      amendmentVersion,
+      firstAmendableMilestone,
+      amendment,
+      reviewWindow,
+      latePenaltyBps,
+      blockTimestamp: latestBlock.timestamp,
+      balance,
+      claimable: { client: clientCredits, freelancer: freelancerCredits, mediator: mediatorCredits },
+      currency,
+      projectIpfsHash,
+      milestones,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Writes (each resolves to the mined transaction receipt)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Freelancer deposits the required stake. Defaults to the on-chain `freelancerStake`.
+   * On token escrows the escrow is approved for the stake first, or, with
+   * `{ permit: true }`, the approval is signed (EIP-2612) and sent with the deposit.
+   */
+  async freelancerDepositStake(value, { permit = false } = {}) {
+    const stake = value === undefined ? await this.freelancerStake() : value;
+    const token = await this.token();
+    if (token === ethers.ZeroAddress) return this._send("freelancerDepositStake", [], { value: stake });
+
+    if (permit) {
+      const { deadline, v, r, s } = await this._guard(() => signPermit(token, this.contract.runner, this.address, stake));
+      return this._send("freelancerDepositStakeWithPermit", [deadline, v, r, s]);
+    }
+    await this._guard(() => ensureAllowance(token, this.contract.runner, this.address, stake));
+    return this._send("freelancerDepositStake", []);
+  }
+
+  async markMilestoneCompleted(index) {
+    return this._send("markMilestoneCompleted", [index]);
+  }
+
+  async approveMilestone(index) {
+    return this._send("approveMilestone", [index]);
+  }
+
+  /**
+   * Client sends a submitted milestone back to the freelancer with the IPFS CID of
+   * what to change. The freelancer resubmits it with markMilestoneCompleted.
+   */
+  async requestChanges(index, reasonCid) {
+    return this._send("requestChanges", [index, reasonCid]);
+  }
+
+  /** Freelancer takes back a submitted milestone that has not been approved or disputed yet. */
+  async retractSubmission(index) {
+    return this._send("retractSubmission", [index]);
+  }
+
+  /** Opens a dispute, paying the milestone's `mediationFeeFor` (approving it first on token escrows). */
+  async disputeMilestone(index) {
+    return this._sendPaying("disputeMilestone", [index], await this.mediationFeeFor(index));
+  }
+
+  /**
+   * @param {number} index
+   * @param {boolean} decision true => freelancer wins, false => client wins
+   */
+  async disputeResolution(index, decision) {
+    return this._send("disputeResolution", [index, decision]);
+  }
+
+  /**
+   * Settles a dispute with a split, e.g. `resolveDispute(1, 7000)` pays 70% to the
+   * freelancer and refunds 30% to the client.
+   * @param {number} index
+   * @param {number} freelancerShareBps Freelancer's share in basis points (0-10000).
+   * @param {number} [stakeSlashBps] Part of the freelancer's stake sent to the client, in basis points.
+   */
+  async resolveDispute(index, freelancerShareBps, stakeSlashBps = 0) {
+    return this._send("resolveDispute", [index, freelancerShareBps, stakeSlashBps]);
+  }
+
+  /**
+   * The party who did not open the dispute concedes it: the milestone goes to the
+   * initiator and the mediation fee is refunded to them.
+   */
+  async acceptDispute(index) {
+    return this._send("acceptDispute", [index]);
+  }
+
+  async autoReleaseIfClientAbsent(index) {
+    return this._send("autoReleaseIfClientAbsent", [index]);
+  }
+
+  /** Client takes back the current milestone once its delivery deadline has passed, plus the late penalty. */
+  async reclaimOverdueMilestone(index) {
+    return this._send("reclaimOverdueMilestone", [index]);
+  }
+
+  /** Freelancer collects the rest of the stake, together with their own claimable balance. */
+  async withdrawRemainingStake() {
+    return this._send("withdrawRemainingStake", []);
+  }
+
+  /** Pays out everything credited to the signer (milestone payments, refunds, mediation fees). */
+  async withdraw() {
+    return this._send("withdraw", []);
+  }
+
+  /** Credits the client with funds nobody is owed, e.g. tokens transferred to the escrow directly (callable by anyone). */
+  async returnSurplus() {
+    return this._send("returnSurplus", []);
+  }
+
+  /** Client cancels before the stake is deposited and gets the project fee back. */
+  async cancelProject() {
+    return this._send("cancelProject", []);
+  }
+
+  /** After `stakeDeadline` without a stake, returns the project fee to the client (callable by anyone). */
+  async reclaimAfterDeadline() {
+    return this._send("reclaimAfterDeadline", []);
+  }
+
+  async proposeTermination() {
+    return this._send("proposeTermination", []);
+  }
+
+  async revokeTermination() {
+    return this._send("revokeTermination", []);
+  }
+
+  /** The other party agrees: unreleased milestones go back to the client, the stake to the freelancer. */
+  async acceptTermination() {
+    return this._send("acceptTermination", []);
+  }
+
+  /** Client or freelancer attaches the IPFS CID of a document, with a short label, to the open dispute. */
+  async submitEvidence(index, cid, label = "") {
+    return this._send("submitEvidence", [index, cid, label]);
+  }
+
+  /**
+   * Hashes a local file into its IPFS CID (no network needed, see ./ipfs) and submits it as
+   * evidence, labelled with the file name unless `label` is given. Upload or pin the file
+   * separately so the mediator can fetch it by that CID.
+   * @returns {Promise<{cid: string, label: string, receipt: ethers.TransactionReceipt}>}
+   */
+  async attachEvidence(index, filePath, label) {
+    const cid = cidOfFile(filePath);
+    const entryLabel = label === undefined ? path.basename(filePath) : label;
+    const receipt = await this.submitEvidence(index, cid, entryLabel);
+    return { cid, label: entryLabel, receipt };
+  }
+
+  /** Hands the dispute over milestone `index`, once the panel has not settled it within the escalation window, to the backup mediator. */
+  async escalateDispute(index) {
+    return this._send("escalateDispute", [index]);
+  }
+
+  /** Client or freelancer proposes swapping a panel member (or the backup mediator) for `newMediator`. */
+  async proposeMediatorReplacement(oldMediator, newMediator) {
+    return this._send("proposeMediatorReplacement", [oldMediator, newMediator]);
+  }
+
+  async revokeMediatorReplacement() {
+    return this._send("revokeMediatorReplacement", []);
+  }
+
+  /** The other party accepts; both addresses must match the pending proposal. */
+  async acceptMediatorReplacement(oldMediator, newMediator) {
+    return this._send("acceptMediatorReplacement", [oldMediator, newMediator]);
+  }
+
+  /**
+   * Client or freelancer proposes new milestones from firstAmendableMilestone() on, with the
+   * amended definitions' IPFS hash. When the client proposes an amendment that costs more,
+   * the top-up is paid with the proposal (approved first on token escrows).
+   * @param {Object} amendment
+   * @param {bigint[]} amendment.milestoneAmounts
+   * @param {number[]} [amendment.deliveryWindows] One per milestone; omit for no deadlines.
+   * @param {number[][]} [amendment.dependsOn] Per milestone, the earlier milestones it waits for; omit for none.
+   * @param {string} amendment.projectIpfsHash
+   */
+  async proposeAmendment({ milestoneAmounts, deliveryWindows = [], dependsOn = [], projectIpfsHash }) {
+    const from = await this.firstAmendableMilestone();
+    const { topUp } = await this.amendmentCost(from, milestoneAmounts);
+    const args = [milestoneAmounts, deliveryWindows, toPrerequisites(dependsOn, from), projectIpfsHash];
+    return this._sendPaying("proposeAmendment", args, (await this._isClient()) ? topUp : 0n);
+  }
+
+  /** The proposer withdraws the pending amendment; a top-up paid with it is credited back to the client. */
+  async revokeAmendment() {
+    return this._send("revokeAmendment", []);
+  }
+
+  /**
+   * The other party accepts `amendment` (by default the pending one, read from the logs).
+   * A client accepting the freelancer's proposal pays its top-up.
+   * @param {Amendment} [amendment]
+   */
+  async acceptAmendment(amendment) {
+    const pending = amendment || (await this.pendingAmendment());
+    if (!pending) throw new InvalidStateError("No amendment proposed");
+    const { milestoneAmounts, deliveryWindows, dependsOn = [], projectIpfsHash, fromMilestone } = pending;
+    const { topUp } = await this.amendmentCost(fromMilestone, milestoneAmounts);
+    const prerequisites = pending.prerequisites || toPrerequisites(dependsOn, fromMilestone);
+    const args = [milestoneAmounts, deliveryWindows, prerequisites, projectIpfsHash];
+    return this._sendPaying("acceptAmendment", args, (await this._isClient()) ? topUp : 0n);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Signed actions (EIP-712): sign without gas, let anyone relay
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Signs `action` with this client's signer, using its current escrow nonce.
+   * @param {string} action One of SIGNED_ACTIONS (approveMilestone, acceptDispute, proposeTermination, acceptTermination).
+   * @param {Object} [options]
+   * @param {number} [options.milestoneIndex] Required for approveMilestone and acceptDispute.
+   * @param {number} [options.deadline] Unix seconds; defaults to `expiresIn` after the latest block.
+   * @param {number} [options.expiresIn] Seconds, default one day.
+   * @returns {Promise<import("./signatures").SignedAction>}
+   */
+  async signAction(action, { milestoneIndex, deadline, expiresIn = 24 * 60 * 60 } = {}) {
+    const signer = this.contract.runner;
+    const provider = signer.provider;
+    const [nonce, { chainId }, latest] = await Promise.all([
+      this.nonces(await signer.getAddress()),
+      provider.getNetwork(),
+      provider.getBlock("latest"),
+    ]);
+    // Chain time, not the local clock: they differ on test networks that fast-forward
+    if (deadline === undefined) deadline = latest.timestamp + expiresIn;
+    return signAction(signer, { action, escrow: this.address, chainId, milestoneIndex, nonce, deadline });
+  }
+
+  /**
+   * Checks a signed action against the chain before it is submitted: right escrow and
+   * network, signed by the party it names, that party allowed to take the action, nonce
+   * unused and deadline not passed. Throws the error the contract would revert with.
+   * @param {import("./signatures").SignedAction} signed
+   * @returns {Promise<true>}
+   */
+  async verifySignedAction(signed) {
+    let recovered, signer;
+    try {
+      recovered = recoverSigner(signed);
+      signer = ethers.getAddress(signed.signer);
+    } catch (err) {
+      throw new InvalidSignatureError("Invalid signature", err);
+    }
+    if (recovered !== signer) throw new InvalidSignatureError("Invalid signature");
+
+    const provider = this.contract.runner.provider;
+    const [{ chainId }, latest, nonce] = await Promise.all([
+      provider.getNetwork(),
+      provider.getBlock("latest"),
+      this.nonces(signer),
+    ]);
+    if (signed.escrow.toLowerCase() !== this.address.toLowerCase() || BigInt(signed.chainId) !== chainId) {
+      throw new InvalidSignatureError(`Signed for escrow ${signed.escrow} on chain ${signed.chainId}`);
+    }
+
+    const roles = await Promise.all(SIGNER_ROLES[signed.action].map((role) => this[role]()));
+    if (!roles.includes(signer)) {
+      throw new InvalidSignatureError(`${signed.signer} may not sign ${signed.action}`);
+    }
+    if (signed.nonce < nonce) throw new SignatureExpiredError("Signature already used");
+    if (signed.nonce > nonce) throw new InvalidSignatureError(`Nonce ${signed.nonce} is not the next nonce (${nonce})`);
+    if (latest.timestamp > signed.deadline) throw new SignatureExpiredError("Signature expired");
+    return true;
+  }
+
+  /**
+   * Submits a signed action from this client's signer (who pays the gas), after
+   * verifying it locally.
+   * @param {import("./signatures").SignedAction} signed
+   */
+  async submitSignedAction(signed) {
+    await this.verifySignedAction(signed);
+    const { method, args } = toContractCall(signed);
+    return this._send(method, args);
+  }
+
+  async _isClient() {
+    const [signer, client] = await Promise.all([this.contract.runner.getAddress(), this.client()]);
+    return signer === client;
+  }
+
+  /** Sends `method` paying `amount`: as msg.value on ETH escrows, approved for transferFrom on token escrows. */
+  async _sendPaying(method, args, amount) {
+    const token = await this.token();
+    if (token === ethers.ZeroAddress) return this._send(method, args, { value: amount });
+
+    if (amount > 0n) await this._guard(() => ensureAllowance(token, this.contract.runner, this.address, amount));
+    return this._send(method, args);
+  }
+
+  async _send(method, args, overrides = {}) {
+    return this._guard(async () => {
+      if (this.simulate) await this.contract[method].staticCall(...args, overrides);
+      const tx = await this.contract[method](...args, overrides);
+      return tx.wait();
+    });
+  }
+
+  async _guard(fn) {
+    try {
+      return await fn();
+    } catch (err) {
+      throw decodeEscrowError(err);
+    }
+  }
+}
+
+module.exports = {
+  EscrowClient,
+  STATES,
+  MILESTONE_STATUSES,
+  decodeState,
+  toSchedule,
+  toPanel,
+  toPrerequisites,
+  fromPrerequisites,
+  sequentialDependencies,
+};
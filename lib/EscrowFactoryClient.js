@@ -0,0 +1,183 @@
+/**
+ * EscrowFactoryClient.js
+ *
+ * Wrapper around a deployed FreelancerEscrowFactory: creates project escrows
+ * (as clones, paid in ETH or an ERC-20 token) and looks up a wallet's projects in the on-chain registry.
+ */
+
+const { ethers } = require("ethers");
+const { loadArtifact } = require("./artifacts");
+const { EscrowClient, toSchedule, toPanel } = require("./EscrowClient");
+const { decodeEscrowError } = require("./errors");
+const { ensureAllowance, signPermit } = require("./token");
+
+/**
+ * @typedef {Object} WalletProjects
+ * @property {string[]} client Escrows where the wallet is the client.
+ * @property {string[]} freelancer Escrows where the wallet is the freelancer.
+ * @property {string[]} mediator Escrows where the wallet is the mediator.
+ */
+
+class EscrowFactoryClient {
+  /**
+   * @param {ethers.Contract} contract A FreelancerEscrowFactory contract instance.
+   */
+  constructor(contract) {
+    this.contract = contract;
+  }
+
+  static at(address, runner) {
+    const { abi } = loadArtifact("FreelancerEscrowFactory");
+    return new EscrowFactoryClient(new ethers.Contract(address, abi, runner));
+  }
+
+  /**
+   * Deploys the shared FreelancerEscrowClone implementation and a factory pointing at it.
+   * @param {ethers.Signer} signer
+   */
+  static async deploy(signer) {
+    const clone = loadArtifact("FreelancerEscrowClone", "FreelancerEscrow.sol");
+    const factory = loadArtifact("FreelancerEscrowFactory");
+    try {
+      const implementation = await new ethers.ContractFactory(clone.abi, clone.bytecode, signer).deploy();
+      await implementation.waitForDeployment();
+      const contract = await new ethers.ContractFactory(factory.abi, factory.bytecode, signer).deploy(
+        implementation.target
+      );
+      await contract.waitForDeployment();
+      return new EscrowFactoryClient(contract);
+    } catch (err) {
+      throw decodeEscrowError(err);
+    }
+  }
+
+  connect(runner) {
+    return new EscrowFactoryClient(this.contract.connect(runner));
+  }
+
+  get address() {
+    return this.contract.target;
+  }
+
+  async implementation() {
+    return this.contract.implementation();
+  }
+
+  /** @returns {Promise<string>} The platform operator, who alone can change the platform fee. */
+  async owner() {
+    return this.contract.owner();
+  }
+
+  /**
+   * The platform fee new projects are created with.
+   * @returns {Promise<{feeRecipient: string|null, platformFeeBps: number}>}
+   */
+  async platformFee() {
+    const [feeRecipient, platformFeeBps] = await Promise.all([
+      this.contract.feeRecipient(),
+      this.contract.platformFeeBps(),
+    ]);
+    return {
+      feeRecipient: feeRecipient === ethers.ZeroAddress ? null : feeRecipient,
+      platformFeeBps: Number(platformFeeBps),
+    };
+  }
+
+  /**
+   * Owner only: takes `platformFeeBps` of every milestone payment in projects created from now on,
+   * credited to `feeRecipient`. `setPlatformFee(ethers.ZeroAddress, 0)` turns it off.
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async setPlatformFee(feeRecipient, platformFeeBps) {
+    try {
+      const tx = await this.contract.setPlatformFee(feeRecipient, platformFeeBps);
+      return await tx.wait();
+    } catch (err) {
+      throw decodeEscrowError(err);
+    }
+  }
+
+  /** @returns {Promise<number>} */
+  async projectCount() {
+    return Number(await this.contract.projectCount());
+  }
+
+  /** @returns {Promise<string[]>} Every escrow created by the factory, oldest first. */
+  async allProjects() {
+    const count = await this.projectCount();
+    const projects = [];
+    for (let i = 0; i < count; i++) {
+      projects.push(await this.contract.projects(i));
+    }
+    return projects;
+  }
+
+  /**
+   * @param {string} wallet
+   * @returns {Promise<WalletProjects>}
+   */
+  async projectsOf(wallet) {
+    const [client, freelancer, mediator] = await Promise.all([
+      this.contract.getProjectsByClient(wallet),
+      this.contract.getProjectsByFreelancer(wallet),
+      this.contract.getProjectsByMediator(wallet),
+    ]);
+    return { client: [...client], freelancer: [...freelancer], mediator: [...mediator] };
+  }
+
+  /**
+   * Creates a project escrow; the connected signer becomes its client and pays
+   * the project fee (the sum of `milestoneAmounts` unless `projectFee` is given).
+   *
+   * With `token` set, every amount is in that token's base units and the fee is
+   * pulled from the signer: the factory is approved for it first, or, with
+   * `permit: true`, the approval is signed (EIP-2612) and sent with the call.
+   * @param {Object} params Same shape as EscrowClient.deploy, plus:
+   * @param {string} [params.token] ERC-20 to pay in instead of ETH.
+   * @param {bigint} [params.mediationFee] Flat dispute fee in token units; with `token`, it or
+   *   `mediationFeeBps` is required.
+   * @param {boolean} [params.permit]
+   * @returns {Promise<EscrowClient>} The new escrow, connected to the same signer.
+   */
+  async createProject(params) {
+    const projectFee =
+      params.projectFee === undefined ? params.milestoneAmounts.reduce((sum, a) => sum + a, 0n) : params.projectFee;
+    const terms = [
+      params.freelancer,
+      params.mediator,
+      params.freelancerStake,
+      params.milestoneAmounts,
+      params.projectIpfsHash,
+      toSchedule(params),
+      toPanel(params),
+    ];
+    const isToken = params.token && params.token !== ethers.ZeroAddress;
+    if (isToken && params.mediationFee === undefined && params.mediationFeeBps === undefined) {
+      throw new TypeError("mediationFee or mediationFeeBps is required for token projects");
+    }
+
+    let receipt;
+    try {
+      let tx;
+      if (!isToken) {
+        tx = await this.contract.createProject(...terms, { value: projectFee });
+      } else if (params.permit) {
+        const signature = await signPermit(params.token, this.contract.runner, this.address, projectFee);
+        tx = await this.contract.createTokenProjectWithPermit(params.token, ...terms, signature);
+      } else {
+        await ensureAllowance(params.token, this.contract.runner, this.address, projectFee);
+        tx = await this.contract.createTokenProject(params.token, ...terms);
+      }
+      receipt = await tx.wait();
+    } catch (err) {
+      throw decodeEscrowError(err);
+    }
+
+    const created = receipt.logs
+      .map((log) => this.contract.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "ProjectCreated");
+    return EscrowClient.at(created.args.escrow, this.contract.runner);
+  }
+}
+
+module.exports = { EscrowFactoryClient };
@@ -0,0 +1,77 @@
+/**
+ * actions.js
+ *
+ * The milestone actions the REST API prepares for a browser wallet. Each one is
+ * checked against an EscrowClient snapshot by the pre-flight checks (so a
+ * caller without the role gets the same UnauthorizedError a revert would give),
+ * then encoded as unsigned transactions for the caller to sign and send.
+ */
+
+const { ethers } = require("ethers");
+const { ESCROW_ACTIONS, checkAction, paymentFor } = require("../preflight");
+const { tokenAt } = require("../token");
+const { parseAddress, parseResolution } = require("./validate");
+
+/** The actions the API prepares, a subset of ESCROW_ACTIONS; `params` reads the call's arguments after the index. */
+const ACTIONS = {
+  complete: {},
+  approve: {},
+  dispute: {},
+  resolve: {
+    params(body) {
+      const { freelancerShareBps, stakeSlashBps } = parseResolution(body);
+      return [freelancerShareBps, stakeSlashBps];
+    },
+  },
+  "auto-release": {},
+};
+
+/**
+ * Validates the request body of `name`, so nothing is read for a malformed request.
+ * @returns {{from: string, args: Array}} The signing wallet and the contract call's arguments after the index.
+ * @throws {import("./validate").ApiError}
+ */
+function parseAction(name, body) {
+  const action = ACTIONS[name];
+  return { from: parseAddress(body.from, "from address"), args: action.params ? action.params(body) : [] };
+}
+
+/**
+ * Checks action `name` on milestone `index` for the wallet `from` and returns
+ * the unsigned transactions to send, in order: on token escrows an ERC-20
+ * approve comes first when the action takes a payment the allowance does not cover.
+ * @param {import("../EscrowClient").EscrowClient} escrow
+ * @param {import("../EscrowClient").EscrowSnapshot} snapshot
+ * @param {{from: string, args: Array}} request From parseAction.
+ * @throws {import("../errors").EscrowError} What the contract would revert with.
+ */
+async function prepareAction(escrow, snapshot, name, index, { from, args }) {
+  checkAction(snapshot, from, name, index, args);
+
+  const provider = escrow.contract.runner.provider;
+  const { chainId } = await provider.getNetwork();
+  const unsigned = (to, data, value = 0n) => ({
+    from,
+    to,
+    data,
+    value: ethers.toQuantity(value),
+    chainId: ethers.toQuantity(chainId),
+  });
+
+  const transactions = [];
+  const payment = paymentFor(snapshot, name, index);
+  const token = snapshot.currency.address;
+  let value = payment;
+  if (token !== ethers.ZeroAddress) {
+    value = 0n;
+    const erc20 = tokenAt(token, provider);
+    if (payment > 0n && (await erc20.allowance(from, snapshot.address)) < payment) {
+      transactions.push(unsigned(token, erc20.interface.encodeFunctionData("approve", [snapshot.address, payment])));
+    }
+  }
+  const data = escrow.contract.interface.encodeFunctionData(ESCROW_ACTIONS[name].method, [index, ...args]);
+  transactions.push(unsigned(snapshot.address, data, value));
+  return { action: name, milestone: index, from, payment, currency: snapshot.currency, transactions };
+}
+
+module.exports = { ACTIONS, parseAction, prepareAction };
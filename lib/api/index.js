@@ -0,0 +1,5 @@
+const { createApiHandler, createApiServer } = require("./server");
+const { parseAction, prepareAction } = require("./actions");
+const { ApiError } = require("./validate");
+
+module.exports = { createApiHandler, createApiServer, ApiError, parseAction, prepareAction };
@@ -0,0 +1,148 @@
+/**
+ * server.js
+ *
+ * REST API over escrow state and actions, for web frontends. It holds no keys:
+ * reads come from the node, and action routes answer with unsigned transactions
+ * for the browser wallet to sign. Only Node's http module is used.
+ *
+ *   GET  /openapi.json                                     the API description
+ *   GET  /escrows/:address                                 snapshot: state, fee, stake, IPFS hash, milestones
+ *   GET  /escrows/:address/events                          indexed event timeline (?event=Name to filter)
+ *   POST /escrows/:address/milestones/:index/:action       complete | approve | dispute | resolve | auto-release
+ */
+
+const http = require("http");
+const { EscrowClient } = require("../EscrowClient");
+const {
+  EscrowError,
+  UnauthorizedError,
+  InvalidParameterError,
+  WrongMilestoneIndexError,
+} = require("../errors");
+const { EscrowIndexer, JsonStore, timeline } = require("../indexer");
+const { ACTIONS, parseAction, prepareAction } = require("./actions");
+const { ApiError, parseAddress, parseIndex, parseBody } = require("./validate");
+const openapi = require("./openapi.json");
+
+const MAX_BODY = 64 * 1024;
+
+/** HTTP status for an error raised while handling a request. */
+function statusFor(error) {
+  if (error instanceof ApiError) return error.status;
+  if (error instanceof UnauthorizedError) return 403;
+  if (error instanceof InvalidParameterError || error instanceof WrongMilestoneIndexError) return 400;
+  if (error instanceof EscrowError) return 409; // the escrow is not in a state that allows it
+  return 500;
+}
+
+/** JSON with bigints as decimal strings. */
+function toJSON(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+/** The request body as a string; past MAX_BODY it stops reading and rejects with a 413. */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => {
+      req.removeListener("data", onData);
+      req.pause();
+      reject(new ApiError(413, "Request body too large"));
+    };
+    let raw = "";
+    const onData = (chunk) => {
+      raw += chunk;
+      if (raw.length > MAX_BODY) tooLarge();
+    };
+    if (Number(req.headers["content-length"]) > MAX_BODY) return tooLarge();
+    req.setEncoding("utf8");
+    req.on("data", onData);
+    req.on("end", () => resolve(raw));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * The request handler, for http.createServer or an existing server.
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider
+ * @param {JsonStore} [options.store] Where /events indexes logs (default: in memory).
+ * @param {number} [options.startBlock] First block indexed for an escrow not yet in the store.
+ * @param {string} [options.corsOrigin] Access-Control-Allow-Origin sent with every answer.
+ */
+function createApiHandler({ provider, store = new JsonStore(), startBlock = 0, corsOrigin = "*" }) {
+  async function escrowAt(address) {
+    if ((await provider.getCode(address)) === "0x") throw new ApiError(404, `No contract at ${address}`);
+    return EscrowClient.at(address, provider);
+  }
+
+  async function route(req, url) {
+    const parts = url.pathname.split("/").filter(Boolean);
+    const method = req.method;
+
+    if (parts.length === 1 && parts[0] === "openapi.json") {
+      if (method !== "GET") throw new ApiError(405, `${method} not allowed`);
+      return openapi;
+    }
+    if (parts[0] !== "escrows" || parts.length < 2) throw new ApiError(404, `No route for ${url.pathname}`);
+    const address = parseAddress(parts[1], "escrow address");
+
+    if (parts.length === 2) {
+      if (method !== "GET") throw new ApiError(405, `${method} not allowed`);
+      return (await escrowAt(address)).snapshot();
+    }
+    if (parts.length === 3 && parts[2] === "events") {
+      if (method !== "GET") throw new ApiError(405, `${method} not allowed`);
+      await escrowAt(address);
+      const { toBlock } = await new EscrowIndexer({ provider, store, addresses: [address], startBlock }).sync();
+      const name = url.searchParams.get("event");
+      const events = timeline(store, address).filter((e) => !name || e.event === name);
+      return { address, toBlock, events };
+    }
+    if (parts.length === 5 && parts[2] === "milestones" && ACTIONS[parts[4]]) {
+      if (method !== "POST") throw new ApiError(405, `${method} not allowed`);
+      const index = parseIndex(parts[3]);
+      const request = parseAction(parts[4], parseBody(await readBody(req)));
+      const escrow = await escrowAt(address);
+      return prepareAction(escrow, await escrow.snapshot(), parts[4], index, request);
+    }
+    throw new ApiError(404, `No route for ${url.pathname}`);
+  }
+
+  return async function handle(req, res) {
+    const headers = {
+      "content-type": "application/json",
+      "access-control-allow-origin": corsOrigin,
+      "access-control-allow-methods": "GET, POST, OPTIONS",
+      "access-control-allow-headers": "content-type",
+    };
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, headers);
+      res.end();
+      return;
+    }
+
+    let status = 200;
+    let body;
+    try {
+      body = await route(req, new URL(req.url, "http://localhost"));
+    } catch (error) {
+      status = statusFor(error);
+      const code = error instanceof EscrowError || error instanceof ApiError ? error.name : "InternalError";
+      body = { error: { code, message: error.reason || error.message } };
+      // The rest of an oversized body is never read, so the connection cannot carry another request
+      if (status === 413) headers.connection = "close";
+    }
+    res.writeHead(status, headers);
+    res.end(toJSON(body));
+  };
+}
+
+/**
+ * An http.Server for the API; call `listen(port)` on it.
+ * @param {Object} options See createApiHandler.
+ */
+function createApiServer(options) {
+  return http.createServer(createApiHandler(options));
+}
+
+module.exports = { createApiHandler, createApiServer, statusFor };
@@ -0,0 +1,71 @@
+/**
+ * validate.js
+ *
+ * Request validation for the REST API. Anything malformed is an ApiError with
+ * the HTTP status to answer, raised before the escrow is read.
+ */
+
+const { ethers } = require("ethers");
+
+// Mirrors FreelancerEscrowBase.MAX_BPS
+const MAX_BPS = 10000;
+
+/** A request the API refuses on its own: bad input (400), unknown route (404), ... */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+function parseAddress(value, label = "address") {
+  if (typeof value !== "string" || !ethers.isAddress(value)) throw new ApiError(400, `Invalid ${label}: ${value}`);
+  return ethers.getAddress(value);
+}
+
+function parseIndex(value) {
+  if (!/^\d{1,3}$/.test(value)) throw new ApiError(400, `Invalid milestone index: ${value}`);
+  return Number(value);
+}
+
+/** A whole number of basis points, 0-10000; `fallback` when absent. */
+function parseBps(value, label, fallback) {
+  if (value === undefined) return fallback;
+  if (!Number.isInteger(value) || value < 0 || value > MAX_BPS) {
+    throw new ApiError(400, `Invalid ${label}: ${value} (expected 0-${MAX_BPS} basis points)`);
+  }
+  return value;
+}
+
+/** Parses a JSON object body; an empty body is an empty object. */
+function parseBody(raw) {
+  if (!raw.trim()) return {};
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch (err) {
+    throw new ApiError(400, "Request body is not valid JSON");
+  }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new ApiError(400, "Request body must be a JSON object");
+  }
+  return body;
+}
+
+/**
+ * The outcome of a `resolve` request: `{ freelancerShareBps, stakeSlashBps }`,
+ * or `{ winner: "client" | "freelancer" }` for a full award.
+ */
+function parseResolution(body) {
+  let fallback;
+  if (body.winner !== undefined) {
+    fallback = { freelancer: MAX_BPS, client: 0 }[body.winner];
+    if (fallback === undefined) throw new ApiError(400, `Invalid winner: ${body.winner} (expected client or freelancer)`);
+  }
+  const freelancerShareBps = parseBps(body.freelancerShareBps, "freelancerShareBps", fallback);
+  if (freelancerShareBps === undefined) throw new ApiError(400, "Give freelancerShareBps or winner");
+  return { freelancerShareBps, stakeSlashBps: parseBps(body.stakeSlashBps, "stakeSlashBps", 0) };
+}
+
+module.exports = { MAX_BPS, ApiError, parseAddress, parseIndex, parseBps, parseBody, parseResolution };
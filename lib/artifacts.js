@@ -0,0 +1,13 @@
+const path = require("path");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+/**
+ * Loads the compiled Hardhat artifact (abi + bytecode) for a contract in contracts/.
+ * Run `npx hardhat compile` first so the artifacts/ folder exists.
+ */
+function loadArtifact(contractName, sourceName = `${contractName}.sol`) {
+  return require(path.join(ARTIFACTS_DIR, sourceName, `${contractName}.json`));
+}
+
+module.exports = { loadArtifact };
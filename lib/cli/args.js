@@ -0,0 +1,154 @@
+/**
+ * args.js
+ *
+ * Parsing helpers shared by the escrow CLI commands. Anything a user typed
+ * wrong is reported as a UsageError (exit code 2) before any RPC call is made.
+ */
+
+const { ethers } = require("ethers");
+const { ETH_CURRENCY } = require("../token");
+
+const ROLES = ["client", "freelancer", "mediator"];
+
+/** Bad command-line input: wrong argument, unknown role, malformed amount. */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function parseAddress(value, label = "address") {
+  if (!ethers.isAddress(value)) throw new UsageError(`Invalid ${label}: ${value}`);
+  return ethers.getAddress(value);
+}
+
+/** Comma-separated addresses, e.g. the co-mediators of a panel. */
+function parseAddresses(value, label = "address") {
+  return String(value)
+    .split(",")
+    .map((part) => parseAddress(part.trim(), label));
+}
+
+function parseIndex(value) {
+  const index = Number(value);
+  if (!Number.isInteger(index) || index < 0 || String(value).trim() === "") {
+    throw new UsageError(`Invalid milestone index: ${value}`);
+  }
+  return index;
+}
+
+/**
+ * Parses a decimal amount ("0.05") into the currency's base units (wei for ETH).
+ * @param {import("../token").Currency} [currency]
+ */
+function parseAmount(value, label = "amount", currency = ETH_CURRENCY) {
+  try {
+    const units = ethers.parseUnits(String(value), currency.decimals);
+    if (units < 0n) throw new Error("negative");
+    return units;
+  } catch (err) {
+    throw new UsageError(`Invalid ${label} (${currency.symbol}): ${value}`);
+  }
+}
+
+/** Parses a decimal ETH amount ("0.05") into wei. */
+function parseEth(value, label = "amount") {
+  return parseAmount(value, label, ETH_CURRENCY);
+}
+
+/**
+ * Parses a milestone schedule such as "0.1,0.6,0.3" (one amount per milestone)
+ * into base units of `currency` (default ETH).
+ */
+function parseMilestoneAmounts(value, currency = ETH_CURRENCY) {
+  const amounts = String(value)
+    .split(",")
+    .map((part, i) => parseAmount(part.trim(), `amount for milestone #${i}`, currency));
+  if (amounts.some((amount) => amount === 0n)) {
+    throw new UsageError(`Every milestone amount must be positive: ${value}`);
+  }
+  return amounts;
+}
+
+function parseRole(value) {
+  const role = String(value).toLowerCase();
+  if (!ROLES.includes(role)) {
+    throw new UsageError(`Invalid role "${value}", expected one of: ${ROLES.join(", ")}`);
+  }
+  return role;
+}
+
+/**
+ * Parses a percentage ("70", "62.5%") into basis points (7000, 6250).
+ * At most two decimals, between 0 and 100.
+ */
+function parsePercent(value, label = "percentage") {
+  const match = String(value).trim().match(/^(\d{1,3})(?:\.(\d{1,2}))?%?$/);
+  const bps = match ? Number(match[1]) * 100 + Number((match[2] || "").padEnd(2, "0")) : NaN;
+  if (!(bps >= 0 && bps <= 10000)) {
+    throw new UsageError(`Invalid ${label}: ${value} (expected 0-100, at most two decimals)`);
+  }
+  return bps;
+}
+
+/**
+ * Parses a fee given either as an amount ("0.05", in base units of `currency`)
+ * or, with a trailing "%", as a percentage ("2.5%").
+ * @returns {{amount: bigint}|{bps: number}}
+ */
+function parseFee(value, label = "fee", currency = ETH_CURRENCY) {
+  if (String(value).trim().endsWith("%")) return { bps: parsePercent(value, label) };
+  return { amount: parseAmount(value, label, currency) };
+}
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/** Parses a duration such as "36h", "7d" or "90" (seconds) into seconds. */
+function parseDuration(value, label = "duration") {
+  const match = String(value).trim().match(/^(\d+)([smhd]?)$/);
+  if (!match) throw new UsageError(`Invalid ${label}: ${value} (expected e.g. 90, 30m, 36h or 7d)`);
+  return Number(match[1]) * DURATION_UNITS[match[2] || "s"];
+}
+
+/** Parses one duration per milestone, e.g. "7d,14d,7d"; "0" means no deadline for that milestone. */
+function parseDurations(value, label = "durations") {
+  return String(value)
+    .split(",")
+    .map((part, i) => parseDuration(part, `${label} for milestone #${i}`));
+}
+
+/** A whole number of at least 1, e.g. a quorum. */
+function parseCount(value, label = "count") {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || String(value).trim() === "") {
+    throw new UsageError(`Invalid ${label}: ${value}`);
+  }
+  return count;
+}
+
+/** "freelancer" => true, "client" => false, matching disputeResolution's `decision`. */
+function parseWinner(value) {
+  const winner = String(value).toLowerCase();
+  if (winner === "freelancer") return true;
+  if (winner === "client") return false;
+  throw new UsageError(`Invalid winner "${value}", expected "freelancer" or "client"`);
+}
+
+module.exports = {
+  ROLES,
+  UsageError,
+  parseAddress,
+  parseAddresses,
+  parseIndex,
+  parseAmount,
+  parseEth,
+  parseMilestoneAmounts,
+  parsePercent,
+  parseFee,
+  parseDuration,
+  parseDurations,
+  parseCount,
+  parseRole,
+  parseWinner,
+};
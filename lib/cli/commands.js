@@ -0,0 +1,1038 @@
+/**
+ * commands.js
+ *
+ * The actions behind `escrow <subcommand>`. Each command takes a context
+ * (see createContext) plus already-named options and resolves to a plain
+ * result object; printing and exit codes are left to program.js, so the same
+ * functions drive the non-interactive CLI and `escrow interactive`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { EscrowClient } = require("../EscrowClient");
+const { EscrowFactoryClient } = require("../EscrowFactoryClient");
+const {
+  EscrowIndexer,
+  JsonStore,
+  MAX_BPS,
+  timeline,
+  winnerOf,
+  caseFile: buildCaseFile,
+  reputation: buildReputation,
+} = require("../indexer");
+const { EscrowWatcher, stdoutSink, webhookSink, fileQueueSink } = require("../notifier");
+const { createApiServer } = require("../api");
+const { ETH_CURRENCY, getCurrency } = require("../token");
+const { SIGNED_ACTIONS } = require("../signatures");
+const { preflight } = require("../preflight");
+const { cidOfFile, isCid } = require("../ipfs");
+const { loadManifest, canonicalManifest, manifestCid, manifestParams, withManifest } = require("../manifest");
+const { getRoleSigner, getRoleAddress } = require("./signers");
+const { DEFAULT_PROFILES_FILE, loadProfiles, hasProfileEntry, addProfileEntry, entryAddress } = require("./profiles");
+const {
+  UsageError,
+  parseAddress,
+  parseAddresses,
+  parseIndex,
+  parseAmount,
+  parseMilestoneAmounts,
+  parsePercent,
+  parseFee,
+  parseDuration,
+  parseDurations,
+  parseCount,
+  parseRole,
+  parseWinner,
+} = require("./args");
+
+/**
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {Object} [options]
+ * @param {string} [options.factory] FreelancerEscrowFactory address (`--factory` / ESCROW_FACTORY).
+ * @param {boolean} [options.simulate] Simulate every escrow write with staticCall before sending it.
+ * @param {string} [options.profile] Signing profile (`--profile` / ESCROW_PROFILE), see profiles.js.
+ * @param {string} [options.profiles] Profiles file (`--profiles` / ESCROW_PROFILES, default escrow-profiles.json).
+ * @param {boolean} [options.allowEnvKeys] Sign with the raw *_PRIVATE_KEY variables from .env (`--allow-env-keys`).
+ * @param {string} [options.passphraseFile] Read keystore passphrases from this file instead of asking.
+ * @param {(prompt: string) => string} [options.secret] Asks for a passphrase or key without echoing it.
+ */
+function createContext(hre, options = {}) {
+  const { factory, simulate = false, passphraseFile } = options;
+  const secret = options.secret || ((prompt) => require("readline-sync").question(prompt, { hideEchoBack: true }));
+  const signerOptions = {
+    profile: options.profile,
+    profiles: options.profiles || DEFAULT_PROFILES_FILE,
+    allowEnvKeys: Boolean(options.allowEnvKeys),
+    passphrase: (keystore) => (passphraseFile ? readPassphrase(passphraseFile) : secret(`🔑 Passphrase for ${keystore}: `)),
+  };
+  const signers = new Map(); // role -> signer promise, so each keystore is unlocked once
+
+  function signer(role) {
+    role = parseRole(role);
+    if (!signers.has(role)) {
+      const pending = getRoleSigner(hre, role, signerOptions);
+      pending.catch(() => signers.delete(role));
+      signers.set(role, pending);
+    }
+    return signers.get(role);
+  }
+
+  async function connect(address, role) {
+    address = parseAddress(address);
+    if ((await hre.ethers.provider.getCode(address)) === "0x") {
+      throw new UsageError(`No contract at ${address} on network "${hre.network.name}"`);
+    }
+    const runner = role ? await signer(role) : hre.ethers.provider;
+    return { address, runner };
+  }
+
+  return {
+    hre,
+    options,
+    network: hre.network.name,
+    factoryAddress: factory || null,
+    profilesFile: signerOptions.profiles,
+    secret,
+    signer,
+    // The role's address, without unlocking its keystore
+    address: (role) => getRoleAddress(hre, role, signerOptions),
+    async escrow(address, role) {
+      const connected = await connect(address, role);
+      return EscrowClient.at(connected.address, connected.runner, { simulate });
+    },
+    async factory(role) {
+      if (!factory) throw new UsageError("No factory given: pass --factory <address> or set ESCROW_FACTORY");
+      const connected = await connect(factory, role);
+      return EscrowFactoryClient.at(connected.address, connected.runner);
+    },
+  };
+}
+
+function readPassphrase(file) {
+  if (!fs.existsSync(file)) throw new UsageError(`Passphrase file not found: ${file}`);
+  return fs.readFileSync(file, "utf8").split(/\r?\n/)[0];
+}
+
+function txResult(action, escrow, receipt, extra = {}) {
+  return {
+    action,
+    address: escrow.address,
+    ...extra,
+    from: receipt.from,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+  };
+}
+
+/**
+ * Deploys a project escrow: through the factory (as a clone, added to the
+ * registry) when one is configured, otherwise as a standalone contract.
+ * With `token`, amounts are read in that token's decimals and the project is
+ * paid in it; token projects always go through the factory.
+ * `reviewWindow`, `deadlines` (one duration per milestone) and `latePenalty`
+ * (percentage of the stake) set the project's schedule; milestones run in
+ * parallel unless `sequential` makes each wait for the one before it. `coMediators`, `quorum`,
+ * `backupMediator` and `escalationWindow` put a mediator panel in charge of disputes.
+ * `mediationFee` is either a flat amount or a percentage of the disputed milestone ("5%").
+ * With `manifest` (a manifest file), the milestone amounts, deadlines,
+ * dependencies and `projectIpfsHash` all come from the manifest instead of
+ * `milestones`, `deadlines`, `sequential` and `ipfs`.
+ */
+async function deploy(ctx, opts) {
+  const role = opts.as || "client";
+  let currency = ETH_CURRENCY;
+  if (opts.token) {
+    if (!ctx.factoryAddress) throw new UsageError("Token escrows are created through a factory: pass --factory");
+    if (opts.mediationFee === undefined) throw new UsageError("--mediation-fee is required with --token");
+    const token = parseAddress(opts.token, "token address");
+    if ((await ctx.hre.ethers.provider.getCode(token)) === "0x") {
+      throw new UsageError(`No token contract at ${token} on network "${ctx.network}"`);
+    }
+    currency = await getCurrency(token, ctx.hre.ethers.provider);
+  }
+
+  let manifest = null;
+  if (opts.manifest !== undefined) {
+    const conflicting = ["milestones", "deadlines", "sequential", "ipfs"].filter((key) => opts[key] !== undefined);
+    if (conflicting.length) {
+      throw new UsageError(
+        `--manifest sets the milestones, deadlines, dependencies and IPFS hash; drop --${conflicting.join(", --")}`
+      );
+    }
+    manifest = loadManifest(opts.manifest);
+  } else if (opts.milestones === undefined) {
+    throw new UsageError("Pass --milestones <amounts> or --manifest <file>");
+  }
+
+  const params = {
+    freelancer: parseAddress(opts.freelancer, "freelancer address"),
+    mediator: parseAddress(opts.mediator, "mediator address"),
+    freelancerStake: parseAmount(opts.stake, "stake", currency),
+    ...(manifest
+      ? manifestParams(manifest, currency)
+      : { milestoneAmounts: parseMilestoneAmounts(opts.milestones, currency), projectIpfsHash: opts.ipfs || "" }),
+  };
+  if (opts.reviewWindow !== undefined) params.reviewWindow = parseDuration(opts.reviewWindow, "review window");
+  if (opts.deadlines !== undefined) {
+    params.deliveryWindows = parseDurations(opts.deadlines, "deadline");
+    if (params.deliveryWindows.length !== params.milestoneAmounts.length) {
+      throw new UsageError(
+        `--deadlines has ${params.deliveryWindows.length} entries for ${params.milestoneAmounts.length} milestones`
+      );
+    }
+  }
+  if (opts.sequential) params.sequential = true;
+  if (opts.latePenalty !== undefined) params.latePenaltyBps = parsePercent(opts.latePenalty, "late penalty");
+  if (opts.coMediators !== undefined) params.coMediators = parseAddresses(opts.coMediators, "co-mediator address");
+  if (opts.quorum !== undefined) params.quorum = parseCount(opts.quorum, "quorum");
+  if (opts.backupMediator !== undefined) {
+    params.backupMediator = parseAddress(opts.backupMediator, "backup mediator address");
+  }
+  if (opts.escalationWindow !== undefined) {
+    params.escalationWindow = parseDuration(opts.escalationWindow, "escalation window");
+  }
+  if (opts.responseWindow !== undefined) params.responseWindow = parseDuration(opts.responseWindow, "response window");
+  if (opts.mediationFee !== undefined) {
+    const { amount, bps } = parseFee(opts.mediationFee, "mediation fee", currency);
+    if (bps === undefined) params.mediationFee = amount;
+    else params.mediationFeeBps = bps;
+  }
+  if (opts.token) {
+    params.token = currency.address;
+    params.permit = Boolean(opts.permit);
+  }
+  const escrow = ctx.factoryAddress
+    ? await (await ctx.factory(role)).createProject(params)
+    : await EscrowClient.deploy(await ctx.signer(role), params);
+  const snapshot = await escrow.snapshot();
+  return {
+    action: "deploy",
+    network: ctx.network,
+    factory: ctx.factoryAddress,
+    ...(manifest ? withManifest(snapshot, manifest) : snapshot),
+  };
+}
+
+/**
+ * Deploys the shared clone implementation and a FreelancerEscrowFactory, owned
+ * by the `as` account. `platformFee` (a percentage, paid to `feeRecipient`) is
+ * then taken from every milestone payment of the projects it creates.
+ */
+async function deployFactory(ctx, { platformFee, feeRecipient, as = "client" }) {
+  const fee = parsePlatformFee(platformFee, feeRecipient);
+  const factory = await EscrowFactoryClient.deploy(await ctx.signer(as));
+  if (fee.platformFeeBps > 0) await factory.setPlatformFee(fee.feeRecipient, fee.platformFeeBps);
+  return {
+    action: "deploy-factory",
+    network: ctx.network,
+    address: factory.address,
+    implementation: await factory.implementation(),
+    ...(await factory.platformFee()),
+  };
+}
+
+function parsePlatformFee(platformFee, feeRecipient) {
+  const platformFeeBps = platformFee === undefined ? 0 : parsePercent(platformFee, "platform fee");
+  if (platformFeeBps > 0 && feeRecipient === undefined) throw new UsageError("--platform-fee needs --fee-recipient");
+  return {
+    platformFeeBps,
+    feeRecipient: feeRecipient === undefined ? ethers.ZeroAddress : parseAddress(feeRecipient, "fee recipient"),
+  };
+}
+
+/**
+ * Factory owner only: sets the platform fee (a percentage of every milestone
+ * payment, credited to `feeRecipient`) of projects created from now on. "0" turns it off.
+ */
+async function setPlatformFee(ctx, { percent, feeRecipient, as = "client" }) {
+  const { platformFeeBps, feeRecipient: recipient } = parsePlatformFee(percent, feeRecipient);
+  const factory = await ctx.factory(as);
+  const receipt = await factory.setPlatformFee(recipient, platformFeeBps);
+  return txResult("set-platform-fee", factory, receipt, await factory.platformFee());
+}
+
+/**
+ * What a payout of `milestone` would send where, without sending anything:
+ * the result of `--dry-run` on the commands that release or dispute a milestone.
+ */
+async function feePreview(of, escrow, milestone, options) {
+  const [{ milestoneIndex, ...breakdown }, schedule, currency] = await Promise.all([
+    escrow.previewFees(milestone, options),
+    escrow.fees(),
+    escrow.currency(),
+  ]);
+  return {
+    action: "preview",
+    of,
+    address: escrow.address,
+    milestone: milestoneIndex,
+    ...schedule,
+    ...breakdown,
+    currency,
+  };
+}
+
+/**
+ * The escrow's mediation and platform fees and, for milestone `index` or every
+ * milestone not settled yet, what each party would receive if it were released.
+ */
+async function fees(ctx, { address, index }) {
+  const escrow = await ctx.escrow(address);
+  const snapshot = await escrow.snapshot();
+  const indexes =
+    index === undefined
+      ? snapshot.milestones.filter((m) => m.settledAt === null).map((m) => m.index)
+      : [parseIndex(index)];
+  const breakdowns = [];
+  for (const milestone of indexes) breakdowns.push(await escrow.previewFees(milestone));
+  const { mediationFee, mediationFeeBps, feeRecipient, platformFeeBps, currency } = snapshot;
+  return { address: escrow.address, mediationFee, mediationFeeBps, feeRecipient, platformFeeBps, currency, breakdowns };
+}
+
+/**
+ * Lists the factory's projects, either all of them or those where `wallet`
+ * (default: the --as account) is client, freelancer or mediator.
+ */
+async function projects(ctx, { wallet, as }) {
+  const factory = await ctx.factory();
+  if (!wallet && as) wallet = await ctx.address(as);
+
+  const roles = new Map(); // escrow address -> roles held by the wallet
+  if (wallet) {
+    wallet = parseAddress(wallet, "wallet address");
+    for (const [role, addresses] of Object.entries(await factory.projectsOf(wallet))) {
+      addresses.forEach((address) => roles.set(address, [...(roles.get(address) || []), role]));
+    }
+  } else {
+    (await factory.allProjects()).forEach((address) => roles.set(address, []));
+  }
+
+  const list = [];
+  for (const [address, held] of roles) {
+    const escrow = EscrowClient.at(address, ctx.hre.ethers.provider);
+    const [contractState, settledMilestones, numMilestones] = await Promise.all([
+      escrow.contractState(),
+      escrow.settledMilestones(),
+      escrow.numMilestones(),
+    ]);
+    list.push({ address, roles: held, contractState, settledMilestones, numMilestones });
+  }
+  return { network: ctx.network, factory: factory.address, wallet: wallet || null, projects: list };
+}
+
+/** The escrow's snapshot; with `manifest` (a file), milestone titles and any mismatch with the manifest are added. */
+async function status(ctx, { address, manifest }) {
+  const escrow = await ctx.escrow(address);
+  const snapshot = await escrow.snapshot();
+  return { network: ctx.network, ...(manifest === undefined ? snapshot : withManifest(snapshot, loadManifest(manifest))) };
+}
+
+/**
+ * What the `as` party's wallet can do on the escrow right now, and why every
+ * other action is blocked (with when a waiting period ends), from the same
+ * checks the contract makes.
+ */
+async function actions(ctx, { address, as }) {
+  const from = await ctx.address(as);
+  const { snapshot, actions: available } = await preflight(await ctx.escrow(address), from);
+  return {
+    action: "actions",
+    network: ctx.network,
+    address: snapshot.address,
+    role: as,
+    from,
+    blockTimestamp: snapshot.blockTimestamp,
+    actions: available,
+  };
+}
+
+/**
+ * Validates a manifest file and computes its CID offline. With `out`, writes the
+ * canonical bytes the CID was taken over, ready to pin.
+ */
+async function manifest(ctx, { file, out }) {
+  const loaded = loadManifest(file);
+  if (out !== undefined) fs.writeFileSync(out, canonicalManifest(loaded));
+  const { deliveryWindows } = manifestParams(loaded);
+  return {
+    action: "manifest",
+    file,
+    out: out === undefined ? null : out,
+    title: loaded.title,
+    cid: manifestCid(loaded),
+    milestones: loaded.milestones.map((milestone, index) => ({
+      index,
+      title: milestone.title,
+      amount: milestone.amount,
+      deliveryWindow: deliveryWindows[index] || 0,
+      acceptanceCriteria: milestone.acceptanceCriteria,
+    })),
+  };
+}
+
+async function depositStake(ctx, { address, as = "freelancer", permit = false }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.freelancerDepositStake(undefined, { permit });
+  return txResult("deposit-stake", escrow, receipt);
+}
+
+async function complete(ctx, { address, index, as = "freelancer" }) {
+  const milestone = parseIndex(index);
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.markMilestoneCompleted(milestone);
+  return txResult("complete", escrow, receipt, { milestone });
+}
+
+async function approve(ctx, { address, index, dryRun = false, as = "client" }) {
+  const milestone = parseIndex(index);
+  if (dryRun) return feePreview("approve", await ctx.escrow(address), milestone);
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.approveMilestone(milestone);
+  return txResult("approve", escrow, receipt, { milestone });
+}
+
+/**
+ * Sends a submitted milestone back to the freelancer: the reason is a local
+ * `file`, hashed into its IPFS CID without any network access, or an already
+ * known `cid`.
+ */
+async function requestChanges(ctx, { address, index, file, cid, as = "client" }) {
+  const milestone = parseIndex(index);
+  if ((file === undefined) === (cid === undefined)) throw new UsageError("Pass either a file or --cid <cid>");
+  if (cid !== undefined && !isCid(cid)) throw new UsageError(`Invalid CID: ${cid}`);
+  if (file !== undefined && !fs.existsSync(file)) throw new UsageError(`No such file: ${file}`);
+  const reasonCid = file === undefined ? cid : cidOfFile(file);
+
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.requestChanges(milestone, reasonCid);
+  const requested = receipt.logs
+    .map((log) => escrow.contract.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "ChangesRequested");
+  return txResult("request-changes", escrow, receipt, { milestone, reasonCid, round: Number(requested.args.round) });
+}
+
+async function retract(ctx, { address, index, as = "freelancer" }) {
+  const milestone = parseIndex(index);
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.retractSubmission(milestone);
+  return txResult("retract", escrow, receipt, { milestone });
+}
+
+/** Lists the changes the client requested on one milestone, from the escrow's logs. */
+async function changeRequests(ctx, { address, index, fromBlock = "0" }) {
+  const milestone = parseIndex(index);
+  const escrow = await ctx.escrow(address);
+  return {
+    address: escrow.address,
+    milestone,
+    changeRequests: await escrow.changeRequests(milestone, { fromBlock: Number(fromBlock) || 0 }),
+  };
+}
+
+async function dispute(ctx, { address, index, dryRun = false, as = "client" }) {
+  const milestone = parseIndex(index);
+  if (dryRun) return feePreview("dispute", await ctx.escrow(address), milestone);
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.disputeMilestone(milestone);
+  return txResult("dispute", escrow, receipt, { milestone });
+}
+
+/**
+ * Settles a dispute: `winner` awards the whole milestone to one party, `split`
+ * gives the freelancer that percentage and refunds the rest to the client.
+ * `slash` (a percentage of the stake) additionally moves stake to the client.
+ * On a mediator panel this casts a vote, which settles the dispute only once
+ * the quorum agrees; until then the result has `settled: false`.
+ */
+async function resolve(ctx, { address, index, winner, split, slash, dryRun = false, as = "mediator" }) {
+  const milestone = parseIndex(index);
+  if ((winner === undefined) === (split === undefined)) {
+    throw new UsageError("Pass either --winner <freelancer|client> or --split <freelancer %>");
+  }
+  let freelancerShareBps;
+  if (winner !== undefined) freelancerShareBps = parseWinner(winner) ? MAX_BPS : 0;
+  else freelancerShareBps = parsePercent(split, "split");
+  const stakeSlashBps = slash === undefined ? 0 : parsePercent(slash, "slash");
+  if (dryRun) return feePreview("resolve", await ctx.escrow(address), milestone, { freelancerShareBps });
+
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.resolveDispute(milestone, freelancerShareBps, stakeSlashBps);
+  const parsed = receipt.logs.map((log) => escrow.contract.interface.parseLog(log)).filter(Boolean);
+  const resolved = parsed.find((event) => event.name === "DisputeResolved");
+  if (!resolved) {
+    const voted = parsed.find((event) => event.name === "MediatorVoted");
+    return txResult("vote", escrow, receipt, {
+      milestone,
+      winner: winnerOf(freelancerShareBps),
+      freelancerShareBps,
+      settled: false,
+      votes: Number(voted.args.votes),
+      quorum: await escrow.quorum(),
+    });
+  }
+  return txResult("resolve", escrow, receipt, {
+    milestone,
+    winner: winnerOf(freelancerShareBps),
+    freelancerShareBps,
+    settled: true,
+    freelancerAmount: resolved.args.freelancerAmount,
+    clientAmount: resolved.args.clientAmount,
+    stakeSlashed: resolved.args.stakeSlashed,
+    currency: await escrow.currency(),
+  });
+}
+
+/** The initiator wins the milestone outright; with `dryRun`, only previews who receives what. */
+async function acceptDispute(ctx, { address, index, dryRun = false, as = "freelancer" }) {
+  const milestone = parseIndex(index);
+  if (dryRun) {
+    const escrow = await ctx.escrow(address);
+    const opened = await escrow.dispute(milestone);
+    if (!opened) throw new UsageError(`Milestone #${milestone} is not under dispute`);
+    const freelancerShareBps = opened.initiator === (await escrow.freelancer()) ? MAX_BPS : 0;
+    return feePreview("accept-dispute", escrow, milestone, { freelancerShareBps });
+  }
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.acceptDispute(milestone);
+  return txResult("accept-dispute", escrow, receipt, { milestone });
+}
+
+async function autoRelease(ctx, { address, index, dryRun = false, as = "freelancer" }) {
+  const milestone = parseIndex(index);
+  if (dryRun) return feePreview("auto-release", await ctx.escrow(address), milestone);
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.autoReleaseIfClientAbsent(milestone);
+  return txResult("auto-release", escrow, receipt, { milestone });
+}
+
+async function reclaimOverdue(ctx, { address, index, as = "client" }) {
+  const milestone = parseIndex(index);
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.reclaimOverdueMilestone(milestone);
+  const reclaimed = receipt.logs
+    .map((log) => escrow.contract.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "MilestoneReclaimed");
+  return txResult("reclaim-overdue", escrow, receipt, {
+    milestone,
+    refund: reclaimed.args.refund,
+    stakeClaimed: reclaimed.args.stakeClaimed,
+    currency: await escrow.currency(),
+  });
+}
+
+async function withdraw(ctx, { address, as = "freelancer" }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.withdrawRemainingStake();
+  return txResult("withdraw", escrow, receipt);
+}
+
+/** Withdraws everything credited to the `as` party: payments, refunds or mediation fees. */
+async function claim(ctx, { address, as = "freelancer" }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.withdraw();
+  const withdrawn = receipt.logs
+    .map((log) => escrow.contract.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "Withdrawn");
+  return txResult("claim", escrow, receipt, { amount: withdrawn.args.amount, currency: await escrow.currency() });
+}
+
+async function cancel(ctx, { address, as = "client" }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.cancelProject();
+  return txResult("cancel", escrow, receipt);
+}
+
+async function reclaim(ctx, { address, as = "client" }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.reclaimAfterDeadline();
+  return txResult("reclaim", escrow, receipt);
+}
+
+async function proposeTermination(ctx, { address, as = "client" }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.proposeTermination();
+  return txResult("propose-termination", escrow, receipt);
+}
+
+async function revokeTermination(ctx, { address, as = "client" }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.revokeTermination();
+  return txResult("revoke-termination", escrow, receipt);
+}
+
+async function acceptTermination(ctx, { address, as = "freelancer" }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.acceptTermination();
+  return txResult("accept-termination", escrow, receipt);
+}
+
+// Signed actions by the name of the matching CLI command
+const SIGN_ACTIONS = {
+  approve: "approveMilestone",
+  "accept-dispute": "acceptDispute",
+  "propose-termination": "proposeTermination",
+  "accept-termination": "acceptTermination",
+};
+
+/**
+ * The fee breakdown of a signed approval or dispute concession, as its command's
+ * `dryRun` gives it; null for the termination actions, which take no fees.
+ */
+async function signedActionPreview(ctx, { escrow, action, milestoneIndex }) {
+  const preview = { approveMilestone: approve, acceptDispute }[action];
+  return preview ? preview(ctx, { address: escrow, index: String(milestoneIndex), dryRun: true }) : null;
+}
+
+/**
+ * Signs an action off-chain (EIP-712) for someone else to submit with
+ * `relay`; the signer pays no gas. Valid for `expires` (default 24h).
+ * With `dryRun`, only previews the fees of what would be signed.
+ */
+async function sign(ctx, { address, action, index, expires = "24h", dryRun = false, as = "client" }) {
+  const signedAction = SIGN_ACTIONS[action];
+  if (!signedAction) {
+    throw new UsageError(`Invalid action "${action}", expected one of: ${Object.keys(SIGN_ACTIONS).join(", ")}`);
+  }
+  const needsIndex = signedAction === "approveMilestone" || signedAction === "acceptDispute";
+  if (needsIndex && index === undefined) throw new UsageError(`${action} needs a milestone index`);
+  const milestoneIndex = needsIndex ? parseIndex(index) : undefined;
+  const expiresIn = parseDuration(expires, "expiry");
+  if (dryRun) return signedActionPreview(ctx, { escrow: address, action: signedAction, milestoneIndex });
+
+  const escrow = await ctx.escrow(address, as);
+  const signed = await escrow.signAction(signedAction, { milestoneIndex, expiresIn });
+  return { action: "sign", network: ctx.network, signed };
+}
+
+/**
+ * Submits a signed action produced by `sign`, from the --as account (which
+ * pays the gas). `message` is the JSON itself or a file containing it.
+ * With `dryRun`, only previews the fees of the signed action.
+ */
+async function relay(ctx, { message, dryRun = false, as = "client" }) {
+  let signed;
+  try {
+    signed = JSON.parse(fs.existsSync(message) ? fs.readFileSync(message, "utf8") : message);
+  } catch (err) {
+    throw new UsageError(`Invalid signed message: ${err.message}`);
+  }
+  if (signed && signed.signed) signed = signed.signed; // the whole `sign --json` output
+  if (!signed || !SIGNED_ACTIONS.includes(signed.action)) throw new UsageError("Not a signed escrow action");
+  if (dryRun) return signedActionPreview(ctx, signed);
+
+  const escrow = await ctx.escrow(signed.escrow, as);
+  const receipt = await escrow.submitSignedAction(signed);
+  return txResult("relay", escrow, receipt, {
+    ...(signed.milestoneIndex === undefined ? {} : { milestone: signed.milestoneIndex }),
+    signedAction: signed.action,
+    signer: signed.signer,
+  });
+}
+
+/**
+ * Attaches evidence to an open dispute: a local `file`, hashed into its IPFS CID
+ * without any network access, or an already known `cid`. The label defaults to
+ * the file name.
+ */
+async function attachEvidence(ctx, { address, index, file, cid, label, as = "client" }) {
+  const milestone = parseIndex(index);
+  if ((file === undefined) === (cid === undefined)) throw new UsageError("Pass either a file or --cid <cid>");
+  if (cid !== undefined && !isCid(cid)) throw new UsageError(`Invalid CID: ${cid}`);
+  if (file !== undefined && !fs.existsSync(file)) throw new UsageError(`No such file: ${file}`);
+  const entry = {
+    cid: file === undefined ? cid : cidOfFile(file),
+    label: label === undefined ? (file === undefined ? "" : path.basename(file)) : label,
+  };
+
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.submitEvidence(milestone, entry.cid, entry.label);
+  return txResult("attach-evidence", escrow, receipt, { milestone, ...entry });
+}
+
+/** Lists the evidence attached to the dispute over one milestone, from the escrow's logs. */
+async function evidence(ctx, { address, index, fromBlock = "0" }) {
+  const milestone = parseIndex(index);
+  const escrow = await ctx.escrow(address);
+  return {
+    address: escrow.address,
+    milestone,
+    evidence: await escrow.evidence(milestone, { fromBlock: Number(fromBlock) || 0 }),
+  };
+}
+
+/** Hands a dispute the mediator panel has not settled in time to the backup mediator (any account). */
+async function escalate(ctx, { address, index, as = "client" }) {
+  const milestone = parseIndex(index);
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.escalateDispute(milestone);
+  return txResult("escalate", escrow, receipt, { milestone, backupMediator: await escrow.backupMediator() });
+}
+
+/** Client or freelancer proposes swapping a panel member or the backup mediator; the other party accepts. */
+async function proposeMediator(ctx, { address, oldMediator, newMediator, as = "client" }) {
+  oldMediator = parseAddress(oldMediator, "mediator address");
+  newMediator = parseAddress(newMediator, "new mediator address");
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.proposeMediatorReplacement(oldMediator, newMediator);
+  return txResult("propose-mediator", escrow, receipt, { oldMediator, newMediator });
+}
+
+async function revokeMediator(ctx, { address, as = "client" }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.revokeMediatorReplacement();
+  return txResult("revoke-mediator", escrow, receipt);
+}
+
+async function acceptMediator(ctx, { address, oldMediator, newMediator, as = "freelancer" }) {
+  oldMediator = parseAddress(oldMediator, "mediator address");
+  newMediator = parseAddress(newMediator, "new mediator address");
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.acceptMediatorReplacement(oldMediator, newMediator);
+  return txResult("accept-mediator", escrow, receipt, { oldMediator, newMediator });
+}
+
+/**
+ * The amendment a manifest of the whole project describes: its milestones from the first
+ * amendable one on and its CID. The milestones before that are submitted or settled, so
+ * the manifest must keep their amounts.
+ */
+async function amendmentFromManifest(escrow, file) {
+  const loaded = loadManifest(file);
+  const [currency, from] = await Promise.all([escrow.currency(), escrow.firstAmendableMilestone()]);
+  const params = manifestParams(loaded, currency);
+  if (params.milestoneAmounts.length < from) {
+    throw new UsageError(`${file} has ${params.milestoneAmounts.length} milestones; the first ${from} can no longer change`);
+  }
+  for (let i = 0; i < from; i++) {
+    const { amount } = await escrow.getMilestoneStatus(i);
+    if (amount !== params.milestoneAmounts[i]) {
+      throw new UsageError(`${file} changes milestone #${i}, which can no longer be amended`);
+    }
+  }
+  return {
+    fromMilestone: from,
+    milestoneAmounts: params.milestoneAmounts.slice(from),
+    deliveryWindows: params.deliveryWindows.slice(from),
+    dependsOn: params.dependsOn.slice(from),
+    projectIpfsHash: params.projectIpfsHash,
+  };
+}
+
+/**
+ * Client or freelancer proposes new milestones from the first one not yet submitted:
+ * `milestones` (amounts), `deadlines` and `ipfs`, or all three from the `manifest` of the
+ * whole amended project. The other party accepts; a client proposing a costlier amendment
+ * pays the difference with the proposal.
+ */
+async function proposeAmendment(ctx, { address, milestones, deadlines, ipfs, manifest, as = "client" }) {
+  const escrow = await ctx.escrow(address, as);
+  let amendment;
+  if (manifest !== undefined) {
+    const given = { milestones, deadlines, ipfs };
+    const conflicting = Object.keys(given).filter((key) => given[key] !== undefined);
+    if (conflicting.length) {
+      throw new UsageError(
+        `--manifest sets the milestones, deadlines, dependencies and IPFS hash; drop --${conflicting.join(", --")}`
+      );
+    }
+    amendment = await amendmentFromManifest(escrow, manifest);
+  } else {
+    if (milestones === undefined || ipfs === undefined) {
+      throw new UsageError("Pass --milestones and --ipfs, or --manifest <file>");
+    }
+    const milestoneAmounts = parseMilestoneAmounts(milestones, await escrow.currency());
+    const deliveryWindows = deadlines === undefined ? [] : parseDurations(deadlines, "deadline");
+    if (deliveryWindows.length && deliveryWindows.length !== milestoneAmounts.length) {
+      throw new UsageError(`Got ${deliveryWindows.length} deadlines for ${milestoneAmounts.length} milestones`);
+    }
+    amendment = { milestoneAmounts, deliveryWindows, projectIpfsHash: ipfs };
+  }
+
+  const receipt = await escrow.proposeAmendment(amendment);
+  const pending = await escrow.pendingAmendment();
+  return txResult("propose-amendment", escrow, receipt, { ...pending, currency: await escrow.currency() });
+}
+
+async function revokeAmendment(ctx, { address, as = "client" }) {
+  const escrow = await ctx.escrow(address, as);
+  const receipt = await escrow.revokeAmendment();
+  return txResult("revoke-amendment", escrow, receipt);
+}
+
+/**
+ * Accepts the other party's pending amendment. With `manifest`, first checks that the
+ * proposal is exactly what that manifest describes.
+ */
+async function acceptAmendment(ctx, { address, manifest, as = "freelancer" }) {
+  const escrow = await ctx.escrow(address, as);
+  const pending = await escrow.pendingAmendment();
+  if (pending && manifest !== undefined) {
+    const expected = await amendmentFromManifest(escrow, manifest);
+    const same = (a, b) => a.length === b.length && a.every((value, i) => BigInt(value) === BigInt(b[i]));
+    if (
+      expected.projectIpfsHash !== pending.projectIpfsHash ||
+      !same(expected.milestoneAmounts, pending.milestoneAmounts) ||
+      !same(expected.deliveryWindows, pending.deliveryWindows) ||
+      expected.dependsOn.some((indexes, i) => indexes.join() !== (pending.dependsOn[i] || []).join())
+    ) {
+      throw new UsageError(`The pending amendment does not match ${manifest}`);
+    }
+  }
+  const receipt = await escrow.acceptAmendment(pending);
+  return txResult("accept-amendment", escrow, receipt, { ...pending, currency: await escrow.currency() });
+}
+
+/**
+ * Indexes the escrow's logs (like `history`) and assembles the case file of one
+ * disputed milestone: the votes, escalation and mediator changes, and the outcome.
+ */
+async function caseFile(ctx, { address, index, store, fromBlock = "0" }) {
+  address = parseAddress(address);
+  const milestone = parseIndex(index);
+  const indexed = await history(ctx, { addresses: [address], store, fromBlock });
+  const file = buildCaseFile(new JsonStore(indexed.store), address, milestone);
+  if (!file) throw new UsageError(`Milestone #${milestone} of ${address} was never disputed`);
+  const escrow = await ctx.escrow(address);
+  return { action: "case-file", ...file, quorum: await escrow.quorum(), currency: await escrow.currency() };
+}
+
+/**
+ * Indexes the escrows' logs into a local JSON store (resuming from its
+ * checkpoints) and returns the event timeline of each.
+ */
+async function history(ctx, { addresses, store, fromBlock = "0" }) {
+  addresses = addresses.map((address) => parseAddress(address));
+  const storePath = store || `escrow-index.${ctx.network}.json`;
+  const jsonStore = new JsonStore(storePath);
+  const indexer = new EscrowIndexer({
+    provider: ctx.hre.ethers.provider,
+    store: jsonStore,
+    addresses,
+    startBlock: Number(fromBlock) || 0,
+  });
+  const { toBlock } = await indexer.sync();
+  return {
+    network: ctx.network,
+    store: storePath,
+    toBlock,
+    events: addresses.flatMap((address) => timeline(jsonStore, address)),
+  };
+}
+
+/**
+ * Indexes the wallet's escrows (given ones, its client and freelancer projects
+ * when --factory is set, and those already in the store) and computes its
+ * reputation from the stored events.
+ */
+async function reputation(ctx, { address, escrows = [], store, fromBlock = "0" }) {
+  address = parseAddress(address, "wallet address");
+  const storePath = store || `escrow-index.${ctx.network}.json`;
+  const addresses = escrows.map((escrow) => parseAddress(escrow));
+  if (ctx.factoryAddress) {
+    const { client, freelancer } = await (await ctx.factory()).projectsOf(address);
+    addresses.push(...client, ...freelancer);
+  }
+  addresses.push(...new JsonStore(storePath).escrows().map((escrow) => escrow.address));
+
+  const indexed = await history(ctx, { addresses: [...new Set(addresses)], store: storePath, fromBlock });
+  const jsonStore = new JsonStore(storePath);
+  return {
+    action: "reputation",
+    network: ctx.network,
+    store: storePath,
+    toBlock: indexed.toBlock,
+    escrows: jsonStore.escrows().length,
+    ...buildReputation(jsonStore, address),
+  };
+}
+
+/**
+ * Watches escrows (the given ones, or every --factory project) and sends a
+ * notification per event and review window alert to stdout (`log`), plus a
+ * webhook and/or a file queue. Runs until interrupted, or for one poll with `once`.
+ */
+async function watch(ctx, options) {
+  const { addresses = [], webhook, queue, roles, interval = "15s", alertBefore = "12h", fromBlock, once } = options;
+  const { json = false, log = console.log, warn = console.error } = options;
+  const watched = addresses.length
+    ? addresses.map((address) => parseAddress(address))
+    : await (await ctx.factory()).allProjects();
+  const only = roles ? String(roles).split(",").map((role) => parseRole(role.trim())) : undefined;
+
+  const sinks = [stdoutSink({ roles: only, json, log })];
+  if (webhook) sinks.push(webhookSink(webhook, { roles: only }));
+  if (queue) sinks.push(fileQueueSink(queue, { roles: only }));
+  const watcher = new EscrowWatcher({
+    provider: ctx.hre.ethers.provider,
+    addresses: watched,
+    sinks,
+    startBlock: fromBlock === undefined ? undefined : Number(fromBlock) || 0,
+    confirmations: Number(options.confirmations) || 0,
+    pollInterval: parseDuration(interval, "poll interval") * 1000,
+    alertBefore: parseDuration(alertBefore, "alert lead time"),
+    onError: (error) => warn(`❌ ${error.message}`),
+  });
+
+  if (once) {
+    await watcher.poll();
+  } else {
+    const stop = () => watcher.stop();
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+    await watcher.start();
+  }
+  return {
+    action: "watch",
+    network: ctx.network,
+    escrows: watched.length,
+    toBlock: watcher.cursor,
+    sent: watcher.delivered,
+  };
+}
+
+/**
+ * Serves the REST API (see lib/api) for web frontends until interrupted. It reads
+ * through the network's provider and signs nothing; `store` persists the event index.
+ */
+async function serve(ctx, { port = "3000", host = "127.0.0.1", store, corsOrigin = "*", log = console.log }) {
+  const server = createApiServer({
+    provider: ctx.hre.ethers.provider,
+    store: store ? new JsonStore(store) : new JsonStore(),
+    corsOrigin,
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(parseCount(port, "port"), host, resolve);
+  });
+  const { address, port: bound } = server.address();
+  log(`🌐 Escrow API on http://${address}:${bound} (${ctx.network}), description at /openapi.json`);
+
+  await new Promise((resolve) => {
+    const stop = () => server.close(resolve);
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
+  return { action: "serve", network: ctx.network, url: `http://${address}:${bound}` };
+}
+
+/** Asks for a new keystore's passphrase twice (or reads it from --passphrase-file). */
+function newPassphrase(ctx) {
+  if (ctx.options.passphraseFile) return readPassphrase(ctx.options.passphraseFile);
+  const passphrase = ctx.secret("🔑 New keystore passphrase: ");
+  if (!passphrase) throw new UsageError("The keystore passphrase cannot be empty");
+  if (ctx.secret("🔑 Repeat the passphrase: ") !== passphrase) throw new UsageError("The passphrases do not match");
+  return passphrase;
+}
+
+/**
+ * Adds the `as` role's key on this network to profile `name`: an existing
+ * encrypted `keystore` file, or a private key (asked without echoing it; Enter
+ * creates a new wallet) encrypted into keystores/ next to the profiles file.
+ */
+async function addKey(ctx, { name, as, keystore }) {
+  const where = { name, network: ctx.network, role: parseRole(as) };
+  const file = ctx.profilesFile;
+  if (hasProfileEntry(loadProfiles(file), where)) {
+    throw new UsageError(`Profile "${name}" already has a ${where.role} key for network "${ctx.network}"`);
+  }
+
+  const created = keystore === undefined;
+  if (created) {
+    const key = ctx.secret(`Private key of the ${where.role} (Enter to create a new wallet): `).trim();
+    let wallet;
+    try {
+      wallet = key ? new ethers.Wallet(key) : ethers.Wallet.createRandom();
+    } catch (error) {
+      throw new UsageError("Invalid private key");
+    }
+    keystore = path.join(path.dirname(file), "keystores", `${name}.${ctx.network}.${where.role}.json`);
+    if (fs.existsSync(keystore)) throw new UsageError(`Keystore already exists: ${keystore}`);
+    const json = await wallet.encrypt(newPassphrase(ctx));
+    fs.mkdirSync(path.dirname(keystore), { recursive: true });
+    fs.writeFileSync(keystore, json, { mode: 0o600 });
+  }
+  const address = entryAddress(file, { keystore: path.resolve(keystore) }, name);
+  addProfileEntry(file, where, { keystore });
+  return { action: "add-key", profile: name, network: ctx.network, role: where.role, address, keystore, created };
+}
+
+/** Adds a watch-only `address` for the `as` role on this network to profile `name`: it can read and simulate, not sign. */
+async function addWatch(ctx, { name, address, as }) {
+  const where = { name, network: ctx.network, role: parseRole(as) };
+  address = parseAddress(address, "watch-only address");
+  addProfileEntry(ctx.profilesFile, where, { address });
+  return { action: "add-watch", profile: name, network: ctx.network, role: where.role, address };
+}
+
+/** Every profile entry in the profiles file, with the address it signs or watches as. */
+async function profiles(ctx) {
+  const file = ctx.profilesFile;
+  const entries = [];
+  for (const [profile, networks] of Object.entries(loadProfiles(file))) {
+    for (const [network, roles] of Object.entries(networks)) {
+      for (const [role, entry] of Object.entries(roles)) {
+        let address = null;
+        let error = null;
+        try {
+          address = entryAddress(file, entry, profile);
+        } catch (err) {
+          if (!(err instanceof UsageError)) throw err;
+          error = err.message;
+        }
+        entries.push({ profile, network, role, address, keystore: entry.keystore || null, watchOnly: !entry.keystore, error });
+      }
+    }
+  }
+  return { action: "profiles", file, profiles: entries };
+}
+
+module.exports = {
+  createContext,
+  deploy,
+  deployFactory,
+  setPlatformFee,
+  projects,
+  status,
+  actions,
+  fees,
+  manifest,
+  depositStake,
+  complete,
+  approve,
+  requestChanges,
+  retract,
+  changeRequests,
+  dispute,
+  resolve,
+  acceptDispute,
+  autoRelease,
+  reclaimOverdue,
+  withdraw,
+  claim,
+  cancel,
+  reclaim,
+  proposeTermination,
+  revokeTermination,
+  acceptTermination,
+  sign,
+  relay,
+  attachEvidence,
+  evidence,
+  escalate,
+  proposeMediator,
+  revokeMediator,
+  acceptMediator,
+  proposeAmendment,
+  revokeAmendment,
+  acceptAmendment,
+  history,
+  caseFile,
+  reputation,
+  watch,
+  serve,
+  addKey,
+  addWatch,
+  profiles,
+};
@@ -0,0 +1,29 @@
+/**
+ * exitCodes.js
+ *
+ * Process exit codes for the escrow CLI, so cron jobs and runbooks can tell
+ * "try again later" apart from "you are the wrong account" or a real failure.
+ */
+
+const { EscrowError, UnauthorizedError, GracePeriodNotReachedError } = require("../errors");
+const { InvalidManifestError } = require("../manifest");
+const { UsageError } = require("./args");
+
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // unexpected failure (network, missing artifacts, ...)
+  USAGE: 2, // bad arguments, unknown role, missing key, invalid manifest
+  REVERTED: 3, // contract rejected the call
+  UNAUTHORIZED: 4, // signer does not hold the required role
+  TOO_EARLY: 5, // review window, stake or delivery deadline not reached yet, retry later
+};
+
+function exitCodeFor(err) {
+  if (err instanceof UsageError || err instanceof InvalidManifestError) return EXIT_CODES.USAGE;
+  if (err instanceof UnauthorizedError) return EXIT_CODES.UNAUTHORIZED;
+  if (err instanceof GracePeriodNotReachedError) return EXIT_CODES.TOO_EARLY;
+  if (err instanceof EscrowError) return EXIT_CODES.REVERTED;
+  return EXIT_CODES.ERROR;
+}
+
+module.exports = { EXIT_CODES, exitCodeFor };
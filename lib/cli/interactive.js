@@ -0,0 +1,257 @@
+/**
+ * interactive.js
+ *
+ * The menu-driven mode (`escrow interactive [address]`, formerly the body of
+ * scripts/advancedInteract.js). Every menu entry calls the same command
+ * functions as the non-interactive CLI. The menu only offers the actions the
+ * pre-flight checks allow for the current role (and says why the others are
+ * blocked), and each transaction is simulated with staticCall before it is sent.
+ */
+
+const commands = require("./commands");
+const { ROLES, UsageError } = require("./args");
+const {
+  formatSnapshot,
+  formatDeadlines,
+  formatMilestone,
+  formatPreview,
+  formatResult,
+  formatError,
+  formatBlocked,
+  formatAvailability,
+} = require("./output");
+const { formatAmount } = require("../token");
+const { availableActions } = require("../preflight");
+const { loadManifest, withManifest } = require("../manifest");
+
+const ROLE_CHOICES = { 1: "client", 2: "freelancer", 3: "mediator" };
+
+// Menu number -> pre-flight action and label; the numbers stay put whichever entries are shown
+const ACTION_CHOICES = {
+  1: ["deposit-stake", "Deposit Freelancer Stake"],
+  2: ["complete", "Mark Milestone Complete"],
+  3: ["approve", "Approve Milestone"],
+  4: ["dispute", "Dispute Milestone"],
+  5: ["resolve", "Resolve Dispute"],
+  6: ["auto-release", "Auto-Release Milestone"],
+  7: ["withdraw", "Withdraw Remaining Stake"],
+  8: ["claim", "Withdraw Claimable Balance"],
+};
+
+// Shows the command's fee breakdown (its --dry-run) before sending it
+async function previewThenSend(command, ctx, opts, log) {
+  log(formatPreview(await command(ctx, { ...opts, dryRun: true }), { sending: true }));
+  return command(ctx, opts);
+}
+
+// "freelancer"/"client" award the whole milestone, a number splits it
+function resolution(answer) {
+  return /^[a-z]+$/i.test(answer.trim()) ? { winner: answer } : { split: answer };
+}
+
+/**
+ * Lists every factory project where one of `wallets` holds a role and asks
+ * which one to open.
+ * @param {import("../EscrowFactoryClient").EscrowFactoryClient} factory
+ * @param {Object<string, string>} wallets role -> wallet address
+ * @returns {Promise<string>} the chosen escrow address
+ */
+async function chooseProject(factory, wallets, { question, log }) {
+  const projects = new Map(); // escrow address -> roles held in it
+  for (const [role, wallet] of Object.entries(wallets)) {
+    const owned = await factory.projectsOf(wallet);
+    for (const address of owned[role]) {
+      projects.set(address, [...(projects.get(address) || []), role]);
+    }
+  }
+  if (projects.size === 0) {
+    throw new UsageError(`No projects in factory ${factory.address} for ${Object.values(wallets).join(", ")}`);
+  }
+
+  const addresses = [...projects.keys()];
+  log("\n📂 Your projects:");
+  addresses.forEach((address, i) => log(`${i + 1}) ${address} [${projects.get(address).join(", ")}]`));
+
+  while (true) {
+    const choice = Number(question(`Select project (1-${addresses.length}): `));
+    if (Number.isInteger(choice) && choice >= 1 && choice <= addresses.length) return addresses[choice - 1];
+    log("❌ Invalid project choice. Try again.");
+  }
+}
+
+/**
+ * @param {ReturnType<commands.createContext>} ctx
+ * @param {string} [address] Escrow to open; when omitted, pick one of the factory's projects.
+ * @param {Object} [io]
+ * @param {(prompt: string) => string} [io.question] Defaults to readline-sync.
+ * @param {(line: string) => void} [io.log]
+ * @param {string} [io.manifest] Project manifest file; its milestone titles are shown next to the statuses.
+ */
+async function runInteractive(ctx, address, io = {}) {
+  // Every transaction is simulated with staticCall first, so a revert is reported before anything is signed
+  ctx = commands.createContext(ctx.hre, { ...ctx.options, simulate: true });
+  const question = io.question || require("readline-sync").question;
+  const log = io.log || console.log;
+  const manifest = io.manifest ? loadManifest(io.manifest) : null;
+  const status = async () => {
+    const snapshot = await commands.status(ctx, { address });
+    return manifest ? withManifest(snapshot, manifest) : snapshot;
+  };
+
+  log("\n🚀 Welcome to the FreelancerEscrow CLI!\n");
+  log("Pick a role, view contract info, and execute major actions.\n");
+
+  if (!address) {
+    // Every role we hold a key for on this network (keystores stay locked until a role is picked)
+    const wallets = {};
+    for (const role of ROLES) {
+      try {
+        wallets[role] = await ctx.address(role);
+      } catch (err) {
+        if (!(err instanceof UsageError)) throw err;
+      }
+    }
+    address = await chooseProject(await ctx.factory(), wallets, { question, log });
+  }
+
+  log(formatSnapshot(await status()));
+
+  // Outer loop: role picking
+  while (true) {
+    log("\nChoose a role to act as:");
+    log("1) Client");
+    log("2) Freelancer");
+    log("3) Mediator");
+    log("4) Exit");
+
+    const roleChoice = question("Select role (1-4): ");
+    if (roleChoice === "4") {
+      log("\n👋 Exiting the CLI. Goodbye!\n");
+      return;
+    }
+    const role = ROLE_CHOICES[roleChoice];
+    if (!role) {
+      log("❌ Invalid role choice. Try again.\n");
+      continue;
+    }
+
+    let signer;
+    try {
+      signer = await ctx.signer(role);
+    } catch (err) {
+      // No key for the role in the profile, or a wrong passphrase: pick again
+      if (!(err instanceof UsageError)) throw err;
+      log(formatError(err));
+      continue;
+    }
+    log(`\n🔐 You are now acting as: ${role} (${signer.address})`);
+
+    // Inner loop: menu of actions
+    while (true) {
+      const snapshot = await status();
+      const { contractState, settledMilestones, numMilestones, milestones, currency, blockTimestamp } = snapshot;
+      const credits = await (await ctx.escrow(address)).credits(signer.address);
+      const available = Object.fromEntries(
+        availableActions(snapshot, signer.address, { credits }).map((entry) => [entry.action, entry])
+      );
+
+      log(`\n[Contract State: ${contractState}, Settled Milestones: ${settledMilestones}/${numMilestones}]`);
+      formatDeadlines(snapshot).forEach((line) => log(line));
+      log(`💳 Claimable balance (${role}): ${formatAmount(credits, currency)}`);
+      log("Milestone statuses:");
+      milestones.forEach((m) => log(formatMilestone(m, currency)));
+
+      log("\nActions:");
+      const blocked = [];
+      for (const [choice, [name, label]] of Object.entries(ACTION_CHOICES)) {
+        const { allowed, milestones: allowedOn } = available[name];
+        if (!allowed) {
+          blocked.push(formatAvailability(available[name], blockTimestamp));
+          continue;
+        }
+        log(`${choice}) ${label}${allowedOn ? ` (milestone ${allowedOn.map((i) => `#${i}`).join(", ")})` : ""}`);
+      }
+      log("9) Switch Role");
+      log("10) Exit CLI");
+      if (blocked.length) {
+        log("\nNot available right now:");
+        blocked.forEach((line) => log(` ${line}`));
+      }
+
+      const action = question("\nChoose an action (1-10): ");
+      if (action === "10") {
+        log("\n👋 Exiting the CLI. Goodbye!\n");
+        return;
+      }
+      if (action === "9") {
+        log("\n🔁 Switching role...\n");
+        break; // back to role selection
+      }
+
+      const [name] = ACTION_CHOICES[action] || [];
+      if (!name) {
+        log("❌ Invalid action. Try again.");
+        continue;
+      }
+      if (!available[name].allowed) {
+        log(`❌ Not available: ${formatBlocked(available[name], blockTimestamp)}`);
+        continue;
+      }
+      let index;
+      if (available[name].milestones) {
+        index = question(`Enter milestone index to ${name} (${available[name].milestones.join(", ")}): `).trim();
+        const blockedOn = available[name].blocked.find((b) => String(b.milestone) === index);
+        if (blockedOn) {
+          log(`❌ Not available for milestone #${index}: ${formatBlocked({ blocked: [blockedOn] }, blockTimestamp)}`);
+          continue;
+        }
+      }
+
+      const opts = { address, as: role };
+      try {
+        let result;
+        switch (action) {
+          case "1":
+            result = await commands.depositStake(ctx, opts);
+            break;
+          case "2":
+            result = await commands.complete(ctx, { ...opts, index });
+            break;
+          case "3":
+            result = await previewThenSend(commands.approve, ctx, { ...opts, index }, log);
+            break;
+          case "4":
+            result = await previewThenSend(commands.dispute, ctx, { ...opts, index }, log);
+            break;
+          case "5":
+            result = await previewThenSend(
+              commands.resolve,
+              ctx,
+              {
+                ...opts,
+                index,
+                ...resolution(question("Who wins? (freelancer/client, or the freelancer's % for a split): ")),
+                slash: question("Slash % of the freelancer's stake to the client (Enter for none): ") || undefined,
+              },
+              log
+            );
+            break;
+          case "6":
+            result = await previewThenSend(commands.autoRelease, ctx, { ...opts, index }, log);
+            break;
+          case "7":
+            result = await commands.withdraw(ctx, opts);
+            break;
+          case "8":
+            result = await commands.claim(ctx, opts);
+            break;
+        }
+        log(formatResult(result));
+      } catch (err) {
+        log(formatError(err));
+      }
+    }
+  }
+}
+
+module.exports = { runInteractive, chooseProject };
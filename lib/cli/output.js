@@ -0,0 +1,494 @@
+/**
+ * output.js
+ *
+ * Renders command results either as JSON (`--json`, bigints as decimal
+ * strings in base units) or as the human-readable text the old readline
+ * scripts printed, with amounts in the escrow's currency (ETH or a token).
+ */
+
+const { ETH_CURRENCY, formatAmount } = require("../token");
+
+function toJSON(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/** Seconds as "3 days", "36 hours" or "45 minutes" (whichever unit divides evenly). */
+function formatDuration(seconds) {
+  const units = [["day", 86400], ["hour", 3600], ["minute", 60]];
+  const [unit, size] = units.find(([, size]) => seconds % size === 0) || ["second", 1];
+  const count = seconds / size;
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
+
+/** Time left until `at`, rounded up to whole hours: "in 5 hours". */
+function formatCountdown(at, now) {
+  const hours = Math.ceil((at - now) / 3600);
+  return `in ${hours} hour${hours === 1 ? "" : "s"}`;
+}
+
+function formatMilestone(
+  { index, title, amount, completed, approved, disputed, timestamp, deliveryWindow, status, dependsOn = [], revisions = 0 },
+  currency = ETH_CURRENCY
+) {
+  const deadline = deliveryWindow ? `, Delivery Window: ${formatDuration(deliveryWindow)}` : "";
+  const name = title ? ` "${title}"` : "";
+  const stage = status ? `, Status: ${status}` : "";
+  const prerequisites = dependsOn.length ? `, Depends On: ${dependsOn.map((i) => `#${i}`).join(", ")}` : "";
+  const rounds = revisions ? `, Revisions: ${revisions}` : "";
+  return ` Milestone #${index}${name} (${formatAmount(amount, currency)}) → Completed: ${completed}, Approved: ${approved}, Disputed: ${disputed}, Timestamp: ${timestamp}${deadline}${stage}${prerequisites}${rounds}`;
+}
+
+/**
+ * Where each open milestone stands against its deadlines, e.g.
+ * "⏳ Auto-release available in 5 hours for milestone #0" or "⚠️ Milestone #1 overdue since ...".
+ * @returns {string[]} Nothing when no deadline applies.
+ */
+function formatDeadlines({ milestones, blockTimestamp }) {
+  const lines = [];
+  for (const { index, deliveryDue = null, autoReleaseAt = null } of milestones || []) {
+    if (deliveryDue !== null) {
+      const due = new Date(deliveryDue * 1000).toISOString();
+      lines.push(
+        blockTimestamp > deliveryDue
+          ? `⚠️ Milestone #${index} overdue since ${due} (the client can reclaim it)`
+          : `⏳ Milestone #${index} due ${formatCountdown(deliveryDue, blockTimestamp)} (${due})`
+      );
+    }
+    if (autoReleaseAt !== null) {
+      lines.push(
+        blockTimestamp >= autoReleaseAt
+          ? `⏳ Auto-release available now for milestone #${index}`
+          : `⏳ Auto-release available ${formatCountdown(autoReleaseAt, blockTimestamp)} for milestone #${index}`
+      );
+    }
+  }
+  return lines;
+}
+
+/** Escalation and response-window countdowns of every open dispute. */
+function formatDisputes({ milestones, blockTimestamp }) {
+  const lines = [];
+  for (const { index, dispute } of milestones || []) {
+    if (!dispute) continue;
+    if (dispute.escalated) {
+      lines.push(`⚠️ Dispute over milestone #${index} escalated to the backup mediator`);
+    } else if (dispute.escalatesAt !== null) {
+      lines.push(
+        blockTimestamp >= dispute.escalatesAt
+          ? `⏳ Escalation to the backup mediator available now for milestone #${index}`
+          : `⏳ Escalation to the backup mediator available ${formatCountdown(dispute.escalatesAt, blockTimestamp)} for milestone #${index}`
+      );
+    }
+    if (blockTimestamp < dispute.resolvableAt) {
+      lines.push(
+        `⏳ Response window: the dispute over milestone #${index} can be resolved ${formatCountdown(dispute.resolvableAt, blockTimestamp)}`
+      );
+    }
+  }
+  return lines;
+}
+
+/** One line per party with an unwithdrawn credit. */
+function formatClaimable({ claimable }, currency = ETH_CURRENCY) {
+  if (!claimable) return [];
+  return Object.entries(claimable)
+    .filter(([, amount]) => amount > 0n)
+    .map(([role, amount]) => `💳 Claimable by ${role}: ${formatAmount(amount, currency)}`);
+}
+
+/**
+ * The mediator panel, backup mediator and any pending replacement. Nothing for
+ * a sole mediator without a backup.
+ */
+function formatPanel({ panel, mediatorReplacement }) {
+  if (!panel) return [];
+  const lines = [];
+  if (panel.mediators.length > 1) {
+    lines.push(`Mediator Panel: ${panel.mediators.join(", ")} (quorum ${panel.quorum} of ${panel.mediators.length})`);
+  }
+  if (panel.backupMediator) {
+    lines.push(`Backup Mediator: ${panel.backupMediator} (after ${formatDuration(panel.escalationWindow)})`);
+  }
+  if (mediatorReplacement) {
+    const { proposer, oldMediator, newMediator } = mediatorReplacement;
+    lines.push(`Mediator replacement proposed by ${proposer}: ${oldMediator} → ${newMediator}`);
+  }
+  return lines;
+}
+
+/** "0.01 ETH" for a flat mediation fee, "5% of the disputed milestone" for a percentage. */
+function formatMediationFee({ mediationFee, mediationFeeBps }, currency = ETH_CURRENCY) {
+  return mediationFeeBps ? `${mediationFeeBps / 100}% of the disputed milestone` : formatAmount(mediationFee, currency);
+}
+
+/** The platform fee line, or nothing when the escrow charges none. */
+function formatPlatformFee({ feeRecipient, platformFeeBps }) {
+  if (!platformFeeBps) return [];
+  return [`Platform Fee: ${platformFeeBps / 100}% of every payment to the freelancer (to ${feeRecipient})`];
+}
+
+/** " Milestone #0 (1.0 ETH): freelancer receives 0.975 ETH, platform fee 0.025 ETH, dispute costs 0.01 ETH" */
+function formatFeeBreakdown(
+  { milestoneIndex, amount, clientAmount, platformFee, freelancerReceives, mediationFee },
+  currency = ETH_CURRENCY
+) {
+  const refund = clientAmount > 0n ? `, client refunded ${formatAmount(clientAmount, currency)}` : "";
+  return ` Milestone #${milestoneIndex} (${formatAmount(amount, currency)}): freelancer receives ${formatAmount(
+    freelancerReceives,
+    currency
+  )}, platform fee ${formatAmount(platformFee, currency)}${refund}, dispute costs ${formatAmount(mediationFee, currency)}`;
+}
+
+/**
+ * What the transaction would pay whom: a `--dry-run`, where nothing is sent, or with `sending`
+ * the breakdown shown just before the transaction goes out.
+ */
+function formatPreview(preview, { sending = false } = {}) {
+  const { currency } = preview;
+  const lines = [
+    `🔍 ${preview.of} milestone #${preview.milestone} of ${preview.address} ${sending ? "(sending)" : "(dry run, nothing sent)"}`,
+  ];
+  if (preview.of === "dispute") {
+    lines.push(` Mediation fee: ${formatAmount(preview.mediationFee, currency)}`);
+    return lines.join("\n");
+  }
+  lines.push(` Milestone: ${formatAmount(preview.amount, currency)}`);
+  if (preview.platformFeeBps) {
+    lines.push(
+      ` Platform fee (${preview.platformFeeBps / 100}% to ${preview.feeRecipient}): ${formatAmount(preview.platformFee, currency)}`
+    );
+  }
+  lines.push(` Freelancer receives: ${formatAmount(preview.freelancerReceives, currency)}`);
+  if (preview.clientAmount > 0n) lines.push(` Client refunded: ${formatAmount(preview.clientAmount, currency)}`);
+  return lines.join("\n");
+}
+
+/** "v2: 0.5 ETH, 1.5 ETH from milestone #1, client pays 1.0 ETH" */
+function formatAmendment({ version, fromMilestone, milestoneAmounts, topUp, refund }, currency = ETH_CURRENCY) {
+  const amounts = milestoneAmounts.length
+    ? milestoneAmounts.map((amount) => formatAmount(amount, currency)).join(", ")
+    : "no milestones";
+  let cost = "";
+  if (topUp > 0n) cost = `, client pays ${formatAmount(topUp, currency)}`;
+  if (refund > 0n) cost = `, client refunded ${formatAmount(refund, currency)}`;
+  return `v${version}: ${amounts} from milestone #${fromMilestone}${cost}`;
+}
+
+/** The manifest the snapshot was checked against, and every way the escrow differs from it. */
+function formatManifest({ manifest }) {
+  if (!manifest) return [];
+  return [
+    `Manifest: ${manifest.title} (${manifest.cid})`,
+    ...manifest.mismatches.map((mismatch) => `⚠️ Manifest mismatch: ${mismatch}`),
+  ];
+}
+
+/** A validated manifest: its CID and, per milestone, title, amount, deadline and acceptance criteria. */
+function formatManifestSummary({ title, cid, out, milestones }) {
+  const lines = [`📄 ${title}`, `CID: ${cid}`];
+  if (out) lines.push(`Canonical manifest written to: ${out}`);
+  for (const { index, title: name, amount, deliveryWindow, acceptanceCriteria } of milestones) {
+    const deadline = deliveryWindow ? `, due ${formatDuration(deliveryWindow)} after it starts` : "";
+    lines.push(` Milestone #${index} "${name}" (${amount}${deadline})`);
+    lines.push(...acceptanceCriteria.map((criterion) => `   - ${criterion}`));
+  }
+  return lines.join("\n");
+}
+
+function formatSnapshot(snapshot) {
+  const currency = snapshot.currency || ETH_CURRENCY;
+  const token = currency.address === ETH_CURRENCY.address ? [] : [`Payment Token: ${currency.symbol} (${currency.address})`];
+  return [
+    `Contract Address: ${snapshot.address}`,
+    `Contract State: ${snapshot.contractState}`,
+    `Client: ${snapshot.client}`,
+    `Freelancer: ${snapshot.freelancer}`,
+    `Mediator: ${snapshot.mediator}`,
+    ...formatPanel(snapshot),
+    ...token,
+    `Project Fee: ${formatAmount(snapshot.projectFee, currency)}`,
+    `Freelancer Stake: ${formatAmount(snapshot.freelancerStake, currency)}`,
+    `Mediation Fee: ${formatMediationFee(snapshot, currency)}`,
+    ...formatPlatformFee(snapshot),
+    `Balance: ${formatAmount(snapshot.balance, currency)}`,
+    ...formatClaimable(snapshot, currency),
+    ...(snapshot.contractState === "Created"
+      ? [`Stake Deadline: ${new Date(snapshot.stakeDeadline * 1000).toISOString()}`]
+      : []),
+    ...(snapshot.terminationProposer ? [`Termination proposed by: ${snapshot.terminationProposer}`] : []),
+    ...(snapshot.amendmentVersion ? [`Amendments Accepted: ${snapshot.amendmentVersion}`] : []),
+    ...(snapshot.amendment
+      ? [`Amendment proposed by ${snapshot.amendment.proposer} (${formatAmendment(snapshot.amendment, currency)})`]
+      : []),
+    `Review Window: ${formatDuration(snapshot.reviewWindow)}`,
+    ...(snapshot.latePenaltyBps ? [`Late Penalty: ${snapshot.latePenaltyBps / 100}% of the stake per overdue milestone`] : []),
+    `Num Milestones: ${snapshot.numMilestones}`,
+    `Settled Milestones: ${snapshot.settledMilestones}`,
+    ...(snapshot.openDisputes ? [`Open Disputes: ${snapshot.openDisputes}`] : []),
+    `IPFS Hash: ${snapshot.projectIpfsHash}`,
+    ...formatManifest(snapshot),
+    ...formatDisputes(snapshot),
+    ...formatDeadlines(snapshot),
+    "",
+    "Milestone Statuses:",
+    ...snapshot.milestones.map((m) => formatMilestone(m, currency)),
+  ].join("\n");
+}
+
+function formatEvent({ blockNumber, timestamp, address, event, args }) {
+  const fields = Object.entries(args).map(([key, value]) => `${key}=${value}`);
+  const time = new Date(timestamp * 1000).toISOString();
+  return ` [block ${blockNumber}] ${time} ${address} ${event} ${fields.join(" ")}`;
+}
+
+function formatProject({ address, roles, contractState, settledMilestones, numMilestones }, i) {
+  const held = roles.length ? ` [${roles.join(", ")}]` : "";
+  return ` ${i + 1}) ${address}${held} → ${contractState}, ${settledMilestones}/${numMilestones} milestones settled`;
+}
+
+function formatShare(freelancerShareBps) {
+  if (freelancerShareBps === 10000) return "freelancer";
+  if (freelancerShareBps === 0) return "client";
+  const freelancerPercent = freelancerShareBps / 100;
+  return `split ${freelancerPercent}% freelancer / ${100 - freelancerPercent}% client`;
+}
+
+/** One dispute's case file: opening, each vote, escalation, mediator changes and outcome. */
+function formatCaseFile(file) {
+  const currency = file.currency || ETH_CURRENCY;
+  const time = (at) => new Date(at * 1000).toISOString();
+  const lines = [
+    `📁 Case file: milestone #${file.milestoneIndex} of ${file.address}`,
+    ` ${time(file.openedAt)} opened by ${file.initiator} (fee: ${formatAmount(BigInt(file.fee), currency)})`,
+  ];
+  const entries = [
+    ...file.evidence.map((entry) => ({
+      at: entry.at,
+      text: `📎 ${entry.party} submitted ${entry.cid}${entry.label ? ` "${entry.label}"` : ""}`,
+    })),
+    ...file.votes.map((vote) => ({
+      at: vote.at,
+      text: `🗳️ ${vote.mediator} voted ${formatShare(vote.freelancerShareBps)}, slash ${vote.stakeSlashBps / 100}% (${
+        vote.votes
+      }/${file.quorum})`,
+    })),
+    ...file.replacements.map((r) => ({ at: r.at, text: `🔁 mediator ${r.oldMediator} replaced by ${r.newMediator}` })),
+    ...(file.escalatedTo ? [{ at: file.escalatedAt, text: `⚠️ escalated to backup mediator ${file.escalatedTo}` }] : []),
+  ].sort((a, b) => a.at - b.at);
+  lines.push(...entries.map(({ at, text }) => ` ${time(at)} ${text}`));
+
+  const { outcome } = file;
+  if (!outcome) {
+    lines.push(" (open)");
+  } else if (outcome.type === "accepted") {
+    lines.push(` ${time(file.closedAt)} ✅ conceded by ${outcome.acceptedBy}`);
+  } else {
+    const slashed = BigInt(outcome.stakeSlashed);
+    const slash = slashed > 0n ? `, stake slashed: ${formatAmount(slashed, currency)}` : "";
+    lines.push(` ${time(file.closedAt)} ✅ resolved: ${formatShare(outcome.freelancerShareBps)}${slash}`);
+  }
+  return lines.join("\n");
+}
+
+function formatReputation(result) {
+  const { asFreelancer: freelancer, asClient: client } = result;
+  const projects = (stats) =>
+    `${stats.projects} project(s), ${stats.completed} completed, ${stats.endedEarly} ended early`;
+  const disputes = (stats) =>
+    `Disputes: ${stats.disputesOpened} opened, ${stats.disputesWon} won, ${stats.disputesLost} lost, ${stats.disputesSplit} split`;
+  const rate = freelancer.onTimeRate === null ? "n/a" : `${Math.round(freelancer.onTimeRate * 100)}%`;
+  return [
+    `⭐ Reputation of ${result.address} (${result.escrows} escrow(s) indexed up to block ${result.toBlock})`,
+    ` As freelancer: ${projects(freelancer)}`,
+    `  On time: ${rate} (${freelancer.onTime}/${freelancer.deliveries} deadlines met, ${freelancer.overdueReclaims} reclaimed overdue)`,
+    `  ${disputes(freelancer)}`,
+    `  Auto-releases forced: ${freelancer.autoReleases}`,
+    ` As client: ${projects(client)}`,
+    `  ${disputes(client)}`,
+    `  Auto-releases after missed reviews: ${client.autoReleases}`,
+  ].join("\n");
+}
+
+/**
+ * Why an action is blocked, grouped by reason: "#0: available in 41 hours; #1, #2: Milestone not completed".
+ * A single reason is given on its own unless `numbered` is set.
+ */
+function formatBlocked({ blocked }, now, numbered = false) {
+  const groups = new Map(); // reason (or countdown) -> milestones
+  for (const { milestone, reason, availableAt } of blocked) {
+    const text = availableAt === null ? reason : `available ${formatCountdown(availableAt, now)}`;
+    groups.set(text, [...(groups.get(text) || []), milestone]);
+  }
+  if (groups.size === 1 && !numbered) return [...groups.keys()][0];
+  return [...groups]
+    .map(([text, milestones]) => `${milestones.map((index) => `#${index}`).join(", ")}: ${text}`)
+    .join("; ");
+}
+
+/** One line per action: where it is allowed (and why not on the other milestones), or why not at all. */
+function formatAvailability(availability, now) {
+  const { action, allowed, milestones, blocked } = availability;
+  if (!allowed) return `⛔ ${action}: ${formatBlocked(availability, now)}`;
+  if (!milestones) return `✅ ${action}`;
+  const allowedOn = `✅ ${action}: milestone ${milestones.map((index) => `#${index}`).join(", ")}`;
+  return blocked.length ? `${allowedOn} (${formatBlocked(availability, now, true)})` : allowedOn;
+}
+
+function formatActions(result) {
+  return [
+    `🧭 What the ${result.role} (${result.from}) can do on ${result.address} now:`,
+    ...result.actions.map((availability) => ` ${formatAvailability(availability, result.blockTimestamp)}`),
+  ].join("\n");
+}
+
+function formatProfiles({ file, profiles }) {
+  if (!profiles.length) return `No profiles in ${file}: add keys with \`escrow add-key <profile> --as <role>\``;
+  return [
+    `🔑 Profiles in ${file}:`,
+    ...profiles.map(({ profile, network, role, address, keystore, error }) => {
+      const key = keystore === null ? "watch-only" : `keystore ${keystore}`;
+      return ` ${profile} / ${network} / ${role}: ${address || `❌ ${error}`} (${key})`;
+    }),
+  ].join("\n");
+}
+
+function formatEvidence({ party, cid, label, blockNumber }) {
+  return ` [block ${blockNumber}] ${party} ${cid}${label ? ` "${label}"` : ""}`;
+}
+
+function formatChangeRequest({ round, reasonCid, blockNumber }) {
+  return ` [block ${blockNumber}] round ${round}: ${reasonCid}`;
+}
+
+function formatResult(result) {
+  if (result.action === "deploy-factory") {
+    return [
+      `✅ FreelancerEscrowFactory deployed to: ${result.address}`,
+      `Implementation: ${result.implementation}`,
+      ...formatPlatformFee(result),
+    ].join("\n");
+  }
+  if (result.action === "preview") return formatPreview(result);
+  if (Array.isArray(result.breakdowns)) {
+    const lines = result.breakdowns.length
+      ? result.breakdowns.map((breakdown) => formatFeeBreakdown(breakdown, result.currency))
+      : [" (no open milestones)"];
+    return [
+      `Fees of ${result.address}:`,
+      `Mediation Fee: ${formatMediationFee(result, result.currency)}`,
+      ...(result.platformFeeBps ? formatPlatformFee(result) : ["Platform Fee: none"]),
+      ...lines,
+    ].join("\n");
+  }
+  if (Array.isArray(result.projects)) {
+    const owner = result.wallet ? ` for ${result.wallet}` : "";
+    const lines = result.projects.length ? result.projects.map(formatProject) : [" (none)"];
+    return [`Projects in factory ${result.factory}${owner}:`, ...lines].join("\n");
+  }
+  if (Array.isArray(result.events)) {
+    return [`Indexed up to block ${result.toBlock} (${result.store})`, ...result.events.map(formatEvent)].join("\n");
+  }
+  if (result.action === "sign") {
+    const { signed } = result;
+    const milestone = signed.milestoneIndex === undefined ? "" : ` milestone #${signed.milestoneIndex}`;
+    const until = new Date(signed.deadline * 1000).toISOString();
+    const summary = `✍️ ${signed.signer} signed ${signed.action}${milestone} (valid until ${until})`;
+    return `${summary}; relay this message:\n${toJSON(signed)}`;
+  }
+  if (result.action === "case-file") return formatCaseFile(result);
+  if (result.action === "reputation") return formatReputation(result);
+  if (result.action === "actions") return formatActions(result);
+  if (result.action === "watch") {
+    return `👀 Watched ${result.escrows} escrow(s) up to block ${result.toBlock}: ${result.sent} notification(s) sent`;
+  }
+  if (result.action === "serve") return `🛑 Stopped the escrow API at ${result.url}`;
+  if (result.action === "add-key") {
+    const source = result.created ? `encrypted into ${result.keystore}` : `keystore ${result.keystore}`;
+    return `🔑 Profile "${result.profile}" signs as ${result.role} on ${result.network} with ${result.address} (${source})`;
+  }
+  if (result.action === "add-watch") {
+    return `👁️ Profile "${result.profile}" watches ${result.address} as ${result.role} on ${result.network} (read-only)`;
+  }
+  if (result.action === "profiles") return formatProfiles(result);
+  if (result.action === "manifest") return formatManifestSummary(result);
+  if (Array.isArray(result.evidence)) {
+    const lines = result.evidence.length ? result.evidence.map(formatEvidence) : [" (none)"];
+    return [`Evidence for milestone #${result.milestone} of ${result.address}:`, ...lines].join("\n");
+  }
+  if (Array.isArray(result.changeRequests)) {
+    const lines = result.changeRequests.length ? result.changeRequests.map(formatChangeRequest) : [" (none)"];
+    return [`Changes requested on milestone #${result.milestone} of ${result.address}:`, ...lines].join("\n");
+  }
+  if (result.action === "deploy") {
+    return `✅ FreelancerEscrow deployed to: ${result.address}\n\n${formatSnapshot(result)}`;
+  }
+  if (!result.action) return formatSnapshot(result);
+
+  let milestone = result.milestone === undefined ? "" : ` milestone #${result.milestone}`;
+  if (result.signedAction) milestone = ` ${result.signedAction}${milestone} signed by ${result.signer}`;
+  let winner = result.winner ? ` (winner: ${result.winner})` : "";
+  if (result.winner === "split") {
+    const freelancerPercent = result.freelancerShareBps / 100;
+    winner = ` (split: ${freelancerPercent}% freelancer / ${100 - freelancerPercent}% client)`;
+  }
+  if (result.action === "reclaim-overdue") {
+    winner = ` (refund: ${formatAmount(result.refund, result.currency)}, stake claimed: ${formatAmount(
+      result.stakeClaimed,
+      result.currency
+    )})`;
+  }
+  if (result.action === "vote") winner += ` (${result.votes}/${result.quorum} votes, not settled yet)`;
+  if (result.action === "attach-evidence") winner = ` (${result.cid}${result.label ? ` "${result.label}"` : ""})`;
+  if (result.action === "request-changes") winner = ` (round ${result.round}: ${result.reasonCid})`;
+  if (result.action === "escalate") winner = ` (to backup mediator ${result.backupMediator})`;
+  if (["propose-mediator", "accept-mediator"].includes(result.action)) {
+    winner = ` (${result.oldMediator} → ${result.newMediator})`;
+  }
+  if (["propose-amendment", "accept-amendment"].includes(result.action)) {
+    winner = ` (${formatAmendment(result, result.currency)})`;
+  }
+  if (result.action === "set-platform-fee") {
+    winner = result.platformFeeBps ? ` (${result.platformFeeBps / 100}% to ${result.feeRecipient})` : " (none)";
+  }
+  if (result.action === "claim") winner = ` (amount: ${formatAmount(result.amount, result.currency)})`;
+  if (result.stakeSlashed) winner += ` (stake slashed: ${formatAmount(result.stakeSlashed, result.currency)})`;
+  return `✅ ${result.action}${milestone}${winner} → tx ${result.txHash} (block ${result.blockNumber})`;
+}
+
+function formatError(err) {
+  return `❌ ${err.name || "Error"}: ${err.reason || err.message}`;
+}
+
+function errorToJSON(err, exitCode) {
+  return toJSON({
+    error: { name: err.name || "Error", reason: err.reason || null, message: err.message },
+    exitCode,
+  });
+}
+
+module.exports = {
+  toJSON,
+  formatDuration,
+  formatDeadlines,
+  formatClaimable,
+  formatPanel,
+  formatDisputes,
+  formatManifest,
+  formatManifestSummary,
+  formatEvidence,
+  formatChangeRequest,
+  formatMediationFee,
+  formatPlatformFee,
+  formatFeeBreakdown,
+  formatPreview,
+  formatBlocked,
+  formatAvailability,
+  formatCaseFile,
+  formatMilestone,
+  formatEvent,
+  formatProject,
+  formatSnapshot,
+  formatResult,
+  formatError,
+  errorToJSON,
+};
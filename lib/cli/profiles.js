@@ -0,0 +1,169 @@
+/**
+ * profiles.js
+ *
+ * Named signing profiles, so private keys stay out of .env. A profiles file
+ * (escrow-profiles.json by default) maps a profile name, a network and a role
+ * to an encrypted JSON keystore, unlocked with its passphrase when the role
+ * first signs, or to a watch-only address that can read and simulate but never
+ * sign:
+ *
+ *   {
+ *     "work": {
+ *       "sepolia": {
+ *         "client": { "keystore": "keystores/work.sepolia.client.json" },
+ *         "mediator": { "address": "0x67aeC5bbfF28B6919B63C0aDeeFcB8a632C6214d" }
+ *       }
+ *     }
+ *   }
+ *
+ * Keystore paths are relative to the profiles file. The keystores are the
+ * standard Web3 Secret Storage JSON that geth, Foundry and ethers write.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { UsageError, parseAddress } = require("./args");
+
+const DEFAULT_PROFILES_FILE = "escrow-profiles.json";
+
+/** Reads a profiles file; a missing file has no profiles. */
+function loadProfiles(file = DEFAULT_PROFILES_FILE) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new UsageError(`Cannot read profiles file ${file}: ${error.message}`);
+  }
+}
+
+function saveProfiles(file, profiles) {
+  fs.writeFileSync(file, `${JSON.stringify(profiles, null, 2)}\n`);
+}
+
+/** The keystore or watch-only entry of `name` for `role` on `network`. */
+function findProfileEntry(profiles, { file = DEFAULT_PROFILES_FILE, name, network, role }) {
+  if (!profiles[name]) throw new UsageError(`No profile "${name}" in ${file}`);
+  const entry = (profiles[name][network] || {})[role];
+  if (!entry) throw new UsageError(`Profile "${name}" has no ${role} key for network "${network}"`);
+  if (!entry.keystore && !entry.address) {
+    throw new UsageError(`Profile "${name}" ${network} ${role}: give either "keystore" or "address"`);
+  }
+  return entry;
+}
+
+function hasProfileEntry(profiles, { name, network, role }) {
+  return Boolean(((profiles[name] || {})[network] || {})[role]);
+}
+
+/**
+ * Adds an entry to a profiles file, refusing to replace one (edit the file to
+ * rotate a key). Keystore paths are stored relative to the profiles file.
+ */
+function addProfileEntry(file, { name, network, role }, entry) {
+  const profiles = loadProfiles(file);
+  if (hasProfileEntry(profiles, { name, network, role })) {
+    throw new UsageError(`Profile "${name}" already has a ${role} key for network "${network}"`);
+  }
+  const roles = ((profiles[name] = profiles[name] || {})[network] = profiles[name][network] || {});
+  roles[role] = entry.keystore
+    ? { keystore: path.relative(path.dirname(path.resolve(file)), path.resolve(entry.keystore)) }
+    : { address: entry.address };
+  saveProfiles(file, profiles);
+}
+
+function keystorePath(file, entry) {
+  return path.resolve(path.dirname(path.resolve(file)), entry.keystore);
+}
+
+function readKeystore(keystore) {
+  if (!fs.existsSync(keystore)) throw new UsageError(`Keystore not found: ${keystore}`);
+  const json = fs.readFileSync(keystore, "utf8");
+  if (!ethers.isKeystoreJson(json)) throw new UsageError(`Not an encrypted JSON keystore: ${keystore}`);
+  return json;
+}
+
+/**
+ * The address an entry of profile `name` signs (or watches) as, read without
+ * unlocking the keystore, so the keystore has to record it.
+ */
+function entryAddress(file, entry, name) {
+  if (!entry.keystore) return parseAddress(entry.address, "watch-only address");
+  const keystore = keystorePath(file, entry);
+  const { address } = JSON.parse(readKeystore(keystore));
+  if (typeof address !== "string" || !ethers.isAddress(address)) {
+    throw new UsageError(`Profile "${name}": keystore ${keystore} does not record a valid address`);
+  }
+  return ethers.getAddress(address);
+}
+
+/**
+ * A signer for a watch-only profile: reads, estimates and staticCall
+ * simulations run from its address, but anything that needs a signature fails.
+ */
+class WatchOnlySigner extends ethers.VoidSigner {
+  constructor(address, provider, profile) {
+    super(address, provider);
+    this.profile = profile;
+  }
+
+  connect(provider) {
+    return new WatchOnlySigner(this.address, provider, this.profile);
+  }
+
+  refuse() {
+    throw new UsageError(`Profile "${this.profile}" only watches ${this.address}; it cannot sign`);
+  }
+
+  async sendTransaction() {
+    this.refuse();
+  }
+
+  async signTransaction() {
+    this.refuse();
+  }
+
+  async signMessage() {
+    this.refuse();
+  }
+
+  async signTypedData() {
+    this.refuse();
+  }
+}
+
+/**
+ * Connects an entry to `provider`: a Wallet decrypted with `passphrase()`, or a
+ * WatchOnlySigner.
+ * @param {string} file The profiles file the entry comes from.
+ * @param {Object} entry
+ * @param {Object} options
+ * @param {string} options.name Profile name, for messages.
+ * @param {import("ethers").Provider} options.provider
+ * @param {(keystore: string) => string} options.passphrase Asked only for keystores.
+ */
+async function unlockProfileEntry(file, entry, { name, provider, passphrase }) {
+  if (!entry.keystore) return new WatchOnlySigner(entryAddress(file, entry, name), provider, name);
+
+  const keystore = keystorePath(file, entry);
+  const json = readKeystore(keystore);
+  try {
+    return (await ethers.Wallet.fromEncryptedJson(json, passphrase(keystore))).connect(provider);
+  } catch (error) {
+    if (error.code === "INVALID_ARGUMENT" && error.argument === "password") {
+      throw new UsageError(`Wrong passphrase for ${keystore}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_PROFILES_FILE,
+  WatchOnlySigner,
+  loadProfiles,
+  findProfileEntry,
+  hasProfileEntry,
+  addProfileEntry,
+  entryAddress,
+  unlockProfileEntry,
+};
@@ -0,0 +1,482 @@
+/**
+ * program.js
+ *
+ * Command-line definition for `escrow`. `run(argv)` parses the arguments,
+ * executes one command and resolves to the process exit code; it never calls
+ * process.exit itself so it can be driven from tests.
+ */
+
+const path = require("path");
+const { Command, CommanderError } = require("commander");
+const commands = require("./commands");
+const { runInteractive } = require("./interactive");
+const { UsageError } = require("./args");
+const { EXIT_CODES, exitCodeFor } = require("./exitCodes");
+const { toJSON, formatResult, formatPreview, formatError, errorToJSON } = require("./output");
+
+/**
+ * Loads the Hardhat runtime for the requested network. Hardhat reads its
+ * arguments from HARDHAT_* environment variables when required as a library.
+ */
+function loadHre(network) {
+  if (network) process.env.HARDHAT_NETWORK = network;
+  if (!process.env.HARDHAT_CONFIG) {
+    process.env.HARDHAT_CONFIG = path.join(__dirname, "..", "..", "hardhat.config.js");
+  }
+  const hre = require("hardhat");
+  if (network && hre.network.name !== network) {
+    throw new UsageError(`Hardhat is already connected to "${hre.network.name}", cannot switch to "${network}"`);
+  }
+  return hre;
+}
+
+/**
+ * @param {Object} [io]
+ * @param {(text: string) => void} [io.out]
+ * @param {(text: string) => void} [io.err]
+ * @param {(prompt: string) => string} [io.question] Used by `interactive`.
+ * @param {(prompt: string) => string} [io.secret] Asks for keystore passphrases and private keys (default: hidden input).
+ * @param {(network?: string) => object} [io.loadHre]
+ */
+function createProgram(io = {}) {
+  const out = io.out || ((text) => process.stdout.write(`${text}\n`));
+  const err = io.err || ((text) => process.stderr.write(`${text}\n`));
+  const state = { exitCode: EXIT_CODES.OK };
+
+  const program = new Command("escrow")
+    .description("Drive FreelancerEscrow contracts from scripts, CI and runbooks")
+    .option("-n, --network <name>", "Hardhat network to use (hardhat, localhost, sepolia, ...)")
+    .option("--json", "print machine-readable JSON instead of text")
+    .option("--factory <address>", "FreelancerEscrowFactory to create projects in / list projects from", process.env.ESCROW_FACTORY)
+    .option("--profile <name>", "sign with this profile's keystores (or watch-only addresses)", process.env.ESCROW_PROFILE)
+    .option("--profiles <file>", "profiles file (default: escrow-profiles.json)", process.env.ESCROW_PROFILES)
+    .option("--passphrase-file <file>", "read keystore passphrases from this file instead of asking")
+    .option("--allow-env-keys", "sign with the raw *_PRIVATE_KEY variables from .env when no profile is given")
+    .option("--simulate", "run each escrow write as a staticCall first, so a revert is reported before anything is signed")
+    .exitOverride()
+    .configureOutput({ writeOut: (s) => out(s.trimEnd()), writeErr: (s) => err(s.trimEnd()) });
+
+  // Wraps a command so results and errors are printed the same way everywhere.
+  const action = (fn) => async (...args) => {
+    const { json, network, ...options } = program.opts();
+    try {
+      const ctx = commands.createContext((io.loadHre || loadHre)(network), { ...options, secret: io.secret });
+      const result = await fn(ctx, ...args);
+      if (result !== undefined) out(json ? toJSON(result) : formatResult(result));
+    } catch (error) {
+      state.exitCode = exitCodeFor(error);
+      err(json ? errorToJSON(error, state.exitCode) : formatError(error));
+    }
+  };
+
+  // Fee-bearing commands show their fee breakdown before sending, as the interactive menus do; with
+  // --dry-run they stop there. In --json mode the breakdown comes back with the result instead.
+  // sign and relay preview null for the termination actions, which take no fees.
+  const previewed = (command) => async (ctx, opts) => {
+    const preview = await command(ctx, { ...opts, dryRun: true });
+    if (opts.dryRun) {
+      if (preview === null) throw new UsageError("This action takes no fees; there is nothing to preview");
+      return preview;
+    }
+    if (preview === null) return command(ctx, opts);
+    if (program.opts().json) return { ...(await command(ctx, opts)), preview };
+    out(formatPreview(preview, { sending: true }));
+    return command(ctx, opts);
+  };
+
+  const roleOption = (defaultRole) => ["--as <role>", "act as client, freelancer or mediator", defaultRole];
+
+  program
+    .command("deploy")
+    .description(
+      "deploy a new FreelancerEscrow (through --factory when given); the --as account (default client) pays the sum of the milestones"
+    )
+    .requiredOption("--freelancer <address>", "freelancer address")
+    .requiredOption("--mediator <address>", "mediator address")
+    .option("--milestones <amounts>", "amount per milestone, comma-separated (e.g. 0.1,0.6,0.3)")
+    .requiredOption("--stake <amount>", "stake the freelancer must deposit")
+    .option("--ipfs <hash>", "IPFS hash of the milestone definitions")
+    .option(
+      "--manifest <file>",
+      "take the milestones, deadlines, dependencies and IPFS hash (the manifest's CID) from a project manifest"
+    )
+    .option("--token <address>", "pay in this ERC-20 instead of ETH (needs --factory); amounts use its decimals")
+    .option(
+      "--mediation-fee <fee>",
+      "fee to open a dispute: an amount, or a percentage of the disputed milestone (e.g. 5%); required with --token"
+    )
+    .option("--permit", "with --token, sign an EIP-2612 permit instead of sending an approve transaction")
+    .option("--review-window <duration>", "time the client has to review a submission before auto-release (default 3d)")
+    .option("--deadlines <durations>", "delivery time per milestone from its start, comma-separated (e.g. 7d,14d,0 for none)")
+    .option("--sequential", "start each milestone only once the one before it is settled (default: all start together)")
+    .option("--late-penalty <percent>", "share of the stake the client claims for each overdue milestone")
+    .option("--co-mediators <addresses>", "comma-separated addresses that vote on disputes with --mediator")
+    .option("--quorum <count>", "matching votes that settle a dispute (default: a majority of the panel)")
+    .option("--backup-mediator <address>", "decides disputes the panel has not settled within the escalation window")
+    .option("--escalation-window <duration>", "time after a dispute opens before it can be escalated (default 7d)")
+    .option("--response-window <duration>", "time the parties have to submit evidence before a dispute can be resolved")
+    .option(...roleOption("client"))
+    .action(action((ctx, opts) => commands.deploy(ctx, opts)));
+
+  program
+    .command("deploy-factory")
+    .description("deploy a FreelancerEscrowFactory and its shared escrow implementation, owned by the --as account")
+    .option("--platform-fee <percent>", "platform fee taken from every milestone payment of the factory's projects")
+    .option("--fee-recipient <address>", "receives the platform fee")
+    .option(...roleOption("client"))
+    .action(action((ctx, opts) => commands.deployFactory(ctx, opts)));
+
+  program
+    .command("set-platform-fee <percent>")
+    .description("factory owner sets the platform fee of projects created from now on (0 turns it off)")
+    .option("--fee-recipient <address>", "receives the platform fee")
+    .option(...roleOption("client"))
+    .action(action((ctx, percent, opts) => commands.setPlatformFee(ctx, { percent, ...opts })));
+
+  program
+    .command("projects [wallet]")
+    .description("list the factory's projects, or those where a wallet (or the --as account) holds a role")
+    .option("--as <role>", "list the projects of this role's account")
+    .action(action((ctx, wallet, opts) => commands.projects(ctx, { wallet, ...opts })));
+
+  program
+    .command("status <address>")
+    .description("show contract state, fees and every milestone status")
+    .option("--manifest <file>", "the project manifest: show milestone titles and check it matches the escrow")
+    .action(action((ctx, address, opts) => commands.status(ctx, { address, ...opts })));
+
+  program
+    .command("actions <address>")
+    .description("list what the --as role can do on the escrow right now, and why the other actions are blocked")
+    .requiredOption(...roleOption())
+    .action(action((ctx, address, opts) => commands.actions(ctx, { address, ...opts })));
+
+  program
+    .command("fees <address> [index]")
+    .description("show the mediation and platform fees, and who receives what for a milestone (default: every open one)")
+    .action(action((ctx, address, index) => commands.fees(ctx, { address, index })));
+
+  program
+    .command("manifest <file>")
+    .description("validate a project manifest and compute its IPFS CID offline (see lib/manifest.schema.json)")
+    .option("--out <file>", "write the canonical manifest the CID is taken over, ready to pin")
+    .action(action((ctx, file, opts) => commands.manifest(ctx, { file, ...opts })));
+
+  program
+    .command("add-key <profile>")
+    .description(
+      "add the --as role's key on this network to a profile: a private key you are asked for (Enter for a new wallet), encrypted into keystores/"
+    )
+    .requiredOption(...roleOption())
+    .option("--keystore <file>", "register an existing encrypted JSON keystore instead")
+    .action(action((ctx, name, opts) => commands.addKey(ctx, { name, ...opts })));
+
+  program
+    .command("add-watch <profile> <address>")
+    .description("add a watch-only address for the --as role on this network to a profile: it can read and simulate, not sign")
+    .requiredOption(...roleOption())
+    .action(action((ctx, name, address, opts) => commands.addWatch(ctx, { name, address, ...opts })));
+
+  program
+    .command("profiles")
+    .description("list the profiles with the address each role signs or watches as, per network")
+    .action(action((ctx) => commands.profiles(ctx)));
+
+  program
+    .command("deposit-stake <address>")
+    .description("freelancer deposits the required stake (approving it first on token escrows)")
+    .option("--permit", "on token escrows, sign an EIP-2612 permit instead of sending an approve transaction")
+    .option(...roleOption("freelancer"))
+    .action(action((ctx, address, opts) => commands.depositStake(ctx, { address, ...opts })));
+
+  program
+    .command("complete <address> <index>")
+    .description("freelancer marks a milestone completed, or resubmits one sent back for changes")
+    .option(...roleOption("freelancer"))
+    .action(action((ctx, address, index, opts) => commands.complete(ctx, { address, index, ...opts })));
+
+  program
+    .command("approve <address> <index>")
+    .description("client approves a milestone and releases its payment, less any platform fee")
+    .option("--dry-run", "only show the fee breakdown, without sending the transaction")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, index, opts) => previewed(commands.approve)(ctx, { address, index, ...opts })));
+
+  program
+    .command("request-changes <address> <index> [file]")
+    .description("client sends a submitted milestone back for changes, explained in a local file (hashed into its IPFS CID) or --cid")
+    .option("--cid <cid>", "IPFS CID of the requested changes if already pinned, instead of a file")
+    .option(...roleOption("client"))
+    .action(
+      action((ctx, address, index, file, opts) => commands.requestChanges(ctx, { address, index, file, ...opts }))
+    );
+
+  program
+    .command("retract <address> <index>")
+    .description("freelancer takes back a submitted milestone to fix it before the client approves or disputes it")
+    .option(...roleOption("freelancer"))
+    .action(action((ctx, address, index, opts) => commands.retract(ctx, { address, index, ...opts })));
+
+  program
+    .command("change-requests <address> <index>")
+    .description("list the changes the client requested on a milestone")
+    .option("--from-block <number>", "first block to search", "0")
+    .action(action((ctx, address, index, opts) => commands.changeRequests(ctx, { address, index, ...opts })));
+
+  program
+    .command("dispute <address> <index>")
+    .description("client or freelancer disputes a milestone, paying the mediation fee")
+    .option("--dry-run", "only show the fee breakdown, without sending the transaction")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, index, opts) => previewed(commands.dispute)(ctx, { address, index, ...opts })));
+
+  program
+    .command("resolve <address> <index>")
+    .description(
+      "mediator resolves a disputed milestone, wholly (--winner) or by a split (--split); on a panel this casts a vote"
+    )
+    .option("--winner <party>", "freelancer or client: award the whole milestone")
+    .option("--split <percent>", "freelancer's share of the milestone, e.g. 70 (the client gets the rest)")
+    .option("--slash <percent>", "also send this percentage of the freelancer's stake to the client")
+    .option("--dry-run", "only show the fee breakdown, without sending the transaction")
+    .option(...roleOption("mediator"))
+    .action(action((ctx, address, index, opts) => previewed(commands.resolve)(ctx, { address, index, ...opts })));
+
+  program
+    .command("accept-dispute <address> <index>")
+    .description("the party who did not open a dispute concedes it: the milestone and the mediation fee go to the initiator")
+    .option("--dry-run", "only show the fee breakdown, without sending the transaction")
+    .option(...roleOption("freelancer"))
+    .action(action((ctx, address, index, opts) => previewed(commands.acceptDispute)(ctx, { address, index, ...opts })));
+
+  program
+    .command("auto-release <address> <index>")
+    .description("freelancer releases a milestone after the client's review window")
+    .option("--dry-run", "only show the fee breakdown, without sending the transaction")
+    .option(...roleOption("freelancer"))
+    .action(action((ctx, address, index, opts) => previewed(commands.autoRelease)(ctx, { address, index, ...opts })));
+
+  program
+    .command("reclaim-overdue <address> <index>")
+    .description("client takes back a milestone whose delivery deadline passed, plus the late penalty from the stake")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, index, opts) => commands.reclaimOverdue(ctx, { address, index, ...opts })));
+
+  program
+    .command("withdraw <address>")
+    .description("freelancer withdraws the remaining stake once the project is completed")
+    .option(...roleOption("freelancer"))
+    .action(action((ctx, address, opts) => commands.withdraw(ctx, { address, ...opts })));
+
+  program
+    .command("claim <address>")
+    .description("withdraw the payments, refunds or fees credited to your role")
+    .option(...roleOption("freelancer"))
+    .action(action((ctx, address, opts) => commands.claim(ctx, { address, ...opts })));
+
+  program
+    .command("cancel <address>")
+    .description("client cancels before the freelancer stakes and gets the project fee back")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, opts) => commands.cancel(ctx, { address, ...opts })));
+
+  program
+    .command("reclaim <address>")
+    .description("after the stake deadline passed without a stake, return the project fee to the client (any account)")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, opts) => commands.reclaim(ctx, { address, ...opts })));
+
+  program
+    .command("propose-termination <address>")
+    .description("client or freelancer proposes ending the project early; the other party must accept")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, opts) => commands.proposeTermination(ctx, { address, ...opts })));
+
+  program
+    .command("revoke-termination <address>")
+    .description("withdraw your own termination proposal")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, opts) => commands.revokeTermination(ctx, { address, ...opts })));
+
+  program
+    .command("accept-termination <address>")
+    .description("accept the other party's proposal: unreleased milestones go to the client, the stake to the freelancer")
+    .option(...roleOption("freelancer"))
+    .action(action((ctx, address, opts) => commands.acceptTermination(ctx, { address, ...opts })));
+
+  program
+    .command("attach-evidence <address> <index> [file]")
+    .description("attach a local file (hashed into its IPFS CID, no upload) or --cid to an open dispute")
+    .option("--cid <cid>", "IPFS CID of evidence that is already pinned, instead of a file")
+    .option("--label <text>", "what the evidence shows (default: the file name; at most 64 bytes)")
+    .option(...roleOption("client"))
+    .action(
+      action((ctx, address, index, file, opts) => commands.attachEvidence(ctx, { address, index, file, ...opts }))
+    );
+
+  program
+    .command("evidence <address> <index>")
+    .description("list the evidence both parties attached to the dispute over a milestone")
+    .option("--from-block <number>", "first block to search", "0")
+    .action(action((ctx, address, index, opts) => commands.evidence(ctx, { address, index, ...opts })));
+
+  program
+    .command("escalate <address> <index>")
+    .description("hand a dispute the mediator panel has not settled in time to the backup mediator (any account)")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, index, opts) => commands.escalate(ctx, { address, index, ...opts })));
+
+  program
+    .command("propose-mediator <address> <old> <new>")
+    .description("client or freelancer proposes replacing a panel member or the backup mediator; the other party must accept")
+    .option(...roleOption("client"))
+    .action(
+      action((ctx, address, oldMediator, newMediator, opts) =>
+        commands.proposeMediator(ctx, { address, oldMediator, newMediator, ...opts })
+      )
+    );
+
+  program
+    .command("revoke-mediator <address>")
+    .description("withdraw your own mediator replacement proposal")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, opts) => commands.revokeMediator(ctx, { address, ...opts })));
+
+  program
+    .command("accept-mediator <address> <old> <new>")
+    .description("accept the other party's mediator replacement (the addresses must match the proposal)")
+    .option(...roleOption("freelancer"))
+    .action(
+      action((ctx, address, oldMediator, newMediator, opts) =>
+        commands.acceptMediator(ctx, { address, oldMediator, newMediator, ...opts })
+      )
+    );
+
+  program
+    .command("propose-amendment <address>")
+    .description(
+      "propose new milestones from the first one not yet submitted; the other party must accept (a client pays any top-up now)"
+    )
+    .option("--milestones <amounts>", "comma-separated amounts of the milestones from the first amendable one on")
+    .option("--deadlines <durations>", "delivery time of each of those milestones, e.g. 7d,14d (0 = none)")
+    .option("--ipfs <hash>", "IPFS hash of the amended project definition")
+    .option("--manifest <file>", "manifest of the whole amended project, instead of --milestones/--deadlines/--ipfs")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, opts) => commands.proposeAmendment(ctx, { address, ...opts })));
+
+  program
+    .command("revoke-amendment <address>")
+    .description("withdraw your own amendment proposal (a top-up paid with it goes back to the client's credits)")
+    .option(...roleOption("client"))
+    .action(action((ctx, address, opts) => commands.revokeAmendment(ctx, { address, ...opts })));
+
+  program
+    .command("accept-amendment <address>")
+    .description("accept the other party's amendment; the client pays its top-up or is refunded the difference")
+    .option("--manifest <file>", "only accept if the proposal is exactly what this manifest describes")
+    .option(...roleOption("freelancer"))
+    .action(action((ctx, address, opts) => commands.acceptAmendment(ctx, { address, ...opts })));
+
+  program
+    .command("sign <address> <action> [index]")
+    .description(
+      "sign approve, accept-dispute, propose-termination or accept-termination off-chain (EIP-712) for `relay`; costs no gas"
+    )
+    .option("--expires <duration>", "how long the signature stays valid (e.g. 30m, 24h, 7d)", "24h")
+    .option("--dry-run", "only show the fee breakdown of an approval or concession, without signing it")
+    .option(...roleOption("client"))
+    .action(
+      action((ctx, address, signedAction, index, opts) =>
+        previewed(commands.sign)(ctx, { address, action: signedAction, index, ...opts })
+      )
+    );
+
+  program
+    .command("relay <message>")
+    .description("verify and submit a message from `sign` (JSON or a file containing it); the --as account pays the gas")
+    .option("--dry-run", "only show the fee breakdown of a signed approval or concession, without sending it")
+    .option(...roleOption("client"))
+    .action(action((ctx, message, opts) => previewed(commands.relay)(ctx, { message, ...opts })));
+
+  program
+    .command("history <addresses...>")
+    .description("index the escrows' events into a local JSON store and print their timelines")
+    .option("--store <file>", "index file (default: escrow-index.<network>.json)")
+    .option("--from-block <number>", "first block to scan for escrows not yet indexed", "0")
+    .action(action((ctx, addresses, opts) => commands.history(ctx, { addresses, ...opts })));
+
+  program
+    .command("case-file <address> <index>")
+    .description("index the escrow's events and show one dispute: panel votes, escalation, mediator changes and outcome")
+    .option("--store <file>", "index file (default: escrow-index.<network>.json)")
+    .option("--from-block <number>", "first block to scan if the escrow is not yet indexed", "0")
+    .action(action((ctx, address, index, opts) => commands.caseFile(ctx, { address, index, ...opts })));
+
+  program
+    .command("reputation <address> [escrows...]")
+    .description(
+      "index a wallet's escrows (the given ones, its --factory projects and any already in the store) and show its track record"
+    )
+    .option("--store <file>", "index file (default: escrow-index.<network>.json)")
+    .option("--from-block <number>", "first block to scan for escrows not yet indexed", "0")
+    .action(action((ctx, address, escrows, opts) => commands.reputation(ctx, { address, escrows, ...opts })));
+
+  program
+    .command("watch [addresses...]")
+    .description(
+      "watch escrows (default: every --factory project) and notify about each event and review window until interrupted"
+    )
+    .option("--webhook <url>", "also POST each notification as JSON to this URL")
+    .option("--queue <dir>", "also write each notification as a JSON file into this directory")
+    .option("--roles <roles>", "only notifications for these roles, comma-separated (e.g. client,mediator)")
+    .option("--interval <duration>", "time between polls", "15s")
+    .option("--confirmations <count>", "blocks to stay behind the chain head", "0")
+    .option("--alert-before <duration>", "warn the client this long before a review window closes", "12h")
+    .option("--from-block <number>", "also notify about events since this block (default: only new ones)")
+    .option("--once", "poll once and exit")
+    .action(
+      action((ctx, addresses, opts) =>
+        commands.watch(ctx, { addresses, ...opts, json: program.opts().json, log: out, warn: err })
+      )
+    );
+
+  program
+    .command("serve")
+    .description("serve the REST API for web frontends (reads escrows, answers actions with unsigned transactions) until interrupted")
+    .option("--port <port>", "port to listen on", "3000")
+    .option("--host <host>", "interface to listen on", "127.0.0.1")
+    .option("--store <file>", "JSON file to keep the event index in (default: memory)")
+    .option("--cors-origin <origin>", "Access-Control-Allow-Origin to send", "*")
+    .action(action((ctx, opts) => commands.serve(ctx, { ...opts, log: out })));
+
+  program
+    .command("interactive [address]")
+    .description("menu-driven mode (pick a role, then actions 1-9); without an address, pick one of your --factory projects")
+    .option("--manifest <file>", "the project manifest, to show milestone titles")
+    .action(
+      action((ctx, address, opts) =>
+        runInteractive(ctx, address, { question: io.question, log: out, manifest: opts.manifest })
+      )
+    );
+
+  return { program, state };
+}
+
+/**
+ * Runs the CLI with user arguments (no node/script prefix).
+ * @returns {Promise<number>} exit code
+ */
+async function run(argv, io) {
+  const { program, state } = createProgram(io);
+  try {
+    await program.parseAsync(argv, { from: "user" });
+  } catch (error) {
+    if (error instanceof CommanderError) {
+      return error.exitCode === 0 ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    throw error;
+  }
+  return state.exitCode;
+}
+
+module.exports = { createProgram, run, loadHre };
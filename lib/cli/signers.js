@@ -0,0 +1,103 @@
+/**
+ * signers.js
+ *
+ * Resolves a role name (client / freelancer / mediator) to a signer on the
+ * active Hardhat network.
+ *
+ * - with a profile:      the profile's keystore or watch-only address for the role on this network (see profiles.js)
+ * - hardhat / localhost: the node's unlocked accounts #0, #1, #2 (same order as demoLocal.js)
+ * - any other network:   CLIENT_PRIVATE_KEY / FREELANCER_PRIVATE_KEY / MEDIATOR_PRIVATE_KEY from .env,
+ *                        only when explicitly allowed (`--allow-env-keys`, ALLOW_ENV_KEYS=1 for the scripts)
+ */
+
+const { UsageError, parseRole } = require("./args");
+const { DEFAULT_PROFILES_FILE, loadProfiles, findProfileEntry, entryAddress, unlockProfileEntry } = require("./profiles");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const LOCAL_ACCOUNT_INDEX = { client: 0, freelancer: 1, mediator: 2 };
+
+const ROLE_ENV_KEYS = {
+  client: "CLIENT_PRIVATE_KEY",
+  freelancer: "FREELANCER_PRIVATE_KEY",
+  mediator: "MEDIATOR_PRIVATE_KEY",
+};
+
+/**
+ * @typedef {Object} SignerOptions
+ * @property {string} [profile] Profile to take the keys from.
+ * @property {string} [profiles] Profiles file (default escrow-profiles.json).
+ * @property {boolean} [allowEnvKeys] Use the raw *_PRIVATE_KEY variables on non-local networks.
+ * @property {(keystore: string) => string} [passphrase] Unlocks a profile's keystore (default: asks on the terminal).
+ */
+
+function askPassphrase(keystore) {
+  return require("readline-sync").question(`🔑 Passphrase for ${keystore}: `, { hideEchoBack: true });
+}
+
+function profileEntry(hre, role, { profile, profiles = DEFAULT_PROFILES_FILE }) {
+  const entry = findProfileEntry(loadProfiles(profiles), {
+    file: profiles,
+    name: profile,
+    network: hre.network.name,
+    role,
+  });
+  return { file: profiles, entry };
+}
+
+/**
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} role
+ * @param {SignerOptions} [options]
+ */
+async function getRoleSigner(hre, role, options = {}) {
+  role = parseRole(role);
+
+  if (options.profile) {
+    const { file, entry } = profileEntry(hre, role, options);
+    return unlockProfileEntry(file, entry, {
+      name: options.profile,
+      provider: hre.ethers.provider,
+      passphrase: options.passphrase || askPassphrase,
+    });
+  }
+
+  if (LOCAL_NETWORKS.includes(hre.network.name)) {
+    const signers = await hre.ethers.getSigners();
+    return signers[LOCAL_ACCOUNT_INDEX[role]];
+  }
+
+  const variable = ROLE_ENV_KEYS[role];
+  if (!options.allowEnvKeys) {
+    throw new UsageError(
+      `No key for the ${role} on ${hre.network.name}: pass --profile <name> (see \`escrow add-key\`), ` +
+        `or --allow-env-keys to use ${variable} from .env`
+    );
+  }
+  const key = process.env[variable];
+  if (!key) {
+    throw new UsageError(`${variable} is not set; cannot act as ${role} on ${hre.network.name}`);
+  }
+  return new hre.ethers.Wallet(key, hre.ethers.provider);
+}
+
+/**
+ * The role's address, without unlocking anything: enough to read what a
+ * wallet may do or which projects it takes part in.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} role
+ * @param {SignerOptions} [options]
+ */
+async function getRoleAddress(hre, role, options = {}) {
+  role = parseRole(role);
+  if (!options.profile) return (await getRoleSigner(hre, role, options)).address;
+  const { file, entry } = profileEntry(hre, role, options);
+  return entryAddress(file, entry, options.profile);
+}
+
+/** Signer options for the Hardhat scripts, which cannot take CLI flags: ESCROW_PROFILE, ESCROW_PROFILES, ALLOW_ENV_KEYS=1. */
+function signerOptionsFromEnv(env = process.env) {
+  return { profile: env.ESCROW_PROFILE, profiles: env.ESCROW_PROFILES, allowEnvKeys: env.ALLOW_ENV_KEYS === "1" };
+}
+
+module.exports = { LOCAL_NETWORKS, getRoleSigner, getRoleAddress, signerOptionsFromEnv };
@@ -0,0 +1,228 @@
+/**
+ * errors.js
+ *
+ * Named error classes for FreelancerEscrow reverts, so callers can branch on
+ * `err instanceof GracePeriodNotReachedError` instead of string-matching reasons.
+ */
+
+const { ethers } = require("ethers");
+
+// Selector of Solidity's Error(string), the revert data of require(condition, reason)
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+/**
+ * Base class for every revert raised by a FreelancerEscrow call.
+ * `reason` holds the raw require() message from the contract.
+ */
+class EscrowError extends Error {
+  constructor(reason, cause) {
+    super(reason);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    if (cause) this.cause = cause;
+  }
+}
+
+/** Caller does not hold the role the function requires (client, freelancer, mediator). */
+class UnauthorizedError extends EscrowError {}
+
+/** A signed action was not signed by the party it names (or is malformed). */
+class InvalidSignatureError extends UnauthorizedError {}
+
+/** A signed action is past its deadline, or its nonce has already been used. */
+class SignatureExpiredError extends EscrowError {}
+
+/** Function called while the contract is in the wrong State. */
+class InvalidStateError extends EscrowError {}
+
+/**
+ * Milestone index is out of range. A milestone that exists but is not in the status the
+ * call needs raises MilestoneNotCompletedError, MilestoneAlreadyCompletedError or DisputeStateError.
+ */
+class WrongMilestoneIndexError extends EscrowError {}
+
+/** Milestone has not been submitted by the freelancer yet. */
+class MilestoneNotCompletedError extends EscrowError {}
+
+/** Milestone was already submitted or approved. */
+class MilestoneAlreadyCompletedError extends EscrowError {}
+
+/** Milestone is (or is not) under dispute when the opposite is required. */
+class DisputeStateError extends EscrowError {}
+
+/** Auto-release or reclaim attempted before its waiting period elapsed. */
+class GracePeriodNotReachedError extends EscrowError {}
+
+/** msg.value does not match the required fee or stake. */
+class IncorrectPaymentError extends EscrowError {}
+
+/** An ERC-20 transfer failed: usually a missing allowance or balance. */
+class TokenTransferError extends EscrowError {}
+
+/** The payee rejected its ETH withdrawal (e.g. a contract wallet without a payable receive). */
+class WithdrawalFailedError extends EscrowError {}
+
+/** Constructor argument rejected by the contract. */
+class InvalidParameterError extends EscrowError {}
+
+// require() message -> error class. Keep in sync with the contracts in contracts/.
+const REVERT_REASONS = {
+  "Only the freelancer can deposit stake": UnauthorizedError,
+  "Only freelancer can mark completion": UnauthorizedError,
+  "Only client can approve": UnauthorizedError,
+  "Only client can request changes": UnauthorizedError,
+  "Only freelancer can retract": UnauthorizedError,
+  "Only client or freelancer can dispute": UnauthorizedError,
+  "Only the mediator can resolve": UnauthorizedError,
+  "Only freelancer can auto-release": UnauthorizedError,
+  "Only freelancer can withdraw stake": UnauthorizedError,
+  "Only client can cancel": UnauthorizedError,
+  "Only client can reclaim": UnauthorizedError,
+  "Only client or freelancer can terminate": UnauthorizedError,
+  "Only the proposer can revoke": UnauthorizedError,
+  "Proposer cannot accept": UnauthorizedError,
+  "Only client or freelancer can accept": UnauthorizedError,
+  "Initiator cannot accept": UnauthorizedError,
+  "Only the backup mediator can resolve": UnauthorizedError,
+  "Only client or freelancer can replace": UnauthorizedError,
+  "Only client or freelancer can submit evidence": UnauthorizedError,
+  "Only client or freelancer can amend": UnauthorizedError,
+  "Only owner can set fees": UnauthorizedError,
+  "Invalid signature": InvalidSignatureError,
+
+  "Signature expired": SignatureExpiredError,
+
+  "Contract must be in Created state": InvalidStateError,
+  "Not in InProgress state": InvalidStateError,
+  "Must be InProgress": InvalidStateError,
+  "Project not completed yet": InvalidStateError,
+  "Already initialized": InvalidStateError,
+  "Not a token escrow": InvalidStateError,
+  "Stake deadline passed": InvalidStateError,
+  "No delivery deadline": InvalidStateError,
+  "Termination already proposed": InvalidStateError,
+  "No termination proposed": InvalidStateError,
+  "Nothing to withdraw": InvalidStateError,
+  "Already voted": InvalidStateError,
+  "No backup mediator": InvalidStateError,
+  "Already escalated": InvalidStateError,
+  "Project is closed": InvalidStateError,
+  "Replacement already proposed": InvalidStateError,
+  "No replacement proposed": InvalidStateError,
+  "Evidence limit reached": InvalidStateError,
+  "Amendment already proposed": InvalidStateError,
+  "No amendment proposed": InvalidStateError,
+  "Amendment outdated": InvalidStateError,
+  "Prerequisites not settled": InvalidStateError,
+  "Revision limit reached": InvalidStateError,
+
+  "Wrong milestone index": WrongMilestoneIndexError,
+
+  "Milestone not completed": MilestoneNotCompletedError,
+  "Milestone not completed yet": MilestoneNotCompletedError,
+  "Already completed": MilestoneAlreadyCompletedError,
+  "Milestone already settled": MilestoneAlreadyCompletedError,
+
+  "Milestone under dispute": DisputeStateError,
+  "Milestone is disputed": DisputeStateError,
+  "Already under dispute": DisputeStateError,
+  "Milestone not in dispute": DisputeStateError,
+  "Dispute in progress": DisputeStateError,
+
+  "Grace period not reached": GracePeriodNotReachedError,
+  "Stake deadline not reached": GracePeriodNotReachedError,
+  "Delivery deadline not reached": GracePeriodNotReachedError,
+  "Escalation window not reached": GracePeriodNotReachedError,
+  "Response window not over": GracePeriodNotReachedError,
+
+  "Incorrect stake amount": IncorrectPaymentError,
+  "Must pay mediation fee": IncorrectPaymentError,
+  "Project fee required": IncorrectPaymentError,
+  "Milestone amounts must sum to project fee": IncorrectPaymentError,
+  "Project fee not funded": IncorrectPaymentError,
+  "ETH not accepted": IncorrectPaymentError,
+  "Incorrect top-up": IncorrectPaymentError,
+
+  "Token transfer failed": TokenTransferError,
+  "Withdrawal failed": WithdrawalFailedError,
+
+  "Invalid freelancer": InvalidParameterError,
+  "Invalid mediator": InvalidParameterError,
+  "Must have at least 1 milestone": InvalidParameterError,
+  "Milestone amount must be positive": InvalidParameterError,
+  "Invalid implementation": InvalidParameterError,
+  "Invalid token": InvalidParameterError,
+  "Invalid basis points": InvalidParameterError,
+  "Invalid mediation fee": InvalidParameterError,
+  "Invalid fee recipient": InvalidParameterError,
+  "Delivery windows must match milestones": InvalidParameterError,
+  "Prerequisites must match milestones": InvalidParameterError,
+  "Invalid prerequisites": InvalidParameterError,
+  "Slash exceeds remaining stake": InvalidParameterError,
+  "Duplicate mediator": InvalidParameterError,
+  "Too many mediators": InvalidParameterError,
+  "Invalid quorum": InvalidParameterError,
+  "Not a mediator": InvalidParameterError,
+  "Replacement mismatch": InvalidParameterError,
+  "Amendment mismatch": InvalidParameterError,
+  "Invalid CID": InvalidParameterError,
+  "Label too long": InvalidParameterError,
+};
+
+/**
+ * Pulls the require() message out of an ethers / Hardhat error, or returns null
+ * if the error is not a contract revert (network failure, bad argument, ...).
+ */
+function extractRevertReason(err) {
+  if (!err) return null;
+  if (typeof err.reason === "string" && err.reason) return err.reason;
+  if (err.revert && err.revert.args && err.revert.args.length) return String(err.revert.args[0]);
+  if (err.error && err.error.reason) return err.error.reason;
+
+  const message = err.message || "";
+  const match = message.match(/reverted with reason string '(.*)'/);
+  if (match) return match[1];
+
+  // Hardhat cannot always trace a revert back to its require(); the Error(string) it returned still has the message
+  const data = typeof err.data === "string" ? err.data : err.error && err.error.data;
+  if (typeof data === "string" && data.startsWith(ERROR_STRING_SELECTOR)) {
+    try {
+      return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+    } catch (decodeError) {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts a raw ethers error into the matching EscrowError subclass.
+ * Errors that are not reverts are returned unchanged.
+ */
+function decodeEscrowError(err) {
+  if (err instanceof EscrowError) return err;
+  const reason = extractRevertReason(err);
+  if (reason === null) return err;
+  const ErrorClass = REVERT_REASONS[reason] || EscrowError;
+  return new ErrorClass(reason, err);
+}
+
+module.exports = {
+  EscrowError,
+  UnauthorizedError,
+  InvalidSignatureError,
+  SignatureExpiredError,
+  InvalidStateError,
+  WrongMilestoneIndexError,
+  MilestoneNotCompletedError,
+  MilestoneAlreadyCompletedError,
+  DisputeStateError,
+  GracePeriodNotReachedError,
+  IncorrectPaymentError,
+  TokenTransferError,
+  WithdrawalFailedError,
+  InvalidParameterError,
+  REVERT_REASONS,
+  extractRevertReason,
+  decodeEscrowError,
+};
@@ -0,0 +1,82 @@
+/**
+ * ignition.js
+ *
+ * Reads back a FreelancerEscrow deployed with the Hardhat Ignition module in
+ * ignition/modules/FreelancerEscrow.js: the module's parameters file, the
+ * address Ignition recorded for the deployment, and a check that the contract
+ * holds what the parameters asked for.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const IGNITION_MODULE_ID = "FreelancerEscrowModule";
+
+// Ignition's id for the escrow contract future, as recorded in deployed_addresses.json
+const ESCROW_FUTURE_ID = `${IGNITION_MODULE_ID}#FreelancerEscrow`;
+
+/**
+ * Reads an Ignition parameters file and returns the module's parameters.
+ * As in Ignition, strings like "100n" are bigints.
+ * @param {string} file
+ */
+function loadIgnitionParameters(file) {
+  const parameters = JSON.parse(fs.readFileSync(file, "utf8"), (key, value) =>
+    typeof value === "string" && /^\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value
+  );
+  if (!parameters[IGNITION_MODULE_ID]) throw new Error(`${file} has no "${IGNITION_MODULE_ID}" parameters`);
+  return parameters[IGNITION_MODULE_ID];
+}
+
+/**
+ * The escrow address Ignition recorded in a deployment directory
+ * (ignition/deployments/chain-<chainId>, or the --deployment-id).
+ * @param {string} deploymentDir
+ */
+function deployedEscrowAddress(deploymentDir) {
+  const file = path.join(deploymentDir, "deployed_addresses.json");
+  if (!fs.existsSync(file)) throw new Error(`No Ignition deployment in ${deploymentDir}`);
+  const address = JSON.parse(fs.readFileSync(file, "utf8"))[ESCROW_FUTURE_ID];
+  if (!address) throw new Error(`${deploymentDir} has not deployed ${ESCROW_FUTURE_ID}`);
+  return ethers.getAddress(address);
+}
+
+// Comparable form of a parameter or a value read back: checksummed addresses, decimal amounts
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize).join(",");
+  if (typeof value === "string" && ethers.isAddress(value)) return ethers.getAddress(value);
+  return String(value);
+}
+
+/**
+ * Reads the escrow back and compares it with the module parameters it was deployed with.
+ * @param {import("./EscrowClient").EscrowClient} escrow
+ * @param {Object} parameters As loadIgnitionParameters returns them.
+ * @param {Object} [options]
+ * @param {string} [options.client] The account Ignition deployed from, which became the client.
+ * @returns {Promise<{ok: boolean, checks: Array<{field: string, expected: string, actual: string, ok: boolean}>}>}
+ */
+async function verifyEscrowDeployment(escrow, parameters, { client } = {}) {
+  const snapshot = await escrow.snapshot();
+  const actual = { ...snapshot, milestoneAmounts: snapshot.milestones.map((m) => m.amount) };
+  const expected = {
+    client,
+    freelancer: parameters.freelancer,
+    mediator: parameters.mediator,
+    projectFee: parameters.projectFee,
+    freelancerStake: parameters.freelancerStake,
+    milestoneAmounts: parameters.milestoneAmounts,
+    projectIpfsHash: parameters.projectIpfsHash,
+  };
+
+  const checks = Object.entries(expected)
+    .filter(([, value]) => value !== undefined)
+    .map(([field, value]) => {
+      const check = { field, expected: normalize(value), actual: normalize(actual[field]) };
+      return { ...check, ok: check.expected === check.actual };
+    });
+  return { ok: checks.every((check) => check.ok), checks };
+}
+
+module.exports = { IGNITION_MODULE_ID, loadIgnitionParameters, deployedEscrowAddress, verifyEscrowDeployment };
@@ -0,0 +1,45 @@
+const {
+  EscrowClient,
+  STATES,
+  MILESTONE_STATUSES,
+  decodeState,
+  toSchedule,
+  toPanel,
+  toPrerequisites,
+  fromPrerequisites,
+  sequentialDependencies,
+} = require("./EscrowClient");
+const { EscrowFactoryClient } = require("./EscrowFactoryClient");
+const errors = require("./errors");
+const token = require("./token");
+const indexer = require("./indexer");
+const notifier = require("./notifier");
+const api = require("./api");
+const preflight = require("./preflight");
+const signatures = require("./signatures");
+const ipfs = require("./ipfs");
+const manifest = require("./manifest");
+const ignition = require("./ignition");
+
+module.exports = {
+  EscrowClient,
+  EscrowFactoryClient,
+  STATES,
+  MILESTONE_STATUSES,
+  decodeState,
+  toSchedule,
+  toPanel,
+  toPrerequisites,
+  fromPrerequisites,
+  sequentialDependencies,
+  ...errors,
+  ...token,
+  ...indexer,
+  ...notifier,
+  ...api,
+  ...preflight,
+  ...signatures,
+  ...ipfs,
+  ...manifest,
+  ...ignition,
+};
@@ -0,0 +1,150 @@
+/**
+ * EscrowIndexer.js
+ *
+ * Rebuilds escrow history from FreelancerEscrow logs. `sync()` scans every
+ * tracked escrow from its checkpoint up to the latest block, decodes each log
+ * into a normalized event and stores it, so re-running only fetches new blocks.
+ */
+
+const { ethers } = require("ethers");
+const { loadArtifact } = require("../artifacts");
+const { EscrowClient } = require("../EscrowClient");
+
+// uint256 event arguments (or arrays of them) that are small counters/times rather than wei amounts
+const NUMERIC_ARGS = new Set([
+  "milestoneIndex",
+  "timestamp",
+  "freelancerShareBps",
+  "stakeSlashBps",
+  "votes",
+  "version",
+  "fromMilestone",
+  "round",
+  "deliveryWindows",
+]);
+
+/**
+ * Turns decoded log arguments into plain JSON: indices, times and basis
+ * points become numbers, wei amounts become decimal strings.
+ */
+function normalizeArgs(fragment, args) {
+  const out = {};
+  fragment.inputs.forEach((input, i) => {
+    const normalize = (value) => {
+      if (typeof value === "bigint") return NUMERIC_ARGS.has(input.name) ? Number(value) : value.toString();
+      return Array.isArray(value) ? value.map(normalize) : value;
+    };
+    out[input.name] = normalize(args[i]);
+  });
+  return out;
+}
+
+class EscrowIndexer {
+  /**
+   * @param {Object} options
+   * @param {ethers.Provider} options.provider
+   * @param {import("./JsonStore").JsonStore} options.store
+   * @param {string[]} [options.addresses] Escrows to track.
+   * @param {number} [options.startBlock] First block scanned for escrows without a checkpoint.
+   * @param {number} [options.batchSize] Maximum block span per getLogs call.
+   * @param {number} [options.confirmations] Blocks to stay behind the chain head.
+   */
+  constructor({ provider, store, addresses = [], startBlock = 0, batchSize = 2000, confirmations = 0 }) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.iface = new ethers.Interface(loadArtifact("FreelancerEscrow").abi);
+    this.addresses = [];
+    this.blockTimes = new Map();
+    addresses.forEach((address) => this.addAddress(address));
+  }
+
+  addAddress(address) {
+    address = ethers.getAddress(address);
+    if (!this.addresses.includes(address)) this.addresses.push(address);
+  }
+
+  /**
+   * Indexes every tracked escrow up to `toBlock` (default: latest minus confirmations).
+   * @returns {Promise<{toBlock: number, added: number}>}
+   */
+  async sync({ toBlock } = {}) {
+    if (toBlock === undefined) {
+      toBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+    }
+
+    let added = 0;
+    for (const address of this.addresses) {
+      added += await this._syncAddress(address, toBlock);
+    }
+    this.store.save();
+    return { toBlock, added };
+  }
+
+  async _syncAddress(address, toBlock) {
+    if (!this.store.getEscrow(address)) {
+      const escrow = EscrowClient.at(address, this.provider);
+      // The panel as of panelBlock; queries replay MediatorReplaced events around it
+      const panelBlock = await this.provider.getBlockNumber();
+      const [client, freelancer, mediator, mediators, numMilestones] = await Promise.all([
+        escrow.client(),
+        escrow.freelancer(),
+        escrow.mediator(),
+        escrow.contract.getMediators({ blockTag: panelBlock }).then((members) => [...members]),
+        escrow.numMilestones(),
+      ]);
+      // The schedule as it stands now; later amendments are replayed from their events
+      const milestones = [];
+      for (let i = 0; i < numMilestones; i++) {
+        const { deliveryWindow, dependsOn } = await escrow.getMilestoneStatus(i);
+        milestones.push({ deliveryWindow, dependsOn });
+      }
+      this.store.setEscrow(address, { client, freelancer, mediator, mediators, panelBlock, milestones });
+    }
+
+    const checkpoint = this.store.getCheckpoint(address);
+    let from = checkpoint === null ? this.startBlock : checkpoint + 1;
+    let added = 0;
+
+    while (from <= toBlock) {
+      const to = Math.min(from + this.batchSize - 1, toBlock);
+      const logs = await this.provider.getLogs({ address, fromBlock: from, toBlock: to });
+      const events = [];
+      for (const log of logs) {
+        const event = await this._decode(log);
+        if (event) events.push(event);
+      }
+      this.store.addEvents(events);
+      this.store.setCheckpoint(address, to);
+      added += events.length;
+      from = to + 1;
+    }
+    return added;
+  }
+
+  async _decode(log) {
+    const parsed = this.iface.parseLog(log);
+    if (!parsed) return null;
+    return {
+      address: ethers.getAddress(log.address),
+      event: parsed.name,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      timestamp: await this._blockTime(log.blockNumber),
+      args: normalizeArgs(parsed.fragment, parsed.args),
+    };
+  }
+
+  async _blockTime(blockNumber) {
+    if (!this.blockTimes.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      this.blockTimes.set(blockNumber, block.timestamp);
+    }
+    return this.blockTimes.get(blockNumber);
+  }
+}
+
+module.exports = { EscrowIndexer, normalizeArgs };
@@ -0,0 +1,86 @@
+/**
+ * JsonStore.js
+ *
+ * File-backed storage for the event indexer: per-escrow checkpoints, escrow
+ * metadata (parties and milestone schedule) and the normalized event timeline. Pass no path to keep
+ * everything in memory.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function emptyState() {
+  return { version: 1, escrows: {}, checkpoints: {}, events: [] };
+}
+
+function eventKey(event) {
+  return `${event.txHash}:${event.logIndex}`;
+}
+
+class JsonStore {
+  /**
+   * @param {string} [filePath] JSON file to load from and save to.
+   */
+  constructor(filePath) {
+    this.filePath = filePath || null;
+    this.state = emptyState();
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this.state = { ...emptyState(), ...JSON.parse(fs.readFileSync(this.filePath, "utf8")) };
+    }
+    this.keys = new Set(this.state.events.map(eventKey));
+  }
+
+  /** Last block fully indexed for `address`, or null if never indexed. */
+  getCheckpoint(address) {
+    const block = this.state.checkpoints[address.toLowerCase()];
+    return block === undefined ? null : block;
+  }
+
+  setCheckpoint(address, blockNumber) {
+    this.state.checkpoints[address.toLowerCase()] = blockNumber;
+  }
+
+  getEscrow(address) {
+    return this.state.escrows[address.toLowerCase()] || null;
+  }
+
+  setEscrow(address, meta) {
+    this.state.escrows[address.toLowerCase()] = { address, ...meta };
+  }
+
+  escrows() {
+    return Object.values(this.state.escrows);
+  }
+
+  /** Appends events, ignoring any already stored (same tx hash and log index). */
+  addEvents(events) {
+    for (const event of events) {
+      const key = eventKey(event);
+      if (this.keys.has(key)) continue;
+      this.keys.add(key);
+      this.state.events.push(event);
+    }
+    this.state.events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.address] Only events emitted by this escrow.
+   * @param {string|string[]} [filter.event] Only these event names.
+   */
+  events(filter = {}) {
+    const names = filter.event ? [].concat(filter.event) : null;
+    const address = filter.address ? filter.address.toLowerCase() : null;
+    return this.state.events.filter(
+      (e) => (!address || e.address.toLowerCase() === address) && (!names || names.includes(e.event))
+    );
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+  }
+}
+
+module.exports = { JsonStore };
@@ -0,0 +1,5 @@
+const { EscrowIndexer, normalizeArgs } = require("./EscrowIndexer");
+const { JsonStore } = require("./JsonStore");
+const queries = require("./queries");
+
+module.exports = { EscrowIndexer, JsonStore, normalizeArgs, ...queries };
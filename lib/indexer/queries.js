@@ -0,0 +1,400 @@
+/**
+ * queries.js
+ *
+ * Read-only views over an indexed event store, for dashboards and reports.
+ */
+
+const { fromPrerequisites } = require("../EscrowClient");
+
+// Mirrors FreelancerEscrowBase.MAX_BPS
+const MAX_BPS = 10000;
+
+const SETTLEMENT_EVENTS = {
+  MilestoneApproved: "approved",
+  AutoReleased: "auto-released",
+  DisputeResolved: "dispute-resolved",
+  DisputeAccepted: "dispute-accepted",
+};
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/** "freelancer" or "client" for a full award, "split" otherwise. */
+function winnerOf(freelancerShareBps) {
+  if (freelancerShareBps === MAX_BPS) return "freelancer";
+  if (freelancerShareBps === 0) return "client";
+  return "split";
+}
+
+/** Every event of one escrow, oldest first. */
+function timeline(store, address) {
+  return store.events({ address });
+}
+
+/** Puts `to` in the place of panel member `from`; replacing the backup mediator leaves the panel as it is. */
+function replaceMember(panel, from, to) {
+  const i = panel.findIndex((member) => sameAddress(member, from));
+  if (i !== -1) panel[i] = to;
+}
+
+/**
+ * The panel the escrow started the indexed history with. It was recorded at `panelBlock`, so the
+ * replacements up to then are undone, latest first; escrows indexed before panelBlock was
+ * recorded keep the panel as recorded.
+ */
+function initialPanel(escrow, replacements) {
+  const panel = [...(escrow.mediators || [escrow.mediator])];
+  if (escrow.panelBlock === undefined) return panel;
+  replacements
+    .filter((e) => e.blockNumber <= escrow.panelBlock)
+    .reverse()
+    .forEach((e) => replaceMember(panel, e.args.newMediator, e.args.oldMediator));
+  return panel;
+}
+
+/**
+ * All disputes mediated by `mediator`: those opened while it sat on the escrow's panel (alone or
+ * with others), those it joined the panel for by a replacement while they were open, and those
+ * escalated to it as the backup mediator. Each comes with its outcome if resolved.
+ * A dispute the other party conceded (DisputeAccepted) counts as resolved in the initiator's favour,
+ * with `acceptedBy` set.
+ */
+function disputesByMediator(store, mediator) {
+  const disputes = [];
+  for (const escrow of store.escrows()) {
+    const events = store.events({
+      address: escrow.address,
+      event: ["MilestoneDisputed", "DisputeResolved", "DisputeAccepted", "DisputeEscalated", "MediatorReplaced"],
+    });
+    const panel = initialPanel(escrow, events.filter((e) => e.event === "MediatorReplaced"));
+    const onPanel = () => panel.some((member) => sameAddress(member, mediator));
+    const mediated = new Set(); // MilestoneDisputed events `mediator` took part in
+    const open = new Map(); // milestone index -> its MilestoneDisputed event
+    for (const e of events) {
+      if (e.event === "MediatorReplaced") {
+        replaceMember(panel, e.args.oldMediator, e.args.newMediator);
+        if (onPanel()) open.forEach((opened) => mediated.add(opened));
+      } else if (e.event === "MilestoneDisputed") {
+        open.set(e.args.milestoneIndex, e);
+        if (onPanel()) mediated.add(e);
+      } else if (e.event === "DisputeEscalated") {
+        if (sameAddress(e.args.backupMediator, mediator)) mediated.add(open.get(e.args.milestoneIndex));
+      } else {
+        open.delete(e.args.milestoneIndex);
+      }
+    }
+
+    events.forEach((opened, i) => {
+      if (!mediated.has(opened)) return;
+      const later = events.slice(i + 1).filter((e) => e.args.milestoneIndex === opened.args.milestoneIndex);
+      const escalated = later.find((e) => e.event === "DisputeEscalated");
+      const closed = later.find((e) => e.event === "DisputeResolved" || e.event === "DisputeAccepted");
+      const accepted = closed && closed.event === "DisputeAccepted";
+      // A conceded dispute pays the whole milestone to the initiator's side, without a slash
+      const resolved = accepted
+        ? {
+            timestamp: closed.timestamp,
+            args: {
+              ...closed.args,
+              freelancerShareBps: sameAddress(opened.args.initiator, escrow.freelancer) ? MAX_BPS : 0,
+              stakeSlashed: "0",
+            },
+          }
+        : closed;
+
+      disputes.push({
+        address: escrow.address,
+        milestoneIndex: opened.args.milestoneIndex,
+        initiator: opened.args.initiator,
+        fee: opened.args.fee,
+        openedAt: opened.timestamp,
+        resolved: Boolean(resolved),
+        winner: resolved ? winnerOf(resolved.args.freelancerShareBps) : null,
+        freelancerShareBps: resolved ? resolved.args.freelancerShareBps : null,
+        freelancerAmount: resolved ? resolved.args.freelancerAmount : null,
+        clientAmount: resolved ? resolved.args.clientAmount : null,
+        stakeSlashed: resolved ? resolved.args.stakeSlashed : null,
+        resolvedAt: resolved ? resolved.timestamp : null,
+        acceptedBy: accepted ? closed.args.acceptedBy : null,
+        escalatedTo: escalated ? escalated.args.backupMediator : null,
+      });
+    });
+  }
+  return disputes;
+}
+
+/**
+ * Per milestone of one escrow: when it was last submitted (earlier submissions
+ * sent back for changes or retracted do not count), when (and how) it was paid
+ * out, and the seconds in between. Unsettled milestones have null times.
+ */
+function approvalTimes(store, address) {
+  const events = timeline(store, address);
+  return events
+    .filter(
+      (e, i) =>
+        e.event === "MilestoneCompleted" &&
+        !events
+          .slice(i + 1)
+          .some((later) => later.event === "MilestoneCompleted" && later.args.milestoneIndex === e.args.milestoneIndex)
+    )
+    .map((completed) => {
+      const settled = events.find(
+        (e) =>
+          SETTLEMENT_EVENTS[e.event] &&
+          e.args.milestoneIndex === completed.args.milestoneIndex &&
+          e.blockNumber >= completed.blockNumber
+      );
+      return {
+        milestoneIndex: completed.args.milestoneIndex,
+        completedAt: completed.timestamp,
+        settledAt: settled ? settled.timestamp : null,
+        outcome: settled ? SETTLEMENT_EVENTS[settled.event] : null,
+        seconds: settled ? settled.timestamp - completed.timestamp : null,
+      };
+    });
+}
+
+/**
+ * Everything that happened in the dispute over one milestone, for review by the
+ * parties: who opened it, the evidence each side attached, each panel vote,
+ * escalation, mediator replacements while it was open, and how it ended.
+ * Null if the milestone was never disputed.
+ */
+function caseFile(store, address, milestoneIndex) {
+  const events = timeline(store, address);
+  const start = events.findIndex(
+    (e) => e.event === "MilestoneDisputed" && e.args.milestoneIndex === milestoneIndex
+  );
+  if (start === -1) return null;
+
+  const opened = events[start];
+  const file = {
+    address: opened.address,
+    milestoneIndex,
+    initiator: opened.args.initiator,
+    fee: opened.args.fee,
+    openedAt: opened.timestamp,
+    evidence: [],
+    votes: [],
+    escalatedTo: null,
+    escalatedAt: null,
+    replacements: [],
+    outcome: null,
+    closedAt: null,
+  };
+
+  for (const e of events.slice(start + 1)) {
+    if (e.event === "EvidenceSubmitted" && e.args.milestoneIndex === milestoneIndex) {
+      file.evidence.push({ party: e.args.party, cid: e.args.cid, label: e.args.label, at: e.timestamp });
+    } else if (e.event === "MediatorVoted" && e.args.milestoneIndex === milestoneIndex) {
+      file.votes.push({
+        mediator: e.args.mediator,
+        freelancerShareBps: e.args.freelancerShareBps,
+        stakeSlashBps: e.args.stakeSlashBps,
+        votes: e.args.votes,
+        at: e.timestamp,
+      });
+    } else if (e.event === "DisputeEscalated" && e.args.milestoneIndex === milestoneIndex) {
+      file.escalatedTo = e.args.backupMediator;
+      file.escalatedAt = e.timestamp;
+    } else if (e.event === "MediatorReplaced") {
+      file.replacements.push({ oldMediator: e.args.oldMediator, newMediator: e.args.newMediator, at: e.timestamp });
+    } else if (e.event === "DisputeResolved" && e.args.milestoneIndex === milestoneIndex) {
+      file.outcome = {
+        type: "resolved",
+        winner: winnerOf(e.args.freelancerShareBps),
+        freelancerShareBps: e.args.freelancerShareBps,
+        freelancerAmount: e.args.freelancerAmount,
+        clientAmount: e.args.clientAmount,
+        stakeSlashed: e.args.stakeSlashed,
+      };
+      file.closedAt = e.timestamp;
+      break;
+    } else if (e.event === "DisputeAccepted" && e.args.milestoneIndex === milestoneIndex) {
+      file.outcome = {
+        type: "accepted",
+        acceptedBy: e.args.acceptedBy,
+        freelancerAmount: e.args.freelancerAmount,
+        clientAmount: e.args.clientAmount,
+      };
+      file.closedAt = e.timestamp;
+      break;
+    }
+  }
+  return file;
+}
+
+/**
+ * Replays one escrow's events into what reputation is built from: which
+ * milestones were settled, whether each settled milestone with a delivery
+ * window was submitted by its deadline (computed as the contract does: from
+ * when the milestone started, or its last change request if later), the
+ * disputes and their winners, and how the project ended.
+ *
+ * The schedule is the one recorded when the escrow was first indexed, with any
+ * amendments accepted since applied on top; escrows indexed without it have no
+ * known milestone count or deadlines.
+ */
+function projectOutcome(store, escrow) {
+  const schedule = escrow.milestones ? escrow.milestones.map((m) => ({ ...m })) : null;
+  const proposals = new Map(); // amendment version -> AmendmentProposed args
+  const submittedAt = new Map();
+  const revisedAt = new Map();
+  const settledAt = new Map();
+  const outcome = { deliveries: [], disputes: [], autoReleases: 0, ended: null, settled: 0, milestones: null };
+  let startedAt = null;
+
+  const dueOf = (index) => {
+    const { deliveryWindow, dependsOn } = schedule[index];
+    const start = Math.max(startedAt, ...dependsOn.map((i) => settledAt.get(i) || 0));
+    return Math.max(start, revisedAt.get(index) || 0) + deliveryWindow;
+  };
+  const settle = (e, deliveredAt) => {
+    const index = e.args.milestoneIndex;
+    if (schedule && schedule[index] && schedule[index].deliveryWindow > 0) {
+      const dueAt = dueOf(index);
+      outcome.deliveries.push({
+        milestoneIndex: index,
+        dueAt,
+        deliveredAt,
+        onTime: deliveredAt !== null && deliveredAt <= dueAt,
+      });
+    }
+    settledAt.set(index, e.timestamp);
+    outcome.settled++;
+  };
+  const closeDispute = (e, winner) => {
+    const dispute = outcome.disputes.find((d) => d.milestoneIndex === e.args.milestoneIndex);
+    if (dispute) dispute.winner = winner;
+  };
+
+  for (const e of timeline(store, escrow.address)) {
+    const index = e.args.milestoneIndex;
+    switch (e.event) {
+      case "StakeDeposited":
+        startedAt = e.timestamp;
+        break;
+      case "MilestoneCompleted":
+        submittedAt.set(index, e.timestamp);
+        break;
+      case "SubmissionRetracted":
+        submittedAt.delete(index);
+        break;
+      case "ChangesRequested":
+        submittedAt.delete(index);
+        revisedAt.set(index, e.timestamp);
+        break;
+      case "MilestoneDisputed":
+        outcome.disputes.push({ milestoneIndex: index, initiator: e.args.initiator, winner: null });
+        break;
+      case "MilestoneApproved":
+        settle(e, submittedAt.get(index));
+        break;
+      case "AutoReleased":
+        settle(e, submittedAt.get(index));
+        outcome.autoReleases++;
+        break;
+      case "DisputeResolved":
+        settle(e, submittedAt.get(index));
+        closeDispute(e, winnerOf(e.args.freelancerShareBps));
+        break;
+      case "DisputeAccepted":
+        settle(e, submittedAt.get(index));
+        closeDispute(e, sameAddress(e.args.acceptedBy, escrow.client) ? "freelancer" : "client");
+        break;
+      case "MilestoneReclaimed":
+        settle(e, null);
+        break;
+      case "AmendmentProposed":
+        proposals.set(e.args.version, e.args);
+        break;
+      case "AmendmentAccepted": {
+        const amendment = proposals.get(e.args.version);
+        if (!schedule || !amendment) break;
+        const { fromMilestone, milestoneAmounts, deliveryWindows, prerequisites } = amendment;
+        schedule.length = fromMilestone;
+        milestoneAmounts.forEach((_, i) =>
+          schedule.push({
+            deliveryWindow: deliveryWindows.length ? deliveryWindows[i] : 0,
+            dependsOn: prerequisites.length ? fromPrerequisites(BigInt(prerequisites[i])) : [],
+          })
+        );
+        break;
+      }
+      case "ProjectCancelled":
+        outcome.ended = "cancelled";
+        break;
+      case "ProjectExpired":
+        outcome.ended = "expired";
+        break;
+      case "ProjectTerminated":
+        outcome.ended = "terminated";
+        break;
+    }
+  }
+
+  if (schedule) {
+    outcome.milestones = schedule.length;
+    if (!outcome.ended && outcome.settled === schedule.length) outcome.ended = "completed";
+  }
+  return outcome;
+}
+
+/**
+ * Track record of `address` across every indexed escrow it was the client or
+ * freelancer of, computed only from stored events so the same store always
+ * gives the same figures. Per role: projects, how many were completed (every
+ * milestone settled) or ended early (cancelled, expired or terminated),
+ * disputes opened, won, lost or split, and auto-releases, which the freelancer
+ * had to force because the client did not review in time. The freelancer side
+ * also has delivery punctuality: settled milestones with a delivery window,
+ * how many were submitted by their deadline and how many the client reclaimed
+ * as overdue. `onTimeRate` is null when no milestone had a deadline.
+ */
+function reputation(store, address) {
+  const record = () => ({
+    projects: 0,
+    completed: 0,
+    endedEarly: 0,
+    disputesOpened: 0,
+    disputesWon: 0,
+    disputesLost: 0,
+    disputesSplit: 0,
+    autoReleases: 0,
+  });
+  const roles = {
+    freelancer: { ...record(), deliveries: 0, onTime: 0, onTimeRate: null, overdueReclaims: 0 },
+    client: record(),
+  };
+
+  for (const escrow of store.escrows()) {
+    const role = ["freelancer", "client"].find((r) => sameAddress(escrow[r], address));
+    if (!role) continue;
+    const outcome = projectOutcome(store, escrow);
+    const stats = roles[role];
+
+    stats.projects++;
+    if (outcome.ended === "completed") stats.completed++;
+    else if (outcome.ended) stats.endedEarly++;
+    stats.autoReleases += outcome.autoReleases;
+    for (const dispute of outcome.disputes) {
+      if (sameAddress(dispute.initiator, address)) stats.disputesOpened++;
+      if (dispute.winner === role) stats.disputesWon++;
+      else if (dispute.winner === "split") stats.disputesSplit++;
+      else if (dispute.winner) stats.disputesLost++;
+    }
+    if (role === "freelancer") {
+      stats.deliveries += outcome.deliveries.length;
+      stats.onTime += outcome.deliveries.filter((d) => d.onTime).length;
+      stats.overdueReclaims += outcome.deliveries.filter((d) => d.deliveredAt === null).length;
+    }
+  }
+
+  const { freelancer } = roles;
+  if (freelancer.deliveries > 0) freelancer.onTimeRate = freelancer.onTime / freelancer.deliveries;
+  return { address, asFreelancer: roles.freelancer, asClient: roles.client };
+}
+
+module.exports = { MAX_BPS, winnerOf, timeline, disputesByMediator, approvalTimes, caseFile, projectOutcome, reputation };
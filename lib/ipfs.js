@@ -0,0 +1,150 @@
+/**
+ * ipfs.js
+ *
+ * Computes IPFS CIDs locally, without a node or gateway, so evidence can be
+ * anchored on-chain before (or without) uploading it anywhere. The result is
+ * the CID `ipfs add --cid-version 1` gives the same bytes: 256 KiB chunks
+ * stored as raw leaves, joined by a balanced UnixFS DAG when there is more
+ * than one.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+const CHUNK_SIZE = 256 * 1024;
+const MAX_LINKS = 174;
+
+// Multicodec / multihash codes
+const RAW = 0x55;
+const DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+
+// UnixFS Data.DataType.File
+const UNIXFS_FILE = 2;
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+function varint(value) {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+function cidBytes(codec, block) {
+  const digest = crypto.createHash("sha256").update(block).digest();
+  return Buffer.concat([varint(1), varint(codec), varint(SHA2_256), varint(digest.length), digest]);
+}
+
+/** RFC 4648 base32, lower case and unpadded, behind the "b" multibase prefix. */
+function toBase32(bytes) {
+  let out = "b";
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  return out;
+}
+
+// Protobuf fields, as used by dag-pb and UnixFS
+function varintField(number, value) {
+  return Buffer.concat([varint(number << 3), varint(value)]);
+}
+
+function bytesField(number, value) {
+  return Buffer.concat([varint((number << 3) | 2), varint(value.length), value]);
+}
+
+/**
+ * A dag-pb UnixFS file node linking `children` ({ cid, size, tsize }): `size` counts
+ * file bytes, `tsize` the encoded blocks of the whole subtree.
+ */
+function fileNode(children) {
+  const size = children.reduce((sum, child) => sum + child.size, 0);
+  const data = Buffer.concat([
+    varintField(1, UNIXFS_FILE),
+    varintField(3, size),
+    ...children.map((child) => varintField(4, child.size)),
+  ]);
+  const links = children.map((child) =>
+    bytesField(2, Buffer.concat([bytesField(1, child.cid), bytesField(2, Buffer.alloc(0)), varintField(3, child.tsize)]))
+  );
+  const block = Buffer.concat([...links, bytesField(1, data)]);
+  const tsize = children.reduce((sum, child) => sum + child.tsize, block.length);
+  return { cid: cidBytes(DAG_PB, block), size, tsize };
+}
+
+function rootOf(leaves) {
+  let level = leaves;
+  while (level.length > 1) {
+    const parents = [];
+    for (let i = 0; i < level.length; i += MAX_LINKS) parents.push(fileNode(level.slice(i, i + MAX_LINKS)));
+    level = parents;
+  }
+  return toBase32(level[0].cid);
+}
+
+function leaf(chunk) {
+  return { cid: cidBytes(RAW, chunk), size: chunk.length, tsize: chunk.length };
+}
+
+/**
+ * @param {Uint8Array|string} data File contents (strings are UTF-8 encoded).
+ * @returns {string} CIDv1, e.g. "bafkrei..." for a single chunk or "bafybei..." for a DAG.
+ */
+function cidOf(data) {
+  const bytes = Buffer.from(data);
+  const leaves = [];
+  for (let offset = 0; offset < bytes.length || leaves.length === 0; offset += CHUNK_SIZE) {
+    leaves.push(leaf(bytes.subarray(offset, offset + CHUNK_SIZE)));
+  }
+  return rootOf(leaves);
+}
+
+/**
+ * Hashes a local file chunk by chunk, so large files are never fully loaded.
+ * @param {string} filePath
+ * @returns {string} CIDv1 of the file's contents.
+ */
+function cidOfFile(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    const leaves = [];
+    for (;;) {
+      // Fill a whole chunk: readSync may return less than asked for before the end of the file
+      let filled = 0;
+      let read;
+      do {
+        read = fs.readSync(fd, buffer, filled, CHUNK_SIZE - filled, null);
+        filled += read;
+      } while (read > 0 && filled < CHUNK_SIZE);
+      if (filled > 0 || leaves.length === 0) leaves.push(leaf(buffer.subarray(0, filled)));
+      if (filled < CHUNK_SIZE) break;
+    }
+    return rootOf(leaves);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Loose shape check for a CID string: CIDv0 ("Qm...", base58) or base32 CIDv1 ("b...").
+ * @param {string} value
+ */
+function isCid(value) {
+  return /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(value) || /^b[a-z2-7]{58,}$/.test(value);
+}
+
+module.exports = { CHUNK_SIZE, cidOf, cidOfFile, isCid };
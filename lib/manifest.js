@@ -0,0 +1,253 @@
+/**
+ * manifest.js
+ *
+ * The project manifest: the JSON document `projectIpfsHash` points to, with
+ * the project title and, per milestone, its title, acceptance criteria,
+ * amount, deadline and the earlier milestones it depends on. The schema is in manifest.schema.json; this module
+ * validates manifests against it, computes their CID offline and turns them
+ * into deploy params, so an escrow's milestones always match its manifest.
+ *
+ * The CID is taken over the canonical form (keys sorted, no whitespace), so
+ * it does not depend on how the file is formatted. Pin `canonicalManifest()`
+ * (e.g. `escrow manifest <file> --out project.json`) to make it fetchable.
+ */
+
+const fs = require("fs");
+const { parseUnits } = require("ethers");
+const { cidOf } = require("./ipfs");
+const { ETH_CURRENCY } = require("./token");
+
+const MANIFEST_VERSION = 1;
+
+// The contract takes any number of milestones; a manifest keeps deployments to a reviewable size
+const MAX_MILESTONES = 50;
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/** A manifest that does not follow the schema; `problems` lists every violation found. */
+class InvalidManifestError extends Error {
+  constructor(problems) {
+    super(`Invalid manifest: ${problems.join("; ")}`);
+    this.name = "InvalidManifestError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * @typedef {Object} ManifestMilestone
+ * @property {string} title
+ * @property {string[]} acceptanceCriteria What the client checks before approving.
+ * @property {string} amount Payment, as a decimal in the project's currency (e.g. "0.3" ETH or "300" USDC).
+ * @property {string|number} [deadline] Delivery time from the milestone's start: seconds or "7d", "36h", ...
+ * @property {number[]} [dependsOn] Indexes of earlier milestones that must be settled before this one starts.
+ */
+
+/**
+ * @typedef {Object} Manifest
+ * @property {number} version Always MANIFEST_VERSION.
+ * @property {string} title
+ * @property {string} [description]
+ * @property {ManifestMilestone[]} milestones
+ */
+
+/** "7d" / "36h" / "90" / 90 => seconds, or null when malformed. */
+function durationSeconds(value) {
+  if (Number.isInteger(value) && value >= 0) return value;
+  const match = typeof value === "string" ? value.trim().match(/^(\d+)([smhd]?)$/) : null;
+  return match ? Number(match[1]) * DURATION_UNITS[match[2] || "s"] : null;
+}
+
+function isText(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * Checks a parsed manifest against the schema.
+ * @param {any} manifest
+ * @returns {string[]} Every problem found; empty when the manifest is valid.
+ */
+function manifestProblems(manifest) {
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) return ["manifest must be a JSON object"];
+
+  const problems = [];
+  const known = ["version", "title", "description", "milestones"];
+  for (const key of Object.keys(manifest)) {
+    if (!known.includes(key)) problems.push(`unknown field "${key}"`);
+  }
+  if (manifest.version !== MANIFEST_VERSION) problems.push(`version must be ${MANIFEST_VERSION}`);
+  if (!isText(manifest.title)) problems.push("title is required");
+  if (manifest.description !== undefined && typeof manifest.description !== "string") {
+    problems.push("description must be a string");
+  }
+
+  const { milestones } = manifest;
+  if (!Array.isArray(milestones) || milestones.length === 0) {
+    problems.push("milestones must be a non-empty array");
+    return problems;
+  }
+  if (milestones.length > MAX_MILESTONES) problems.push(`at most ${MAX_MILESTONES} milestones`);
+
+  milestones.forEach((milestone, i) => {
+    const at = `milestones[${i}]`;
+    if (!milestone || typeof milestone !== "object" || Array.isArray(milestone)) {
+      problems.push(`${at} must be an object`);
+      return;
+    }
+    for (const key of Object.keys(milestone)) {
+      if (!["title", "acceptanceCriteria", "amount", "deadline", "dependsOn"].includes(key)) {
+        problems.push(`${at}: unknown field "${key}"`);
+      }
+    }
+    if (!isText(milestone.title)) problems.push(`${at}.title is required`);
+    const criteria = milestone.acceptanceCriteria;
+    if (!Array.isArray(criteria) || criteria.length === 0 || !criteria.every(isText)) {
+      problems.push(`${at}.acceptanceCriteria must be a non-empty list of strings`);
+    }
+    if (typeof milestone.amount !== "string" || !/^\d+(\.\d+)?$/.test(milestone.amount)) {
+      problems.push(`${at}.amount must be a decimal string, e.g. "0.5"`);
+    } else if (!/[1-9]/.test(milestone.amount)) {
+      problems.push(`${at}.amount must be positive`);
+    }
+    if (milestone.deadline !== undefined && durationSeconds(milestone.deadline) === null) {
+      problems.push(`${at}.deadline must be seconds or a duration like "7d"`);
+    }
+    const { dependsOn } = milestone;
+    if (
+      dependsOn !== undefined &&
+      (!Array.isArray(dependsOn) ||
+        new Set(dependsOn).size !== dependsOn.length ||
+        !dependsOn.every((j) => Number.isInteger(j) && j >= 0 && j < i))
+    ) {
+      problems.push(`${at}.dependsOn must list distinct indexes of earlier milestones`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * @param {any} manifest
+ * @returns {Manifest} The same manifest, once it is known to be valid.
+ * @throws {InvalidManifestError}
+ */
+function validateManifest(manifest) {
+  const problems = manifestProblems(manifest);
+  if (problems.length) throw new InvalidManifestError(problems);
+  return manifest;
+}
+
+/** Reads, parses and validates a manifest file. */
+function loadManifest(filePath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new InvalidManifestError([`${filePath}: ${err.message}`]);
+  }
+  return validateManifest(manifest);
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * The bytes a manifest is identified by: JSON with keys sorted and no whitespace.
+ * @param {Manifest} manifest
+ * @returns {string}
+ */
+function canonicalManifest(manifest) {
+  return JSON.stringify(sortKeys(validateManifest(manifest)));
+}
+
+/**
+ * CIDv1 of the canonical manifest, computed offline. Deploying from the manifest uses
+ * it as `projectIpfsHash`.
+ * @param {Manifest} manifest
+ * @returns {string}
+ */
+function manifestCid(manifest) {
+  return cidOf(canonicalManifest(manifest));
+}
+
+/**
+ * Deploy params taken from the manifest: milestone amounts (in `currency` base units),
+ * delivery windows, dependencies and the manifest's CID as `projectIpfsHash`.
+ * @param {Manifest} manifest
+ * @param {import("./token").Currency} [currency]
+ */
+function manifestParams(manifest, currency = ETH_CURRENCY) {
+  validateManifest(manifest);
+  const deliveryWindows = manifest.milestones.map((m) => (m.deadline === undefined ? 0 : durationSeconds(m.deadline)));
+  const dependsOn = manifest.milestones.map((m) => [...(m.dependsOn || [])].sort((a, b) => a - b));
+  return {
+    milestoneAmounts: manifest.milestones.map((m) => parseUnits(m.amount, currency.decimals)),
+    // No deadline anywhere => omit the windows, as deploy params without a schedule do
+    deliveryWindows: deliveryWindows.some((window) => window > 0) ? deliveryWindows : [],
+    // Likewise no dependency anywhere => every milestone starts with the project
+    dependsOn: dependsOn.some((indexes) => indexes.length) ? dependsOn : [],
+    projectIpfsHash: manifestCid(manifest),
+  };
+}
+
+/**
+ * Compares a manifest with a deployed escrow.
+ * @param {Manifest} manifest
+ * @param {import("./EscrowClient").EscrowSnapshot} snapshot
+ * @returns {string[]} Every mismatch; empty when the escrow was deployed from this manifest.
+ */
+function manifestMismatches(manifest, snapshot) {
+  const expected = manifestParams(manifest, snapshot.currency || ETH_CURRENCY);
+  const mismatches = [];
+  if (snapshot.projectIpfsHash !== expected.projectIpfsHash) {
+    mismatches.push(`projectIpfsHash is ${snapshot.projectIpfsHash}, the manifest's CID is ${expected.projectIpfsHash}`);
+  }
+  if (snapshot.milestones.length !== expected.milestoneAmounts.length) {
+    mismatches.push(`escrow has ${snapshot.milestones.length} milestones, the manifest ${expected.milestoneAmounts.length}`);
+    return mismatches;
+  }
+  snapshot.milestones.forEach((milestone, i) => {
+    if (milestone.amount !== expected.milestoneAmounts[i]) mismatches.push(`milestone #${i} amount differs`);
+    if (milestone.deliveryWindow !== (expected.deliveryWindows[i] || 0)) {
+      mismatches.push(`milestone #${i} deadline differs`);
+    }
+    if ((milestone.dependsOn || []).join() !== (expected.dependsOn[i] || []).join()) {
+      mismatches.push(`milestone #${i} dependencies differ`);
+    }
+  });
+  return mismatches;
+}
+
+/**
+ * Adds the manifest's milestone titles to a snapshot, plus `manifest: { title, cid, mismatches }`.
+ * Titles are only added when the milestone count matches.
+ * @param {import("./EscrowClient").EscrowSnapshot} snapshot
+ * @param {Manifest} manifest
+ */
+function withManifest(snapshot, manifest) {
+  const mismatches = manifestMismatches(manifest, snapshot);
+  const sameCount = snapshot.milestones.length === manifest.milestones.length;
+  return {
+    ...snapshot,
+    manifest: { title: manifest.title, cid: manifestCid(manifest), mismatches },
+    milestones: snapshot.milestones.map((milestone, i) =>
+      sameCount ? { ...milestone, title: manifest.milestones[i].title } : milestone
+    ),
+  };
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  InvalidManifestError,
+  manifestProblems,
+  validateManifest,
+  loadManifest,
+  canonicalManifest,
+  manifestCid,
+  manifestParams,
+  manifestMismatches,
+  withManifest,
+};
@@ -0,0 +1,294 @@
+/**
+ * EscrowWatcher.js
+ *
+ * Long-running watcher for FreelancerEscrow contracts. Each poll fetches the
+ * new logs of every watched escrow, turns them into notifications for the
+ * roles concerned and hands those to the sinks, then checks the review window
+ * of every submitted milestone against the chain's time.
+ *
+ * It polls rather than subscribes, staying `confirmations` blocks behind the
+ * head. The hash of each poll's head block is kept; if one is no longer on the
+ * chain, the watcher rescans from the last head that still is and re-reads the
+ * escrows' submissions. Every log is notified at most once (by transaction
+ * hash and log index), so a rescan only sends what is new. A sink that fails
+ * is retried on the following polls; ids are forgotten once their block is
+ * too deep to be rescanned, or for alerts once the submission is gone.
+ */
+
+const { ethers } = require("ethers");
+const { loadArtifact } = require("../artifacts");
+const { EscrowClient } = require("../EscrowClient");
+const { normalizeArgs } = require("../indexer");
+const { eventNotification, reviewAlerts } = require("./notifications");
+const { accepts } = require("./sinks");
+
+// Events after which a submitted milestone no longer waits for the client's review
+const REVIEW_ENDS = new Set([
+  "ChangesRequested",
+  "SubmissionRetracted",
+  "MilestoneApproved",
+  "AutoReleased",
+  "MilestoneDisputed",
+  "MilestoneReclaimed",
+]);
+
+class EscrowWatcher {
+  /**
+   * @param {Object} options
+   * @param {ethers.Provider} options.provider
+   * @param {string[]} [options.addresses] Escrows to watch.
+   * @param {Array<{send: Function, roles?: string[]}>} [options.sinks] See sinks.js.
+   * @param {number} [options.startBlock] First block to notify about (default: the head at the first poll).
+   * @param {number} [options.confirmations] Blocks to stay behind the chain head.
+   * @param {number} [options.pollInterval] Milliseconds between polls in `start()`.
+   * @param {number} [options.alertBefore] Seconds before a review window closes to warn the client (default 12h).
+   * @param {number} [options.batchSize] Maximum block span per getLogs call.
+   * @param {number} [options.reorgDepth] Poll heads kept to detect reorgs.
+   * @param {number} [options.retries] Polls on which a failed sink is tried again before giving up.
+   * @param {(error: Error, notification?: Object) => void} [options.onError] Called for failed polls and sends;
+   *        the watcher carries on.
+   */
+  constructor({
+    provider,
+    addresses = [],
+    sinks = [],
+    startBlock,
+    confirmations = 0,
+    pollInterval = 15000,
+    alertBefore = 12 * 60 * 60,
+    batchSize = 2000,
+    reorgDepth = 12,
+    retries = 3,
+    onError = (error) => console.error(`❌ ${error.message}`),
+  }) {
+    this.provider = provider;
+    this.sinks = sinks;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.pollInterval = pollInterval;
+    this.alertBefore = alertBefore;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.retries = retries;
+    this.onError = onError;
+    this.iface = new ethers.Interface(loadArtifact("FreelancerEscrow").abi);
+    this.escrows = new Map(); // address -> { parties, reviewWindow, submissions } once loaded
+    // notification id -> { notification, pending: sinks yet to take it, attempts, taken: whether any sink did }
+    this.sent = new Map();
+    this.delivered = 0;
+    this.heads = [];
+    this.cursor = null;
+    this.firstBlock = null;
+    this.blockTimes = new Map();
+    this.running = false;
+    addresses.forEach((address) => this.addAddress(address));
+  }
+
+  /** Watches another escrow from the next poll on. */
+  addAddress(address) {
+    address = ethers.getAddress(address);
+    if (!this.escrows.has(address)) this.escrows.set(address, null);
+  }
+
+  /**
+   * Notifies about everything up to the head (minus confirmations) since the last poll.
+   * `sent` counts the notifications at least one sink took.
+   * @returns {Promise<{fromBlock: number, toBlock: number, sent: number, reorged: boolean}>}
+   */
+  async poll() {
+    const reorged = await this._rewind();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    if (this.cursor === null) {
+      this.cursor = this.startBlock === undefined ? head : this.startBlock - 1;
+      this.firstBlock = this.cursor + 1;
+    }
+    for (const [address, state] of this.escrows) {
+      if (!state) await this._load(address);
+    }
+
+    const fromBlock = this.cursor + 1;
+    let sent = await this._retry();
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const logs = await this.provider.getLogs({ address: [...this.escrows.keys()], fromBlock: from, toBlock: to });
+      for (const log of logs) sent += await this._handle(log);
+      this.cursor = to;
+    }
+
+    const block = await this.provider.getBlock(head);
+    this.heads.push({ number: head, hash: block.hash });
+    if (this.heads.length > this.reorgDepth) this.heads.shift();
+    sent += await this._alert(block.timestamp);
+    this._prune(Math.min(head - this.reorgDepth, this.heads[0].number));
+    return { fromBlock, toBlock: head, sent, reorged };
+  }
+
+  /** Polls every `pollInterval` ms until `stop()` is called; resolves once stopped. */
+  async start() {
+    this.running = true;
+    while (this.running) {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.onError(error);
+      }
+      if (!this.running) break;
+      await new Promise((resolve) => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, this.pollInterval);
+      });
+    }
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+  }
+
+  /** Drops poll heads that are no longer on the chain; true if there were any. */
+  async _rewind() {
+    let reorged = false;
+    while (this.heads.length) {
+      const last = this.heads[this.heads.length - 1];
+      const block = await this.provider.getBlock(last.number);
+      if (block && block.hash === last.hash) break;
+      this.heads.pop();
+      reorged = true;
+    }
+    if (reorged) {
+      this.cursor = this.heads.length ? this.heads[this.heads.length - 1].number : this.firstBlock - 1;
+      this.blockTimes.clear();
+      for (const address of this.escrows.keys()) this.escrows.set(address, null);
+    }
+    return reorged;
+  }
+
+  /** Reads the parties, review window and currently submitted milestones of an escrow. */
+  async _load(address) {
+    const escrow = EscrowClient.at(address, this.provider);
+    const [client, freelancer, mediators, reviewWindow, numMilestones] = await Promise.all([
+      escrow.client(),
+      escrow.freelancer(),
+      escrow.mediators(),
+      escrow.reviewWindow(),
+      escrow.numMilestones(),
+    ]);
+    const submissions = new Map(); // milestone index -> submitted at
+    for (let i = 0; i < numMilestones; i++) {
+      const { status, timestamp } = await escrow.getMilestoneStatus(i);
+      if (status === "Submitted") submissions.set(i, timestamp);
+    }
+    this.escrows.set(address, { parties: { client, freelancer, mediators }, reviewWindow, submissions });
+  }
+
+  async _handle(log) {
+    const parsed = this.iface.parseLog(log);
+    if (!parsed) return 0;
+    const event = {
+      address: ethers.getAddress(log.address),
+      event: parsed.name,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      timestamp: await this._blockTime(log.blockNumber),
+      args: normalizeArgs(parsed.fragment, parsed.args),
+    };
+
+    const state = this.escrows.get(event.address);
+    const index = event.args.milestoneIndex;
+    if (event.event === "MilestoneCompleted") state.submissions.set(index, event.timestamp);
+    else if (REVIEW_ENDS.has(event.event)) state.submissions.delete(index);
+    else if (event.event === "ProjectTerminated") state.submissions.clear();
+    else if (event.event === "MediatorReplaced") {
+      const { mediators } = state.parties;
+      state.parties.mediators = mediators.map((m) => (m === event.args.oldMediator ? event.args.newMediator : m));
+    }
+    return this._notify(eventNotification(event, state.parties));
+  }
+
+  async _alert(now) {
+    let sent = 0;
+    for (const [address, { parties, reviewWindow, submissions }] of this.escrows) {
+      for (const [milestoneIndex, submittedAt] of submissions) {
+        const alerts = reviewAlerts({
+          address,
+          milestoneIndex,
+          submittedAt,
+          reviewWindow,
+          alertBefore: this.alertBefore,
+          now,
+          parties,
+        });
+        for (const alert of alerts) sent += await this._notify(alert);
+      }
+    }
+    return sent;
+  }
+
+  /** Sends a notification to every sink that takes it, once; 1 if a sink took it, 0 otherwise. */
+  async _notify(notification) {
+    if (!notification || this.sent.has(notification.id)) return 0;
+    const pending = this.sinks.filter((sink) => accepts(sink, notification));
+    const entry = { notification, pending, attempts: 0, taken: false };
+    this.sent.set(notification.id, entry);
+    return this._deliver(entry);
+  }
+
+  /** Tries the sinks that failed on earlier polls again; counts the notifications now taken for the first time. */
+  async _retry() {
+    let sent = 0;
+    for (const entry of this.sent.values()) {
+      if (entry.pending.length) sent += await this._deliver(entry);
+    }
+    return sent;
+  }
+
+  // Sends to the entry's pending sinks, keeping those that fail for the next poll (up to `retries` times)
+  async _deliver(entry) {
+    const failed = [];
+    for (const sink of entry.pending) {
+      try {
+        await sink.send(entry.notification);
+      } catch (error) {
+        failed.push(sink);
+        this.onError(error, entry.notification);
+      }
+    }
+    const took = failed.length < entry.pending.length;
+    entry.pending = entry.attempts++ < this.retries ? failed : [];
+    if (!took || entry.taken) return 0;
+    entry.taken = true;
+    this.delivered++;
+    return 1;
+  }
+
+  /**
+   * Forgets event notifications from blocks up to `block`, which a rescan can no longer reach,
+   * and alerts about submissions that have since been reviewed or replaced.
+   */
+  _prune(block) {
+    for (const [id, { notification }] of this.sent) {
+      if (notification.kind === "event" ? notification.blockNumber <= block : this._alertExpired(notification)) {
+        this.sent.delete(id);
+      }
+    }
+  }
+
+  // An alert's id holds its submission's time, so it can go once that submission is no longer the pending one
+  _alertExpired({ address, milestoneIndex, closesAt }) {
+    const state = this.escrows.get(address);
+    if (!state || !state.submissions.has(milestoneIndex)) return Boolean(state);
+    return state.submissions.get(milestoneIndex) + state.reviewWindow !== closesAt;
+  }
+
+  async _blockTime(blockNumber) {
+    if (!this.blockTimes.has(blockNumber)) {
+      const block = await this.provider.getBlock(blockNumber);
+      this.blockTimes.set(blockNumber, block.timestamp);
+    }
+    return this.blockTimes.get(blockNumber);
+  }
+}
+
+module.exports = { EscrowWatcher };
@@ -0,0 +1,5 @@
+const { EscrowWatcher } = require("./EscrowWatcher");
+const notifications = require("./notifications");
+const sinks = require("./sinks");
+
+module.exports = { EscrowWatcher, ...notifications, ...sinks };
@@ -0,0 +1,209 @@
+/**
+ * notifications.js
+ *
+ * Turns decoded escrow events into notifications addressed to roles: who needs
+ * to hear about each event, and what to tell them.
+ */
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/** "client", "freelancer", "mediator" or null for an address of the escrow's parties. */
+function roleOf(parties, address) {
+  if (sameAddress(parties.client, address)) return "client";
+  if (sameAddress(parties.freelancer, address)) return "freelancer";
+  if (parties.mediators.some((member) => sameAddress(member, address))) return "mediator";
+  return null;
+}
+
+const milestone = (args) => `milestone #${args.milestoneIndex}`;
+
+/**
+ * Per event: the roles told about it and the message. With `by`, the event names
+ * the party who acted in that argument, and the other of client and freelancer is
+ * told as well (`actor` is that party's role).
+ */
+const EVENT_ROUTES = {
+  StakeDeposited: {
+    roles: ["client"],
+    message: () => "🔐 The freelancer deposited the stake; the project has started",
+  },
+  MilestoneCompleted: {
+    roles: ["client"],
+    message: (args) => `📬 Milestone #${args.milestoneIndex} was submitted for review`,
+  },
+  SubmissionRetracted: {
+    roles: ["client"],
+    message: (args) => `↩️ The freelancer took back the submission of ${milestone(args)}`,
+  },
+  MilestoneApproved: {
+    roles: ["freelancer"],
+    message: (args) => `✅ Milestone #${args.milestoneIndex} was approved`,
+  },
+  ChangesRequested: {
+    roles: ["freelancer"],
+    message: (args) => `🔁 Changes requested on ${milestone(args)} (round ${args.round}): ${args.reasonCid}`,
+  },
+  MilestoneDisputed: {
+    by: "initiator",
+    roles: ["mediator"],
+    message: (args, actor) => `⚖️ Milestone #${args.milestoneIndex} was disputed by the ${actor}`,
+  },
+  EvidenceSubmitted: {
+    by: "party",
+    roles: ["mediator"],
+    message: (args, actor) => `📎 The ${actor} attached evidence to ${milestone(args)}: ${args.cid}`,
+  },
+  MediatorVoted: {
+    roles: ["client", "freelancer", "mediator"],
+    message: (args) => `🗳️ A mediator voted on ${milestone(args)} (${args.votes} vote(s) for that outcome)`,
+  },
+  DisputeEscalated: {
+    roles: ["client", "freelancer", "mediator"],
+    message: (args) => `⚠️ The dispute over ${milestone(args)} was escalated to ${args.backupMediator}`,
+  },
+  DisputeResolved: {
+    roles: ["client", "freelancer", "mediator"],
+    message: (args) =>
+      `✅ The dispute over ${milestone(args)} was resolved: ${args.freelancerShareBps / 100}% to the freelancer`,
+  },
+  DisputeAccepted: {
+    by: "acceptedBy",
+    roles: ["mediator"],
+    message: (args, actor) => `🤝 The ${actor} conceded the dispute over ${milestone(args)}`,
+  },
+  AutoReleased: {
+    roles: ["client", "freelancer"],
+    message: (args) => `⏰ Milestone #${args.milestoneIndex} was auto-released after the review window`,
+  },
+  MilestoneReclaimed: {
+    roles: ["client", "freelancer"],
+    message: (args) => `⌛ Milestone #${args.milestoneIndex} was overdue and the client took it back`,
+  },
+  TerminationProposed: {
+    by: "proposer",
+    message: (args, actor) => `🚪 The ${actor} proposed terminating the project`,
+  },
+  TerminationRevoked: {
+    by: "proposer",
+    message: (args, actor) => `🚪 The ${actor} withdrew their termination proposal`,
+  },
+  ProjectTerminated: {
+    roles: ["client", "freelancer"],
+    message: () => "🚪 The project was terminated",
+  },
+  ProjectCancelled: {
+    roles: ["freelancer"],
+    message: () => "🚫 The client cancelled the project",
+  },
+  ProjectExpired: {
+    roles: ["client", "freelancer"],
+    message: () => "🚫 The stake was never deposited; the project fee went back to the client",
+  },
+  AmendmentProposed: {
+    by: "proposer",
+    message: (args, actor) => `✏️ The ${actor} proposed amendment v${args.version}`,
+  },
+  AmendmentRevoked: {
+    by: "proposer",
+    message: (args, actor) => `✏️ The ${actor} withdrew amendment v${args.version}`,
+  },
+  AmendmentAccepted: {
+    roles: ["client", "freelancer"],
+    message: (args) => `✏️ Amendment v${args.version} was accepted`,
+  },
+  MediatorReplacementProposed: {
+    by: "proposer",
+    message: (args, actor) => `🔁 The ${actor} proposed replacing mediator ${args.oldMediator} with ${args.newMediator}`,
+  },
+  MediatorReplaced: {
+    roles: ["client", "freelancer", "mediator"],
+    message: (args) => `🔁 Mediator ${args.oldMediator} was replaced by ${args.newMediator}`,
+  },
+};
+
+/** The addresses holding each role, for sinks that deliver to people rather than roles. */
+function recipientsFor(parties, roles) {
+  const recipients = {};
+  for (const role of roles) recipients[role] = role === "mediator" ? parties.mediators : parties[role];
+  return recipients;
+}
+
+/**
+ * The notification for an indexed event (see EscrowIndexer), or null for events
+ * nobody is told about (payments credited, withdrawals, ...).
+ * @param {Object} event Normalized event: address, event, blockNumber, txHash, logIndex, timestamp, args.
+ * @param {{client: string, freelancer: string, mediators: string[]}} parties
+ */
+function eventNotification(event, parties) {
+  const route = EVENT_ROUTES[event.event];
+  if (!route) return null;
+
+  const roles = [...(route.roles || [])];
+  let actor = null;
+  if (route.by) {
+    actor = roleOf(parties, event.args[route.by]);
+    const counterparty = { client: "freelancer", freelancer: "client" }[actor];
+    if (counterparty && !roles.includes(counterparty)) roles.unshift(counterparty);
+  }
+  return {
+    id: `${event.txHash}:${event.logIndex}`,
+    kind: "event",
+    type: event.event,
+    address: event.address,
+    milestoneIndex: event.args.milestoneIndex === undefined ? null : event.args.milestoneIndex,
+    roles,
+    recipients: recipientsFor(parties, roles),
+    message: route.message(event.args, actor),
+    timestamp: event.timestamp,
+    blockNumber: event.blockNumber,
+    txHash: event.txHash,
+    args: event.args,
+  };
+}
+
+/**
+ * Review window alerts for one submitted milestone at chain time `now`: the
+ * client is warned `alertBefore` seconds before the window closes, and both
+ * parties are told once auto-release is available. Each alert's id is stable,
+ * so callers can tell which ones they already sent.
+ */
+function reviewAlerts({ address, milestoneIndex, submittedAt, reviewWindow, alertBefore, now, parties }) {
+  const closesAt = submittedAt + reviewWindow;
+  const alert = (type, roles, message) => ({
+    id: `${address}:${milestoneIndex}:${type}:${submittedAt}`,
+    kind: "alert",
+    type,
+    address,
+    milestoneIndex,
+    roles,
+    recipients: recipientsFor(parties, roles),
+    message,
+    timestamp: now,
+    closesAt,
+  });
+
+  if (now >= closesAt) {
+    return [
+      alert(
+        "auto-release-available",
+        ["client", "freelancer"],
+        `⏰ The review window of milestone #${milestoneIndex} has closed; the freelancer can auto-release it`
+      ),
+    ];
+  }
+  if (now >= closesAt - alertBefore) {
+    const hours = Math.ceil((closesAt - now) / 3600);
+    return [
+      alert(
+        "review-window-closing",
+        ["client"],
+        `⏳ The review window of milestone #${milestoneIndex} closes in ${hours}h; approve, dispute or request changes before then`
+      ),
+    ];
+  }
+  return [];
+}
+
+module.exports = { EVENT_ROUTES, roleOf, eventNotification, reviewAlerts };
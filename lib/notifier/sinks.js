@@ -0,0 +1,68 @@
+/**
+ * sinks.js
+ *
+ * Where EscrowWatcher delivers notifications. A sink is any object with an
+ * async `send(notification)`; `roles`, when set, limits it to notifications
+ * addressed to at least one of those roles.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/** Prints each notification's message (or, with `json`, the whole notification as one line). */
+function stdoutSink({ roles, json = false, log = console.log } = {}) {
+  return {
+    roles,
+    async send(notification) {
+      if (json) {
+        log(JSON.stringify(notification));
+        return;
+      }
+      const to = notification.roles.join(", ");
+      log(`[${new Date(notification.timestamp * 1000).toISOString()}] ${notification.address} → ${to}: ${notification.message}`);
+    },
+  };
+}
+
+/** POSTs each notification as JSON to `url`; any non-2xx answer is an error. */
+function webhookSink(url, { roles, headers = {}, fetch = globalThis.fetch } = {}) {
+  return {
+    roles,
+    async send(notification) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...headers },
+        body: JSON.stringify(notification),
+      });
+      if (!response.ok) throw new Error(`Webhook ${url} answered ${response.status}`);
+    },
+  };
+}
+
+/**
+ * Writes each notification as its own JSON file in `dir`, named so they sort in
+ * the order they were sent. Files appear whole (written, then renamed), so a
+ * consumer can process and delete them as they arrive.
+ */
+function fileQueueSink(dir, { roles } = {}) {
+  let sequence = 0;
+  return {
+    roles,
+    async send(notification) {
+      fs.mkdirSync(dir, { recursive: true });
+      const hash = crypto.createHash("sha256").update(notification.id).digest("hex").slice(0, 12);
+      const name = `${Date.now()}-${String(sequence++).padStart(6, "0")}-${hash}.json`;
+      const tmp = path.join(dir, `.${name}.tmp`);
+      fs.writeFileSync(tmp, JSON.stringify(notification, null, 2));
+      fs.renameSync(tmp, path.join(dir, name));
+    },
+  };
+}
+
+/** Whether `sink` takes `notification`, given the roles it is limited to. */
+function accepts(sink, notification) {
+  return !sink.roles || sink.roles.some((role) => notification.roles.includes(role));
+}
+
+module.exports = { stdoutSink, webhookSink, fileQueueSink, accepts };
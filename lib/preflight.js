@@ -0,0 +1,475 @@
+/**
+ * preflight.js
+ *
+ * "What can I do right now": which escrow actions a wallet may take, read off
+ * an EscrowSnapshot. Each check mirrors the contract function's require()s in
+ * their order and with their messages, so a blocked action carries the same
+ * EscrowError a revert would (plus, for waiting periods, when it opens up).
+ * Writes can additionally be simulated with staticCall before they are sent;
+ * see EscrowClient's `simulate` option.
+ */
+
+const { decodeEscrowError } = require("./errors");
+
+// Mirror FreelancerEscrowBase's constants
+const MAX_BPS = 10000;
+const MAX_REVISIONS = 3;
+const MAX_EVIDENCE = 10;
+const MAX_CID_LENGTH = 100;
+const MAX_LABEL_LENGTH = 64;
+
+// States before contractState reaches Completed, in which the panel can still be changed
+const OPEN_STATES = ["Created", "InProgress"];
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/** Throws the EscrowError the contract's require(condition, reason) would revert with. */
+function check(condition, reason) {
+  if (!condition) throw decodeEscrowError({ reason });
+}
+
+/** Like check(now >= at, reason), remembering when the action becomes possible. */
+function checkTime(now, at, reason) {
+  if (now >= at) return;
+  const error = decodeEscrowError({ reason });
+  error.availableAt = at;
+  throw error;
+}
+
+function isParty(snapshot, from) {
+  return sameAddress(from, snapshot.client) || sameAddress(from, snapshot.freelancer);
+}
+
+function isMediator(snapshot, account) {
+  return snapshot.panel.mediators.some((m) => sameAddress(account, m));
+}
+
+/** Mirrors the contract's CID length check. */
+function validCid(cid) {
+  const length = Buffer.byteLength(cid);
+  return length > 0 && length <= MAX_CID_LENGTH;
+}
+
+/** Mirrors the contract's _requireOpen. */
+function openMilestone(snapshot, index) {
+  check(index < snapshot.numMilestones, "Wrong milestone index");
+  const milestone = snapshot.milestones[index];
+  check(milestone.settledAt === null, "Milestone already settled");
+  return milestone;
+}
+
+/** Mirrors the contract's _requireSubmitted. */
+function submittedMilestone(snapshot, index) {
+  const milestone = openMilestone(snapshot, index);
+  check(milestone.completed, "Milestone not completed");
+  check(!milestone.disputed, "Milestone under dispute");
+  return milestone;
+}
+
+/** The open dispute over `index`; reverts like `require(milestones[index].disputed)`. */
+function disputeOf(snapshot, index) {
+  const milestone = snapshot.milestones[index];
+  check(milestone && milestone.disputed, "Milestone not in dispute");
+  return milestone.dispute;
+}
+
+/** Mirrors _amendmentCost's checks of the proposed milestones, replacing those from `from` on. */
+function checkAmendment(snapshot, [milestoneAmounts, deliveryWindows, prerequisites]) {
+  const from = snapshot.firstAmendableMilestone;
+  check(milestoneAmounts.length > 0 || snapshot.settledMilestones < from, "Must have at least 1 milestone");
+  check(
+    deliveryWindows.length === 0 || deliveryWindows.length === milestoneAmounts.length,
+    "Delivery windows must match milestones"
+  );
+  check(
+    prerequisites.length === 0 || prerequisites.length === milestoneAmounts.length,
+    "Prerequisites must match milestones"
+  );
+  milestoneAmounts.forEach((amount, i) => {
+    check(BigInt(amount) > 0n, "Milestone amount must be positive");
+    check(prerequisites.length === 0 || BigInt(prerequisites[i]) >> BigInt(from + i) === 0n, "Invalid prerequisites");
+  });
+}
+
+/** Whether acceptAmendment's arguments repeat the pending proposal. */
+function sameAmendment(amendment, [milestoneAmounts, deliveryWindows, prerequisites, newIpfsHash]) {
+  const same = (a, b) => a.length === b.length && a.every((value, i) => BigInt(value) === BigInt(b[i]));
+  return (
+    same(milestoneAmounts, amendment.milestoneAmounts) &&
+    same(deliveryWindows, amendment.deliveryWindows) &&
+    same(prerequisites, amendment.prerequisites) &&
+    newIpfsHash === amendment.projectIpfsHash
+  );
+}
+
+/** Mirrors mediationFeeFor(index). */
+function mediationFeeFor(snapshot, index) {
+  if (snapshot.mediationFeeBps === 0) return snapshot.mediationFee;
+  return (snapshot.milestones[index].amount * BigInt(snapshot.mediationFeeBps)) / BigInt(MAX_BPS);
+}
+
+/**
+ * Per action (named like the CLI commands): the contract method, whether it
+ * takes a milestone index, its checks and the payment it takes.
+ * `check(snapshot, from, index, args, credits)` throws the EscrowError of the
+ * first require() that would fail; `args` are the call's arguments after the index.
+ * Checks of the arguments themselves (a CID, an amendment, a replacement) only run
+ * when they are given, so without them an action is listed by state and role.
+ */
+const ESCROW_ACTIONS = {
+  "deposit-stake": {
+    method: "freelancerDepositStake",
+    perMilestone: false,
+    check(snapshot, from) {
+      check(snapshot.contractState === "Created", "Contract must be in Created state");
+      check(sameAddress(from, snapshot.freelancer), "Only the freelancer can deposit stake");
+      check(snapshot.blockTimestamp <= snapshot.stakeDeadline, "Stake deadline passed");
+    },
+    payment: (snapshot) => snapshot.freelancerStake,
+  },
+  complete: {
+    method: "markMilestoneCompleted",
+    perMilestone: true,
+    check(snapshot, from, index) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      check(sameAddress(from, snapshot.freelancer), "Only freelancer can mark completion");
+      const milestone = openMilestone(snapshot, index);
+      check(!milestone.completed, "Already completed");
+      check(milestone.startedAt !== null, "Prerequisites not settled");
+    },
+  },
+  approve: {
+    method: "approveMilestone",
+    perMilestone: true,
+    check(snapshot, from, index) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      check(sameAddress(from, snapshot.client), "Only client can approve");
+      const milestone = openMilestone(snapshot, index);
+      check(milestone.completed, "Milestone not completed");
+      check(!milestone.disputed, "Milestone under dispute");
+    },
+  },
+  "request-changes": {
+    method: "requestChanges",
+    perMilestone: true,
+    check(snapshot, from, index, [reasonCid] = []) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      check(sameAddress(from, snapshot.client), "Only client can request changes");
+      const milestone = submittedMilestone(snapshot, index);
+      check(milestone.revisions < MAX_REVISIONS, "Revision limit reached");
+      if (reasonCid !== undefined) check(validCid(reasonCid), "Invalid CID");
+    },
+  },
+  retract: {
+    method: "retractSubmission",
+    perMilestone: true,
+    check(snapshot, from, index) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      check(sameAddress(from, snapshot.freelancer), "Only freelancer can retract");
+      submittedMilestone(snapshot, index);
+    },
+  },
+  dispute: {
+    method: "disputeMilestone",
+    perMilestone: true,
+    check(snapshot, from, index) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      const milestone = openMilestone(snapshot, index);
+      check(
+        sameAddress(from, snapshot.client) || sameAddress(from, snapshot.freelancer),
+        "Only client or freelancer can dispute"
+      );
+      check(milestone.completed, "Milestone not completed yet");
+      check(!milestone.disputed, "Already under dispute");
+    },
+    payment: mediationFeeFor,
+  },
+  "attach-evidence": {
+    method: "submitEvidence",
+    perMilestone: true,
+    check(snapshot, from, index, [cid, label] = []) {
+      const dispute = disputeOf(snapshot, index);
+      check(isParty(snapshot, from), "Only client or freelancer can submit evidence");
+      if (cid !== undefined) check(validCid(cid), "Invalid CID");
+      if (label !== undefined) check(Buffer.byteLength(label) <= MAX_LABEL_LENGTH, "Label too long");
+      const party = sameAddress(from, snapshot.client) ? "client" : "freelancer";
+      check(dispute.evidenceCount[party] < MAX_EVIDENCE, "Evidence limit reached");
+    },
+  },
+  resolve: {
+    method: "resolveDispute",
+    perMilestone: true,
+    check(snapshot, from, index, [freelancerShareBps = 0, stakeSlashBps = 0] = []) {
+      const dispute = disputeOf(snapshot, index);
+      if (dispute.escalated) {
+        check(sameAddress(from, snapshot.panel.backupMediator), "Only the backup mediator can resolve");
+      } else {
+        check(isMediator(snapshot, from), "Only the mediator can resolve");
+      }
+      checkTime(snapshot.blockTimestamp, dispute.resolvableAt, "Response window not over");
+      check(freelancerShareBps <= MAX_BPS && stakeSlashBps <= MAX_BPS, "Invalid basis points");
+      const slash = (snapshot.freelancerStake * BigInt(stakeSlashBps)) / BigInt(MAX_BPS);
+      check(snapshot.stakeSlashed + slash <= snapshot.freelancerStake, "Slash exceeds remaining stake");
+      if (!dispute.escalated && snapshot.panel.quorum > 1) {
+        check(!dispute.voted.some((member) => sameAddress(from, member)), "Already voted");
+      }
+    },
+  },
+  "accept-dispute": {
+    method: "acceptDispute",
+    perMilestone: true,
+    check(snapshot, from, index) {
+      const dispute = disputeOf(snapshot, index);
+      check(isParty(snapshot, from), "Only client or freelancer can accept");
+      check(!sameAddress(from, dispute.initiator), "Initiator cannot accept");
+    },
+  },
+  escalate: {
+    method: "escalateDispute",
+    perMilestone: true,
+    check(snapshot, from, index) {
+      const dispute = disputeOf(snapshot, index);
+      check(snapshot.panel.backupMediator !== null, "No backup mediator");
+      check(!dispute.escalated, "Already escalated");
+      checkTime(snapshot.blockTimestamp, dispute.escalatesAt, "Escalation window not reached");
+    },
+  },
+  "auto-release": {
+    method: "autoReleaseIfClientAbsent",
+    perMilestone: true,
+    check(snapshot, from, index) {
+      check(snapshot.contractState === "InProgress", "Must be InProgress");
+      check(sameAddress(from, snapshot.freelancer), "Only freelancer can auto-release");
+      const milestone = openMilestone(snapshot, index);
+      check(!milestone.disputed, "Milestone is disputed");
+      check(milestone.completed, "Milestone not completed");
+      checkTime(snapshot.blockTimestamp, milestone.timestamp + snapshot.reviewWindow, "Grace period not reached");
+    },
+  },
+  "reclaim-overdue": {
+    method: "reclaimOverdueMilestone",
+    perMilestone: true,
+    check(snapshot, from, index) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      check(sameAddress(from, snapshot.client), "Only client can reclaim");
+      const milestone = openMilestone(snapshot, index);
+      check(!milestone.completed, "Already completed");
+      check(milestone.deliveryWindow > 0, "No delivery deadline");
+      // deliveryDue is null until the milestone has started
+      check(milestone.deliveryDue !== null, "Delivery deadline not reached");
+      checkTime(snapshot.blockTimestamp, milestone.deliveryDue + 1, "Delivery deadline not reached");
+    },
+  },
+  cancel: {
+    method: "cancelProject",
+    perMilestone: false,
+    check(snapshot, from) {
+      check(snapshot.contractState === "Created", "Contract must be in Created state");
+      check(sameAddress(from, snapshot.client), "Only client can cancel");
+    },
+  },
+  reclaim: {
+    method: "reclaimAfterDeadline",
+    perMilestone: false,
+    check(snapshot) {
+      check(snapshot.contractState === "Created", "Contract must be in Created state");
+      checkTime(snapshot.blockTimestamp, snapshot.stakeDeadline + 1, "Stake deadline not reached");
+    },
+  },
+  "propose-termination": {
+    method: "proposeTermination",
+    perMilestone: false,
+    check(snapshot, from) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      check(isParty(snapshot, from), "Only client or freelancer can terminate");
+      check(snapshot.terminationProposer === null, "Termination already proposed");
+    },
+  },
+  "revoke-termination": {
+    method: "revokeTermination",
+    perMilestone: false,
+    check(snapshot, from) {
+      check(snapshot.terminationProposer !== null, "No termination proposed");
+      check(sameAddress(from, snapshot.terminationProposer), "Only the proposer can revoke");
+    },
+  },
+  "accept-termination": {
+    method: "acceptTermination",
+    perMilestone: false,
+    check(snapshot, from) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      check(snapshot.terminationProposer !== null, "No termination proposed");
+      check(isParty(snapshot, from), "Only client or freelancer can terminate");
+      check(!sameAddress(from, snapshot.terminationProposer), "Proposer cannot accept");
+      check(snapshot.openDisputes === 0, "Dispute in progress");
+    },
+  },
+  "propose-mediator": {
+    method: "proposeMediatorReplacement",
+    perMilestone: false,
+    check(snapshot, from, index, [oldMediator, newMediator] = []) {
+      check(OPEN_STATES.includes(snapshot.contractState), "Project is closed");
+      check(isParty(snapshot, from), "Only client or freelancer can replace");
+      check(snapshot.mediatorReplacement === null, "Replacement already proposed");
+      if (oldMediator === undefined) return;
+      const { backupMediator } = snapshot.panel;
+      check(isMediator(snapshot, oldMediator) || sameAddress(oldMediator, backupMediator), "Not a mediator");
+      check(
+        !/^0x0{40}$/i.test(newMediator) &&
+          !isParty(snapshot, newMediator) &&
+          !sameAddress(newMediator, backupMediator) &&
+          !isMediator(snapshot, newMediator),
+        "Invalid mediator"
+      );
+    },
+  },
+  "revoke-mediator": {
+    method: "revokeMediatorReplacement",
+    perMilestone: false,
+    check(snapshot, from) {
+      check(snapshot.mediatorReplacement !== null, "No replacement proposed");
+      check(sameAddress(from, snapshot.mediatorReplacement.proposer), "Only the proposer can revoke");
+    },
+  },
+  "accept-mediator": {
+    method: "acceptMediatorReplacement",
+    perMilestone: false,
+    check(snapshot, from, index, [oldMediator, newMediator] = []) {
+      check(OPEN_STATES.includes(snapshot.contractState), "Project is closed");
+      const replacement = snapshot.mediatorReplacement;
+      check(replacement !== null, "No replacement proposed");
+      check(isParty(snapshot, from), "Only client or freelancer can replace");
+      check(!sameAddress(from, replacement.proposer), "Proposer cannot accept");
+      if (oldMediator === undefined) return;
+      check(
+        sameAddress(oldMediator, replacement.oldMediator) && sameAddress(newMediator, replacement.newMediator),
+        "Replacement mismatch"
+      );
+    },
+  },
+  "propose-amendment": {
+    method: "proposeAmendment",
+    perMilestone: false,
+    check(snapshot, from, index, args) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      check(isParty(snapshot, from), "Only client or freelancer can amend");
+      check(snapshot.amendment === null, "Amendment already proposed");
+      // The top-up it may need is worked out by EscrowClient.proposeAmendment
+      if (args.length) checkAmendment(snapshot, args);
+    },
+  },
+  "revoke-amendment": {
+    method: "revokeAmendment",
+    perMilestone: false,
+    check(snapshot, from) {
+      check(snapshot.amendment !== null, "No amendment proposed");
+      check(sameAddress(from, snapshot.amendment.proposer), "Only the proposer can revoke");
+    },
+  },
+  "accept-amendment": {
+    method: "acceptAmendment",
+    perMilestone: false,
+    check(snapshot, from, index, args) {
+      check(snapshot.contractState === "InProgress", "Not in InProgress state");
+      const { amendment } = snapshot;
+      check(amendment !== null, "No amendment proposed");
+      check(isParty(snapshot, from), "Only client or freelancer can amend");
+      check(!sameAddress(from, amendment.proposer), "Proposer cannot accept");
+      check(snapshot.firstAmendableMilestone === amendment.fromMilestone, "Amendment outdated");
+      if (args.length) check(sameAmendment(amendment, args), "Amendment mismatch");
+    },
+  },
+  withdraw: {
+    method: "withdrawRemainingStake",
+    perMilestone: false,
+    check(snapshot, from) {
+      check(snapshot.contractState === "Completed", "Project not completed yet");
+      check(sameAddress(from, snapshot.freelancer), "Only freelancer can withdraw stake");
+    },
+  },
+  claim: {
+    method: "withdraw",
+    perMilestone: false,
+    check(snapshot, from, index, args, credits) {
+      check(credits > 0n, "Nothing to withdraw");
+    },
+  },
+};
+
+/** What the snapshot says `from` has been credited, for wallets holding one of the three roles. */
+function creditsOf(snapshot, from) {
+  const role = ["client", "freelancer", "mediator"].find((r) => sameAddress(from, snapshot[r]));
+  return role ? snapshot.claimable[role] : 0n;
+}
+
+/**
+ * Checks one action. For per-milestone actions `index` is the milestone.
+ * @param {import("./EscrowClient").EscrowSnapshot} snapshot
+ * @param {string} from The wallet that would send it.
+ * @param {string} action A key of ESCROW_ACTIONS.
+ * @param {number|null} index
+ * @param {Array} [args] The call's arguments after the index, e.g. resolve's [freelancerShareBps, stakeSlashBps].
+ * @param {Object} [options]
+ * @param {bigint} [options.credits] What `from` may withdraw (default: read off the snapshot).
+ * @throws {import("./errors").EscrowError} What the contract would revert with; `availableAt`
+ *         (unix seconds) is set when the action only has to wait.
+ */
+function checkAction(snapshot, from, action, index, args = [], { credits = creditsOf(snapshot, from) } = {}) {
+  ESCROW_ACTIONS[action].check(snapshot, from, index, args, credits);
+}
+
+/**
+ * @typedef {Object} ActionAvailability
+ * @property {string} action A key of ESCROW_ACTIONS.
+ * @property {string} method The contract function it calls.
+ * @property {boolean} allowed Whether `from` can take it now (on at least one milestone).
+ * @property {number[]|null} milestones Milestones it is allowed on; null for project-wide actions.
+ * @property {Array<{milestone: number|null, reason: string, availableAt: number|null}>} blocked
+ *           Why it is not allowed (on the other milestones), with the unix time a waiting period ends.
+ */
+
+/**
+ * Every action in ESCROW_ACTIONS, and whether `from` can take it right now.
+ * @param {import("./EscrowClient").EscrowSnapshot} snapshot
+ * @param {string} from
+ * @param {Object} [options] See checkAction.
+ * @returns {ActionAvailability[]}
+ */
+function availableActions(snapshot, from, options = {}) {
+  return Object.entries(ESCROW_ACTIONS).map(([action, { method, perMilestone }]) => {
+    const indexes = perMilestone ? snapshot.milestones.map((m) => m.index) : [null];
+    const milestones = [];
+    const blocked = [];
+    for (const index of indexes) {
+      try {
+        checkAction(snapshot, from, action, index, [], options);
+        milestones.push(index);
+      } catch (error) {
+        if (!error.reason) throw error;
+        blocked.push({ milestone: index, reason: error.reason, availableAt: error.availableAt || null });
+      }
+    }
+    return { action, method, allowed: milestones.length > 0, milestones: perMilestone ? milestones : null, blocked };
+  });
+}
+
+/**
+ * Reads the escrow and lists what `from` can do on it right now.
+ * @param {import("./EscrowClient").EscrowClient} escrow
+ * @param {string} from
+ * @returns {Promise<{snapshot: import("./EscrowClient").EscrowSnapshot, actions: ActionAvailability[]}>}
+ */
+async function preflight(escrow, from) {
+  const [snapshot, credits] = await Promise.all([escrow.snapshot(), escrow.credits(from)]);
+  return { snapshot, actions: availableActions(snapshot, from, { credits }) };
+}
+
+/** What taking `action` on milestone `index` costs (the stake or the mediation fee), else 0. */
+function paymentFor(snapshot, action, index) {
+  const { payment } = ESCROW_ACTIONS[action];
+  return payment ? payment(snapshot, index) : 0n;
+}
+
+module.exports = { ESCROW_ACTIONS, checkAction, availableActions, preflight, paymentFor };
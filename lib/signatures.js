@@ -0,0 +1,155 @@
+/**
+ * signatures.js
+ *
+ * EIP-712 signed escrow actions. A party signs an action off-chain (no
+ * transaction, no gas) and anyone holding the message, e.g. a relayer
+ * backend, submits it through the matching `*WithSig` contract function.
+ * Signed actions are plain JSON so they can be stored or sent over HTTP.
+ */
+
+const { ethers } = require("ethers");
+
+// Mirrors the *_TYPEHASH constants in FreelancerEscrow.sol
+const ACTION_TYPES = {
+  approveMilestone: {
+    ApproveMilestone: [
+      { name: "milestoneIndex", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  acceptDispute: {
+    AcceptDispute: [
+      { name: "milestoneIndex", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  proposeTermination: {
+    ProposeTermination: [
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  acceptTermination: {
+    AcceptTermination: [
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+};
+
+// Who may sign each action. The contract has the final say (e.g. only the
+// party who did not open a dispute can accept it).
+const SIGNER_ROLES = {
+  approveMilestone: ["client"],
+  acceptDispute: ["client", "freelancer"],
+  proposeTermination: ["client", "freelancer"],
+  acceptTermination: ["client", "freelancer"],
+};
+
+const SIGNED_ACTIONS = Object.keys(ACTION_TYPES);
+
+/**
+ * @typedef {Object} SignedAction
+ * @property {string} action One of SIGNED_ACTIONS.
+ * @property {string} escrow Escrow the action is for (the EIP-712 verifyingContract).
+ * @property {number} chainId
+ * @property {string} signer
+ * @property {number} [milestoneIndex] For approveMilestone and acceptDispute.
+ * @property {number} nonce The signer's escrow nonce the signature consumes.
+ * @property {number} deadline Unix seconds after which the signature is rejected.
+ * @property {string} signature 65-byte hex signature.
+ */
+
+function escrowDomain(escrow, chainId) {
+  return { name: "FreelancerEscrow", version: "1", chainId, verifyingContract: escrow };
+}
+
+function checkAction(action) {
+  if (!ACTION_TYPES[action]) {
+    throw new TypeError(`Unknown signed action "${action}", expected one of: ${SIGNED_ACTIONS.join(", ")}`);
+  }
+}
+
+function typedMessage({ action, milestoneIndex, nonce, deadline }) {
+  checkAction(action);
+  const message = { nonce, deadline };
+  const [fields] = Object.values(ACTION_TYPES[action]);
+  if (fields.some((field) => field.name === "milestoneIndex")) {
+    if (milestoneIndex === undefined) throw new TypeError(`${action} needs a milestoneIndex`);
+    message.milestoneIndex = milestoneIndex;
+  }
+  return message;
+}
+
+/**
+ * Signs an escrow action with `signer`'s wallet.
+ * @param {ethers.Signer} signer
+ * @param {Object} params
+ * @param {string} params.action One of SIGNED_ACTIONS.
+ * @param {string} params.escrow
+ * @param {number|bigint} params.chainId
+ * @param {number} params.nonce Current `nonces(signer)` of the escrow.
+ * @param {number} params.deadline
+ * @param {number} [params.milestoneIndex]
+ * @returns {Promise<SignedAction>}
+ */
+async function signAction(signer, params) {
+  const message = typedMessage(params);
+  const chainId = Number(params.chainId);
+  const signature = await signer.signTypedData(
+    escrowDomain(params.escrow, chainId),
+    ACTION_TYPES[params.action],
+    message
+  );
+  return {
+    action: params.action,
+    escrow: params.escrow,
+    chainId,
+    signer: await signer.getAddress(),
+    ...(message.milestoneIndex === undefined ? {} : { milestoneIndex: Number(message.milestoneIndex) }),
+    nonce: Number(params.nonce),
+    deadline: Number(params.deadline),
+    signature,
+  };
+}
+
+/**
+ * Address that produced `signed.signature` (compare it with `signed.signer`).
+ * @param {SignedAction} signed
+ */
+function recoverSigner(signed) {
+  return ethers.verifyTypedData(
+    escrowDomain(signed.escrow, signed.chainId),
+    ACTION_TYPES[signed.action],
+    typedMessage(signed),
+    signed.signature
+  );
+}
+
+/**
+ * The contract call that submits `signed`.
+ * @param {SignedAction} signed
+ * @returns {{method: string, args: Array}}
+ */
+function toContractCall(signed) {
+  checkAction(signed.action);
+  const { v, r, s } = ethers.Signature.from(signed.signature);
+  const method = `${signed.action}WithSig`;
+  if (signed.action === "approveMilestone") return { method, args: [signed.milestoneIndex, signed.deadline, v, r, s] };
+  if (signed.action === "acceptDispute") {
+    return { method, args: [signed.milestoneIndex, signed.signer, signed.deadline, v, r, s] };
+  }
+  return { method, args: [signed.signer, signed.deadline, v, r, s] };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  SIGNER_ROLES,
+  SIGNED_ACTIONS,
+  escrowDomain,
+  signAction,
+  recoverSigner,
+  toContractCall,
+};
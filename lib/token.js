@@ -0,0 +1,168 @@
+/**
+ * token.js
+ *
+ * ERC-20 helpers for token escrows: the payment currency (symbol and
+ * decimals), allowances and EIP-2612 permits. ETH escrows use ETH_CURRENCY so
+ * callers can format amounts the same way for both.
+ */
+
+const { ethers } = require("ethers");
+
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+];
+
+// What a token may expose about its permits: the EIP-5267 domain, or only a version, and the struct it signs
+const PERMIT_ABI = [
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function version() view returns (string)",
+  "function PERMIT_TYPEHASH() view returns (bytes32)",
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const EIP2612_TYPEHASH = ethers.id(
+  "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+);
+
+/**
+ * @typedef {Object} Currency
+ * @property {string} address Token address, or the zero address for ETH.
+ * @property {string} symbol
+ * @property {number} decimals
+ */
+
+/** @type {Currency} */
+const ETH_CURRENCY = Object.freeze({ address: ethers.ZeroAddress, symbol: "ETH", decimals: 18 });
+
+function tokenAt(address, runner) {
+  return new ethers.Contract(address, ERC20_ABI, runner);
+}
+
+/**
+ * @param {string} address Token address; the zero address means ETH.
+ * @param {ethers.ContractRunner} runner
+ * @returns {Promise<Currency>}
+ */
+async function getCurrency(address, runner) {
+  if (address === ethers.ZeroAddress) return ETH_CURRENCY;
+  const token = tokenAt(address, runner);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address, symbol, decimals: Number(decimals) };
+}
+
+/** Parses a decimal amount ("12.5") into the currency's base units. */
+function parseAmount(value, currency = ETH_CURRENCY) {
+  return ethers.parseUnits(String(value), currency.decimals);
+}
+
+/** Formats base units as "12.5 USDC". */
+function formatAmount(value, currency = ETH_CURRENCY) {
+  return `${ethers.formatUnits(value, currency.decimals)} ${currency.symbol}`;
+}
+
+/**
+ * Approves `spender` for `amount` unless the signer's allowance already covers it.
+ * @returns {Promise<ethers.TransactionReceipt|null>} The approve receipt, or null if none was needed.
+ */
+async function ensureAllowance(tokenAddress, signer, spender, amount) {
+  const token = tokenAt(tokenAddress, signer);
+  const owner = await signer.getAddress();
+  if ((await token.allowance(owner, spender)) >= amount) return null;
+  const tx = await token.approve(spender, amount);
+  return tx.wait();
+}
+
+// Reads a view the token may not have; null when it reverts or does not exist
+async function optional(call) {
+  try {
+    return await call();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * The EIP-712 domain the token verifies permits against: its EIP-5267 `eip712Domain()` when it has one,
+ * otherwise its name with `version()` (USDC's is "2"), or "1" for tokens that expose neither.
+ * Throws for tokens whose permit is not EIP-2612's, such as DAI's (holder, nonce, expiry, allowed).
+ * @param {string} tokenAddress
+ * @param {ethers.ContractRunner} runner
+ */
+async function permitDomain(tokenAddress, runner) {
+  const token = new ethers.Contract(tokenAddress, [...ERC20_ABI, ...PERMIT_ABI], runner);
+  const [reported, typehash] = await Promise.all([
+    optional(() => token.eip712Domain()),
+    optional(() => token.PERMIT_TYPEHASH()),
+  ]);
+  if (typehash !== null && typehash !== EIP2612_TYPEHASH) {
+    throw new Error(`${tokenAddress} does not implement EIP-2612 permits; approve the spender instead`);
+  }
+  if (reported) {
+    // Only the fields the token flags are part of its domain
+    const fields = Number(reported.fields);
+    const domain = {};
+    if (fields & 0x01) domain.name = reported.name;
+    if (fields & 0x02) domain.version = reported.version;
+    if (fields & 0x04) domain.chainId = reported.chainId;
+    if (fields & 0x08) domain.verifyingContract = reported.verifyingContract;
+    if (fields & 0x10) domain.salt = reported.salt;
+    return domain;
+  }
+
+  const [name, version, { chainId }] = await Promise.all([
+    token.name(),
+    optional(() => token.version()),
+    runner.provider.getNetwork(),
+  ]);
+  return { name, version: version === null ? "1" : version, chainId, verifyingContract: tokenAddress };
+}
+
+/**
+ * Signs an EIP-2612 permit letting `spender` pull `value` from the signer, in the token's own
+ * EIP-712 domain (see permitDomain).
+ * @param {number} [deadline] Unix seconds; defaults to one hour after the latest block.
+ * @returns {Promise<{value: bigint, deadline: number, v: number, r: string, s: string}>}
+ *   Matches FreelancerEscrowFactory.PermitSignature.
+ */
+async function signPermit(tokenAddress, signer, spender, value, deadline) {
+  const token = tokenAt(tokenAddress, signer);
+  const owner = await signer.getAddress();
+  const [domain, nonce, latest] = await Promise.all([
+    permitDomain(tokenAddress, signer),
+    token.nonces(owner),
+    signer.provider.getBlock("latest"),
+  ]);
+  // Chain time, not the local clock: they differ on test networks that fast-forward
+  if (deadline === undefined) deadline = latest.timestamp + 3600;
+
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline });
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { value, deadline, v, r, s };
+}
+
+module.exports = {
+  ERC20_ABI,
+  ETH_CURRENCY,
+  tokenAt,
+  getCurrency,
+  parseAmount,
+  formatAmount,
+  ensureAllowance,
+  permitDomain,
+  signPermit,
+};
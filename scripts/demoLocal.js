@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 const readline = require("readline-sync");
+const { EscrowClient } = require("../lib");
 
 /**
  * Helper to pause & prompt
@@ -23,27 +24,23 @@ async function main() {
   console.log("🧑‍⚖️ Mediator:", mediator.address);
 
   // 2. Deploy a fresh contract with 4 milestones
-  await waitForKeypress("Deploying the FreelancerEscrow contract with 4 milestones...");
-  const EscrowFactory = await hre.ethers.getContractFactory("FreelancerEscrow", client);
+  await waitForKeypress("Deploying the FreelancerEscrow contract with 4 uneven milestones...");
   const stake = hre.ethers.parseEther("0.00005");
-  const numMilestones = 4;
   const ipfsHash = "QmLocalSimulation";
-  const projectFee = hre.ethers.parseEther("0.0002"); // total cost
-  const escrow = await EscrowFactory.deploy(
-    freelancer.address,
-    mediator.address,
-    stake,
-    numMilestones,
-    ipfsHash,
-    { value: projectFee } // client paying the project fee
-  );
-  await escrow.waitForDeployment();
-  const escrowAddress = await escrow.getAddress();
-  console.log("✅ Contract deployed at:", escrowAddress);
+  // Per-milestone payments; their sum (0.0002 ETH) is the project fee the client pays
+  const milestoneAmounts = ["0.00002", "0.00008", "0.00006", "0.00004"].map((eth) => hre.ethers.parseEther(eth));
+  const escrow = await EscrowClient.deploy(client, {
+    freelancer: freelancer.address,
+    mediator: mediator.address,
+    freelancerStake: stake,
+    milestoneAmounts,
+    projectIpfsHash: ipfsHash,
+  });
+  console.log("✅ Contract deployed at:", escrow.address);
 
   // 3. Freelancer deposits stake
   await waitForKeypress("Step: Freelancer deposits stake into the contract.");
-  await escrow.connect(freelancer).freelancerDepositStake({ value: stake });
+  await escrow.connect(freelancer).freelancerDepositStake();
   console.log("✅ Freelancer staked, contract in InProgress state.");
 
   // --- MILESTONE 0: Normal flow
@@ -51,7 +48,7 @@ async function main() {
   await escrow.connect(freelancer).markMilestoneCompleted(0);
   console.log("✅ Milestone 0 completed.");
   await escrow.connect(client).approveMilestone(0);
-  console.log("✅ Milestone 0 approved, payment released.");
+  console.log("✅ Milestone 0 approved, payment credited to the freelancer.");
 
   // --- MILESTONE 1: Dispute flow
   await waitForKeypress("Milestone 1 → We'll do a dispute & mediator resolution.");
@@ -59,8 +56,7 @@ async function main() {
   console.log("✅ Milestone 1 completed by freelancer.");
 
   // Dispute from client
-  const mediationFee = await escrow.mediationFee();
-  await escrow.connect(client).disputeMilestone(1, { value: mediationFee });
+  await escrow.connect(client).disputeMilestone(1); // pays the milestone's mediationFeeFor
   console.log("⚔️ Client disputes milestone 1.");
 
   // Mediator resolves in favor of freelancer
@@ -87,12 +83,20 @@ async function main() {
   console.log("✅ Milestone 3 completed.");
 
   await escrow.connect(client).approveMilestone(3);
-  console.log("✅ Milestone 3 approved, final payments done.");
+  console.log("✅ Milestone 3 approved, final payments credited.");
+
+  // --- Withdrawals: payouts are credited, each party pulls its own
+  await waitForKeypress("Mediator withdraws the mediation fee credited to them.");
+  const { claimable } = await escrow.snapshot();
+  console.log("💳 Claimable by mediator:", hre.ethers.formatEther(claimable.mediator), "ETH");
+  await escrow.connect(mediator).withdraw();
+  console.log("✅ Mediator withdrew their fee.");
 
   // --- Final withdraw
-  await waitForKeypress("Final step: freelancer withdraws stake + leftover funds.");
+  await waitForKeypress("Final step: freelancer withdraws stake + credited payments.");
+  console.log("💳 Claimable by freelancer:", hre.ethers.formatEther(claimable.freelancer), "ETH");
   await escrow.connect(freelancer).withdrawRemainingStake();
-  console.log("💼 Freelancer withdrew remaining stake. All flows done!");
+  console.log("💼 Freelancer withdrew remaining stake and payments. All flows done!");
 
   console.log("\n** Full simulation on local Hardhat network complete! **\n");
 }
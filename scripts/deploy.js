@@ -1,26 +1,118 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+  EscrowFactoryClient,
+  getCurrency,
+  parseAmount,
+  formatAmount,
+  toSchedule,
+  toPanel,
+  sequentialDependencies,
+  loadManifest,
+  manifestParams,
+} = require("../lib");
+const { parseFee } = require("../lib/cli/args");
+const { getRoleSigner, signerOptionsFromEnv } = require("../lib/cli/signers");
 
 async function main() {
-  const [deployer] = await ethers.getSigners();
+  // The client pays for the project: ESCROW_PROFILE's client keystore (node account #0 on hardhat / localhost)
+  const deployer = await getRoleSigner(hre, "client", signerOptionsFromEnv());
   const balance = await ethers.provider.getBalance(deployer.address);
   console.log("Deploying contract with:", deployer.address);
   console.log("Deployer balance (ETH):", ethers.formatEther(balance));
 
-  const Escrow = await ethers.getContractFactory("FreelancerEscrow");
-
   const freelancer = "0x733dADD6FE52C2Db97cF8b8307435aafc277E139";
   const mediator = "0x67aeC5bbfF28B6919B63C0aDeeFcB8a632C6214d";
-  const stake = ethers.parseEther("0.00005");
-  const milestones = 3;
-  const ipfsHash = "QmExampleIpfsHash";
-  const projectFee = ethers.parseEther("0.0001");
+  let ipfsHash = "QmExampleIpfsHash";
+
+  // PAYMENT_TOKEN=<ERC-20 address> pays the project in that token (through ESCROW_FACTORY);
+  // amounts below are then read in the token's decimals.
+  const currency = await getCurrency(process.env.PAYMENT_TOKEN || ethers.ZeroAddress, ethers.provider);
+  const stake = parseAmount(process.env.STAKE || "0.00005", currency);
+
+  // Milestone schedule, e.g. MILESTONES=0.00001,0.00006,0.00003
+  // The project fee sent with the deployment is the sum of the milestone amounts.
+  const schedule = (process.env.MILESTONES || "0.00001,0.00006,0.00003").split(",");
+  let milestoneAmounts = schedule.map((amount) => parseAmount(amount.trim(), currency));
+
+  // Optional timing, in seconds: REVIEW_WINDOW (default 3 days), DELIVERY_WINDOWS=604800,1209600,604800
+  // (one per milestone, counted from when it starts) and LATE_PENALTY_BPS (stake share per overdue milestone).
+  // Milestones all start with the project; SEQUENTIAL=1 makes each wait until the one before it is settled.
+  const timing = {
+    reviewWindow: Number(process.env.REVIEW_WINDOW || 0),
+    deliveryWindows: process.env.DELIVERY_WINDOWS ? process.env.DELIVERY_WINDOWS.split(",").map(Number) : [],
+    latePenaltyBps: Number(process.env.LATE_PENALTY_BPS || 0),
+    dependsOn: process.env.SEQUENTIAL ? sequentialDependencies(milestoneAmounts.length) : [],
+  };
+
+  // MANIFEST=<file> takes the milestone amounts, delivery windows, dependencies and IPFS hash (the
+  // manifest's CID) from a project manifest instead (see lib/manifest.schema.json)
+  if (process.env.MANIFEST) {
+    const manifest = loadManifest(process.env.MANIFEST);
+    const params = manifestParams(manifest, currency);
+    milestoneAmounts = params.milestoneAmounts;
+    timing.deliveryWindows = params.deliveryWindows;
+    timing.dependsOn = params.dependsOn;
+    ipfsHash = params.projectIpfsHash;
+    console.log(`Manifest: ${manifest.title} (${ipfsHash})`);
+  }
+
+  const projectFee = milestoneAmounts.reduce((sum, amount) => sum + amount, 0n);
+  console.log(
+    `Milestones (${currency.symbol}):`,
+    milestoneAmounts.map((amount) => ethers.formatUnits(amount, currency.decimals)).join(", ")
+  );
+  console.log("Project fee:", formatAmount(projectFee, currency));
+
+  // Optional mediator panel: CO_MEDIATORS=0x..,0x.. vote with the mediator, QUORUM of them must agree
+  // (default: simple majority), and BACKUP_MEDIATOR decides disputes still open after ESCALATION_WINDOW seconds.
+  // RESPONSE_WINDOW gives both parties that many seconds to submit evidence before a dispute can be resolved.
+  const panel = {
+    coMediators: process.env.CO_MEDIATORS ? process.env.CO_MEDIATORS.split(",").map((a) => a.trim()) : [],
+    quorum: Number(process.env.QUORUM || 0),
+    backupMediator: process.env.BACKUP_MEDIATOR,
+    escalationWindow: Number(process.env.ESCALATION_WINDOW || 0),
+    responseWindow: Number(process.env.RESPONSE_WINDOW || 0),
+  };
+
+  // MEDIATION_FEE to open a dispute: an amount, or a percentage of the disputed milestone ("5%").
+  // Defaults to 0.01 ETH on ETH escrows and 10 tokens on token escrows.
+  const mediationFee = process.env.MEDIATION_FEE || (process.env.PAYMENT_TOKEN ? "10" : undefined);
+  if (mediationFee !== undefined) {
+    const { amount, bps } = parseFee(mediationFee, "MEDIATION_FEE", currency);
+    panel.mediationFee = amount;
+    panel.mediationFeeBps = bps;
+    console.log("Mediation fee:", bps === undefined ? formatAmount(amount, currency) : `${bps / 100}% of the milestone`);
+  }
+
+  if (process.env.PAYMENT_TOKEN) {
+    if (!process.env.ESCROW_FACTORY) throw new Error("Token escrows need ESCROW_FACTORY (see scripts/deployFactory.js)");
+
+    // Approves the factory for the project fee, then creates the project
+    const factory = EscrowFactoryClient.at(process.env.ESCROW_FACTORY, deployer);
+    const escrow = await factory.createProject({
+      token: currency.address,
+      freelancer,
+      mediator,
+      freelancerStake: stake,
+      milestoneAmounts,
+      projectIpfsHash: ipfsHash,
+      ...timing,
+      ...panel,
+    });
+    console.log("FreelancerEscrow deployed to:", escrow.address);
+    return;
+  }
 
+  const Escrow = await ethers.getContractFactory("FreelancerEscrow", deployer);
   const escrow = await Escrow.deploy(
     freelancer,
     mediator,
     stake,
-    milestones,
+    milestoneAmounts,
     ipfsHash,
+    toSchedule(timing),
+    toPanel(panel),
     { value: projectFee }
   );
 
@@ -0,0 +1,37 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+const { parsePercent } = require("../lib/cli/args");
+const { getRoleSigner, signerOptionsFromEnv } = require("../lib/cli/signers");
+
+async function main() {
+  // Deployed and owned by ESCROW_PROFILE's client keystore (node account #0 on hardhat / localhost)
+  const deployer = await getRoleSigner(hre, "client", signerOptionsFromEnv());
+  const balance = await ethers.provider.getBalance(deployer.address);
+  console.log("Deploying factory with:", deployer.address);
+  console.log("Deployer balance (ETH):", ethers.formatEther(balance));
+
+  // Shared implementation that every project escrow is cloned from
+  const Implementation = await ethers.getContractFactory("FreelancerEscrowClone", deployer);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+  console.log("FreelancerEscrowClone implementation deployed to:", implementation.target);
+
+  const Factory = await ethers.getContractFactory("FreelancerEscrowFactory", deployer);
+  const factory = await Factory.deploy(implementation.target);
+  await factory.waitForDeployment();
+  console.log("FreelancerEscrowFactory deployed to:", factory.target);
+
+  // Optional platform fee on every milestone payment of the factory's projects, e.g.
+  // PLATFORM_FEE=2.5 FEE_RECIPIENT=0x... (the deployer owns the factory and can change it later)
+  if (process.env.PLATFORM_FEE) {
+    const platformFeeBps = parsePercent(process.env.PLATFORM_FEE, "PLATFORM_FEE");
+    await (await factory.setPlatformFee(process.env.FEE_RECIPIENT, platformFeeBps)).wait();
+    console.log(`Platform fee: ${platformFeeBps / 100}% to ${process.env.FEE_RECIPIENT}`);
+  }
+  console.log(`Add ESCROW_FACTORY="${factory.target}" to your .env`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
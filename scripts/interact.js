@@ -1,18 +1,55 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
 const readline = require("readline-sync");
+const { EscrowClient, EscrowFactoryClient, parseAmount, formatAmount, preflight } = require("../lib");
+const { chooseProject } = require("../lib/cli/interactive");
+const { formatBlocked } = require("../lib/cli/output");
+const { ROLES, UsageError, parsePercent } = require("../lib/cli/args");
+const { getRoleSigner, getRoleAddress, signerOptionsFromEnv } = require("../lib/cli/signers");
 require("dotenv").config();
 
-const CONTRACT_ADDRESS = "0xd4D19B6C4ba8D6c4068F42a7F2b883b4Fc91558c"; // ✅ Replace if needed
-const ABI = require("../artifacts/contracts/FreelancerEscrow.sol/FreelancerEscrow.json").abi;
+// ESCROW_PROFILE's keystores (see `escrow add-key`); the raw *_PRIVATE_KEY variables only with ALLOW_ENV_KEYS=1
+const signerOptions = signerOptionsFromEnv();
+
+// Menu number -> pre-flight action and label; only the actions the role can take right now are offered
+const MENU = {
+  1: ["deposit-stake", "💰 Deposit Freelancer Stake"],
+  2: ["complete", "✅ Mark Milestone Complete"],
+  3: ["approve", "📝 Approve Milestone"],
+  4: ["dispute", "⚔️ Dispute Milestone"],
+  5: ["resolve", "⚖️ Resolve Dispute"],
+  6: ["auto-release", "⏳ Auto-Release Milestone"],
+  7: ["withdraw", "💼 Withdraw Remaining Stake"],
+  8: ["claim", "💳 Withdraw Claimable Balance"],
+};
+
+/**
+ * ESCROW_ADDRESS opens that escrow directly; otherwise pick one of the
+ * ESCROW_FACTORY projects that the configured wallets take part in.
+ */
+async function resolveEscrowAddress(provider) {
+  if (process.env.ESCROW_ADDRESS) return process.env.ESCROW_ADDRESS;
+  if (!process.env.ESCROW_FACTORY) throw new Error("Set ESCROW_ADDRESS or ESCROW_FACTORY in .env");
+
+  const wallets = {};
+  for (const role of ROLES) {
+    try {
+      wallets[role] = await getRoleAddress(hre, role, signerOptions);
+    } catch (err) {
+      if (!(err instanceof UsageError)) throw err;
+    }
+  }
+  const factory = EscrowFactoryClient.at(process.env.ESCROW_FACTORY, provider);
+  return chooseProject(factory, wallets, { question: readline.question, log: console.log });
+}
 
 async function main() {
-  const provider = new ethers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
+  const provider = hre.ethers.provider;
+  const signers = {}; // role -> signer, so each keystore is unlocked once
+  const contractAddress = await resolveEscrowAddress(provider);
 
-  const privateKeys = {
-    client: process.env.CLIENT_PRIVATE_KEY,
-    freelancer: process.env.FREELANCER_PRIVATE_KEY,
-    mediator: process.env.MEDIATOR_PRIVATE_KEY,
-  };
+  // ETH, or the ERC-20 a token escrow is paid in; amounts are typed and shown in its decimals
+  const currency = await EscrowClient.at(contractAddress, provider).currency();
+  console.log(`💱 Escrow currency: ${currency.symbol}`);
 
   while (true) {
     console.log("\n🎭 Choose your role:");
@@ -30,28 +67,53 @@ async function main() {
       continue;
     }
 
-    const signer = new ethers.Wallet(privateKeys[role], provider);
-    const contract = new ethers.Contract(CONTRACT_ADDRESS, ABI, signer);
+    let signer;
+    try {
+      signer = signers[role] = signers[role] || (await getRoleSigner(hre, role, signerOptions));
+    } catch (err) {
+      if (!(err instanceof UsageError)) throw err;
+      console.log(`❌ ${err.message}`);
+      continue;
+    }
+    const contract = EscrowClient.at(contractAddress, signer);
     console.log(`🔐 Connected as ${role} (${signer.address})`);
 
     while (true) {
+      // Payouts are credited, not sent: each party withdraws its own balance
+      const claimable = await contract.credits(signer.address);
+      console.log(`\n💳 Claimable balance: ${formatAmount(claimable, currency)}`);
+
+      const { snapshot, actions } = await preflight(contract, signer.address);
+      const available = Object.fromEntries(actions.map((entry) => [entry.action, entry]));
       console.log("\nOptions:");
-      console.log("1. 💰 Deposit Freelancer Stake");
-      console.log("2. ✅ Mark Milestone Complete");
-      console.log("3. 📝 Approve Milestone");
-      console.log("4. ⚔️ Dispute Milestone");
-      console.log("5. ⚖️ Resolve Dispute");
-      console.log("6. ⏳ Auto-Release Milestone");
-      console.log("7. 💼 Withdraw Remaining Stake");
-      console.log("8. 🔁 Switch Role");
-      console.log("9. 🚪 Exit");
+      const blocked = [];
+      for (const [number, [action, label]] of Object.entries(MENU)) {
+        const { allowed, milestones } = available[action];
+        if (allowed) {
+          console.log(`${number}. ${label}${milestones ? ` (milestone ${milestones.map((i) => `#${i}`).join(", ")})` : ""}`);
+        } else {
+          blocked.push(`${label}: ${formatBlocked(available[action], snapshot.blockTimestamp)}`);
+        }
+      }
+      console.log("9. 🔁 Switch Role");
+      console.log("10. 🚪 Exit");
+      if (blocked.length) {
+        console.log("\nNot available right now:");
+        blocked.forEach((line) => console.log(` ${line}`));
+      }
 
-      const choice = readline.question("Choose an action (1-9): ");
+      const choice = readline.question("Choose an action (1-10): ");
+      const [action] = MENU[choice] || [];
+      if (action && !available[action].allowed) {
+        console.log(`❌ Not available: ${formatBlocked(available[action], snapshot.blockTimestamp)}`);
+        continue;
+      }
 
       try {
         if (choice === "1") {
-          const value = readline.question("Enter stake amount in ETH: ");
-          await contract.freelancerDepositStake({ value: ethers.parseEther(value) });
+          const value = readline.question(`Enter stake amount in ${currency.symbol}: `);
+          // Token escrows approve the stake first (one extra transaction)
+          await contract.freelancerDepositStake(parseAmount(value, currency));
           console.log("✅ Stake deposited.");
         } else if (choice === "2") {
           const idx = readline.question("Milestone index to mark complete: ");
@@ -59,40 +121,55 @@ async function main() {
           console.log("✅ Milestone marked complete.");
         } else if (choice === "3") {
           const idx = readline.question("Milestone index to approve: ");
+          const { platformFee, freelancerReceives } = await contract.previewFees(Number(idx));
+          console.log(
+            `Freelancer receives ${formatAmount(freelancerReceives, currency)} (platform fee: ${formatAmount(platformFee, currency)})`
+          );
           await contract.approveMilestone(Number(idx));
           console.log("✅ Milestone approved.");
         } else if (choice === "4") {
           const idx = readline.question("Milestone index to dispute: ");
-          const fee = await contract.mediationFee();
-          await contract.disputeMilestone(Number(idx), { value: fee });
+          console.log(`Mediation fee required: ${formatAmount(await contract.mediationFeeFor(Number(idx)), currency)}`);
+          await contract.disputeMilestone(Number(idx));
           console.log("✅ Dispute submitted.");
         } else if (choice === "5") {
           const idx = readline.question("Milestone index to resolve: ");
-          const winner = readline.question("Who wins? (freelancer/client): ");
-          const decision = winner.toLowerCase() === "freelancer";
-          await contract.disputeResolution(Number(idx), decision);
-          console.log("✅ Dispute resolved.");
+          const winner = readline.question("Who wins? (freelancer/client, or the freelancer's % for a split): ");
+          const slash = readline.question("Slash % of the freelancer's stake to the client (Enter for none): ");
+          // "freelancer" = 100%, "client" = 0%, "70" = 70% to the freelancer and 30% back to the client
+          const named = { freelancer: 10000, client: 0 }[winner.trim().toLowerCase()];
+          const shareBps = named === undefined ? parsePercent(winner, "split") : named;
+          await contract.resolveDispute(Number(idx), shareBps, slash ? parsePercent(slash, "slash") : 0);
+          // On a mediator panel this is one vote; the dispute settles once the quorum agrees
+          const { disputed: stillDisputed } = await contract.getMilestoneStatus(Number(idx));
+          console.log(stillDisputed ? "🗳️ Vote recorded, waiting for the panel's quorum." : "✅ Dispute resolved.");
         } else if (choice === "6") {
           const idx = readline.question("Milestone index to auto-release: ");
           await contract.autoReleaseIfClientAbsent(Number(idx));
           console.log("✅ Milestone auto-released.");
         } else if (choice === "7") {
           await contract.withdrawRemainingStake();
-          console.log("✅ Stake withdrawn.");
+          console.log("✅ Stake and claimable balance withdrawn.");
         } else if (choice === "8") {
-          break; // 🔁 Back to role selection
+          await contract.withdraw();
+          console.log(`✅ Withdrew ${formatAmount(claimable, currency)}.`);
         } else if (choice === "9") {
+          break; // 🔁 Back to role selection
+        } else if (choice === "10") {
           console.log("👋 Exiting.");
           process.exit(0);
         } else {
           console.log("❌ Invalid option.");
         }
       } catch (err) {
-        const reason = err?.error?.reason || err?.reason || err?.message || "Unknown error";
+        const reason = err?.reason || err?.message || "Unknown error";
         console.log("❌ Error:", reason);
       }
     }
   }
 }
 
-main();
+main().catch((err) => {
+  console.error("❌ Script error:", err.reason || err.message);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+const path = require("path");
+const hre = require("hardhat");
+const { EscrowClient, loadIgnitionParameters, deployedEscrowAddress, verifyEscrowDeployment } = require("../lib");
+const { getRoleAddress, signerOptionsFromEnv } = require("../lib/cli/signers");
+
+/**
+ * Follow-up to `npx hardhat ignition deploy ignition/modules/FreelancerEscrow.js`: reads the deployed
+ * escrow back and checks its client, freelancer, mediator, fee, stake, milestones and IPFS hash against
+ * the parameters file it was deployed with.
+ *
+ *   npx hardhat run scripts/verifyDeployment.js --network sepolia
+ *
+ * PARAMETERS defaults to ignition/parameters/<network>.json and DEPLOYMENT_ID to chain-<chainId>.
+ * The client must be the deploying account: CLIENT, or else the ESCROW_PROFILE's client.
+ */
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const parametersFile = process.env.PARAMETERS || path.join("ignition", "parameters", `${hre.network.name}.json`);
+  const deploymentDir = path.join(hre.config.paths.ignition, "deployments", process.env.DEPLOYMENT_ID || `chain-${chainId}`);
+
+  const address = deployedEscrowAddress(deploymentDir);
+  const client = process.env.CLIENT || (await getRoleAddress(hre, "client", signerOptionsFromEnv()));
+  const escrow = EscrowClient.at(address, hre.ethers.provider);
+  const { ok, checks } = await verifyEscrowDeployment(escrow, loadIgnitionParameters(parametersFile), { client });
+
+  console.log(`🔎 FreelancerEscrow at ${address} against ${parametersFile}:`);
+  for (const check of checks) {
+    console.log(`${check.ok ? "✅" : "❌"} ${check.field}: ${check.actual}${check.ok ? "" : ` (expected ${check.expected})`}`);
+  }
+  if (!ok) {
+    console.error("❌ The deployed escrow does not match its parameters");
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,40 @@
+/*******************************************************************************************
+ * watch.js
+ *
+ * Runs the notification daemon: polls the escrows' events and prints (and
+ * optionally POSTs or queues) a notification for each milestone, dispute and
+ * review window change, until interrupted. The same watcher is available as
+ * `escrow watch`.
+ *
+ *   ESCROW_ADDRESSES   comma-separated escrows to watch (or ESCROW_FACTORY for all of its projects)
+ *   WEBHOOK_URL        optional, receives each notification as a JSON POST
+ *   QUEUE_DIR          optional, each notification is written there as a JSON file
+ *   NOTIFY_ROLES       optional, e.g. "client,mediator"
+ *   POLL_INTERVAL      optional, default 15s; CONFIRMATIONS optional, default 0
+ *
+ *   npx hardhat run scripts/watch.js --network sepolia
+ *******************************************************************************************/
+
+const hre = require("hardhat");
+const { createContext, watch } = require("../lib/cli/commands");
+
+const ctx = createContext(hre, { factory: process.env.ESCROW_FACTORY });
+const addresses = (process.env.ESCROW_ADDRESSES || "").split(",").filter(Boolean);
+
+console.log(`👀 Watching ${addresses.length ? addresses.join(", ") : `the projects of ${process.env.ESCROW_FACTORY}`}...`);
+watch(ctx, {
+  addresses,
+  webhook: process.env.WEBHOOK_URL,
+  queue: process.env.QUEUE_DIR,
+  roles: process.env.NOTIFY_ROLES,
+  interval: process.env.POLL_INTERVAL,
+  confirmations: process.env.CONFIRMATIONS,
+})
+  .then(({ sent }) => {
+    console.log(`✅ Stopped after ${sent} notification(s)`);
+    process.exit(0);
+  })
+  .catch((err) => {
+    console.error("❌ Script error:", err.reason || err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { EscrowClient, InvalidStateError } = require("../lib");
+
+describe("Milestone amendments", function () {
+  let EscrowFactory, escrow;
+  let client, freelancer, mediator, other;
+  const one = ethers.parseEther("1");
+  const milestoneAmounts = [one, one, one];
+  const freelancerStake = ethers.parseEther("1");
+
+  async function deploy() {
+    const deployed = await EscrowFactory.deploy(
+      freelancer.address,
+      mediator.address,
+      freelancerStake,
+      milestoneAmounts,
+      "QmExampleIpfsHash",
+      { reviewWindow: 0, deliveryWindows: [], latePenaltyBps: 0, prerequisites: [] },
+      {
+        coMediators: [],
+        quorum: 0,
+        backupMediator: ethers.ZeroAddress,
+        escalationWindow: 0,
+        responseWindow: 0,
+        mediationFee: 0,
+        mediationFeeBps: 0,
+      },
+      { value: 3n * one }
+    );
+    await deployed.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    return deployed;
+  }
+
+  async function expectBalanced() {
+    expect(await ethers.provider.getBalance(escrow.target)).to.equal(await escrow.obligations());
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, other] = await ethers.getSigners();
+    EscrowFactory = await ethers.getContractFactory("FreelancerEscrow", client);
+    escrow = await deploy();
+  });
+
+  it("should reprice and add milestones once the client accepts and pays the difference", async function () {
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    expect(await escrow.firstAmendableMilestone()).to.equal(1);
+
+    const amounts = [ethers.parseEther("1.5"), ethers.parseEther("0.5"), ethers.parseEther("2")];
+    const windows = [0, 7 * 24 * 3600, 0];
+    await expect(escrow.connect(freelancer).proposeAmendment(amounts, windows, [], "QmAmended"))
+      .to.emit(escrow, "AmendmentProposed")
+      .withArgs(1, freelancer.address, 1, amounts, windows, [], "QmAmended");
+
+    await expect(escrow.acceptAmendment(amounts, windows, [], "QmAmended")).to.be.revertedWith("Incorrect top-up");
+    await expect(escrow.acceptAmendment(amounts, windows, [], "QmAmended", { value: 2n * one }))
+      .to.emit(escrow, "AmendmentAccepted")
+      .withArgs(1, client.address, 5n * one, 2n * one, 0);
+
+    expect(await escrow.amendmentVersion()).to.equal(1);
+    expect(await escrow.amendmentProposer()).to.equal(ethers.ZeroAddress);
+    expect(await escrow.numMilestones()).to.equal(4);
+    expect(await escrow.projectFee()).to.equal(5n * one);
+    expect(await escrow.projectIpfsHash()).to.equal("QmAmended");
+    expect((await escrow.milestones(0)).completed).to.be.true;
+    expect((await escrow.milestones(0)).amount).to.equal(one);
+    expect((await escrow.milestones(2)).amount).to.equal(ethers.parseEther("0.5"));
+    expect((await escrow.milestones(2)).deliveryWindow).to.equal(7 * 24 * 3600);
+    expect(await escrow.escrowedFees()).to.equal(5n * one);
+    await expectBalanced();
+  });
+
+  it("should remove milestones and refund the client", async function () {
+    await escrow.proposeAmendment([ethers.parseEther("0.5")], [], [], "QmSmaller");
+    await expect(escrow.connect(freelancer).acceptAmendment([ethers.parseEther("0.5")], [], [], "QmSmaller"))
+      .to.emit(escrow, "AmendmentAccepted")
+      .withArgs(1, freelancer.address, ethers.parseEther("0.5"), 0, ethers.parseEther("2.5"));
+
+    expect(await escrow.numMilestones()).to.equal(1);
+    expect((await escrow.milestones(1)).amount).to.equal(0);
+    expect(await escrow.credits(client.address)).to.equal(ethers.parseEther("2.5"));
+    await expectBalanced();
+
+    // The project now ends after the one milestone left
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.approveMilestone(0);
+    expect(await escrow.contractState()).to.equal(2); // Completed
+    await escrow.connect(freelancer).withdrawRemainingStake();
+    await escrow.withdraw();
+    expect(await ethers.provider.getBalance(escrow.target)).to.equal(0);
+  });
+
+  it("should hold a top-up the client proposes until it is accepted or revoked", async function () {
+    const amounts = [one, one, one, one];
+    await expect(escrow.proposeAmendment(amounts, [], [], "QmMore")).to.be.revertedWith("Incorrect top-up");
+    await escrow.proposeAmendment(amounts, [], [], "QmMore", { value: one });
+    expect(await escrow.amendmentDeposit()).to.equal(one);
+    await expectBalanced();
+
+    await expect(escrow.revokeAmendment())
+      .to.emit(escrow, "AmendmentRevoked")
+      .withArgs(1, client.address);
+    expect(await escrow.credits(client.address)).to.equal(one);
+    expect(await escrow.amendmentDeposit()).to.equal(0);
+
+    await escrow.proposeAmendment(amounts, [], [], "QmMore", { value: one });
+    await expect(
+      escrow.connect(freelancer).acceptAmendment(amounts, [], [], "QmMore", { value: one })
+    ).to.be.revertedWith("Incorrect top-up");
+    await escrow.connect(freelancer).acceptAmendment(amounts, [], [], "QmMore");
+    expect(await escrow.amendmentDeposit()).to.equal(0);
+    expect(await escrow.escrowedFees()).to.equal(4n * one);
+    await expectBalanced();
+  });
+
+  it("should only accept the exact pending proposal, from the other party", async function () {
+    await expect(escrow.connect(other).proposeAmendment([one], [], [], "")).to.be.revertedWith(
+      "Only client or freelancer can amend"
+    );
+    await expect(escrow.acceptAmendment([one], [], [], "")).to.be.revertedWith("No amendment proposed");
+
+    await escrow.connect(freelancer).proposeAmendment([one, one], [], [], "QmTwo");
+    await expect(escrow.proposeAmendment([one], [], [], "QmOne")).to.be.revertedWith("Amendment already proposed");
+    await expect(escrow.connect(freelancer).acceptAmendment([one, one], [], [], "QmTwo")).to.be.revertedWith(
+      "Proposer cannot accept"
+    );
+    await expect(escrow.revokeAmendment()).to.be.revertedWith("Only the proposer can revoke");
+    await expect(escrow.acceptAmendment([one, one], [], [], "QmOther")).to.be.revertedWith("Amendment mismatch");
+    await expect(escrow.acceptAmendment([one, one], [0, 0], [], "QmTwo")).to.be.revertedWith("Amendment mismatch");
+    await escrow.acceptAmendment([one, one], [], [], "QmTwo");
+    expect(await escrow.credits(client.address)).to.equal(one);
+  });
+
+  it("should reject amendments that leave no milestone to work on", async function () {
+    await expect(escrow.proposeAmendment([], [], [], "")).to.be.revertedWith("Must have at least 1 milestone");
+    await expect(escrow.proposeAmendment([one, 0], [], [], "")).to.be.revertedWith("Milestone amount must be positive");
+    await expect(escrow.proposeAmendment([one], [1, 2], [], "")).to.be.revertedWith(
+      "Delivery windows must match milestones"
+    );
+    await expect(escrow.proposeAmendment([one, one], [], [0], "")).to.be.revertedWith(
+      "Prerequisites must match milestones"
+    );
+    // A milestone can only wait for earlier ones
+    await expect(escrow.proposeAmendment([one, one], [], [0, 2], "")).to.be.revertedWith("Invalid prerequisites");
+
+    // Once milestone #0 is submitted it is still open, so dropping everything after it is fine
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.proposeAmendment([], [], [], "QmLast");
+    await escrow.connect(freelancer).acceptAmendment([], [], [], "QmLast");
+    await escrow.approveMilestone(0);
+    expect(await escrow.contractState()).to.equal(2); // Completed
+  });
+
+  describe("races", function () {
+    it("should outdate a proposal whose first milestone is submitted before it is accepted", async function () {
+      await escrow.connect(freelancer).proposeAmendment([ethers.parseEther("0.5"), one, one], [], [], "QmCheaper");
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await expect(escrow.acceptAmendment([ethers.parseEther("0.5"), one, one], [], [], "QmCheaper")).to.be.revertedWith(
+        "Amendment outdated"
+      );
+
+      // Re-proposed for the milestones that are still open
+      await escrow.connect(freelancer).revokeAmendment();
+      await escrow.connect(freelancer).proposeAmendment([one, one, one], [], [], "QmLonger");
+      await escrow.acceptAmendment([one, one, one], [], [], "QmLonger", { value: one });
+      expect((await escrow.milestones(0)).amount).to.equal(one);
+      expect(await escrow.numMilestones()).to.equal(4);
+    });
+
+    it("should outdate a proposal once its first milestone is settled", async function () {
+      await escrow.proposeAmendment([one, one, one], [], [], "QmSame");
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await escrow.approveMilestone(0);
+      await expect(escrow.connect(freelancer).acceptAmendment([one, one, one], [], [], "QmSame")).to.be.revertedWith(
+        "Amendment outdated"
+      );
+    });
+
+    it("should amend the milestones after a disputed one while the dispute is open", async function () {
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await escrow.connect(freelancer).proposeAmendment([ethers.parseEther("0.5")], [], [1], "QmShorter");
+      await escrow.disputeMilestone(0, { value: await escrow.mediationFee() });
+
+      // Milestone #1 has not been submitted, so the proposal still applies; it now waits for #0
+      await escrow.acceptAmendment([ethers.parseEther("0.5")], [], [1], "QmShorter");
+      expect(await escrow.numMilestones()).to.equal(2);
+      expect((await escrow.milestones(1)).prerequisites).to.equal(1);
+      expect(await escrow.milestoneStartedAt(1)).to.equal(0);
+      expect(await escrow.credits(client.address)).to.equal(ethers.parseEther("1.5"));
+      await expectBalanced();
+
+      await escrow.connect(mediator).resolveDispute(0, 10000, 0);
+      expect(await escrow.milestoneStartedAt(1)).to.equal((await escrow.milestones(0)).settledAt);
+      await expectBalanced();
+    });
+
+    it("should drop a pending amendment on termination and refund its top-up", async function () {
+      await escrow.proposeAmendment([one, one, one, one], [], [], "QmMore", { value: one });
+      await escrow.connect(freelancer).proposeTermination();
+      await expect(escrow.acceptTermination())
+        .to.emit(escrow, "ProjectTerminated")
+        .withArgs(client.address, 4n * one, freelancerStake);
+      expect(await escrow.amendmentProposer()).to.equal(ethers.ZeroAddress);
+      expect(await escrow.amendmentDeposit()).to.equal(0);
+      await expectBalanced();
+    });
+  });
+
+  describe("EscrowClient", function () {
+    it("should pay top-ups, read the pending proposal back and accept it", async function () {
+      const escrowClient = EscrowClient.at(escrow.target, client);
+      const amounts = [one, ethers.parseEther("1.5"), one, one];
+      await escrowClient.proposeAmendment({ milestoneAmounts: amounts, projectIpfsHash: "QmClient" });
+
+      const pending = await escrowClient.connect(freelancer).pendingAmendment();
+      expect(pending).to.deep.include({
+        version: 1,
+        proposer: client.address,
+        fromMilestone: 0,
+        milestoneAmounts: amounts,
+        deliveryWindows: [],
+        projectIpfsHash: "QmClient",
+        topUp: ethers.parseEther("1.5"),
+        refund: 0n,
+        deposit: ethers.parseEther("1.5"),
+      });
+      expect((await escrowClient.snapshot()).amendment).to.deep.equal(pending);
+
+      await escrowClient.connect(freelancer).acceptAmendment();
+      const snapshot = await escrowClient.snapshot();
+      expect(snapshot.amendment).to.be.null;
+      expect(snapshot.amendmentVersion).to.equal(1);
+      expect(snapshot.milestones.map((m) => m.amount)).to.deep.equal(amounts);
+    });
+
+    it("should read the pending proposal from the block it was made in", async function () {
+      const escrowClient = EscrowClient.at(escrow.target, client);
+      const receipt = await escrowClient.proposeAmendment({ milestoneAmounts: [one, one], projectIpfsHash: "QmShorter" });
+      expect(await escrow.amendmentBlock()).to.equal(receipt.blockNumber);
+      await ethers.provider.send("hardhat_mine", ["0x1000"]);
+
+      // Stand in for an RPC that caps getLogs ranges, then for one that has pruned the log
+      const { getLogs } = ethers.provider;
+      const ranges = [];
+      ethers.provider.getLogs = (filter) => {
+        ranges.push([filter.fromBlock, filter.toBlock]);
+        return getLogs.call(ethers.provider, filter);
+      };
+      try {
+        expect(await escrowClient.pendingAmendment()).to.deep.include({ projectIpfsHash: "QmShorter", refund: one });
+        expect(ranges).to.deep.equal([[receipt.blockNumber, receipt.blockNumber]]);
+
+        ethers.provider.getLogs = async () => [];
+        await expect(escrowClient.pendingAmendment()).to.be.rejectedWith(
+          `AmendmentProposed log of ${escrow.target} not found in block ${receipt.blockNumber}`
+        );
+      } finally {
+        ethers.provider.getLogs = getLogs;
+      }
+    });
+
+    it("should make the client pay the freelancer's proposal on acceptance", async function () {
+      const escrowClient = EscrowClient.at(escrow.target, freelancer);
+      await escrowClient.proposeAmendment({ milestoneAmounts: [one, one, one, one], projectIpfsHash: "QmLonger" });
+      await expect(escrowClient.connect(freelancer).acceptAmendment()).to.be.rejectedWith("Proposer cannot accept");
+      await expect(
+        escrowClient.connect(client).acceptAmendment({ ...(await escrowClient.pendingAmendment()), milestoneAmounts: [one] })
+      ).to.be.rejectedWith("Amendment mismatch");
+
+      await escrowClient.connect(client).acceptAmendment();
+      expect(await escrowClient.projectFee()).to.equal(4n * one);
+      expect(await ethers.provider.getBalance(escrow.target)).to.equal(await escrowClient.obligations());
+      await expect(escrowClient.connect(client).acceptAmendment()).to.be.rejectedWith(InvalidStateError);
+    });
+  });
+});
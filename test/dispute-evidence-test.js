@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { EscrowClient, GracePeriodNotReachedError, cidOf, cidOfFile, CHUNK_SIZE } = require("../lib");
+
+describe("Dispute evidence", function () {
+  let client, freelancer, mediator, other;
+  let escrow;
+  const day = 24 * 60 * 60;
+  const cid = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+
+  async function deploy(responseWindow) {
+    const deployed = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake: ethers.parseEther("1"),
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("1")],
+      projectIpfsHash: "QmExampleIpfsHash",
+      responseWindow,
+    });
+    await deployed.connect(freelancer).freelancerDepositStake();
+    await deployed.connect(freelancer).markMilestoneCompleted(0);
+    return deployed;
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, other] = await ethers.getSigners();
+    escrow = await deploy(2 * day);
+  });
+
+  it("should let both parties attach evidence to an open dispute", async function () {
+    await expect(escrow.contract.submitEvidence(0, cid, "brief")).to.be.revertedWith("Milestone not in dispute");
+    await escrow.disputeMilestone(0);
+
+    await expect(escrow.contract.submitEvidence(0, cid, "Original brief"))
+      .to.emit(escrow.contract, "EvidenceSubmitted")
+      .withArgs(0, client.address, cid, "Original brief");
+    await escrow.connect(freelancer).submitEvidence(0, cid, "Delivered files");
+    expect(await escrow.evidenceCount(0, client.address)).to.equal(1);
+
+    await expect(escrow.contract.connect(mediator).submitEvidence(0, cid, "")).to.be.revertedWith(
+      "Only client or freelancer can submit evidence"
+    );
+    await expect(escrow.contract.submitEvidence(1, cid, "")).to.be.revertedWith("Milestone not in dispute");
+  });
+
+  it("should bound the number and size of evidence entries", async function () {
+    await escrow.disputeMilestone(0);
+    await expect(escrow.contract.submitEvidence(0, "", "empty")).to.be.revertedWith("Invalid CID");
+    await expect(escrow.contract.submitEvidence(0, "b".repeat(101), "")).to.be.revertedWith("Invalid CID");
+    await expect(escrow.contract.submitEvidence(0, cid, "x".repeat(65))).to.be.revertedWith("Label too long");
+
+    for (let i = 0; i < 10; i++) await escrow.submitEvidence(0, cid, `entry ${i}`);
+    await expect(escrow.contract.submitEvidence(0, cid, "one too many")).to.be.revertedWith("Evidence limit reached");
+    // The limit is per party: the freelancer can still answer
+    await escrow.connect(freelancer).submitEvidence(0, cid, "reply");
+  });
+
+  it("should keep the mediator from resolving during the response window", async function () {
+    await escrow.disputeMilestone(0);
+    await expect(escrow.connect(mediator).resolveDispute(0, 10000)).to.be.rejectedWith(GracePeriodNotReachedError);
+
+    const { openedAt, resolvableAt } = await escrow.dispute(0);
+    expect(resolvableAt).to.equal(openedAt + 2 * day);
+
+    await ethers.provider.send("evm_increaseTime", [2 * day]);
+    await expect(escrow.contract.connect(mediator).resolveDispute(0, 10000, 0)).to.emit(
+      escrow.contract,
+      "DisputeResolved"
+    );
+  });
+
+  it("should still let the other party concede during the response window", async function () {
+    await escrow.disputeMilestone(0);
+    await expect(escrow.contract.connect(freelancer).acceptDispute(0)).to.emit(escrow.contract, "DisputeAccepted");
+  });
+
+  describe("EscrowClient", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-evidence-"));
+    });
+
+    it("should hash a local file into its CID, attach it and list the evidence from the logs", async function () {
+      const file = path.join(dir, "screenshot.txt");
+      fs.writeFileSync(file, "hello world");
+
+      await escrow.connect(freelancer).disputeMilestone(0);
+      const attached = await escrow.attachEvidence(0, file);
+      expect(attached).to.include({ cid, label: "screenshot.txt" });
+      await escrow.connect(freelancer).attachEvidence(0, file, "Same file, other label");
+
+      const entries = await escrow.evidence(0);
+      expect(entries.map(({ party, cid, label }) => ({ party, cid, label }))).to.deep.equal([
+        { party: client.address, cid, label: "screenshot.txt" },
+        { party: freelancer.address, cid, label: "Same file, other label" },
+      ]);
+      expect(entries[0].txHash).to.equal(attached.receipt.hash);
+    });
+  });
+
+  describe("CIDs", function () {
+    it("should match the CIDs ipfs add --cid-version 1 gives single-chunk files", function () {
+      expect(cidOf("")).to.equal("bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku");
+      expect(cidOf("hello world")).to.equal(cid);
+    });
+
+    it("should build a DAG for larger files and hash files chunk by chunk", function () {
+      const data = Buffer.alloc(CHUNK_SIZE * 2 + 5, 7);
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-evidence-")), "large.bin");
+      fs.writeFileSync(file, data);
+
+      const root = cidOf(data);
+      expect(root).to.match(/^bafybei[a-z2-7]+$/);
+      expect(cidOfFile(file)).to.equal(root);
+      expect(cidOf(Buffer.alloc(CHUNK_SIZE * 2 + 5, 8))).to.not.equal(root);
+    });
+
+    it("should match the CIDs ipfs add --cid-version 1 gives multi-chunk files", function () {
+      // Bytes 0, 1, ..., 250, 0, 1, ... so that every chunk differs
+      const patterned = (length) => {
+        const data = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) data[i] = i % 251;
+        return data;
+      };
+      // Reference CIDs from ipfs-unixfs-importer with the same options (raw leaves, 256 KiB chunks, balanced DAG)
+      const threeChunks = patterned(CHUNK_SIZE * 2 + 5);
+      expect(cidOf(threeChunks)).to.equal("bafybeidqkzux5twxxhva7ppfr25h7bdmzysadhi6rofbzcx7cehyrise54");
+      expect(cidOf(Buffer.alloc(CHUNK_SIZE * 2 + 5, 7))).to.equal(
+        "bafybeigpo4vzvtatbksmeyrssqor7ttqufmsxamobw7o2trgn53h62mhki"
+      );
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-evidence-")), "patterned.bin");
+      fs.writeFileSync(file, threeChunks);
+      expect(cidOfFile(file)).to.equal("bafybeidqkzux5twxxhva7ppfr25h7bdmzysadhi6rofbzcx7cehyrise54");
+
+      // 175 leaves: more than one node holds, so the DAG gets a second level
+      expect(cidOf(patterned(CHUNK_SIZE * 174 + 1))).to.equal(
+        "bafybeib4y7ghw2rq7bracc4xwtxrbzo7cfvagdpte2tmrkgwl6dyard3cm"
+      );
+    });
+  });
+});
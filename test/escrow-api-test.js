@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const http = require("http");
+const { ethers } = require("hardhat");
+const { EscrowClient, EscrowFactoryClient, createApiServer, createApiHandler } = require("../lib");
+const openapi = require("../lib/api/openapi.json");
+
+describe("REST API", function () {
+  const day = 24 * 60 * 60;
+  let client, freelancer, mediator, stranger;
+  let escrow, server, baseUrl;
+
+  async function call(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { "content-type": "application/json" },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  /** POSTs an action and sends the unsigned transactions it answers with from `signer`. */
+  async function act(signer, action, index, body = {}) {
+    const { status, body: prepared } = await call("POST", `/escrows/${escrow.address}/milestones/${index}/${action}`, {
+      from: signer.address,
+      ...body,
+    });
+    expect(status, JSON.stringify(prepared)).to.equal(200);
+    for (const { to, data, value } of prepared.transactions) {
+      await (await signer.sendTransaction({ to, data, value })).wait();
+    }
+    return prepared;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  before(async function () {
+    server = createApiServer({ provider: ethers.provider });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, stranger] = await ethers.getSigners();
+    escrow = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake: ethers.parseEther("1"),
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("2"), ethers.parseEther("3")],
+      projectIpfsHash: "QmExampleIpfsHash",
+    });
+    await escrow.connect(freelancer).freelancerDepositStake();
+  });
+
+  it("should return the escrow's state, amounts, IPFS hash and milestones", async function () {
+    const { status, body } = await call("GET", `/escrows/${escrow.address}`);
+    expect(status).to.equal(200);
+    expect(body).to.include({
+      address: escrow.address,
+      contractState: "InProgress",
+      client: client.address,
+      freelancer: freelancer.address,
+      projectFee: ethers.parseEther("6").toString(),
+      freelancerStake: ethers.parseEther("1").toString(),
+      projectIpfsHash: "QmExampleIpfsHash",
+    });
+    expect(body.milestones.map((m) => [m.status, m.amount])).to.deep.equal([
+      ["Open", ethers.parseEther("1").toString()],
+      ["Open", ethers.parseEther("2").toString()],
+      ["Open", ethers.parseEther("3").toString()],
+    ]);
+  });
+
+  it("should prepare unsigned transactions that complete, approve, dispute, resolve and auto-release milestones", async function () {
+    const complete = await act(freelancer, "complete", 0);
+    const { chainId } = await ethers.provider.getNetwork();
+    expect(complete.transactions).to.have.length(1);
+    expect(complete.transactions[0]).to.include({
+      from: freelancer.address,
+      to: escrow.address,
+      value: "0x0",
+      chainId: ethers.toQuantity(chainId),
+    });
+    await act(client, "approve", 0);
+    expect((await escrow.getMilestoneStatus(0)).status).to.equal("Settled");
+
+    await act(freelancer, "complete", 1);
+    const dispute = await act(client, "dispute", 1);
+    const fee = await escrow.mediationFeeFor(1);
+    expect(dispute.payment).to.equal(fee.toString());
+    expect(dispute.transactions[0].value).to.equal(ethers.toQuantity(fee));
+    await act(mediator, "resolve", 1, { freelancerShareBps: 2500 });
+    const resolved = await escrow.getMilestoneStatus(1);
+    expect(resolved.status).to.equal("Settled");
+
+    await act(freelancer, "complete", 2);
+    await increaseTime(3 * day);
+    await act(freelancer, "auto-release", 2);
+    expect(await escrow.contractState()).to.equal("Completed");
+
+    const { body } = await call("GET", `/escrows/${escrow.address}/events?event=MilestoneCompleted`);
+    expect(body.events.map((e) => e.args.milestoneIndex)).to.deep.equal([0, 1, 2]);
+    const all = await call("GET", `/escrows/${escrow.address}/events`);
+    expect(all.body.events.map((e) => e.event)).to.include.members([
+      "MilestoneDisputed",
+      "DisputeResolved",
+      "AutoReleased",
+    ]);
+  });
+
+  it("should refuse callers without the role with the contract's messages", async function () {
+    await act(freelancer, "complete", 0);
+    const path = `/escrows/${escrow.address}/milestones/0`;
+
+    expect(await call("POST", `${path}/approve`, { from: freelancer.address })).to.deep.equal({
+      status: 403,
+      body: { error: { code: "UnauthorizedError", message: "Only client can approve" } },
+    });
+    expect((await call("POST", `${path}/dispute`, { from: stranger.address })).body.error.message).to.equal(
+      "Only client or freelancer can dispute"
+    );
+    expect((await call("POST", `${path}/auto-release`, { from: client.address })).status).to.equal(403);
+
+    await act(client, "dispute", 0);
+    const resolve = await call("POST", `${path}/resolve`, { from: client.address, winner: "client" });
+    expect(resolve).to.deep.equal({
+      status: 403,
+      body: { error: { code: "UnauthorizedError", message: "Only the mediator can resolve" } },
+    });
+  });
+
+  it("should refuse actions the escrow's state does not allow", async function () {
+    const path = `/escrows/${escrow.address}/milestones`;
+    expect((await call("POST", `${path}/0/approve`, { from: client.address })).body).to.deep.equal({
+      error: { code: "MilestoneNotCompletedError", message: "Milestone not completed" },
+    });
+
+    await act(freelancer, "complete", 0);
+    const early = await call("POST", `${path}/0/auto-release`, { from: freelancer.address });
+    expect(early.status).to.equal(409);
+    expect(early.body.error.message).to.equal("Grace period not reached");
+    expect((await call("POST", `${path}/0/complete`, { from: freelancer.address })).body.error.message).to.equal(
+      "Already completed"
+    );
+    expect((await call("POST", `${path}/0/resolve`, { from: mediator.address, winner: "client" })).status).to.equal(
+      409
+    );
+  });
+
+  it("should validate addresses, indexes and request bodies", async function () {
+    const path = `/escrows/${escrow.address}/milestones`;
+    const bad = [
+      ["GET", "/escrows/0x1234", undefined, "Invalid escrow address: 0x1234"],
+      ["POST", `${path}/x/complete`, { from: freelancer.address }, "Invalid milestone index: x"],
+      ["POST", `${path}/0/complete`, {}, "Invalid from address: undefined"],
+      ["POST", `${path}/0/complete`, "{not json", "Request body is not valid JSON"],
+      ["POST", `${path}/0/resolve`, { from: mediator.address }, "Give freelancerShareBps or winner"],
+      [
+        "POST",
+        `${path}/0/resolve`,
+        { from: mediator.address, freelancerShareBps: 10001 },
+        "Invalid freelancerShareBps: 10001 (expected 0-10000 basis points)",
+      ],
+      [
+        "POST",
+        `${path}/0/resolve`,
+        { from: mediator.address, winner: "both" },
+        "Invalid winner: both (expected client or freelancer)",
+      ],
+    ];
+    for (const [method, route, body, message] of bad) {
+      expect(await call(method, route, body), route).to.deep.equal({
+        status: 400,
+        body: { error: { code: "ApiError", message } },
+      });
+    }
+    expect((await call("POST", `${path}/9/complete`, { from: freelancer.address })).body.error).to.deep.equal({
+      code: "WrongMilestoneIndexError",
+      message: "Wrong milestone index",
+    });
+
+    expect((await call("GET", `/escrows/${stranger.address}`)).status).to.equal(404);
+    expect((await call("GET", "/projects")).status).to.equal(404);
+    expect((await call("POST", `${path}/0/pay`, { from: client.address })).status).to.equal(404);
+    expect((await call("DELETE", `/escrows/${escrow.address}`)).status).to.equal(405);
+    expect((await call("GET", `${path}/0/approve`)).status).to.equal(405);
+  });
+
+  it("should answer 413 to an oversized body without reading the rest of it", async function () {
+    const route = `/escrows/${escrow.address}/milestones/0/complete`;
+    const tooLarge = { status: 413, body: { error: { code: "ApiError", message: "Request body too large" } } };
+    expect(await call("POST", route, "x".repeat(65 * 1024))).to.deep.equal(tooLarge);
+
+    // Streamed without a content-length, the handler stops listening as soon as the limit is passed
+    const handle = createApiHandler({ provider: ethers.provider });
+    let stillReading;
+    const streamed = http.createServer(async (req, res) => {
+      await handle(req, res);
+      stillReading = req.listenerCount("data") > 0;
+    });
+    await new Promise((resolve) => streamed.listen(0, "127.0.0.1", resolve));
+    const total = 32 * 1024 * 1024;
+    const chunk = "x".repeat(16 * 1024);
+    let written = 0;
+    const answer = await new Promise((resolve) => {
+      const url = `http://127.0.0.1:${streamed.address().port}${route}`;
+      const req = http.request(url, { method: "POST" }, (res) => {
+        let raw = "";
+        res.setEncoding("utf8");
+        res.on("data", (data) => (raw += data));
+        res.on("end", () => {
+          req.destroy();
+          resolve({ status: res.statusCode, body: JSON.parse(raw) });
+        });
+      });
+      req.on("error", () => {}); // the server closes the connection instead of reading on
+      const pump = () => {
+        while (written < total && !req.destroyed) {
+          written += chunk.length;
+          if (!req.write(chunk)) return req.once("drain", pump);
+        }
+        if (!req.destroyed) req.end();
+      };
+      pump();
+    });
+    await new Promise((resolve) => streamed.close(resolve));
+    expect(answer).to.deep.equal(tooLarge);
+    expect(stillReading).to.be.false;
+    expect(written).to.be.below(total);
+
+    expect((await call("GET", `/escrows/${escrow.address}`)).status).to.equal(200);
+  });
+
+  it("should approve the token before a dispute on token escrows", async function () {
+    const usdc = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6);
+    await usdc.mint(client.address, 1000_000000n);
+    const factory = await EscrowFactoryClient.deploy(client);
+    escrow = await factory.createProject({
+      token: usdc.target,
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake: 0n,
+      milestoneAmounts: [100_000000n],
+      projectIpfsHash: "QmExampleIpfsHash",
+      mediationFee: 10_000000n,
+    });
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await act(freelancer, "complete", 0);
+
+    const dispute = await act(client, "dispute", 0);
+    expect(dispute.currency).to.include({ symbol: "USDC", decimals: 6 });
+    expect(dispute.transactions.map((tx) => [tx.to, tx.value])).to.deep.equal([
+      [usdc.target, "0x0"],
+      [escrow.address, "0x0"],
+    ]);
+    expect((await escrow.getMilestoneStatus(0)).status).to.equal("Disputed");
+    expect(await usdc.balanceOf(client.address)).to.equal(890_000000n);
+  });
+
+  it("should describe every route in its OpenAPI document", async function () {
+    const { status, body } = await call("GET", "/openapi.json");
+    expect(status).to.equal(200);
+    expect(body).to.deep.equal(openapi);
+    expect(Object.keys(body.paths)).to.have.members([
+      "/openapi.json",
+      "/escrows/{address}",
+      "/escrows/{address}/events",
+      ...["complete", "approve", "dispute", "resolve", "auto-release"].map(
+        (action) => `/escrows/{address}/milestones/{index}/${action}`
+      ),
+    ]);
+
+    const response = await fetch(`${baseUrl}/escrows/${escrow.address}`, { method: "OPTIONS" });
+    expect(response.status).to.equal(204);
+    expect(response.headers.get("access-control-allow-origin")).to.equal("*");
+  });
+});
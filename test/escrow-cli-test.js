@@ -0,0 +1,732 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { run } = require("../lib/cli/program");
+const { EXIT_CODES } = require("../lib/cli/exitCodes");
+
+describe("escrow CLI", function () {
+  let client, freelancer, mediator;
+  let stdout, stderr;
+  let address;
+
+  // Runs the CLI in-process against the Hardhat network used by the tests
+  async function escrow(...argv) {
+    stdout = [];
+    stderr = [];
+    return run(argv, {
+      out: (text) => stdout.push(text),
+      err: (text) => stderr.push(text),
+      loadHre: () => hre,
+    });
+  }
+
+  function json(lines) {
+    return JSON.parse(lines.join("\n"));
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator] = await ethers.getSigners();
+
+    const code = await escrow(
+      "deploy",
+      "--json",
+      "--freelancer", freelancer.address,
+      "--mediator", mediator.address,
+      "--milestones", "1,1,1",
+      "--stake", "1",
+      "--ipfs", "QmExampleIpfsHash"
+    );
+    expect(code).to.equal(EXIT_CODES.OK);
+    address = json(stdout).address;
+  });
+
+  it("should deploy and print the status as JSON", async function () {
+    expect(await escrow("status", address, "--json")).to.equal(EXIT_CODES.OK);
+
+    const status = json(stdout);
+    expect(status.contractState).to.equal("Created");
+    expect(status.client).to.equal(client.address);
+    expect(status.projectFee).to.equal(ethers.parseEther("3").toString());
+    expect(status.milestones).to.have.length(3);
+    expect(status.milestones[2].amount).to.equal(ethers.parseEther("1").toString());
+  });
+
+  it("should run a milestone through dispute and resolution", async function () {
+    expect(await escrow("deposit-stake", address)).to.equal(EXIT_CODES.OK);
+    expect(await escrow("complete", address, "0", "--as", "freelancer")).to.equal(EXIT_CODES.OK);
+    expect(await escrow("dispute", address, "0", "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout)).to.include({ action: "dispute", milestone: 0, from: client.address });
+
+    expect(await escrow("resolve", address, "0", "--winner", "client")).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain(`resolve milestone #0 of ${address} (sending)`);
+    expect(stdout[1]).to.contain("winner: client");
+
+    await escrow("status", address, "--json");
+    expect(json(stdout)).to.include({ settledMilestones: 1, openDisputes: 0 });
+    expect(json(stdout).milestones[0].status).to.equal("Settled");
+  });
+
+  it("should resolve a dispute with a split and a stake slash", async function () {
+    await escrow("deposit-stake", address);
+    await escrow("complete", address, "0");
+    await escrow("dispute", address, "0");
+
+    expect(await escrow("resolve", address, "0", "--split", "62.5", "--slash", "10%", "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout)).to.include({
+      winner: "split",
+      freelancerShareBps: 6250,
+      freelancerAmount: ethers.parseEther("0.625").toString(),
+      clientAmount: ethers.parseEther("0.375").toString(),
+      stakeSlashed: ethers.parseEther("0.1").toString(),
+    });
+
+    await escrow("complete", address, "1");
+    await escrow("dispute", address, "1", "--as", "freelancer");
+    await escrow("resolve", address, "1", "--split", "70");
+    expect(stdout[1]).to.contain("split: 70% freelancer / 30% client");
+  });
+
+  it("should cancel, reclaim and terminate projects", async function () {
+    expect(await escrow("reclaim", address, "--as", "mediator")).to.equal(EXIT_CODES.TOO_EARLY);
+    expect(await escrow("cancel", address, "--as", "freelancer")).to.equal(EXIT_CODES.UNAUTHORIZED);
+    expect(await escrow("cancel", address)).to.equal(EXIT_CODES.OK);
+    await escrow("status", address);
+    expect(stdout[0]).to.contain("💳 Claimable by client: 3.0 ETH");
+    expect(await escrow("claim", address, "--as", "freelancer")).to.equal(EXIT_CODES.REVERTED);
+    expect(await escrow("claim", address, "--as", "client", "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout)).to.include({ action: "claim", from: client.address, amount: ethers.parseEther("3").toString() });
+    await escrow("status", address, "--json");
+    expect(json(stdout)).to.include({ contractState: "Cancelled", balance: "0" });
+
+    await escrow(
+      "deploy",
+      "--json",
+      "--freelancer", freelancer.address,
+      "--mediator", mediator.address,
+      "--milestones", "1,1",
+      "--stake", "1"
+    );
+    const second = json(stdout).address;
+    await escrow("deposit-stake", second);
+    expect(await escrow("propose-termination", second, "--as", "freelancer")).to.equal(EXIT_CODES.OK);
+    await escrow("status", second);
+    expect(stdout[0]).to.contain(`Termination proposed by: ${freelancer.address}`);
+    expect(await escrow("accept-termination", second, "--as", "freelancer")).to.equal(EXIT_CODES.UNAUTHORIZED);
+    expect(await escrow("accept-termination", second, "--as", "client", "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout)).to.include({ action: "accept-termination", from: client.address });
+    await escrow("status", second, "--json");
+    expect(json(stdout)).to.include({ contractState: "Terminated", terminationProposer: null });
+    expect(json(stdout).claimable).to.deep.equal({
+      client: ethers.parseEther("2").toString(),
+      freelancer: ethers.parseEther("1").toString(),
+      mediator: "0",
+    });
+    await escrow("claim", second, "--as", "client");
+    expect(stdout[0]).to.contain("✅ claim (amount: 2.0 ETH)");
+    await escrow("claim", second);
+    await escrow("status", second, "--json");
+    expect(json(stdout)).to.include({ balance: "0" });
+  });
+
+  it("should deploy with deadlines, show countdowns and reclaim overdue milestones", async function () {
+    const timedArgs = ["--freelancer", freelancer.address, "--mediator", mediator.address, "--milestones", "1,1"];
+    expect(await escrow("deploy", ...timedArgs, "--stake", "1", "--deadlines", "2d")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("deploy", ...timedArgs, "--stake", "1", "--review-window", "soon")).to.equal(EXIT_CODES.USAGE);
+
+    await escrow(
+      "deploy",
+      "--json",
+      ...timedArgs,
+      "--stake", "1",
+      "--review-window", "36h",
+      "--deadlines", "2d,0",
+      "--late-penalty", "10"
+    );
+    const timed = json(stdout);
+    expect(timed).to.include({ reviewWindow: 36 * 3600, latePenaltyBps: 1000 });
+    expect(timed.milestones[0].deliveryWindow).to.equal(2 * 24 * 3600);
+
+    await escrow("deposit-stake", timed.address);
+    await escrow("status", timed.address);
+    expect(stdout[0]).to.include("Review Window: 36 hours");
+    expect(stdout[0]).to.include("⏳ Milestone #0 due in 48 hours");
+    expect(await escrow("reclaim-overdue", timed.address, "0")).to.equal(EXIT_CODES.TOO_EARLY);
+
+    await ethers.provider.send("evm_increaseTime", [2 * 24 * 3600 + 1]);
+    await ethers.provider.send("evm_mine");
+    await escrow("status", timed.address);
+    expect(stdout[0]).to.include("⚠️ Milestone #0 overdue since");
+    expect(await escrow("reclaim-overdue", timed.address, "0", "--as", "freelancer")).to.equal(EXIT_CODES.UNAUTHORIZED);
+    expect(await escrow("reclaim-overdue", timed.address, "0")).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.include("(refund: 1.0 ETH, stake claimed: 0.1 ETH)");
+
+    await escrow("complete", timed.address, "1");
+    await escrow("status", timed.address);
+    expect(stdout[0]).to.include("⏳ Auto-release available in 36 hours");
+  });
+
+  it("should sign actions off-chain and relay them from another account", async function () {
+    await escrow("deposit-stake", address);
+    await escrow("complete", address, "0");
+
+    expect(await escrow("sign", address, "approve")).to.equal(EXIT_CODES.USAGE); // missing index
+    expect(await escrow("sign", address, "withdraw", "0")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("sign", address, "approve", "0", "--dry-run")).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain("Freelancer receives:");
+    expect(await escrow("sign", address, "propose-termination", "--dry-run")).to.equal(EXIT_CODES.USAGE);
+    expect(stderr.join("\n")).to.contain("This action takes no fees; there is nothing to preview");
+    expect(await escrow("sign", address, "approve", "0", "--expires", "1h", "--json")).to.equal(EXIT_CODES.OK);
+    const signed = json(stdout).signed;
+    expect(signed).to.include({ action: "approveMilestone", signer: client.address, milestoneIndex: 0, nonce: 0 });
+
+    // Tampered messages are refused before anything is sent
+    const tampered = JSON.stringify({ ...signed, signer: freelancer.address });
+    expect(await escrow("relay", tampered, "--as", "mediator")).to.equal(EXIT_CODES.UNAUTHORIZED);
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-")), "approval.json");
+    fs.writeFileSync(file, JSON.stringify(signed));
+    expect(await escrow("relay", file, "--dry-run")).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain(`🔍 approve milestone #0 of ${address} (dry run, nothing sent)`);
+    expect(await escrow("relay", file, "--as", "mediator", "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout)).to.include({ action: "relay", from: mediator.address, signedAction: "approveMilestone" });
+    expect(json(stdout).preview).to.include({ action: "preview", of: "approve", milestone: 0 });
+    expect(await escrow("relay", file, "--as", "mediator")).to.equal(EXIT_CODES.REVERTED); // already used
+
+    await escrow("complete", address, "1");
+    await escrow("dispute", address, "1");
+    expect(await escrow("accept-dispute", address, "1", "--as", "client")).to.equal(EXIT_CODES.UNAUTHORIZED);
+    expect(await escrow("accept-dispute", address, "1")).to.equal(EXIT_CODES.OK);
+    await escrow("status", address, "--json");
+    expect(json(stdout)).to.include({ contractState: "InProgress", settledMilestones: 2, openDisputes: 0 });
+  });
+
+  it("should map reverts to exit codes", async function () {
+    await escrow("deposit-stake", address);
+    await escrow("complete", address, "0");
+
+    expect(await escrow("auto-release", address, "0", "--json")).to.equal(EXIT_CODES.TOO_EARLY);
+    expect(json(stderr).error).to.deep.include({
+      name: "GracePeriodNotReachedError",
+      reason: "Grace period not reached",
+    });
+
+    expect(await escrow("approve", address, "0", "--as", "freelancer")).to.equal(EXIT_CODES.UNAUTHORIZED);
+    expect(await escrow("approve", address, "3")).to.equal(EXIT_CODES.REVERTED);
+    expect(stderr[0]).to.contain("Wrong milestone index");
+
+    await ethers.provider.send("evm_increaseTime", [3 * 24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+    expect(await escrow("auto-release", address, "0")).to.equal(EXIT_CODES.OK);
+  });
+
+  it("should reject bad input before sending anything", async function () {
+    expect(await escrow("complete", address, "first")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("complete", address, "0", "--as", "auditor")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("resolve", address, "0", "--winner", "nobody")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("status", ethers.ZeroAddress)).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("resolve", address, "0")).to.equal(EXIT_CODES.USAGE); // missing --winner / --split
+    expect(await escrow("resolve", address, "0", "--winner", "client", "--split", "50")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("resolve", address, "0", "--split", "101")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("resolve", address, "0", "--split", "33.333")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("no-such-command")).to.equal(EXIT_CODES.USAGE);
+    expect(
+      await escrow(
+        "deploy",
+        "--freelancer", freelancer.address,
+        "--mediator", mediator.address,
+        "--milestones", "0.1,abc",
+        "--stake", "1"
+      )
+    ).to.equal(EXIT_CODES.USAGE);
+  });
+
+  it("should index and print the event history", async function () {
+    const store = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-")), "index.json");
+    await escrow("deposit-stake", address);
+    await escrow("complete", address, "0");
+
+    expect(await escrow("history", address, "--store", store, "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout).events.map((e) => e.event)).to.deep.equal(["StakeDeposited", "MilestoneCompleted"]);
+    expect(fs.existsSync(store)).to.be.true;
+  });
+
+  it("should watch escrows once and queue notifications for the chosen roles", async function () {
+    const queue = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-")), "queue");
+    const fromBlock = String(await ethers.provider.getBlockNumber());
+    await escrow("deposit-stake", address);
+    await escrow("complete", address, "0");
+    await escrow("approve", address, "0");
+
+    const code = await escrow("watch", address, "--from-block", fromBlock, "--roles", "freelancer", "--queue", queue, "--once");
+    expect(code).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain(`${address} → freelancer: ✅ Milestone #0 was approved`);
+    expect(stdout[1]).to.contain("Watched 1 escrow(s)").and.to.contain("1 notification(s) sent");
+    expect(fs.readdirSync(queue)).to.have.length(1);
+
+    expect(await escrow("watch", address, "--roles", "auditor", "--once")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("watch", "--once")).to.equal(EXIT_CODES.USAGE); // no addresses and no --factory
+  });
+
+  it("should deploy a mediator panel, vote and print the case file", async function () {
+    const [, , , second, third, backup, other] = await ethers.getSigners();
+    const store = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-")), "index.json");
+    await escrow(
+      "deploy",
+      "--json",
+      "--freelancer", freelancer.address,
+      "--mediator", mediator.address,
+      "--milestones", "1,1",
+      "--stake", "1",
+      "--co-mediators", `${second.address},${third.address}`,
+      "--backup-mediator", backup.address,
+      "--escalation-window", "1h"
+    );
+    const panelEscrow = json(stdout).address;
+    expect(json(stdout).panel).to.deep.include({
+      mediators: [mediator.address, second.address, third.address],
+      quorum: 2,
+      backupMediator: backup.address,
+      escalationWindow: 3600,
+    });
+
+    await escrow("deposit-stake", panelEscrow);
+    await escrow("complete", panelEscrow, "0");
+    await escrow("dispute", panelEscrow, "0");
+    await escrow("status", panelEscrow);
+    expect(stdout[0]).to.contain("(quorum 2 of 3)").and.to.contain("Escalation to the backup mediator available in 1 hour");
+
+    expect(await escrow("resolve", panelEscrow, "0", "--winner", "freelancer", "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout)).to.include({ action: "vote", settled: false, votes: 1, quorum: 2 });
+    expect(await escrow("escalate", panelEscrow)).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("escalate", panelEscrow, "0")).to.equal(EXIT_CODES.TOO_EARLY);
+
+    // Both parties swap out the lead mediator, which also drops their vote
+    expect(await escrow("propose-mediator", panelEscrow, second.address, "0x1234")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("propose-mediator", panelEscrow, mediator.address, backup.address)).to.equal(
+      EXIT_CODES.REVERTED
+    );
+    expect(await escrow("propose-mediator", panelEscrow, mediator.address, other.address)).to.equal(EXIT_CODES.OK);
+    expect(await escrow("accept-mediator", panelEscrow, mediator.address, other.address)).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain(`${mediator.address} → ${other.address}`);
+
+    expect(await escrow("case-file", panelEscrow, "0", "--store", store)).to.equal(EXIT_CODES.OK);
+    const text = stdout.join("\n");
+    expect(text).to.contain("Case file: milestone #0");
+    expect(text).to.contain(`${mediator.address} voted freelancer`);
+    expect(text).to.contain(`mediator ${mediator.address} replaced by ${other.address}`);
+    expect(text).to.contain("(open)");
+    expect(await escrow("case-file", panelEscrow, "1", "--store", store)).to.equal(EXIT_CODES.USAGE);
+  });
+
+  it("should attach evidence files and list them", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-"));
+    const file = path.join(dir, "brief.txt");
+    fs.writeFileSync(file, "hello world");
+    const cid = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+
+    await escrow("deposit-stake", address);
+    await escrow("complete", address, "0");
+    await escrow("dispute", address, "0");
+
+    expect(await escrow("attach-evidence", address, "0", file, "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout)).to.include({ action: "attach-evidence", cid, label: "brief.txt" });
+    expect(await escrow("attach-evidence", address, "0", "--cid", cid, "--label", "reply", "--as", "freelancer")).to.equal(
+      EXIT_CODES.OK
+    );
+    expect(stdout[0]).to.contain(`${cid} "reply"`);
+    expect(await escrow("attach-evidence", address, "0", "--cid", "not-a-cid")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("attach-evidence", address, "0", file, "--as", "mediator")).to.equal(EXIT_CODES.UNAUTHORIZED);
+
+    expect(await escrow("evidence", address, "0")).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain("Evidence for milestone #0");
+    expect(stdout[0]).to.contain(`${client.address} ${cid} "brief.txt"`);
+    expect(stdout[0]).to.contain(`${freelancer.address} ${cid} "reply"`);
+  });
+
+  it("should send a milestone back for changes, retract and resubmit it", async function () {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-")), "changes.txt");
+    fs.writeFileSync(file, "hello world");
+    const cid = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+
+    await escrow("deposit-stake", address);
+    expect(await escrow("request-changes", address, "0", file)).to.equal(EXIT_CODES.REVERTED);
+    await escrow("complete", address, "0");
+    expect(await escrow("request-changes", address, "0", file, "--as", "freelancer")).to.equal(EXIT_CODES.UNAUTHORIZED);
+    expect(await escrow("request-changes", address, "0")).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("request-changes", address, "0", file, "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout)).to.include({ action: "request-changes", milestone: 0, reasonCid: cid, round: 1 });
+
+    await escrow("complete", address, "0");
+    expect(await escrow("retract", address, "0")).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain("✅ retract milestone #0");
+    await escrow("status", address, "--json");
+    expect(json(stdout).milestones[0]).to.include({ status: "Open", revisions: 1 });
+
+    await escrow("complete", address, "0");
+    expect(await escrow("request-changes", address, "0", "--cid", cid)).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain(`(round 2: ${cid})`);
+    expect(await escrow("change-requests", address, "0")).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain("Changes requested on milestone #0");
+    expect(stdout[0]).to.contain(`round 1: ${cid}`);
+    expect(stdout[0]).to.contain(`round 2: ${cid}`);
+
+    await escrow("complete", address, "0");
+    expect(await escrow("approve", address, "0")).to.equal(EXIT_CODES.OK);
+  });
+
+  it("should validate a manifest, deploy from it and show its milestone titles", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-"));
+    const file = path.join(dir, "project.json");
+    const manifest = {
+      version: 1,
+      title: "Logo design",
+      milestones: [
+        { title: "Sketches", acceptanceCriteria: ["Three concepts"], amount: "0.5", deadline: "7d" },
+        { title: "Final files", acceptanceCriteria: ["SVG and PNG exports"], amount: "1.5" },
+      ],
+    };
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2));
+
+    const out = path.join(dir, "canonical.json");
+    expect(await escrow("manifest", file, "--out", out)).to.equal(EXIT_CODES.OK);
+    const cid = stdout[0].match(/CID: (\S+)/)[1];
+    expect(stdout[0]).to.contain('Milestone #0 "Sketches" (0.5, due 7 days after it starts)');
+    expect(fs.readFileSync(out, "utf8")).to.not.contain("\n");
+
+    expect(
+      await escrow("deploy", "--freelancer", freelancer.address, "--mediator", mediator.address, "--stake", "1", "--manifest", file)
+    ).to.equal(EXIT_CODES.OK);
+    const deployed = stdout[0].match(/deployed to: (0x[0-9a-fA-F]{40})/)[1];
+    expect(stdout[0]).to.contain(`IPFS Hash: ${cid}`);
+    expect(stdout[0]).to.contain(`Manifest: Logo design (${cid})`);
+    expect(stdout[0]).to.not.contain("Manifest mismatch");
+
+    await escrow("status", deployed, "--manifest", file, "--json");
+    const status = json(stdout);
+    expect(status.projectFee).to.equal(ethers.parseEther("2").toString());
+    expect(status.milestones.map((m) => [m.title, m.deliveryWindow])).to.deep.equal([
+      ["Sketches", 7 * 24 * 60 * 60],
+      ["Final files", 0],
+    ]);
+
+    const lines = [];
+    const options = { out: (line) => lines.push(line), err: () => {}, question: () => "4", loadHre: () => hre };
+    expect(await run(["interactive", deployed, "--manifest", file], options)).to.equal(EXIT_CODES.OK);
+    expect(lines.join("\n")).to.contain(' Milestone #1 "Final files" (1.5 ETH) → Completed: false');
+
+    // The escrow from beforeEach was not deployed from this manifest
+    expect(await escrow("status", address, "--manifest", file)).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain("⚠️ Manifest mismatch: escrow has 3 milestones, the manifest 2");
+
+    fs.writeFileSync(file, JSON.stringify({ ...manifest, milestones: [] }));
+    expect(await escrow("manifest", file)).to.equal(EXIT_CODES.USAGE);
+    expect(stderr[0]).to.contain("milestones must be a non-empty array");
+    const deployArgs = ["deploy", "--freelancer", freelancer.address, "--mediator", mediator.address, "--stake", "1"];
+    expect(await escrow(...deployArgs)).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow(...deployArgs, "--manifest", out, "--milestones", "1")).to.equal(EXIT_CODES.USAGE);
+  });
+
+  it("should propose, revoke and accept milestone amendments", async function () {
+    await escrow("deposit-stake", address);
+    await escrow("complete", address, "0", "--as", "freelancer");
+
+    // Milestone #0 is in review, so the amendment starts at #1
+    expect(
+      await escrow("propose-amendment", address, "--milestones", "0.5", "--ipfs", "QmAmended", "--as", "freelancer")
+    ).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain("propose-amendment (v1: 0.5 ETH from milestone #1, client refunded 1.5 ETH)");
+    expect(await escrow("revoke-amendment", address, "--as", "freelancer")).to.equal(EXIT_CODES.OK);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-"));
+    const milestone = (title, amount) => ({ title, acceptanceCriteria: [`${title} delivered`], amount });
+    const file = path.join(dir, "amended.json");
+    const manifest = {
+      version: 1,
+      title: "Amended project",
+      milestones: [milestone("Design", "1"), milestone("Build", "1.5"), milestone("Launch", "1")],
+    };
+    fs.writeFileSync(file, JSON.stringify(manifest));
+    const changedFirst = path.join(dir, "changed-first.json");
+    fs.writeFileSync(changedFirst, JSON.stringify({ ...manifest, milestones: [milestone("Design", "2")] }));
+
+    expect(await escrow("propose-amendment", address, "--manifest", changedFirst)).to.equal(EXIT_CODES.USAGE);
+    expect(stderr[0]).to.contain("changes milestone #0, which can no longer be amended");
+    expect(await escrow("propose-amendment", address, "--manifest", file, "--ipfs", "Qm")).to.equal(EXIT_CODES.USAGE);
+
+    expect(await escrow("propose-amendment", address, "--manifest", file)).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain("(v1: 1.5 ETH, 1.0 ETH from milestone #1, client pays 0.5 ETH)");
+    await escrow("status", address);
+    expect(stdout[0]).to.contain(`Amendment proposed by ${client.address} (v1:`);
+
+    expect(await escrow("accept-amendment", address, "--manifest", changedFirst)).to.equal(EXIT_CODES.USAGE);
+    expect(await escrow("accept-amendment", address, "--as", "client")).to.equal(EXIT_CODES.UNAUTHORIZED);
+    expect(await escrow("accept-amendment", address, "--manifest", file)).to.equal(EXIT_CODES.OK);
+
+    await escrow("status", address, "--manifest", file, "--json");
+    const status = json(stdout);
+    expect(status.amendmentVersion).to.equal(1);
+    expect(status.amendment).to.equal(null);
+    expect(status.projectFee).to.equal(ethers.parseEther("3.5").toString());
+    expect(status.manifest.mismatches).to.deep.equal([]);
+    expect(await escrow("accept-amendment", address)).to.equal(EXIT_CODES.REVERTED);
+  });
+
+  it("should drive the interactive menus with the same commands", async function () {
+    // freelancer: stake, complete #0; client: approve #0; freelancer: claim the payment
+    const answers = ["2", "1", "2", "0", "9", "1", "3", "0", "9", "2", "8", "10"];
+    const lines = [];
+    const code = await run(["interactive", address], {
+      out: (line) => lines.push(line),
+      err: () => {},
+      question: () => answers.shift(),
+      loadHre: () => hre,
+    });
+    expect(code).to.equal(EXIT_CODES.OK);
+    expect(answers).to.be.empty;
+    expect(lines).to.include("💳 Claimable balance (freelancer): 1.0 ETH");
+    expect(lines.some((line) => line.startsWith("✅ claim (amount: 1.0 ETH)"))).to.be.true;
+
+    await escrow("status", address, "--json");
+    const status = json(stdout);
+    expect(status.contractState).to.equal("InProgress");
+    expect(status.milestones[0].approved).to.be.true;
+    expect(status.claimable.freelancer).to.equal("0");
+  });
+
+  it("should list the actions a role can take and only offer those in interactive mode", async function () {
+    expect(await escrow("actions", address, "--as", "freelancer", "--json")).to.equal(EXIT_CODES.OK);
+    const listed = json(stdout);
+    expect(listed).to.include({ action: "actions", role: "freelancer", from: freelancer.address });
+    expect(listed.actions.filter((a) => a.allowed).map((a) => a.action)).to.deep.equal([
+      "deposit-stake",
+      "propose-mediator",
+    ]);
+
+    await escrow("deposit-stake", address);
+    await escrow("complete", address, "0", "--as", "freelancer");
+    expect(await escrow("actions", address, "--as", "client")).to.equal(EXIT_CODES.OK);
+    const printed = stdout.join("\n").split("\n");
+    expect(printed).to.include(" ✅ approve: milestone #0 (#1, #2: Milestone not completed)");
+    expect(printed).to.include(" ⛔ complete: Only freelancer can mark completion");
+
+    // client: try to stake and to approve #1, then approve #0
+    const answers = ["1", "1", "3", "1", "3", "0", "10"];
+    const lines = [];
+    const code = await run(["interactive", address], {
+      out: (line) => lines.push(line),
+      err: () => {},
+      question: () => answers.shift(),
+      loadHre: () => hre,
+    });
+    expect(code).to.equal(EXIT_CODES.OK);
+    expect(answers).to.be.empty;
+    expect(lines).to.include("3) Approve Milestone (milestone #0)");
+    expect(lines).not.to.include("1) Deposit Freelancer Stake");
+    expect(lines).to.include("❌ Not available: Contract must be in Created state");
+    expect(lines).to.include("❌ Not available for milestone #1: Milestone not completed");
+
+    await escrow("status", address, "--json");
+    expect(json(stdout).milestones[0].approved).to.be.true;
+  });
+
+  describe("with a factory", function () {
+    let factory;
+
+    beforeEach(async function () {
+      expect(await escrow("deploy-factory", "--json")).to.equal(EXIT_CODES.OK);
+      factory = json(stdout).address;
+    });
+
+    async function createProject(freelancerAddress) {
+      await escrow(
+        "--factory", factory,
+        "deploy",
+        "--json",
+        "--freelancer", freelancerAddress,
+        "--mediator", mediator.address,
+        "--milestones", "0.5,0.5",
+        "--stake", "1"
+      );
+      return json(stdout).address;
+    }
+
+    it("should create projects through the factory and list them per wallet", async function () {
+      const first = await createProject(freelancer.address);
+      const second = await createProject(mediator.address);
+      expect(first).to.not.equal(second);
+
+      expect(await escrow("--factory", factory, "projects", "--json")).to.equal(EXIT_CODES.OK);
+      expect(json(stdout).projects.map((p) => p.address)).to.deep.equal([first, second]);
+
+      await escrow("--factory", factory, "projects", "--as", "freelancer", "--json");
+      expect(json(stdout).projects).to.deep.equal([
+        { address: first, roles: ["freelancer"], contractState: "Created", settledMilestones: 0, numMilestones: 2 },
+      ]);
+
+      await escrow("--factory", factory, "projects", mediator.address, "--json");
+      expect(json(stdout).projects.map((p) => p.roles)).to.deep.equal([["freelancer", "mediator"], ["mediator"]]);
+    });
+
+    it("should show a wallet's reputation across its factory projects", async function () {
+      const store = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-cli-")), "index.json");
+      const first = await createProject(freelancer.address);
+      await createProject(freelancer.address);
+      await escrow("deposit-stake", first);
+      await escrow("complete", first, "0");
+      await escrow("approve", first, "0");
+      await escrow("complete", first, "1");
+      await escrow("dispute", first, "1");
+      await escrow("resolve", first, "1", "--winner", "freelancer");
+
+      expect(
+        await escrow("--factory", factory, "reputation", freelancer.address, "--store", store, "--json")
+      ).to.equal(EXIT_CODES.OK);
+      const record = json(stdout);
+      expect(record).to.include({ action: "reputation", address: freelancer.address, escrows: 2 });
+      expect(record.asFreelancer).to.include({ projects: 2, completed: 1, disputesWon: 1, onTimeRate: null });
+
+      // Without --factory the escrows already in the store are used
+      expect(await escrow("reputation", client.address, "--store", store)).to.equal(EXIT_CODES.OK);
+      const text = stdout.join("\n");
+      expect(text).to.contain(`Reputation of ${client.address} (2 escrow(s)`);
+      expect(text).to.contain("As client: 2 project(s), 1 completed, 0 ended early");
+      expect(text).to.contain("Disputes: 1 opened, 0 won, 1 lost, 0 split");
+    });
+
+    it("should let interactive mode pick one of the wallet's projects", async function () {
+      await createProject(freelancer.address);
+      const second = await createProject(freelancer.address);
+
+      const answers = ["2", "2", "1", "10"]; // project #2, act as freelancer, deposit stake, exit
+      const code = await run(["--factory", factory, "interactive"], {
+        out: () => {},
+        err: () => {},
+        question: () => answers.shift(),
+        loadHre: () => hre,
+      });
+      expect(code).to.equal(EXIT_CODES.OK);
+
+      await escrow("status", second, "--json");
+      expect(json(stdout).contractState).to.equal("InProgress");
+    });
+
+    it("should charge the platform fee and a percentage mediation fee, previewing both", async function () {
+      const [, , , operator] = await ethers.getSigners();
+      expect(await escrow("deploy-factory", "--platform-fee", "1")).to.equal(EXIT_CODES.USAGE); // no recipient
+      expect(await escrow("--factory", factory, "set-platform-fee", "2.5", "--fee-recipient", operator.address)).to.equal(
+        EXIT_CODES.OK
+      );
+      expect(stdout[0]).to.include(`set-platform-fee (2.5% to ${operator.address})`);
+      expect(await escrow("--factory", factory, "set-platform-fee", "0", "--as", "freelancer")).to.equal(
+        EXIT_CODES.UNAUTHORIZED
+      );
+
+      await escrow(
+        "--factory", factory,
+        "deploy",
+        "--json",
+        "--freelancer", freelancer.address,
+        "--mediator", mediator.address,
+        "--milestones", "0.5,0.5",
+        "--stake", "1",
+        "--mediation-fee", "5%"
+      );
+      const project = json(stdout);
+      expect(project).to.include({
+        mediationFee: "0",
+        mediationFeeBps: 500,
+        feeRecipient: operator.address,
+        platformFeeBps: 250,
+      });
+      await escrow("deposit-stake", project.address);
+      await escrow("complete", project.address, "0");
+
+      expect(await escrow("approve", project.address, "0", "--dry-run", "--json")).to.equal(EXIT_CODES.OK);
+      expect(json(stdout)).to.include({
+        action: "preview",
+        of: "approve",
+        amount: ethers.parseEther("0.5").toString(),
+        platformFee: ethers.parseEther("0.0125").toString(),
+        freelancerReceives: ethers.parseEther("0.4875").toString(),
+        clientAmount: "0",
+      });
+      await escrow("approve", project.address, "0", "--dry-run");
+      expect(stdout[0]).to.include(`Platform fee (2.5% to ${operator.address}): 0.0125 ETH`);
+      expect(stdout[0]).to.include("Freelancer receives: 0.4875 ETH");
+      await escrow("status", project.address, "--json");
+      expect(json(stdout).settledMilestones).to.equal(0); // nothing was sent
+
+      await escrow("fees", project.address);
+      expect(stdout[0]).to.include("Mediation Fee: 5% of the disputed milestone");
+      expect(stdout[0]).to.include(
+        "Milestone #1 (0.5 ETH): freelancer receives 0.4875 ETH, platform fee 0.0125 ETH, dispute costs 0.025 ETH"
+      );
+
+      // Without --dry-run the same breakdown is shown before the transaction is sent
+      expect(await escrow("approve", project.address, "0")).to.equal(EXIT_CODES.OK);
+      expect(stdout[0]).to.include("(sending)");
+      expect(stdout[0]).to.include("Freelancer receives: 0.4875 ETH");
+      expect(stdout[1]).to.include("approve");
+      await escrow("complete", project.address, "1");
+      await escrow("dispute", project.address, "1", "--dry-run");
+      expect(stdout[0]).to.include("Mediation fee: 0.025 ETH");
+      expect(await escrow("dispute", project.address, "1", "--json")).to.equal(EXIT_CODES.OK);
+      expect(json(stdout)).to.include({ action: "dispute", milestone: 1 });
+      expect(json(stdout).preview).to.include({ of: "dispute", mediationFee: ethers.parseEther("0.025").toString() });
+      await escrow("resolve", project.address, "1", "--split", "40", "--dry-run");
+      expect(stdout[0]).to.include("Client refunded: 0.3 ETH");
+      await escrow("resolve", project.address, "1", "--split", "40");
+      expect(stdout[0]).to.include("Client refunded: 0.3 ETH");
+
+      await escrow("fees", project.address, "--json");
+      expect(json(stdout).breakdowns).to.be.empty;
+      await escrow("status", project.address);
+      expect(stdout[0]).to.include(`Platform Fee: 2.5% of every payment to the freelancer (to ${operator.address})`);
+      expect(stdout[0]).to.include("💳 Claimable by freelancer: 0.6825 ETH"); // 0.4875 + 0.195
+      expect(stdout[0]).to.include("💳 Claimable by mediator: 0.025 ETH");
+    });
+
+    it("should require a factory for projects", async function () {
+      expect(await escrow("projects")).to.equal(EXIT_CODES.USAGE);
+    });
+
+    it("should deploy and run token projects in the token's decimals", async function () {
+      const usdc = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6);
+      await usdc.mint(client.address, ethers.parseUnits("1000", 6));
+      await usdc.mint(freelancer.address, ethers.parseUnits("1000", 6));
+      const tokenArgs = ["--freelancer", freelancer.address, "--mediator", mediator.address, "--token", usdc.target];
+
+      // Token projects need the factory and an explicit mediation fee
+      expect(await escrow("deploy", ...tokenArgs, "--milestones", "1", "--stake", "1", "--mediation-fee", "1")).to.equal(
+        EXIT_CODES.USAGE
+      );
+      expect(await escrow("--factory", factory, "deploy", ...tokenArgs, "--milestones", "1", "--stake", "1")).to.equal(
+        EXIT_CODES.USAGE
+      );
+
+      const code = await escrow(
+        "--factory", factory,
+        "deploy",
+        "--json",
+        ...tokenArgs,
+        "--milestones", "100,250.5",
+        "--stake", "50",
+        "--mediation-fee", "10"
+      );
+      expect(code).to.equal(EXIT_CODES.OK);
+      const deployed = json(stdout);
+      expect(deployed.projectFee).to.equal("350500000");
+      expect(deployed.currency).to.deep.equal({ address: usdc.target, symbol: "USDC", decimals: 6 });
+
+      expect(await escrow("deposit-stake", deployed.address, "--permit")).to.equal(EXIT_CODES.OK);
+      expect(await usdc.balanceOf(deployed.address)).to.equal(ethers.parseUnits("400.5", 6));
+
+      await escrow("status", deployed.address);
+      expect(stdout[0]).to.include("Project Fee: 350.5 USDC");
+      expect(stdout[0]).to.include("Milestone #1 (250.5 USDC)");
+    });
+  });
+});
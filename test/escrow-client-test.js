@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  EscrowClient,
+  EscrowError,
+  UnauthorizedError,
+  InvalidStateError,
+  WrongMilestoneIndexError,
+  GracePeriodNotReachedError,
+  MilestoneNotCompletedError,
+  InvalidParameterError,
+  IncorrectPaymentError,
+} = require("../lib");
+
+describe("EscrowClient", function () {
+  let client, freelancer, mediator, other;
+  let escrow; // EscrowClient connected as client
+  const projectFee = ethers.parseEther("3");
+  const freelancerStake = ethers.parseEther("1");
+  const milestoneAmounts = [ethers.parseEther("1"), ethers.parseEther("1"), ethers.parseEther("1")];
+  const numMilestones = milestoneAmounts.length;
+  const ipfsHash = "QmExampleIpfsHash";
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, other] = await ethers.getSigners();
+
+    escrow = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake,
+      milestoneAmounts,
+      projectIpfsHash: ipfsHash,
+    });
+  });
+
+  it("should attach to an existing escrow by address", async function () {
+    const attached = EscrowClient.at(escrow.address, ethers.provider);
+    expect(await attached.client()).to.equal(client.address);
+    expect(await attached.numMilestones()).to.equal(numMilestones);
+  });
+
+  it("should return a decoded snapshot", async function () {
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+
+    const snap = await escrow.snapshot();
+    expect(snap.contractState).to.equal("InProgress");
+    expect(snap.settledMilestones).to.equal(0);
+    expect(snap.openDisputes).to.equal(0);
+    expect(snap.projectFee).to.equal(projectFee);
+    expect(snap.balance).to.equal(projectFee + freelancerStake);
+    expect(snap.projectIpfsHash).to.equal(ipfsHash);
+    expect(snap.milestones).to.have.length(numMilestones);
+    expect(snap.milestones[0].completed).to.be.true;
+    expect(snap.milestones[0].timestamp).to.be.gt(0);
+    const startedAt = snap.milestones[1].startedAt;
+    expect(startedAt).to.be.gt(0);
+    expect(snap.milestones[1]).to.deep.equal({
+      index: 1,
+      status: "Open",
+      completed: false,
+      approved: false,
+      disputed: false,
+      timestamp: 0,
+      amount: ethers.parseEther("1"),
+      deliveryWindow: 0,
+      dependsOn: [],
+      startedAt,
+      settledAt: null,
+      deliveryDue: null,
+      autoReleaseAt: null,
+      dispute: null,
+      revisions: 0,
+      revisedAt: null,
+    });
+    expect(snap.reviewWindow).to.equal(3 * 24 * 60 * 60);
+    expect(snap.milestones[0]).to.include({
+      status: "Submitted",
+      deliveryDue: null,
+      autoReleaseAt: snap.milestones[0].timestamp + snap.reviewWindow,
+    });
+  });
+
+  it("should run a dispute through to resolution", async function () {
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.disputeMilestone(0);
+    expect(await escrow.contractState()).to.equal("InProgress");
+    expect(await escrow.openDisputes()).to.equal(1);
+    expect(await escrow.disputePot()).to.equal(ethers.parseEther("0.01"));
+    const { status, dispute } = await escrow.getMilestoneStatus(0);
+    expect(status).to.equal("Disputed");
+    expect(dispute).to.include({ initiator: client.address, escalated: false, escalatesAt: null });
+    expect(dispute.resolvableAt).to.equal(dispute.openedAt);
+
+    await escrow.connect(mediator).disputeResolution(0, false);
+    expect(await escrow.openDisputes()).to.equal(0);
+    expect(await escrow.settledMilestones()).to.equal(1);
+    expect(await escrow.dispute(0)).to.be.null;
+    expect((await escrow.getMilestoneStatus(0)).status).to.equal("Settled");
+  });
+
+  it("should report claimable balances per role and withdraw them", async function () {
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.approveMilestone(0);
+
+    const { claimable } = await escrow.snapshot();
+    expect(claimable).to.deep.equal({ client: 0n, freelancer: ethers.parseEther("1"), mediator: 0n });
+    expect(await escrow.totalCredits()).to.equal(ethers.parseEther("1"));
+
+    await escrow.connect(freelancer).withdraw();
+    expect(await escrow.credits(freelancer.address)).to.equal(0n);
+    expect(await escrow.escrowedFees()).to.equal(projectFee - milestoneAmounts[0]);
+    expect(await escrow.stakeHeld()).to.equal(freelancerStake);
+    expect(await escrow.obligations()).to.equal(await escrow.balance());
+    await expect(escrow.connect(freelancer).withdraw()).to.be.rejectedWith(InvalidStateError, "Nothing to withdraw");
+  });
+
+  it("should surface reverts as named errors", async function () {
+    await expect(escrow.connect(other).freelancerDepositStake())
+      .to.be.rejectedWith(UnauthorizedError, "Only the freelancer can deposit stake");
+
+    await expect(escrow.approveMilestone(0)).to.be.rejectedWith(InvalidStateError);
+
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await expect(escrow.connect(freelancer).markMilestoneCompleted(numMilestones))
+      .to.be.rejectedWith(WrongMilestoneIndexError);
+    await expect(escrow.approveMilestone(0)).to.be.rejectedWith(MilestoneNotCompletedError);
+
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    const err = await escrow
+      .connect(freelancer)
+      .autoReleaseIfClientAbsent(0)
+      .catch((e) => e);
+    expect(err).to.be.instanceOf(GracePeriodNotReachedError);
+    expect(err).to.be.instanceOf(EscrowError);
+    expect(err.reason).to.equal("Grace period not reached");
+  });
+
+  it("should surface constructor reverts as named errors", async function () {
+    await expect(
+      EscrowClient.deploy(client, {
+        freelancer: freelancer.address,
+        mediator: mediator.address,
+        freelancerStake,
+        milestoneAmounts: [],
+        projectIpfsHash: ipfsHash,
+        projectFee,
+      })
+    ).to.be.rejectedWith(InvalidParameterError, "Must have at least 1 milestone");
+
+    await expect(
+      EscrowClient.deploy(client, {
+        freelancer: freelancer.address,
+        mediator: mediator.address,
+        freelancerStake,
+        milestoneAmounts,
+        projectIpfsHash: ipfsHash,
+        projectFee: projectFee + 1n,
+      })
+    ).to.be.rejectedWith(IncorrectPaymentError, "Milestone amounts must sum to project fee");
+  });
+});
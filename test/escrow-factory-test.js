@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { EscrowFactoryClient, InvalidStateError, IncorrectPaymentError } = require("../lib");
+
+describe("FreelancerEscrowFactory", function () {
+  let client, freelancer, mediator, other;
+  let implementation, factory;
+  const freelancerStake = ethers.parseEther("1");
+  const milestoneAmounts = [ethers.parseEther("0.5"), ethers.parseEther("1.5")];
+  const projectFee = ethers.parseEther("2");
+  const ipfsHash = "QmExampleIpfsHash";
+  const schedule = { reviewWindow: 0, deliveryWindows: [], latePenaltyBps: 0, prerequisites: [] };
+  const panel = {
+    coMediators: [],
+    quorum: 0,
+    backupMediator: ethers.ZeroAddress,
+    escalationWindow: 0,
+    responseWindow: 0,
+    mediationFee: 0,
+    mediationFeeBps: 0,
+  };
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, other] = await ethers.getSigners();
+
+    implementation = await (await ethers.getContractFactory("FreelancerEscrowClone")).deploy();
+    await implementation.waitForDeployment();
+    factory = await (await ethers.getContractFactory("FreelancerEscrowFactory")).deploy(implementation.target);
+    await factory.waitForDeployment();
+  });
+
+  function createProject(signer, freelancerAddress = freelancer.address, mediatorAddress = mediator.address) {
+    return factory
+      .connect(signer)
+      .createProject(freelancerAddress, mediatorAddress, freelancerStake, milestoneAmounts, ipfsHash, schedule, panel, {
+        value: projectFee,
+      });
+  }
+
+  it("should create an initialized clone and emit ProjectCreated", async function () {
+    await expect(createProject(client))
+      .to.emit(factory, "ProjectCreated")
+      .withArgs(
+        0,
+        anyValue,
+        client.address,
+        freelancer.address,
+        mediator.address,
+        ethers.ZeroAddress,
+        projectFee,
+        ipfsHash
+      );
+
+    const escrow = await ethers.getContractAt("FreelancerEscrowClone", await factory.projects(0));
+    expect(await escrow.client()).to.equal(client.address);
+    expect(await escrow.freelancer()).to.equal(freelancer.address);
+    expect(await escrow.mediator()).to.equal(mediator.address);
+    expect(await escrow.projectFee()).to.equal(projectFee);
+    expect(await escrow.numMilestones()).to.equal(2);
+    expect(await escrow.projectIpfsHash()).to.equal(ipfsHash);
+    expect(await ethers.provider.getBalance(escrow.target)).to.equal(projectFee);
+
+    // EIP-1167 proxies are 45 bytes of runtime code
+    expect(ethers.dataLength(await ethers.provider.getCode(escrow.target))).to.equal(45);
+  });
+
+  it("should run a clone through the full milestone flow", async function () {
+    await createProject(client);
+    const escrow = await ethers.getContractAt("FreelancerEscrowClone", await factory.projects(0));
+
+    await escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.connect(client).approveMilestone(0);
+    await expect(escrow.connect(freelancer).withdraw()).to.changeEtherBalance(freelancer, milestoneAmounts[0]);
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await escrow.connect(client).approveMilestone(1);
+    expect(await escrow.contractState()).to.equal(2); // Completed
+  });
+
+  it("should not allow clones or the implementation to be initialized twice", async function () {
+    await createProject(client);
+    const escrow = await ethers.getContractAt("FreelancerEscrowClone", await factory.projects(0));
+    const params = {
+      client: other.address,
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      token: ethers.ZeroAddress,
+      projectFee: 1,
+      freelancerStake: 0,
+      feeRecipient: ethers.ZeroAddress,
+      platformFeeBps: 0,
+      milestoneAmounts: [1],
+      projectIpfsHash: ipfsHash,
+      schedule,
+      panel,
+    };
+
+    await expect(escrow.connect(other).initialize(params, { value: 1 })).to.be.revertedWith("Already initialized");
+    await expect(implementation.initialize(params, { value: 1 })).to.be.revertedWith("Already initialized");
+  });
+
+  it("should reject projects the escrow itself would reject", async function () {
+    await expect(
+      factory.createProject(freelancer.address, mediator.address, freelancerStake, milestoneAmounts, ipfsHash, schedule, panel, {
+        value: projectFee - 1n,
+      })
+    ).to.be.revertedWith("Milestone amounts must sum to project fee");
+    expect(await factory.projectCount()).to.equal(0);
+  });
+
+  it("should keep a registry by client, freelancer and mediator", async function () {
+    await createProject(client);
+    await createProject(other, freelancer.address, client.address); // client mediates someone else's project
+    await createProject(client, other.address, mediator.address);
+
+    const [first, second, third] = [await factory.projects(0), await factory.projects(1), await factory.projects(2)];
+    expect(await factory.projectCount()).to.equal(3);
+    expect(await factory.getProjectsByClient(client.address)).to.deep.equal([first, third]);
+    expect(await factory.getProjectsByClient(other.address)).to.deep.equal([second]);
+    expect(await factory.getProjectsByFreelancer(freelancer.address)).to.deep.equal([first, second]);
+    expect(await factory.getProjectsByMediator(mediator.address)).to.deep.equal([first, third]);
+    expect(await factory.getProjectsByMediator(client.address)).to.deep.equal([second]);
+  });
+
+  it("should list panel members and the backup mediator as mediators of the project", async function () {
+    const [, , , , second, backup] = await ethers.getSigners();
+    await factory.createProject(
+      freelancer.address,
+      mediator.address,
+      freelancerStake,
+      milestoneAmounts,
+      ipfsHash,
+      schedule,
+      { ...panel, coMediators: [second.address, other.address], backupMediator: backup.address },
+      { value: projectFee }
+    );
+
+    const project = await factory.projects(0);
+    for (const member of [mediator, second, other, backup]) {
+      expect(await factory.getProjectsByMediator(member.address)).to.deep.equal([project]);
+    }
+    const escrow = await ethers.getContractAt("FreelancerEscrowClone", project);
+    expect(await escrow.getMediators()).to.deep.equal([mediator.address, second.address, other.address]);
+    expect(await escrow.quorum()).to.equal(2);
+  });
+
+  describe("EscrowFactoryClient", function () {
+    let factoryClient;
+
+    beforeEach(async function () {
+      factoryClient = await EscrowFactoryClient.deploy(client);
+    });
+
+    it("should create projects and list a wallet's projects by role", async function () {
+      const params = {
+        freelancer: freelancer.address,
+        mediator: mediator.address,
+        freelancerStake,
+        milestoneAmounts,
+        projectIpfsHash: ipfsHash,
+      };
+      const first = await factoryClient.createProject(params);
+      const second = await factoryClient.connect(freelancer).createProject({ ...params, freelancer: client.address });
+
+      expect((await first.snapshot()).projectFee).to.equal(projectFee);
+      expect(await factoryClient.allProjects()).to.deep.equal([first.address, second.address]);
+      expect(await factoryClient.projectsOf(client.address)).to.deep.equal({
+        client: [first.address],
+        freelancer: [second.address],
+        mediator: [],
+      });
+
+      // The returned EscrowClient is connected to the creating signer
+      await first.connect(freelancer).freelancerDepositStake();
+      await expect(first.freelancerDepositStake()).to.be.rejectedWith(InvalidStateError);
+    });
+
+    it("should surface initialize reverts as named errors", async function () {
+      await expect(
+        factoryClient.createProject({
+          freelancer: freelancer.address,
+          mediator: mediator.address,
+          freelancerStake,
+          milestoneAmounts,
+          projectIpfsHash: ipfsHash,
+          projectFee: 1n,
+        })
+      ).to.be.rejectedWith(IncorrectPaymentError);
+    });
+  });
+});
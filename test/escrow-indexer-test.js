@@ -0,0 +1,357 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  EscrowClient,
+  EscrowIndexer,
+  JsonStore,
+  timeline,
+  disputesByMediator,
+  approvalTimes,
+  caseFile,
+  reputation,
+} = require("../lib");
+
+describe("EscrowIndexer", function () {
+  let client, freelancer, mediator, other;
+  let storePath;
+  let startBlock;
+
+  async function deployEscrow(mediatorAddress) {
+    const escrow = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediatorAddress,
+      freelancerStake: ethers.parseEther("1"),
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("1")],
+      projectIpfsHash: "QmExampleIpfsHash",
+    });
+    await escrow.connect(freelancer).freelancerDepositStake();
+    return escrow;
+  }
+
+  function newIndexer(addresses) {
+    return new EscrowIndexer({
+      provider: ethers.provider,
+      store: new JsonStore(storePath),
+      addresses,
+      startBlock,
+      batchSize: 3, // force several getLogs batches
+    });
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, other] = await ethers.getSigners();
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-index-")), "index.json");
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+  });
+
+  it("should rebuild the full timeline from logs", async function () {
+    const escrow = await deployEscrow(mediator.address);
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.approveMilestone(0);
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await escrow.disputeMilestone(1);
+    await escrow.connect(mediator).disputeResolution(1, false);
+    await escrow.connect(freelancer).withdrawRemainingStake();
+
+    const { added } = await newIndexer([escrow.address]).sync();
+    expect(added).to.equal(12);
+
+    const events = timeline(new JsonStore(storePath), escrow.address);
+    expect(events.map((e) => e.event)).to.deep.equal([
+      "StakeDeposited",
+      "MilestoneCompleted",
+      "PaymentCredited",
+      "MilestoneApproved",
+      "MilestoneCompleted",
+      "MilestoneDisputed",
+      "PaymentCredited",
+      "PaymentCredited",
+      "DisputeResolved",
+      "PaymentCredited",
+      "StakeWithdrawn",
+      "Withdrawn",
+    ]);
+    expect(events[2].args).to.deep.equal({ payee: freelancer.address, amount: ethers.parseEther("1").toString() });
+    expect(events[3].args).to.deep.equal({ milestoneIndex: 0, payment: ethers.parseEther("1").toString() });
+    expect(events[8].args).to.include({ freelancerShareBps: 0, freelancerAmount: "0", stakeSlashed: "0" });
+    expect(events[0].timestamp).to.be.a("number");
+  });
+
+  it("should resume from the stored checkpoint without duplicating events", async function () {
+    const escrow = await deployEscrow(mediator.address);
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await newIndexer([escrow.address]).sync();
+
+    await escrow.approveMilestone(0);
+    await other.sendTransaction({ to: escrow.address, value: 1n });
+
+    const second = newIndexer([escrow.address]);
+    const { added, toBlock } = await second.sync();
+    expect(added).to.equal(4);
+
+    const store = new JsonStore(storePath);
+    expect(store.getCheckpoint(escrow.address)).to.equal(toBlock);
+    expect(timeline(store, escrow.address).map((e) => e.event)).to.deep.equal([
+      "StakeDeposited",
+      "MilestoneCompleted",
+      "PaymentCredited",
+      "MilestoneApproved",
+      "EtherReceived",
+      "PaymentCredited",
+    ]);
+
+    expect((await newIndexer([escrow.address]).sync()).added).to.equal(0);
+  });
+
+  it("should list disputes by mediator across escrows", async function () {
+    const first = await deployEscrow(mediator.address);
+    const second = await deployEscrow(mediator.address);
+    const unrelated = await deployEscrow(other.address);
+
+    for (const escrow of [first, second, unrelated]) {
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+    }
+    await first.disputeMilestone(0);
+    await first.connect(mediator).disputeResolution(0, true);
+    await second.connect(freelancer).disputeMilestone(0);
+    await unrelated.disputeMilestone(0);
+
+    await newIndexer([first.address, second.address, unrelated.address]).sync();
+    const disputes = disputesByMediator(new JsonStore(storePath), mediator.address);
+
+    expect(disputes).to.have.length(2);
+    expect(disputes[0]).to.include({
+      address: first.address,
+      milestoneIndex: 0,
+      initiator: client.address,
+      resolved: true,
+      winner: "freelancer",
+    });
+    expect(disputes[1]).to.include({
+      address: second.address,
+      initiator: freelancer.address,
+      resolved: false,
+      winner: null,
+    });
+  });
+
+  it("should count a conceded dispute as resolved for its initiator", async function () {
+    const escrow = await deployEscrow(mediator.address);
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.disputeMilestone(0);
+    await escrow.connect(freelancer).acceptDispute(0);
+
+    await newIndexer([escrow.address]).sync();
+    const store = new JsonStore(storePath);
+    const [accepted] = store.events({ address: escrow.address, event: "DisputeAccepted" });
+    const [dispute] = disputesByMediator(store, mediator.address);
+
+    expect(dispute).to.include({
+      initiator: client.address,
+      resolved: true,
+      winner: "client",
+      freelancerShareBps: 0,
+      freelancerAmount: "0",
+      clientAmount: ethers.parseEther("1").toString(),
+      stakeSlashed: "0",
+      resolvedAt: accepted.timestamp,
+      acceptedBy: freelancer.address,
+    });
+  });
+
+  it("should assemble a dispute's case file from panel votes, replacements and escalation", async function () {
+    const [, , , , second, third, backup] = await ethers.getSigners();
+    const escrow = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake: ethers.parseEther("1"),
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("1")],
+      projectIpfsHash: "QmExampleIpfsHash",
+      coMediators: [other.address, second.address],
+      backupMediator: backup.address,
+      escalationWindow: 3600,
+    });
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.disputeMilestone(0);
+    await escrow.submitEvidence(0, "bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku", "Signed brief");
+    await escrow.connect(mediator).resolveDispute(0, 10000, 0);
+    await escrow.connect(other).resolveDispute(0, 0, 0);
+    await escrow.proposeMediatorReplacement(other.address, third.address);
+    await escrow.connect(freelancer).acceptMediatorReplacement(other.address, third.address);
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await escrow.escalateDispute(0);
+    await escrow.connect(backup).resolveDispute(0, 5000, 0);
+
+    await newIndexer([escrow.address]).sync();
+    const store = new JsonStore(storePath);
+    const file = caseFile(store, escrow.address, 0);
+
+    expect(file).to.include({ milestoneIndex: 0, initiator: client.address, escalatedTo: backup.address });
+    expect(file.evidence).to.have.length(1);
+    expect(file.evidence[0]).to.include({ party: client.address, label: "Signed brief" });
+    expect(file.votes.map((v) => [v.mediator, v.freelancerShareBps, v.votes])).to.deep.equal([
+      [mediator.address, 10000, 1],
+      [other.address, 0, 1],
+    ]);
+    expect(file.replacements).to.have.length(1);
+    expect(file.replacements[0]).to.include({ oldMediator: other.address, newMediator: third.address });
+    expect(file.outcome).to.include({ type: "resolved", winner: "split", freelancerShareBps: 5000 });
+    expect(caseFile(store, escrow.address, 1)).to.be.null;
+
+    // Panel members other than the lead see the dispute too
+    expect(disputesByMediator(store, second.address)).to.have.length(1);
+  });
+
+  it("should credit disputes to the panel they had, replacements and the backup mediator", async function () {
+    const [, , , , second, third, backup] = await ethers.getSigners();
+    const escrow = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake: ethers.parseEther("1"),
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("1")],
+      projectIpfsHash: "QmExampleIpfsHash",
+      coMediators: [other.address, second.address],
+      backupMediator: backup.address,
+      escalationWindow: 3600,
+    });
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.disputeMilestone(0);
+    // `third` takes over from `other` while #0 is open, and before #1 is disputed
+    await escrow.proposeMediatorReplacement(other.address, third.address);
+    await escrow.connect(freelancer).acceptMediatorReplacement(other.address, third.address);
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await escrow.disputeMilestone(1);
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await escrow.escalateDispute(0);
+    await escrow.connect(backup).resolveDispute(0, 5000, 0);
+    await escrow.connect(mediator).resolveDispute(1, 10000, 0);
+    await escrow.connect(third).resolveDispute(1, 10000, 0);
+
+    // Indexed after the replacement: the recorded panel already has `third`
+    await newIndexer([escrow.address]).sync();
+    const store = new JsonStore(storePath);
+    expect(store.getEscrow(escrow.address).mediators).to.deep.equal([mediator.address, third.address, second.address]);
+
+    const milestonesOf = (member) => disputesByMediator(store, member.address).map((d) => d.milestoneIndex);
+    expect(milestonesOf(mediator)).to.deep.equal([0, 1]);
+    expect(milestonesOf(other)).to.deep.equal([0]);
+    expect(milestonesOf(third)).to.deep.equal([0, 1]);
+    expect(milestonesOf(backup)).to.deep.equal([0]);
+    expect(disputesByMediator(store, backup.address)[0]).to.include({
+      winner: "split",
+      escalatedTo: backup.address,
+    });
+    expect(disputesByMediator(store, third.address)[1]).to.include({ winner: "freelancer", escalatedTo: null });
+  });
+
+  it("should measure time from completion to settlement per milestone", async function () {
+    const escrow = await deployEscrow(mediator.address);
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await ethers.provider.send("evm_increaseTime", [3600]);
+    await escrow.approveMilestone(0);
+
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await ethers.provider.send("evm_increaseTime", [3 * 24 * 60 * 60]);
+    await escrow.connect(freelancer).autoReleaseIfClientAbsent(1);
+
+    await newIndexer([escrow.address]).sync();
+    const times = approvalTimes(new JsonStore(storePath), escrow.address);
+
+    expect(times).to.have.length(2);
+    expect(times[0]).to.include({ milestoneIndex: 0, outcome: "approved" });
+    expect(times[0].seconds).to.be.within(3600, 3602);
+    expect(times[1]).to.include({ milestoneIndex: 1, outcome: "auto-released" });
+    expect(times[1].seconds).to.be.within(3 * 24 * 60 * 60, 3 * 24 * 60 * 60 + 2);
+  });
+
+  it("should compute a wallet's reputation from outcomes across its escrows", async function () {
+    const day = 24 * 60 * 60;
+    const increaseTime = (seconds) => ethers.provider.send("evm_increaseTime", [seconds]);
+    const one = ethers.parseEther("1");
+
+    // A: each milestone waits for the one before it and is due a day after it starts
+    const a = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake: one,
+      milestoneAmounts: [one, one, one],
+      projectIpfsHash: "QmExampleIpfsHash",
+      deliveryWindows: [day, day, day],
+      sequential: true,
+    });
+    await a.connect(freelancer).freelancerDepositStake();
+    // #0 is on time because the change request restarts its window
+    await a.connect(freelancer).markMilestoneCompleted(0);
+    await increaseTime(day * 0.75);
+    await a.requestChanges(0, "QmReason");
+    await increaseTime(day * 0.75);
+    await a.connect(freelancer).markMilestoneCompleted(0);
+    await a.approveMilestone(0);
+    // #1 started when #0 was approved, so it is on time too; the client disputes it and it is split
+    await increaseTime(day / 2);
+    await a.connect(freelancer).markMilestoneCompleted(1);
+    await a.disputeMilestone(1);
+    await a.connect(mediator).resolveDispute(1, 5000);
+    // #2 is never delivered
+    await increaseTime(day + 1);
+    await a.reclaimOverdueMilestone(2);
+
+    // B: no deadlines until an amendment gives #1 one that has already passed
+    const b = await deployEscrow(mediator.address);
+    await b.connect(freelancer).markMilestoneCompleted(0);
+    await increaseTime(3 * day);
+    await b.connect(freelancer).autoReleaseIfClientAbsent(0);
+    await newIndexer([a.address, b.address]).sync();
+
+    await b.proposeAmendment({ milestoneAmounts: [one], deliveryWindows: [day], projectIpfsHash: "QmExampleIpfsHash" });
+    await b.connect(freelancer).acceptAmendment();
+    await b.connect(freelancer).markMilestoneCompleted(1);
+    await b.connect(freelancer).disputeMilestone(1);
+    await b.acceptDispute(1);
+
+    // An open project on which the freelancer is the client
+    const c = await EscrowClient.deploy(freelancer, {
+      freelancer: other.address,
+      mediator: mediator.address,
+      freelancerStake: one,
+      milestoneAmounts: [one],
+      projectIpfsHash: "QmExampleIpfsHash",
+    });
+    await newIndexer([a.address, b.address, c.address]).sync();
+
+    const store = new JsonStore(storePath);
+    const record = reputation(store, freelancer.address);
+    expect(record.asFreelancer).to.deep.equal({
+      projects: 2,
+      completed: 2,
+      endedEarly: 0,
+      disputesOpened: 1,
+      disputesWon: 1,
+      disputesLost: 0,
+      disputesSplit: 1,
+      autoReleases: 1,
+      deliveries: 4,
+      onTime: 2,
+      onTimeRate: 0.5,
+      overdueReclaims: 1,
+    });
+    expect(record.asClient).to.include({ projects: 1, completed: 0, endedEarly: 0, disputesOpened: 0 });
+
+    expect(reputation(store, client.address).asClient).to.deep.equal({
+      projects: 2,
+      completed: 2,
+      endedEarly: 0,
+      disputesOpened: 1,
+      disputesWon: 0,
+      disputesLost: 1,
+      disputesSplit: 1,
+      autoReleases: 1,
+    });
+    expect(reputation(store, other.address).asFreelancer).to.include({ projects: 1, onTimeRate: null });
+  });
+});
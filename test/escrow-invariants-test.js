@@ -0,0 +1,280 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+/**
+ * Invariant (fuzz) tests: random sequences of role actions, most of which the
+ * contract rejects, with the ledger checked after every step. Runs are seeded,
+ * so a failure is reproduced with the seed from its message:
+ *
+ *   FUZZ_SEED=1234 FUZZ_RUNS=1 npx hardhat test test/escrow-invariants-test.js
+ */
+const RUNS = Number(process.env.FUZZ_RUNS || 6);
+const STEPS = Number(process.env.FUZZ_STEPS || 40);
+const FIRST_SEED = Number(process.env.FUZZ_SEED || 1);
+
+const day = 24 * 60 * 60;
+const MAX_BPS = 10000;
+
+// mulberry32: small deterministic PRNG, good enough to pick actions
+function random(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (max) => Math.floor(next() * max);
+  return { int, pick: (items) => items[int(items.length)], chance: (p) => next() < p };
+}
+
+function isRevert(err) {
+  return /reverted/.test(err.message);
+}
+
+describe("FreelancerEscrow invariants", function () {
+  let client, freelancer, mediator, stranger, operator;
+
+  before(async function () {
+    [client, freelancer, mediator, stranger, operator] = await ethers.getSigners();
+  });
+
+  /** A fresh escrow, paid in ETH (standalone) or in a mock stablecoin (factory clone). */
+  async function deploy(rng) {
+    const milestoneCount = 1 + rng.int(4);
+    const milestoneAmounts = Array.from({ length: milestoneCount }, () => BigInt(1 + rng.int(1000)) * 10n ** 15n + 7n);
+    const projectFee = milestoneAmounts.reduce((sum, amount) => sum + amount, 0n);
+    const freelancerStake = BigInt(rng.int(3)) * 10n ** 17n + 3n;
+    const schedule = {
+      reviewWindow: rng.pick([0, day]),
+      deliveryWindows: rng.chance(0.5) ? milestoneAmounts.map(() => rng.pick([0, 2 * day])) : [],
+      latePenaltyBps: rng.int(MAX_BPS + 1),
+      // Each milestone may wait for any of the earlier ones
+      prerequisites: rng.chance(0.5) ? milestoneAmounts.map((_, i) => BigInt(rng.int(2 ** i))) : [],
+    };
+    const panel = {
+      coMediators: [],
+      quorum: 0,
+      backupMediator: ethers.ZeroAddress,
+      escalationWindow: 0,
+      responseWindow: 0,
+      // A share of the disputed milestone, or a flat fee (the default on ETH escrows)
+      mediationFee: 0,
+      mediationFeeBps: rng.chance(0.5) ? 1 + rng.int(MAX_BPS / 10) : 0,
+    };
+
+    if (rng.chance(0.5)) {
+      const escrow = await (await ethers.getContractFactory("FreelancerEscrow", client)).deploy(
+        freelancer.address,
+        mediator.address,
+        freelancerStake,
+        milestoneAmounts,
+        "QmFuzz",
+        schedule,
+        panel,
+        { value: projectFee }
+      );
+      return { escrow, token: null };
+    }
+
+    const token = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6);
+    const implementation = await (await ethers.getContractFactory("FreelancerEscrowClone")).deploy();
+    const factory = await (await ethers.getContractFactory("FreelancerEscrowFactory")).deploy(implementation.target);
+    if (!panel.mediationFeeBps) panel.mediationFee = BigInt(rng.int(5)) * 10n ** 15n + 1n;
+    if (rng.chance(0.5)) await factory.setPlatformFee(operator.address, rng.int(MAX_BPS / 5 + 1));
+    for (const party of [client, freelancer, stranger]) {
+      await token.mint(party.address, projectFee + freelancerStake + 10n ** 20n);
+    }
+    await token.connect(client).approve(factory.target, projectFee);
+    await factory
+      .connect(client)
+      .createTokenProject(
+        token.target,
+        freelancer.address,
+        mediator.address,
+        freelancerStake,
+        milestoneAmounts,
+        "QmFuzz",
+        schedule,
+        panel
+      );
+    const escrow = await ethers.getContractAt("FreelancerEscrowClone", await factory.projects(0));
+    for (const party of [client, freelancer]) {
+      await token.connect(party).approve(escrow.target, ethers.MaxUint256);
+    }
+    return { escrow, token };
+  }
+
+  function actions({ escrow, token }, rng) {
+    const as = (signer) => escrow.connect(signer);
+    // Milestones progress independently, so any of them (or one past the end) may be acted on
+    const milestone = async () => rng.int(Number(await escrow.numMilestones()) + 1);
+    const party = () => rng.pick([client, freelancer]);
+    const anyone = () => rng.pick([client, freelancer, mediator, stranger]);
+
+    // The last amendment proposed, so acceptAmendment can repeat it; the client pays any top-up it costs
+    let amendment = [[], [], [], ""];
+    const amend = async (method, signer) => {
+      const [amounts] = amendment;
+      const from = Number(await escrow.firstAmendableMilestone());
+      let oldTotal = 0n;
+      for (let i = from; i < Number(await escrow.numMilestones()); i++) oldTotal += (await escrow.milestones(i)).amount;
+      const newTotal = amounts.reduce((sum, amount) => sum + amount, 0n);
+      const topUp = signer === client && !token && newTotal > oldTotal ? newTotal - oldTotal : 0n;
+      return as(signer)[method](...amendment, { value: topUp });
+    };
+
+    return {
+      depositStake: async () =>
+        as(freelancer).freelancerDepositStake(token ? {} : { value: await escrow.freelancerStake() }),
+      complete: async () => as(freelancer).markMilestoneCompleted(await milestone()),
+      approve: async () => as(client).approveMilestone(await milestone()),
+      requestChanges: async () => as(client).requestChanges(await milestone(), "QmChanges"),
+      retractSubmission: async () => as(freelancer).retractSubmission(await milestone()),
+      dispute: async () => {
+        const index = await milestone();
+        const fee = token || index >= Number(await escrow.numMilestones()) ? 0n : await escrow.mediationFeeFor(index);
+        return as(party()).disputeMilestone(index, { value: fee });
+      },
+      resolve: async () =>
+        as(mediator).resolveDispute(await milestone(), rng.pick([0, MAX_BPS, rng.int(MAX_BPS)]), rng.int(4000)),
+      acceptDispute: async () => as(party()).acceptDispute(await milestone()),
+      autoRelease: async () => as(freelancer).autoReleaseIfClientAbsent(await milestone()),
+      reclaimOverdue: async () => as(client).reclaimOverdueMilestone(await milestone()),
+      cancel: () => as(client).cancelProject(),
+      reclaim: () => as(anyone()).reclaimAfterDeadline(),
+      proposeTermination: () => as(party()).proposeTermination(),
+      acceptTermination: () => as(party()).acceptTermination(),
+      proposeAmendment: async () => {
+        const from = Number(await escrow.firstAmendableMilestone());
+        const amounts = Array.from({ length: rng.int(4) }, () => BigInt(1 + rng.int(1000)) * 10n ** 15n + 3n);
+        amendment = [
+          amounts,
+          rng.chance(0.5) ? amounts.map(() => rng.pick([0, day])) : [],
+          rng.chance(0.5) ? amounts.map((_, i) => BigInt(rng.int(2 ** (from + i)))) : [],
+          "QmAmended",
+        ];
+        return amend("proposeAmendment", party());
+      },
+      acceptAmendment: () => amend("acceptAmendment", party()),
+      revokeAmendment: () => as(party()).revokeAmendment(),
+      withdraw: () => as(anyone()).withdraw(),
+      withdrawRemainingStake: () => as(freelancer).withdrawRemainingStake(),
+      returnSurplus: () => as(anyone()).returnSurplus(),
+      // Funds nobody in the project is owed: stray ETH, or tokens transferred without a call
+      strayDeposit: () =>
+        token
+          ? token.connect(stranger).transfer(escrow.target, BigInt(1 + rng.int(1000)))
+          : stranger.sendTransaction({ to: escrow.target, value: BigInt(1 + rng.int(1000)) }),
+      wait: async () => {
+        await ethers.provider.send("evm_increaseTime", [rng.pick([day, 3 * day, 15 * day])]);
+        await ethers.provider.send("evm_mine");
+      },
+    };
+  }
+
+  /** Checks the ledger against the escrow's balance and milestone records. */
+  async function checkInvariants({ escrow, token }, context) {
+    const held = token ? await token.balanceOf(escrow.target) : await ethers.provider.getBalance(escrow.target);
+    const [escrowedFees, stakeHeld, disputePot, amendmentDeposit, totalCredits, obligations] = await Promise.all([
+      escrow.escrowedFees(),
+      escrow.stakeHeld(),
+      escrow.disputePot(),
+      escrow.amendmentDeposit(),
+      escrow.totalCredits(),
+      escrow.obligations(),
+    ]);
+    const state = Number(await escrow.contractState());
+
+    expect(obligations, `${context}: obligations`).to.equal(
+      escrowedFees + stakeHeld + disputePot + amendmentDeposit + totalCredits
+    );
+    expect(held >= obligations, `${context}: balance ${held} below obligations ${obligations}`).to.be.true;
+
+    // Only directly transferred tokens can exceed the obligations; stray ETH is credited to its sender
+    if (!token) expect(held, `${context}: ETH balance`).to.equal(obligations);
+
+    let credited = 0n;
+    for (const signer of [client, freelancer, mediator, stranger, operator]) {
+      credited += await escrow.credits(signer.address);
+    }
+    expect(totalCredits, `${context}: totalCredits`).to.equal(credited);
+
+    // Created and InProgress still hold every unsettled milestone; the other states hold none
+    let unsettled = 0n;
+    let settledCount = 0;
+    let disputedCount = 0;
+    let disputeFees = 0n;
+    const count = Number(await escrow.numMilestones());
+    const maxRevisions = await escrow.MAX_REVISIONS();
+    for (let i = 0; i < count; i++) {
+      const { amount, disputed, settledAt, revisions } = await escrow.milestones(i);
+      expect(revisions <= maxRevisions, `${context}: milestone #${i} revisions`).to.be.true;
+      if (settledAt === 0n) {
+        if (state <= 1) unsettled += amount;
+        if (disputed) {
+          disputedCount++;
+          disputeFees += (await escrow.disputes(i)).fee;
+        }
+      } else {
+        settledCount++;
+      }
+    }
+    expect(escrowedFees, `${context}: escrowedFees`).to.equal(unsettled);
+    expect(Number(await escrow.settledMilestones()), `${context}: settledMilestones`).to.equal(settledCount);
+    const openDisputes = await escrow.openDisputes();
+    expect(Number(openDisputes), `${context}: openDisputes`).to.equal(disputedCount);
+
+    const remainingStake = (await escrow.freelancerStake()) - (await escrow.stakeSlashed());
+    if (state === 1) expect(stakeHeld, `${context}: stakeHeld`).to.equal(remainingStake);
+    if (state === 0 || state >= 3) expect(stakeHeld, `${context}: stakeHeld`).to.equal(0);
+    // Each open dispute holds the mediation fee paid to open it until it is settled
+    expect(disputePot, `${context}: disputePot`).to.equal(disputeFees);
+    if ((await escrow.amendmentProposer()) !== client.address) {
+      expect(amendmentDeposit, `${context}: amendmentDeposit`).to.equal(0);
+    }
+  }
+
+  for (let run = 0; run < RUNS; run++) {
+    const seed = FIRST_SEED + run;
+
+    it(`should keep the balance equal to the obligations (seed ${seed})`, async function () {
+      const rng = random(seed);
+      const project = await deploy(rng);
+      const steps = actions(project, rng);
+      const names = Object.keys(steps);
+      const history = [];
+
+      for (let step = 0; step < STEPS; step++) {
+        // Mostly follow the happy path so runs get past the first milestones
+        const name = rng.chance(0.4) ? rng.pick(["complete", "approve", "depositStake"]) : rng.pick(names);
+        try {
+          const tx = await steps[name]();
+          if (tx && tx.wait) await tx.wait();
+          history.push(name);
+        } catch (err) {
+          if (!isRevert(err)) throw err;
+          history.push(`${name} (reverted)`);
+        }
+        await checkInvariants(project, `seed ${seed}, after ${history.join(" → ")}`);
+      }
+
+      // Everyone collects what they are owed; afterwards only unsettled funds remain
+      const { escrow, token } = project;
+      if (Number(await escrow.contractState()) === 2) await escrow.connect(freelancer).withdrawRemainingStake();
+      await escrow.returnSurplus();
+      for (const signer of [client, freelancer, mediator, stranger, operator]) {
+        if ((await escrow.credits(signer.address)) > 0n) await escrow.connect(signer).withdraw();
+      }
+      await checkInvariants(project, `seed ${seed}, after withdrawing everything`);
+      const held = token ? await token.balanceOf(escrow.target) : await ethers.provider.getBalance(escrow.target);
+      expect(held).to.equal(
+        (await escrow.escrowedFees()) +
+          (await escrow.stakeHeld()) +
+          (await escrow.disputePot()) +
+          (await escrow.amendmentDeposit())
+      );
+    });
+  }
+});
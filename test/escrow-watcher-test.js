@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { EscrowClient, EscrowWatcher, webhookSink, fileQueueSink } = require("../lib");
+
+describe("EscrowWatcher", function () {
+  const day = 24 * 60 * 60;
+  let client, freelancer, mediator;
+  let escrow, received;
+
+  function recorder() {
+    return { send: async (notification) => received.push(notification) };
+  }
+
+  function newWatcher(options = {}) {
+    return new EscrowWatcher({ provider: ethers.provider, addresses: [escrow.address], sinks: [recorder()], ...options });
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator] = await ethers.getSigners();
+    received = [];
+    escrow = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake: ethers.parseEther("1"),
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("1")],
+      projectIpfsHash: "QmExampleIpfsHash",
+    });
+  });
+
+  it("should notify each role about the events that concern it", async function () {
+    const mediatorOnly = [];
+    const watcher = newWatcher({
+      sinks: [recorder(), { roles: ["mediator"], send: async (notification) => mediatorOnly.push(notification) }],
+    });
+    expect(await watcher.poll()).to.include({ sent: 0, reorged: false }); // starts at the head
+
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.connect(freelancer).disputeMilestone(0);
+    await escrow.connect(mediator).resolveDispute(0, 10000);
+    expect(await watcher.poll()).to.include({ sent: 4 });
+
+    expect(received.map((n) => [n.type, n.roles])).to.deep.equal([
+      ["StakeDeposited", ["client"]],
+      ["MilestoneCompleted", ["client"]],
+      ["MilestoneDisputed", ["client", "mediator"]],
+      ["DisputeResolved", ["client", "freelancer", "mediator"]],
+    ]);
+    expect(received[2]).to.include({
+      kind: "event",
+      milestoneIndex: 0,
+      message: "⚖️ Milestone #0 was disputed by the freelancer",
+    });
+    expect(received[2].recipients).to.deep.equal({ client: client.address, mediator: [mediator.address] });
+    expect(mediatorOnly.map((n) => n.type)).to.deep.equal(["MilestoneDisputed", "DisputeResolved"]);
+
+    expect(await watcher.poll()).to.include({ sent: 0 });
+  });
+
+  it("should warn the client before the review window closes and say when auto-release is available", async function () {
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    // A watcher started after the submission picks it up from the contract
+    const watcher = newWatcher();
+    await watcher.poll();
+    expect(received).to.have.length(0);
+
+    await increaseTime(2.5 * day);
+    await watcher.poll();
+    expect(received.map((n) => [n.type, n.roles])).to.deep.equal([["review-window-closing", ["client"]]]);
+    expect(received[0].message).to.contain("closes in 12h");
+    await watcher.poll();
+    expect(received).to.have.length(1);
+
+    await increaseTime(day / 2);
+    await watcher.poll();
+    expect(received[1]).to.include({ type: "auto-release-available", milestoneIndex: 0 });
+    expect(received[1].roles).to.deep.equal(["client", "freelancer"]);
+
+    await escrow.connect(freelancer).autoReleaseIfClientAbsent(0);
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await escrow.requestChanges(1, "QmReason");
+    await increaseTime(3 * day);
+    await watcher.poll();
+    expect(received.slice(2).map((n) => n.type)).to.deep.equal(["AutoReleased", "MilestoneCompleted", "ChangesRequested"]);
+  });
+
+  it("should rescan after a reorg without notifying twice", async function () {
+    await escrow.connect(freelancer).freelancerDepositStake();
+    const watcher = newWatcher();
+    await watcher.poll();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await watcher.poll();
+    expect(received.map((n) => n.milestoneIndex)).to.deep.equal([0, 1]);
+
+    // Replace those blocks with a chain where only #1 was submitted, in a different transaction
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("evm_mine");
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    const result = await watcher.poll();
+    expect(result).to.include({ reorged: true, sent: 1 });
+    expect(received.map((n) => n.milestoneIndex)).to.deep.equal([0, 1, 1]);
+
+    // #0 is no longer submitted on this chain, so only #1 gets review alerts
+    await increaseTime(3 * day);
+    await watcher.poll();
+    expect(received.slice(3).map((n) => [n.type, n.milestoneIndex])).to.deep.equal([["auto-release-available", 1]]);
+  });
+
+  it("should POST to a webhook and write a file queue, carrying on when a sink fails", async function () {
+    const posts = [];
+    let fail = true;
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        posts.push({ type: req.headers["content-type"], body: JSON.parse(body) });
+        res.statusCode = fail ? 500 : 204;
+        fail = false;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/hooks/escrow`;
+    const queue = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "escrow-queue-")), "notifications");
+    const errors = [];
+
+    try {
+      const watcher = newWatcher({
+        sinks: [webhookSink(url), fileQueueSink(queue, { roles: ["client"] })],
+        onError: (error, notification) => errors.push([error.message, notification.type]),
+      });
+      await watcher.poll();
+      await escrow.connect(freelancer).freelancerDepositStake();
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await escrow.approveMilestone(0);
+      expect(await watcher.poll()).to.include({ sent: 3 });
+      // The webhook gets what it failed to take on the next poll; the file queue already counted it as sent
+      expect(await watcher.poll()).to.include({ sent: 0 });
+    } finally {
+      server.close();
+    }
+
+    expect(posts.map((p) => p.body.type)).to.deep.equal([
+      "StakeDeposited",
+      "MilestoneCompleted",
+      "MilestoneApproved",
+      "StakeDeposited",
+    ]);
+    expect(posts[0].type).to.equal("application/json");
+    expect(errors).to.deep.equal([[`Webhook ${url} answered 500`, "StakeDeposited"]]);
+
+    // MilestoneApproved is for the freelancer only
+    const files = fs.readdirSync(queue).sort();
+    expect(files).to.have.length(2);
+    const queued = files.map((file) => JSON.parse(fs.readFileSync(path.join(queue, file), "utf8")));
+    expect(queued.map((n) => n.type)).to.deep.equal(["StakeDeposited", "MilestoneCompleted"]);
+    expect(queued[1]).to.include({ address: escrow.address, milestoneIndex: 0 });
+  });
+
+  it("should only count a notification once a sink takes it, retrying failed sinks", async function () {
+    let failures = 2;
+    const flaky = {
+      send: async (notification) => {
+        if (failures-- > 0) throw new Error("sink down");
+        received.push(notification);
+      },
+    };
+    const errors = [];
+    const watcher = newWatcher({ sinks: [flaky], onError: (error) => errors.push(error.message) });
+    await watcher.poll();
+
+    await escrow.connect(freelancer).freelancerDepositStake();
+    expect(await watcher.poll()).to.include({ sent: 0 });
+    expect(await watcher.poll()).to.include({ sent: 0 });
+    expect(await watcher.poll()).to.include({ sent: 1 });
+    expect(received.map((n) => n.type)).to.deep.equal(["StakeDeposited"]);
+    expect(errors).to.deep.equal(["sink down", "sink down"]);
+    expect(watcher.delivered).to.equal(1);
+
+    // A sink that keeps failing is given up on after `retries` more polls
+    const down = newWatcher({
+      sinks: [{ send: async () => Promise.reject(new Error("sink down")) }],
+      retries: 1,
+      onError: () => {},
+    });
+    await down.poll();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await down.poll();
+    await down.poll();
+    expect([...down.sent.values()][0].pending).to.be.empty;
+    expect(down.delivered).to.equal(0);
+  });
+
+  it("should forget notification ids once they are deeper than the reorg depth", async function () {
+    await escrow.connect(freelancer).freelancerDepositStake();
+    const watcher = newWatcher({ reorgDepth: 2 });
+    await watcher.poll();
+
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await watcher.poll();
+    expect(watcher.sent.size).to.equal(1);
+
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+    await watcher.poll();
+    expect(watcher.sent.size).to.equal(0);
+
+    // A submission's alerts are remembered while it is pending, so they are still sent once
+    await increaseTime(3 * day);
+    await watcher.poll();
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+    await watcher.poll();
+    expect(received.map((n) => n.type)).to.deep.equal(["MilestoneCompleted", "auto-release-available"]);
+    expect(watcher.sent.size).to.equal(1);
+
+    await escrow.connect(freelancer).autoReleaseIfClientAbsent(0);
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+    await watcher.poll();
+    expect(received.map((n) => n.type)).to.deep.equal(["MilestoneCompleted", "auto-release-available", "AutoReleased"]);
+    expect([...watcher.sent.keys()]).to.deep.equal([received[2].id]); // the alert went with its submission
+  });
+});
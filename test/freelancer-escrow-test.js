@@ -6,8 +6,19 @@ describe("FreelancerEscrow", function () {
   let client, freelancer, mediator, other;
   const projectFee = ethers.parseEther("3");     // Client deposits 3 ETH
   const freelancerStake = ethers.parseEther("1"); // Freelancer must stake 1 ETH
-  const numMilestones = 3;
+  const milestoneAmounts = [ethers.parseEther("1"), ethers.parseEther("1"), ethers.parseEther("1")];
+  const numMilestones = milestoneAmounts.length;
   const ipfsHash = "QmExampleIpfsHash"; // Dummy IPFS hash
+  const schedule = { reviewWindow: 0, deliveryWindows: [], latePenaltyBps: 0, prerequisites: [] }; // 3-day review, no deadlines
+  const panel = {
+    coMediators: [],
+    quorum: 0,
+    backupMediator: ethers.ZeroAddress,
+    escalationWindow: 0,
+    responseWindow: 0,
+    mediationFee: 0,
+    mediationFeeBps: 0,
+  };
 
   beforeEach(async function () {
     // Get signers
@@ -19,8 +30,10 @@ describe("FreelancerEscrow", function () {
       freelancer.address,
       mediator.address,
       freelancerStake,
-      numMilestones,
+      milestoneAmounts,
       ipfsHash,
+      schedule,
+      panel,
       { value: projectFee } // Client sends 3 ETH
     );
 
@@ -87,14 +100,14 @@ describe("FreelancerEscrow", function () {
     // Freelancer completes milestone #0
     await escrow.connect(freelancer).markMilestoneCompleted(0);
 
-    // Check freelancer balance (before)
-    const balanceBefore = await ethers.provider.getBalance(freelancer.address);
-
-    // Client approves milestone #0
+    // Client approves milestone #0, crediting milestoneAmounts[0] = 1 ETH to the freelancer
     const tx = await escrow.connect(client).approveMilestone(0);
     await tx.wait();
+    expect(await escrow.credits(freelancer.address)).to.equal(ethers.parseEther("1"));
 
-    // Freelancer gets milestonePayment = projectFee (3 ETH) / numMilestones (3) = 1 ETH
+    // Freelancer collects the payment
+    const balanceBefore = await ethers.provider.getBalance(freelancer.address);
+    await escrow.connect(freelancer).withdraw();
     const balanceAfter = await ethers.provider.getBalance(freelancer.address);
     const diff = balanceAfter - balanceBefore;
 
@@ -104,8 +117,9 @@ describe("FreelancerEscrow", function () {
       ethers.parseEther("0.001")
     );
 
-    // currentMilestone should be 1 now
-    expect(await escrow.currentMilestone()).to.equal(1);
+    // Milestone #0 is settled now
+    expect(await escrow.settledMilestones()).to.equal(1);
+    expect((await escrow.milestones(0)).settledAt).to.be.greaterThan(0);
   });
 
   it("should allow a dispute and mediator resolution", async function () {
@@ -122,26 +136,23 @@ describe("FreelancerEscrow", function () {
       value: ethers.parseEther("0.01"),
     });
 
-    // State should be Disputed
-    expect(await escrow.contractState()).to.equal(2); // 2 = Disputed
+    // The milestone is under dispute; the project itself stays InProgress
+    expect((await escrow.milestones(0)).disputed).to.equal(true);
+    expect(await escrow.openDisputes()).to.equal(1);
+    expect(await escrow.contractState()).to.equal(1); // InProgress
 
     // Mediator resolves => let's say mediator rules in favor of freelancer (decision=true)
-    const balanceBefore = await ethers.provider.getBalance(escrow.target);
     await escrow.connect(mediator).disputeResolution(0, true);
 
-    // Check how much left in contract
-    const balanceAfter = await ethers.provider.getBalance(escrow.target);
-    const diff = balanceBefore - balanceAfter;
-
-    // Payment to freelancer (1 ETH) + mediator fee (0.01 ETH) => 1.01 ETH
-    expect(diff).to.be.closeTo(
-      ethers.parseEther("1.01"),
-      ethers.parseEther("0.001")
-    );
+    // Payment to freelancer (1 ETH) + mediator fee (0.01 ETH) => 1.01 ETH credited
+    expect(await escrow.credits(freelancer.address)).to.equal(ethers.parseEther("1"));
+    expect(await escrow.credits(mediator.address)).to.equal(ethers.parseEther("0.01"));
+    expect(await escrow.totalCredits()).to.equal(ethers.parseEther("1.01"));
 
-    // Reverts to InProgress if not done
+    // The dispute is closed and the milestone settled; the project is not done yet
+    expect(await escrow.openDisputes()).to.equal(0);
     expect(await escrow.contractState()).to.equal(1); // InProgress
-    expect(await escrow.currentMilestone()).to.equal(1);
+    expect(await escrow.settledMilestones()).to.equal(1);
   });
 
   it("should auto-release funds if client is absent after 3 days", async function () {
@@ -165,8 +176,8 @@ describe("FreelancerEscrow", function () {
     // Auto-release => should succeed
     await escrow.connect(freelancer).autoReleaseIfClientAbsent(0);
 
-    // Next milestone => #1
-    expect(await escrow.currentMilestone()).to.equal(1);
+    // Milestone #0 is settled
+    expect(await escrow.settledMilestones()).to.equal(1);
   });
 
   it("should let freelancer withdraw stake after all milestones are completed", async function () {
@@ -182,17 +193,574 @@ describe("FreelancerEscrow", function () {
     }
 
     // Should be Completed
-    expect(await escrow.contractState()).to.equal(3); // 3 = Completed
+    expect(await escrow.contractState()).to.equal(2); // 2 = Completed
 
-    // Withdraw
+    // Withdraw: the stake plus the three credited milestone payments
     const balanceBefore = await ethers.provider.getBalance(freelancer.address);
     await escrow.connect(freelancer).withdrawRemainingStake();
     const balanceAfter = await ethers.provider.getBalance(freelancer.address);
 
     const diff = balanceAfter - balanceBefore;
     expect(Number(diff)).to.be.closeTo(
-        Number(ethers.parseEther("1")),
+        Number(ethers.parseEther("4")),
         Number(ethers.parseEther("0.001"))
         );
+
+    // A second call has no stake left to report
+    await expect(escrow.connect(freelancer).withdrawRemainingStake()).not.to.emit(escrow, "StakeWithdrawn");
+    expect(await escrow.stakeHeld()).to.equal(0);
+  });
+
+  describe("per-milestone amounts", function () {
+    // 10% discovery, 60% build, 30% polish — plus odd wei amounts that an even split would leave as dust
+    const unevenAmounts = [ethers.parseEther("0.1") + 1n, ethers.parseEther("0.6") + 2n, ethers.parseEther("0.3")];
+    const unevenFee = unevenAmounts.reduce((sum, a) => sum + a, 0n);
+    let uneven;
+
+    beforeEach(async function () {
+      uneven = await EscrowFactory.deploy(
+        freelancer.address,
+        mediator.address,
+        freelancerStake,
+        unevenAmounts,
+        ipfsHash,
+        schedule,
+        panel,
+        { value: unevenFee }
+      );
+      await uneven.waitForDeployment();
+      await uneven.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    });
+
+    it("should reject amounts that do not sum to the project fee", async function () {
+      await expect(
+        EscrowFactory.deploy(freelancer.address, mediator.address, freelancerStake, unevenAmounts, ipfsHash, schedule, panel, {
+          value: unevenFee - 1n,
+        })
+      ).to.be.revertedWith("Milestone amounts must sum to project fee");
+
+      await expect(
+        EscrowFactory.deploy(freelancer.address, mediator.address, freelancerStake, [projectFee, 0], ipfsHash, schedule, panel, {
+          value: projectFee,
+        })
+      ).to.be.revertedWith("Milestone amount must be positive");
+
+      await expect(
+        EscrowFactory.deploy(freelancer.address, mediator.address, freelancerStake, [], ipfsHash, schedule, panel, {
+          value: projectFee,
+        })
+      ).to.be.revertedWith("Must have at least 1 milestone");
+    });
+
+    it("should report each milestone's amount", async function () {
+      expect(await uneven.numMilestones()).to.equal(3);
+      for (let i = 0; i < unevenAmounts.length; i++) {
+        const status = await uneven.getMilestoneStatus(i);
+        expect(status[4]).to.equal(unevenAmounts[i]);
+      }
+    });
+
+    it("should pay each milestone's exact amount on every payout path", async function () {
+      // #0 approved by the client
+      await uneven.connect(freelancer).markMilestoneCompleted(0);
+      await expect(uneven.connect(client).approveMilestone(0))
+        .to.emit(uneven, "PaymentCredited")
+        .withArgs(freelancer.address, unevenAmounts[0]);
+
+      // #1 disputed, resolved for the client
+      await uneven.connect(freelancer).markMilestoneCompleted(1);
+      await uneven.connect(freelancer).disputeMilestone(1, { value: ethers.parseEther("0.01") });
+      const resolveTx = uneven.connect(mediator).disputeResolution(1, false);
+      await expect(resolveTx).to.emit(uneven, "PaymentCredited").withArgs(client.address, unevenAmounts[1]);
+      await expect(resolveTx).to.emit(uneven, "DisputeResolved").withArgs(1, 0, 0, unevenAmounts[1], 0);
+
+      // #2 auto-released
+      await uneven.connect(freelancer).markMilestoneCompleted(2);
+      await ethers.provider.send("evm_increaseTime", [3 * 24 * 60 * 60]);
+      await expect(uneven.connect(freelancer).autoReleaseIfClientAbsent(2))
+        .to.emit(uneven, "PaymentCredited")
+        .withArgs(freelancer.address, unevenAmounts[2]);
+
+      // Each party collects exactly what it was credited
+      await expect(uneven.connect(freelancer).withdraw()).to.changeEtherBalances(
+        [freelancer, uneven],
+        [unevenAmounts[0] + unevenAmounts[2], -(unevenAmounts[0] + unevenAmounts[2])]
+      );
+      await expect(uneven.connect(client).withdraw()).to.changeEtherBalance(client, unevenAmounts[1]);
+    });
+
+    it("should leave no dust behind once the project is completed", async function () {
+      for (let i = 0; i < unevenAmounts.length; i++) {
+        await uneven.connect(freelancer).markMilestoneCompleted(i);
+        await uneven.connect(client).approveMilestone(i);
+      }
+
+      // Apart from the credited payments only the stake is left, and it goes back to the freelancer in full
+      expect(await ethers.provider.getBalance(uneven.target)).to.equal(unevenFee + freelancerStake);
+      await expect(uneven.connect(freelancer).withdrawRemainingStake()).to.changeEtherBalance(
+        freelancer,
+        unevenFee + freelancerStake
+      );
+      expect(await ethers.provider.getBalance(uneven.target)).to.equal(0);
+    });
+  });
+
+  describe("partial dispute settlements", function () {
+    const mediationFee = ethers.parseEther("0.01");
+
+    beforeEach(async function () {
+      await escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await escrow.connect(client).disputeMilestone(0, { value: mediationFee });
+    });
+
+    it("should split the milestone by basis points", async function () {
+      // 70% delivered => 0.7 ETH to the freelancer, 0.3 ETH back to the client
+      const resolveTx = escrow.connect(mediator).resolveDispute(0, 7000, 0);
+      await expect(resolveTx)
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(freelancer.address, ethers.parseEther("0.7"))
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(client.address, ethers.parseEther("0.3"))
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(mediator.address, mediationFee);
+      await expect(resolveTx)
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(0, 7000, ethers.parseEther("0.7"), ethers.parseEther("0.3"), 0);
+
+      const [, approved, disputed] = await escrow.getMilestoneStatus(0);
+      expect(approved).to.be.false; // only a full award counts as approved
+      expect(disputed).to.be.false;
+      expect(await escrow.settledMilestones()).to.equal(1);
+      expect(await escrow.contractState()).to.equal(1); // InProgress
+    });
+
+    it("should give the rounding remainder to the client", async function () {
+      const odd = await EscrowFactory.deploy(freelancer.address, mediator.address, 0, [3n], ipfsHash, schedule, panel, {
+        value: 3n,
+      });
+      await odd.connect(freelancer).freelancerDepositStake();
+      await odd.connect(freelancer).markMilestoneCompleted(0);
+      await odd.connect(freelancer).disputeMilestone(0, { value: mediationFee });
+
+      await expect(odd.connect(mediator).resolveDispute(0, 5000, 0))
+        .to.emit(odd, "DisputeResolved")
+        .withArgs(0, 5000, 1, 2, 0);
+      expect(await odd.credits(client.address)).to.equal(2);
+      expect(await odd.totalCredits()).to.equal(await ethers.provider.getBalance(odd.target)); // nothing unassigned
+    });
+
+    it("should slash part of the stake to the client, up to the whole stake", async function () {
+      await expect(escrow.connect(mediator).resolveDispute(0, 0, 2500))
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(client.address, ethers.parseEther("1.25")); // milestone refund + 25% of the stake
+      expect(await escrow.stakeSlashed()).to.equal(ethers.parseEther("0.25"));
+
+      await escrow.connect(freelancer).markMilestoneCompleted(1);
+      await escrow.connect(client).disputeMilestone(1, { value: mediationFee });
+      await expect(escrow.connect(mediator).resolveDispute(1, 10000, 8000)).to.be.revertedWith(
+        "Slash exceeds remaining stake"
+      );
+      await expect(escrow.connect(mediator).resolveDispute(1, 10000, 7500))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(1, 10000, ethers.parseEther("1"), 0, ethers.parseEther("0.75"));
+
+      // Last milestone approved normally: nothing of the stake is left to withdraw
+      await escrow.connect(freelancer).markMilestoneCompleted(2);
+      await escrow.connect(client).approveMilestone(2);
+      await expect(escrow.connect(freelancer).withdrawRemainingStake()).not.to.emit(escrow, "StakeWithdrawn");
+    });
+
+    it("should reject invalid splits and non-mediators", async function () {
+      await expect(escrow.connect(mediator).resolveDispute(0, 10001, 0)).to.be.revertedWith("Invalid basis points");
+      await expect(escrow.connect(mediator).resolveDispute(0, 5000, 10001)).to.be.revertedWith("Invalid basis points");
+      await expect(escrow.connect(client).resolveDispute(0, 5000, 0)).to.be.revertedWith(
+        "Only the mediator can resolve"
+      );
+    });
+  });
+
+  describe("cancellation and termination", function () {
+    const States = { Cancelled: 3, Expired: 4, Terminated: 5 };
+
+    it("should let the client cancel before the stake with a full refund", async function () {
+      await expect(escrow.connect(freelancer).cancelProject()).to.be.revertedWith("Only client can cancel");
+
+      const cancelTx = escrow.connect(client).cancelProject();
+      await expect(cancelTx).to.emit(escrow, "PaymentCredited").withArgs(client.address, projectFee);
+      await expect(cancelTx).to.emit(escrow, "ProjectCancelled").withArgs(client.address, projectFee);
+      await expect(escrow.connect(client).withdraw()).to.changeEtherBalances([client, escrow], [projectFee, -projectFee]);
+      expect(await escrow.contractState()).to.equal(States.Cancelled);
+
+      await expect(
+        escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake })
+      ).to.be.revertedWith("Contract must be in Created state");
+    });
+
+    it("should not allow cancelling once the freelancer has staked", async function () {
+      await escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+      await expect(escrow.connect(client).cancelProject()).to.be.revertedWith("Contract must be in Created state");
+    });
+
+    it("should let anyone reclaim an abandoned escrow for the client after the stake deadline", async function () {
+      const window = Number(await escrow.STAKE_DEPOSIT_WINDOW());
+      await expect(escrow.connect(other).reclaimAfterDeadline()).to.be.revertedWith("Stake deadline not reached");
+
+      await ethers.provider.send("evm_increaseTime", [window + 1]);
+      await ethers.provider.send("evm_mine");
+      await expect(
+        escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake })
+      ).to.be.revertedWith("Stake deadline passed");
+
+      const reclaimTx = escrow.connect(other).reclaimAfterDeadline();
+      await expect(reclaimTx).to.emit(escrow, "PaymentCredited").withArgs(client.address, projectFee);
+      await expect(reclaimTx).to.emit(escrow, "ProjectExpired").withArgs(other.address, projectFee);
+      expect(await escrow.credits(client.address)).to.equal(projectFee);
+      expect(await escrow.contractState()).to.equal(States.Expired);
+    });
+
+    describe("mutual termination", function () {
+      beforeEach(async function () {
+        await escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+        await escrow.connect(freelancer).markMilestoneCompleted(0);
+        await escrow.connect(client).approveMilestone(0);
+      });
+
+      it("should refund unreleased milestones to the client and return the stake", async function () {
+        await expect(escrow.connect(freelancer).proposeTermination())
+          .to.emit(escrow, "TerminationProposed")
+          .withArgs(freelancer.address);
+        expect(await escrow.terminationProposer()).to.equal(freelancer.address);
+        await expect(escrow.connect(freelancer).acceptTermination()).to.be.revertedWith("Proposer cannot accept");
+        await expect(escrow.connect(mediator).acceptTermination()).to.be.revertedWith(
+          "Only client or freelancer can terminate"
+        );
+
+        const acceptTx = escrow.connect(client).acceptTermination();
+        await expect(acceptTx)
+          .to.emit(escrow, "PaymentCredited")
+          .withArgs(client.address, ethers.parseEther("2"))
+          .and.to.emit(escrow, "PaymentCredited")
+          .withArgs(freelancer.address, freelancerStake);
+        await expect(acceptTx)
+          .to.emit(escrow, "ProjectTerminated")
+          .withArgs(client.address, ethers.parseEther("2"), freelancerStake);
+        expect(await escrow.contractState()).to.equal(States.Terminated);
+        expect(await escrow.terminationProposer()).to.equal(ethers.ZeroAddress);
+        await expect(escrow.connect(freelancer).markMilestoneCompleted(1)).to.be.revertedWith("Not in InProgress state");
+
+        // Milestone #0's payment and the returned stake are collected together
+        await expect(escrow.connect(freelancer).withdraw()).to.changeEtherBalance(
+          freelancer,
+          milestoneAmounts[0] + freelancerStake
+        );
+        await expect(escrow.connect(client).withdraw()).to.changeEtherBalance(client, ethers.parseEther("2"));
+        expect(await ethers.provider.getBalance(escrow.target)).to.equal(0);
+      });
+
+      it("should only return the unslashed part of the stake", async function () {
+        await escrow.connect(freelancer).markMilestoneCompleted(1);
+        await escrow.connect(client).disputeMilestone(1, { value: ethers.parseEther("0.01") });
+        await escrow.connect(mediator).resolveDispute(1, 5000, 4000); // 40% of the stake slashed
+
+        await escrow.connect(client).proposeTermination();
+        await expect(escrow.connect(freelancer).acceptTermination())
+          .to.emit(escrow, "ProjectTerminated")
+          .withArgs(freelancer.address, milestoneAmounts[2], ethers.parseEther("0.6"));
+        expect(await escrow.totalCredits()).to.equal(await ethers.provider.getBalance(escrow.target));
+      });
+
+      it("should let the proposer revoke before it is accepted", async function () {
+        await expect(escrow.connect(client).revokeTermination()).to.be.revertedWith("No termination proposed");
+        await escrow.connect(client).proposeTermination();
+        await expect(escrow.connect(freelancer).proposeTermination()).to.be.revertedWith(
+          "Termination already proposed"
+        );
+        await expect(escrow.connect(freelancer).revokeTermination()).to.be.revertedWith("Only the proposer can revoke");
+
+        await expect(escrow.connect(client).revokeTermination())
+          .to.emit(escrow, "TerminationRevoked")
+          .withArgs(client.address);
+        await expect(escrow.connect(freelancer).acceptTermination()).to.be.revertedWith("No termination proposed");
+      });
+
+      it("should not terminate while a milestone is disputed", async function () {
+        await escrow.connect(client).proposeTermination();
+        await escrow.connect(freelancer).markMilestoneCompleted(1);
+        await escrow.connect(client).disputeMilestone(1, { value: ethers.parseEther("0.01") });
+        await expect(escrow.connect(freelancer).acceptTermination()).to.be.revertedWith("Dispute in progress");
+      });
+    });
+  });
+
+  describe("review windows and delivery deadlines", function () {
+    const day = 24 * 60 * 60;
+    // Run one after another: #1 waits for #0 and #2 for #1
+    const timed = { reviewWindow: day, deliveryWindows: [7 * day, 0, 2 * day], latePenaltyBps: 2500, prerequisites: [0, 1, 2] };
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      escrow = await EscrowFactory.deploy(
+        freelancer.address,
+        mediator.address,
+        freelancerStake,
+        milestoneAmounts,
+        ipfsHash,
+        timed,
+        panel,
+        { value: projectFee }
+      );
+      await escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    });
+
+    it("should store the schedule and default the review window to 3 days", async function () {
+      expect(await escrow.reviewWindow()).to.equal(day);
+      expect(await escrow.latePenaltyBps()).to.equal(2500);
+      expect((await escrow.getMilestoneStatus(0))[5]).to.equal(7 * day);
+      expect((await escrow.getMilestoneStatus(1))[5]).to.equal(0);
+
+      const defaults = await EscrowFactory.deploy(freelancer.address, mediator.address, 0, [1], ipfsHash, schedule, panel, {
+        value: 1,
+      });
+      expect(await defaults.reviewWindow()).to.equal(3 * day);
+    });
+
+    it("should reject schedules that do not fit the milestones", async function () {
+      const deploy = (overrides) =>
+        EscrowFactory.deploy(freelancer.address, mediator.address, 0, milestoneAmounts, ipfsHash, {
+          ...schedule,
+          ...overrides,
+        }, panel, { value: projectFee });
+
+      await expect(deploy({ deliveryWindows: [day] })).to.be.revertedWith("Delivery windows must match milestones");
+      await expect(deploy({ latePenaltyBps: 10001 })).to.be.revertedWith("Invalid basis points");
+    });
+
+    it("should auto-release after the project's review window", async function () {
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      const submittedAt = (await escrow.getMilestoneStatus(0))[3];
+      expect(await escrow.milestoneDeadlines(0)).to.deep.equal([0n, submittedAt + BigInt(day)]);
+      await expect(escrow.connect(freelancer).autoReleaseIfClientAbsent(0)).to.be.revertedWith(
+        "Grace period not reached"
+      );
+
+      await increaseTime(day);
+      await expect(escrow.connect(freelancer).autoReleaseIfClientAbsent(0))
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(freelancer.address, milestoneAmounts[0]);
+    });
+
+    it("should let the client reclaim an overdue milestone with part of the stake", async function () {
+      const startedAt = await escrow.milestoneStartedAt(0);
+      expect(await escrow.milestoneDeadlines(0)).to.deep.equal([startedAt + BigInt(7 * day), 0n]);
+      await expect(escrow.connect(client).reclaimOverdueMilestone(0)).to.be.revertedWith(
+        "Delivery deadline not reached"
+      );
+
+      await increaseTime(7 * day + 1);
+      await expect(escrow.connect(freelancer).reclaimOverdueMilestone(0)).to.be.revertedWith("Only client can reclaim");
+      const penalty = freelancerStake / 4n;
+      const reclaimTx = escrow.connect(client).reclaimOverdueMilestone(0);
+      await expect(reclaimTx)
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(client.address, milestoneAmounts[0] + penalty);
+      await expect(reclaimTx).to.emit(escrow, "MilestoneReclaimed").withArgs(0, milestoneAmounts[0], penalty);
+      expect(await escrow.settledMilestones()).to.equal(1);
+      expect(await escrow.stakeSlashed()).to.equal(penalty);
+
+      // Milestone #1 has no deadline; the freelancer can still deliver it late
+      await increaseTime(30 * day);
+      await expect(escrow.connect(client).reclaimOverdueMilestone(1)).to.be.revertedWith("No delivery deadline");
+      expect(await escrow.milestoneDeadlines(1)).to.deep.equal([0n, 0n]);
+      await escrow.connect(freelancer).markMilestoneCompleted(1);
+      await escrow.connect(client).approveMilestone(1);
+
+      // Milestone #2's window starts when #1 is settled, not at the stake deposit
+      const settledAt = (await escrow.milestones(1)).settledAt;
+      expect(await escrow.milestoneStartedAt(2)).to.equal(settledAt);
+      expect(await escrow.milestoneDeadlines(2)).to.deep.equal([settledAt + BigInt(2 * day), 0n]);
+      await expect(escrow.connect(client).reclaimOverdueMilestone(2)).to.be.revertedWith(
+        "Delivery deadline not reached"
+      );
+    });
+
+    it("should not reclaim submitted milestones and cap the penalty at the remaining stake", async function () {
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await increaseTime(7 * day + 1);
+      await expect(escrow.connect(client).reclaimOverdueMilestone(0)).to.be.revertedWith("Already completed");
+      await escrow.connect(client).disputeMilestone(0, { value: ethers.parseEther("0.01") });
+      await escrow.connect(mediator).resolveDispute(0, 0, 9000); // 90% of the stake slashed
+
+      await escrow.connect(freelancer).markMilestoneCompleted(1);
+      await escrow.connect(client).approveMilestone(1);
+      await increaseTime(2 * day + 1);
+      await expect(escrow.connect(client).reclaimOverdueMilestone(2))
+        .to.emit(escrow, "MilestoneReclaimed")
+        .withArgs(2, milestoneAmounts[2], ethers.parseEther("0.1"));
+      expect(await escrow.contractState()).to.equal(2); // Completed
+      await expect(escrow.connect(freelancer).withdrawRemainingStake()).not.to.emit(escrow, "StakeWithdrawn");
+      await escrow.connect(client).withdraw();
+      await escrow.connect(mediator).withdraw();
+      expect(await ethers.provider.getBalance(escrow.target)).to.equal(0);
+    });
+  });
+
+  describe("ledger", function () {
+    const mediationFee = ethers.parseEther("0.01");
+
+    async function expectBalanced() {
+      expect(await escrow.obligations()).to.equal(await ethers.provider.getBalance(escrow.target));
+    }
+
+    beforeEach(async function () {
+      await escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    });
+
+    it("should account for every wei the escrow holds", async function () {
+      expect(await escrow.escrowedFees()).to.equal(projectFee);
+      expect(await escrow.stakeHeld()).to.equal(freelancerStake);
+      await expectBalanced();
+
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await escrow.connect(client).disputeMilestone(0, { value: mediationFee });
+      expect(await escrow.disputePot()).to.equal(mediationFee);
+      await expectBalanced();
+
+      await escrow.connect(mediator).resolveDispute(0, 3333, 1000);
+      expect(await escrow.escrowedFees()).to.equal(projectFee - milestoneAmounts[0]);
+      expect(await escrow.stakeHeld()).to.equal(freelancerStake - ethers.parseEther("0.1"));
+      expect(await escrow.disputePot()).to.equal(0);
+      await expectBalanced();
+    });
+
+    it("should credit stray ETH back to its sender instead of the freelancer", async function () {
+      const stray = ethers.parseEther("0.5");
+      await expect(other.sendTransaction({ to: escrow.target, value: stray }))
+        .to.emit(escrow, "EtherReceived")
+        .withArgs(other.address, stray)
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(other.address, stray);
+      // Unknown calls with ETH attached go through the fallback the same way
+      await other.sendTransaction({ to: escrow.target, value: 1n, data: "0x12345678" });
+      expect(await escrow.credits(other.address)).to.equal(stray + 1n);
+      await expectBalanced();
+
+      for (let i = 0; i < numMilestones; i++) {
+        await escrow.connect(freelancer).markMilestoneCompleted(i);
+        await escrow.connect(client).approveMilestone(i);
+      }
+      await expect(escrow.connect(freelancer).withdrawRemainingStake()).to.changeEtherBalance(
+        freelancer,
+        projectFee + freelancerStake
+      );
+      await expect(escrow.connect(other).withdraw()).to.changeEtherBalance(other, stray + 1n);
+      expect(await ethers.provider.getBalance(escrow.target)).to.equal(0);
+    });
+
+    it("should return unaccounted surplus to the client", async function () {
+      // ETH that arrives without a call (e.g. a selfdestruct) is not attributed to anyone
+      const surplus = ethers.parseEther("0.25");
+      const balance = await ethers.provider.getBalance(escrow.target);
+      await ethers.provider.send("hardhat_setBalance", [escrow.target, ethers.toQuantity(balance + surplus)]);
+
+      await expect(escrow.connect(other).returnSurplus())
+        .to.emit(escrow, "SurplusReturned")
+        .withArgs(client.address, surplus);
+      expect(await escrow.credits(client.address)).to.equal(surplus);
+      await expectBalanced();
+      await expect(escrow.returnSurplus()).to.not.emit(escrow, "SurplusReturned");
+    });
+
+    it("should return the stake only once, and nothing more, on termination", async function () {
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await escrow.connect(client).approveMilestone(0);
+      await escrow.connect(client).proposeTermination();
+      await escrow.connect(freelancer).acceptTermination();
+
+      expect(await escrow.escrowedFees()).to.equal(0);
+      expect(await escrow.stakeHeld()).to.equal(0);
+      expect(await escrow.totalCredits()).to.equal(projectFee + freelancerStake);
+      await expectBalanced();
+    });
+  });
+
+  describe("pull payments", function () {
+    let wallet, walletMediator, walletEscrow;
+
+    // Calls `method` on the escrow from a RevertingReceiver party
+    function viaWallet(from, method, args = [], value = 0) {
+      return from.execute(walletEscrow.target, walletEscrow.interface.encodeFunctionData(method, args), { value });
+    }
+
+    beforeEach(async function () {
+      const Receiver = await ethers.getContractFactory("RevertingReceiver");
+      wallet = await Receiver.deploy();
+      walletMediator = await Receiver.deploy();
+      walletEscrow = await EscrowFactory.deploy(
+        wallet.target,
+        walletMediator.target,
+        freelancerStake,
+        milestoneAmounts,
+        ipfsHash,
+        schedule,
+        panel,
+        { value: projectFee }
+      );
+      await viaWallet(wallet, "freelancerDepositStake", [], freelancerStake);
+    });
+
+    it("should not let a party that rejects ETH block approvals or dispute resolutions", async function () {
+      await viaWallet(wallet, "markMilestoneCompleted", [0]);
+      await expect(walletEscrow.connect(client).approveMilestone(0))
+        .to.emit(walletEscrow, "PaymentCredited")
+        .withArgs(wallet.target, milestoneAmounts[0]);
+
+      await viaWallet(wallet, "markMilestoneCompleted", [1]);
+      await walletEscrow.connect(client).disputeMilestone(1, { value: ethers.parseEther("0.01") });
+      await expect(viaWallet(walletMediator, "resolveDispute", [1, 5000, 0]))
+        .to.emit(walletEscrow, "PaymentCredited")
+        .withArgs(walletMediator.target, ethers.parseEther("0.01"));
+      expect(await walletEscrow.settledMilestones()).to.equal(2);
+
+      // Only the rejecting party's own withdrawal fails, and its credit is kept
+      await expect(viaWallet(wallet, "withdraw")).to.be.revertedWith("Withdrawal failed");
+      await expect(walletEscrow.connect(client).withdraw()).to.changeEtherBalance(client, ethers.parseEther("0.5"));
+      expect(await walletEscrow.credits(wallet.target)).to.equal(ethers.parseEther("1.5"));
+
+      await wallet.setAcceptPayments(true);
+      await expect(viaWallet(wallet, "withdraw"))
+        .to.emit(walletEscrow, "Withdrawn")
+        .withArgs(wallet.target, ethers.parseEther("1.5"));
+      expect(await walletEscrow.credits(wallet.target)).to.equal(0);
+      await expect(viaWallet(wallet, "withdraw")).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("should keep other parties' credits when the freelancer withdraws the stake", async function () {
+      for (let i = 0; i < numMilestones; i++) {
+        await viaWallet(wallet, "markMilestoneCompleted", [i]);
+        if (i === 0) {
+          await walletEscrow.connect(client).disputeMilestone(0, { value: ethers.parseEther("0.01") });
+          await viaWallet(walletMediator, "resolveDispute", [0, 0, 0]);
+        } else {
+          await walletEscrow.connect(client).approveMilestone(i);
+        }
+      }
+
+      await wallet.setAcceptPayments(true);
+      await expect(viaWallet(wallet, "withdrawRemainingStake"))
+        .to.emit(walletEscrow, "StakeWithdrawn")
+        .withArgs(wallet.target, freelancerStake)
+        .and.to.emit(walletEscrow, "Withdrawn")
+        .withArgs(wallet.target, ethers.parseEther("3"));
+      expect(await ethers.provider.getBalance(walletEscrow.target)).to.equal(
+        milestoneAmounts[0] + ethers.parseEther("0.01")
+      );
+      await walletEscrow.connect(client).withdraw();
+      expect(await walletEscrow.totalCredits()).to.equal(ethers.parseEther("0.01"));
+    });
   });
 });
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, ignition } = require("hardhat");
+const FreelancerEscrowModule = require("../ignition/modules/FreelancerEscrow");
+const {
+  EscrowClient,
+  IGNITION_MODULE_ID,
+  loadIgnitionParameters,
+  deployedEscrowAddress,
+  verifyEscrowDeployment,
+} = require("../lib");
+
+describe("Ignition module", function () {
+  let client, freelancer, mediator, backup;
+
+  async function deploy(parameters) {
+    const { escrow } = await ignition.deploy(FreelancerEscrowModule, {
+      parameters: { [IGNITION_MODULE_ID]: parameters },
+    });
+    return EscrowClient.at(await escrow.getAddress(), ethers.provider);
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, backup] = await ethers.getSigners();
+  });
+
+  it("should deploy the Sepolia parameters file and read every value back", async function () {
+    const parameters = loadIgnitionParameters(path.join(__dirname, "..", "ignition", "parameters", "sepolia.json"));
+    expect(parameters.milestoneAmounts).to.deep.equal([10000000000000n, 60000000000000n, 30000000000000n]);
+
+    const escrow = await deploy(parameters);
+    const { ok, checks } = await verifyEscrowDeployment(escrow, parameters, { client: client.address });
+    expect(ok).to.be.true;
+    expect(checks.map((check) => check.field)).to.deep.equal([
+      "client",
+      "freelancer",
+      "mediator",
+      "projectFee",
+      "freelancerStake",
+      "milestoneAmounts",
+      "projectIpfsHash",
+    ]);
+    expect(await escrow.contractState()).to.equal("Created");
+  });
+
+  it("should pass the schedule and panel through and report mismatches", async function () {
+    const parameters = {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake: ethers.parseEther("1"),
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("2")],
+      projectFee: ethers.parseEther("3"),
+      projectIpfsHash: "QmExampleIpfsHash",
+      schedule: { reviewWindow: 86400, deliveryWindows: [604800, 0], latePenaltyBps: 500, prerequisites: [0, 1] },
+      panel: {
+        coMediators: [],
+        quorum: 0,
+        backupMediator: backup.address,
+        escalationWindow: 172800,
+        responseWindow: 0,
+        mediationFee: 0,
+        mediationFeeBps: 300,
+      },
+    };
+    const escrow = await deploy(parameters);
+    const snapshot = await escrow.snapshot();
+    expect(snapshot).to.include({ reviewWindow: 86400, mediationFeeBps: 300 });
+    expect(snapshot.panel.backupMediator).to.equal(backup.address);
+    expect(snapshot.milestones[1].dependsOn).to.deep.equal([0]);
+
+    const { ok, checks } = await verifyEscrowDeployment(
+      escrow,
+      { ...parameters, projectIpfsHash: "QmOtherHash" },
+      { client: freelancer.address }
+    );
+    expect(ok).to.be.false;
+    expect(checks.filter((check) => !check.ok)).to.deep.equal([
+      { field: "client", expected: freelancer.address, actual: client.address, ok: false },
+      { field: "projectIpfsHash", expected: "QmOtherHash", actual: "QmExampleIpfsHash", ok: false },
+    ]);
+  });
+
+  it("should refuse a project fee that is not the sum of the milestones", async function () {
+    const parameters = loadIgnitionParameters(path.join(__dirname, "..", "ignition", "parameters", "sepolia.json"));
+    await expect(deploy({ ...parameters, projectFee: 1n })).to.be.rejectedWith(
+      "Milestone amounts must sum to project fee"
+    );
+  });
+
+  it("should find the escrow in a recorded deployment", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-ignition-"));
+    try {
+      expect(() => deployedEscrowAddress(dir)).to.throw("No Ignition deployment in");
+      const address = ethers.Wallet.createRandom().address;
+      fs.writeFileSync(
+        path.join(dir, "deployed_addresses.json"),
+        JSON.stringify({ [`${IGNITION_MODULE_ID}#FreelancerEscrow`]: address.toLowerCase() })
+      );
+      expect(deployedEscrowAddress(dir)).to.equal(address);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { run } = require("../lib/cli/program");
+const { EXIT_CODES } = require("../lib/cli/exitCodes");
+const { getRoleSigner, getRoleAddress } = require("../lib/cli/signers");
+const { UsageError } = require("../lib/cli/args");
+
+describe("Key profiles", function () {
+  let client, mediator;
+  let dir, profilesFile, freelancerWallet;
+  let stdout, stderr, secrets;
+
+  // Runs the CLI in-process; `secrets` answers the passphrase and key prompts in order
+  async function escrow(...argv) {
+    stdout = [];
+    stderr = [];
+    return run(argv, {
+      out: (text) => stdout.push(text),
+      err: (text) => stderr.push(text),
+      secret: () => secrets.shift(),
+      loadHre: () => hre,
+    });
+  }
+
+  function json(lines) {
+    return JSON.parse(lines.join("\n"));
+  }
+
+  beforeEach(async function () {
+    [client, , mediator] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-profiles-"));
+    profilesFile = path.join(dir, "escrow-profiles.json");
+    secrets = [];
+
+    // A locally generated keystore (with cheap scrypt parameters, to keep the tests fast)
+    freelancerWallet = ethers.Wallet.createRandom();
+    const keystore = await ethers.encryptKeystoreJson(freelancerWallet, "correct horse", { scrypt: { N: 1 << 10 } });
+    fs.writeFileSync(path.join(dir, "freelancer.json"), keystore);
+    fs.writeFileSync(
+      profilesFile,
+      JSON.stringify({
+        ci: {
+          hardhat: {
+            freelancer: { keystore: "freelancer.json" },
+            mediator: { address: mediator.address },
+          },
+        },
+      })
+    );
+    await client.sendTransaction({ to: freelancerWallet.address, value: ethers.parseEther("2") });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function deploy() {
+    await escrow(
+      "deploy", "--json",
+      "--freelancer", freelancerWallet.address,
+      "--mediator", mediator.address,
+      "--milestones", "1,1",
+      "--stake", "1"
+    );
+    return json(stdout).address;
+  }
+
+  it("should sign with a profile's keystore, unlocked once per role", async function () {
+    const address = await deploy();
+    const profile = ["--profiles", profilesFile, "--profile", "ci"];
+
+    secrets = ["correct horse"];
+    expect(await escrow(...profile, "deposit-stake", address)).to.equal(EXIT_CODES.OK);
+    expect(secrets).to.be.empty;
+    await escrow("status", address, "--json");
+    expect(json(stdout).contractState).to.equal("InProgress");
+
+    // Reading what a role may do needs no passphrase
+    expect(await escrow(...profile, "actions", address, "--as", "freelancer", "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout).from).to.equal(freelancerWallet.address);
+
+    secrets = ["wrong"];
+    expect(await escrow(...profile, "complete", address, "0", "--as", "freelancer")).to.equal(EXIT_CODES.USAGE);
+    expect(stderr.join("\n")).to.contain("Wrong passphrase for");
+
+    const passphraseFile = path.join(dir, "passphrase");
+    fs.writeFileSync(passphraseFile, "correct horse\n");
+    expect(
+      await escrow(...profile, "--passphrase-file", passphraseFile, "complete", address, "0", "--as", "freelancer")
+    ).to.equal(EXIT_CODES.OK);
+
+    expect(await escrow(...profile, "approve", address, "0")).to.equal(EXIT_CODES.USAGE);
+    expect(stderr.join("\n")).to.contain('Profile "ci" has no client key for network "hardhat"');
+  });
+
+  it("should read and simulate with a watch-only address but never sign", async function () {
+    const address = await deploy();
+    await escrow("deposit-stake", address, "--as", "freelancer"); // node account #1, not the keystore's wallet
+
+    expect(await escrow("--profiles", profilesFile, "--profile", "ci", "actions", address, "--as", "mediator")).to.equal(
+      EXIT_CODES.OK
+    );
+    expect(stdout.join("\n")).to.contain(`What the mediator (${mediator.address}) can do`);
+
+    expect(await escrow("--profiles", profilesFile, "--profile", "ci", "claim", address, "--as", "mediator")).to.equal(
+      EXIT_CODES.USAGE
+    );
+    expect(stderr.join("\n")).to.contain(`Profile "ci" only watches ${mediator.address}; it cannot sign`);
+
+    // With --simulate the contract's own reason comes back before anything would be signed
+    const resolve = ["resolve", address, "0", "--winner", "client", "--as", "mediator"];
+    expect(await escrow("--profiles", profilesFile, "--profile", "ci", "--simulate", ...resolve)).to.equal(
+      EXIT_CODES.REVERTED
+    );
+    expect(stderr.join("\n")).to.contain("Milestone not in dispute");
+  });
+
+  it("should add keys and watch-only addresses to profiles and list them", async function () {
+    const options = ["--profiles", profilesFile];
+
+    // Import a private key (asked without echo), encrypted with a passphrase asked twice
+    const imported = ethers.Wallet.createRandom();
+    secrets = [imported.privateKey, "s3cret", "typo"];
+    expect(await escrow(...options, "add-key", "ops", "--as", "client")).to.equal(EXIT_CODES.USAGE);
+    expect(stderr.join("\n")).to.contain("The passphrases do not match");
+
+    secrets = [imported.privateKey, "s3cret", "s3cret"];
+    expect(await escrow(...options, "add-key", "ops", "--as", "client", "--json")).to.equal(EXIT_CODES.OK);
+    const added = json(stdout);
+    expect(added).to.include({ profile: "ops", network: "hardhat", role: "client", address: imported.address });
+    const keystore = fs.readFileSync(added.keystore, "utf8");
+    expect((await ethers.Wallet.fromEncryptedJson(keystore, "s3cret")).privateKey).to.equal(imported.privateKey);
+
+    expect(await escrow(...options, "add-key", "ops", "--as", "client")).to.equal(EXIT_CODES.USAGE);
+    expect(stderr.join("\n")).to.contain('Profile "ops" already has a client key for network "hardhat"');
+
+    // Register an existing keystore, and a watch-only address
+    expect(
+      await escrow(...options, "add-key", "ops", "--as", "freelancer", "--keystore", path.join(dir, "freelancer.json"))
+    ).to.equal(EXIT_CODES.OK);
+    expect(await escrow(...options, "add-watch", "ops", mediator.address, "--as", "mediator")).to.equal(EXIT_CODES.OK);
+    expect(stdout[0]).to.contain("(read-only)");
+
+    expect(await escrow(...options, "profiles", "--json")).to.equal(EXIT_CODES.OK);
+    const ops = json(stdout).profiles.filter((entry) => entry.profile === "ops");
+    expect(ops.map(({ role, address, watchOnly }) => [role, address, watchOnly])).to.deep.equal([
+      ["client", imported.address, false],
+      ["freelancer", freelancerWallet.address, false],
+      ["mediator", mediator.address, true],
+    ]);
+    expect(JSON.parse(fs.readFileSync(profilesFile, "utf8")).ops.hardhat.freelancer).to.deep.equal({
+      keystore: "freelancer.json",
+    });
+  });
+
+  it("should name the profile when a keystore does not record its address", async function () {
+    const keystore = JSON.parse(fs.readFileSync(path.join(dir, "freelancer.json"), "utf8"));
+    for (const address of [undefined, 42, "not an address"]) {
+      fs.writeFileSync(path.join(dir, "freelancer.json"), JSON.stringify({ ...keystore, address }));
+      await expect(getRoleAddress(hre, "freelancer", { profile: "ci", profiles: profilesFile })).to.be.rejectedWith(
+        UsageError,
+        `Profile "ci": keystore ${path.join(dir, "freelancer.json")} does not record a valid address`
+      );
+    }
+
+    expect(await escrow("--profiles", profilesFile, "profiles", "--json")).to.equal(EXIT_CODES.OK);
+    expect(json(stdout).profiles.find((entry) => entry.role === "freelancer")).to.deep.include({
+      address: null,
+      error: `Profile "ci": keystore ${path.join(dir, "freelancer.json")} does not record a valid address`,
+    });
+  });
+
+  it("should only use raw private keys from .env when explicitly allowed", async function () {
+    const sepolia = { network: { name: "sepolia" }, ethers };
+    const key = ethers.Wallet.createRandom().privateKey;
+    const previous = process.env.CLIENT_PRIVATE_KEY;
+    process.env.CLIENT_PRIVATE_KEY = key;
+    try {
+      await expect(getRoleSigner(sepolia, "client")).to.be.rejectedWith("pass --profile <name>");
+      const signer = await getRoleSigner(sepolia, "client", { allowEnvKeys: true });
+      expect(signer.address).to.equal(new ethers.Wallet(key).address);
+    } finally {
+      if (previous === undefined) delete process.env.CLIENT_PRIVATE_KEY;
+      else process.env.CLIENT_PRIVATE_KEY = previous;
+    }
+  });
+});
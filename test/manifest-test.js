@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const {
+  EscrowClient,
+  InvalidManifestError,
+  manifestProblems,
+  loadManifest,
+  canonicalManifest,
+  manifestCid,
+  manifestParams,
+  manifestMismatches,
+  withManifest,
+  cidOf,
+} = require("../lib");
+
+describe("Project manifests", function () {
+  const day = 24 * 60 * 60;
+  const manifest = {
+    version: 1,
+    title: "Mobile app MVP",
+    description: "iOS and Android app for the booking service.",
+    milestones: [
+      { title: "Designs", acceptanceCriteria: ["Clickable prototype", "Style guide"], amount: "0.5", deadline: "7d" },
+      { title: "Beta", acceptanceCriteria: ["TestFlight build"], amount: "1.25", deadline: 14 * day },
+      { title: "Store release", acceptanceCriteria: ["Published on both stores"], amount: "0.25", dependsOn: [1] },
+    ],
+  };
+
+  it("should list every schema violation", function () {
+    expect(manifestProblems(manifest)).to.be.empty;
+    expect(manifestProblems([])).to.deep.equal(["manifest must be a JSON object"]);
+    expect(
+      manifestProblems({
+        version: 2,
+        title: " ",
+        budget: "2",
+        milestones: [
+          { title: "Designs", acceptanceCriteria: [], amount: "0.5" },
+          { title: "Beta", acceptanceCriteria: ["Build"], amount: 1, deadline: "2 weeks", owner: "me" },
+          { title: "Free", acceptanceCriteria: ["Nothing"], amount: "0.0", dependsOn: [2] },
+        ],
+      })
+    ).to.deep.equal([
+      'unknown field "budget"',
+      "version must be 1",
+      "title is required",
+      "milestones[0].acceptanceCriteria must be a non-empty list of strings",
+      'milestones[1]: unknown field "owner"',
+      'milestones[1].amount must be a decimal string, e.g. "0.5"',
+      'milestones[1].deadline must be seconds or a duration like "7d"',
+      "milestones[2].amount must be positive",
+      "milestones[2].dependsOn must list distinct indexes of earlier milestones",
+    ]);
+  });
+
+  it("should load manifest files and report unreadable ones as invalid", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "escrow-manifest-"));
+    const file = path.join(dir, "project.json");
+    fs.writeFileSync(file, JSON.stringify(manifest));
+    expect(loadManifest(file)).to.deep.equal(manifest);
+
+    fs.writeFileSync(file, "{ not json");
+    expect(() => loadManifest(file)).to.throw(InvalidManifestError);
+    expect(() => loadManifest(path.join(dir, "missing.json"))).to.throw(InvalidManifestError);
+  });
+
+  it("should compute the same CID whatever the key order and formatting", function () {
+    const reordered = {
+      milestones: manifest.milestones.map(({ amount, deadline, dependsOn, acceptanceCriteria, title }) => ({
+        amount,
+        ...(deadline === undefined ? {} : { deadline }),
+        ...(dependsOn === undefined ? {} : { dependsOn }),
+        acceptanceCriteria,
+        title,
+      })),
+      description: manifest.description,
+      title: manifest.title,
+      version: 1,
+    };
+    expect(canonicalManifest(reordered)).to.equal(canonicalManifest(manifest));
+    expect(canonicalManifest(manifest)).to.not.match(/\s"|":\s/);
+    expect(manifestCid(manifest)).to.equal(cidOf(canonicalManifest(manifest)));
+    expect(manifestCid({ ...manifest, title: "Another app" })).to.not.equal(manifestCid(manifest));
+  });
+
+  it("should turn a manifest into deploy params in the project's currency", function () {
+    expect(manifestParams(manifest)).to.deep.equal({
+      milestoneAmounts: [ethers.parseEther("0.5"), ethers.parseEther("1.25"), ethers.parseEther("0.25")],
+      deliveryWindows: [7 * day, 14 * day, 0],
+      dependsOn: [[], [], [1]],
+      projectIpfsHash: manifestCid(manifest),
+    });
+
+    const usdc = { address: ethers.ZeroAddress, symbol: "USDC", decimals: 6 };
+    const unscheduled = {
+      ...manifest,
+      milestones: manifest.milestones.map(({ deadline, dependsOn, ...milestone }) => milestone),
+    };
+    const params = manifestParams(unscheduled, usdc);
+    expect(params.milestoneAmounts).to.deep.equal([500000n, 1250000n, 250000n]);
+    expect(params.deliveryWindows).to.deep.equal([]);
+    expect(params.dependsOn).to.deep.equal([]);
+  });
+
+  describe("deployed escrows", function () {
+    let client, freelancer, mediator;
+
+    beforeEach(async function () {
+      [client, freelancer, mediator] = await ethers.getSigners();
+    });
+
+    it("should match an escrow deployed from the manifest and title its milestones", async function () {
+      const escrow = await EscrowClient.deploy(client, {
+        freelancer: freelancer.address,
+        mediator: mediator.address,
+        freelancerStake: ethers.parseEther("1"),
+        ...manifestParams(manifest),
+      });
+      const snapshot = await escrow.snapshot();
+      expect(snapshot.projectIpfsHash).to.equal(manifestCid(manifest));
+      expect(manifestMismatches(manifest, snapshot)).to.be.empty;
+
+      const titled = withManifest(snapshot, manifest);
+      expect(titled.milestones.map((m) => m.title)).to.deep.equal(["Designs", "Beta", "Store release"]);
+      expect(titled.manifest).to.deep.equal({ title: manifest.title, cid: manifestCid(manifest), mismatches: [] });
+    });
+
+    it("should report how an escrow differs from the manifest", async function () {
+      const escrow = await EscrowClient.deploy(client, {
+        freelancer: freelancer.address,
+        mediator: mediator.address,
+        freelancerStake: ethers.parseEther("1"),
+        milestoneAmounts: [ethers.parseEther("0.5"), ethers.parseEther("1"), ethers.parseEther("0.25")],
+        deliveryWindows: [7 * day, 14 * day, 0],
+        projectIpfsHash: "QmExampleIpfsHash",
+      });
+      const snapshot = await escrow.snapshot();
+      expect(manifestMismatches(manifest, snapshot)).to.deep.equal([
+        `projectIpfsHash is QmExampleIpfsHash, the manifest's CID is ${manifestCid(manifest)}`,
+        "milestone #1 amount differs",
+        "milestone #2 dependencies differ",
+      ]);
+
+      // Titles are only attached when the milestones line up
+      const shorter = { ...manifest, milestones: manifest.milestones.slice(0, 2) };
+      expect(withManifest(snapshot, shorter).milestones.every((m) => m.title === undefined)).to.be.true;
+    });
+  });
+});
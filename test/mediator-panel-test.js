@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Mediator panels", function () {
+  let EscrowFactory, escrow, mediationFee;
+  let client, freelancer, lead, second, third, backup, other;
+  const day = 24 * 60 * 60;
+  const milestoneAmounts = [ethers.parseEther("1"), ethers.parseEther("1")];
+  const projectFee = ethers.parseEther("2");
+  const freelancerStake = ethers.parseEther("1");
+  const schedule = { reviewWindow: 0, deliveryWindows: [], latePenaltyBps: 0, prerequisites: [] };
+
+  async function deploy(panel) {
+    const deployed = await EscrowFactory.deploy(
+      freelancer.address,
+      lead.address,
+      freelancerStake,
+      milestoneAmounts,
+      "QmExampleIpfsHash",
+      { ...schedule },
+      {
+        coMediators: [],
+        quorum: 0,
+        backupMediator: ethers.ZeroAddress,
+        escalationWindow: 0,
+        responseWindow: 0,
+        mediationFee: 0,
+        mediationFeeBps: 0,
+        ...panel,
+      },
+      { value: projectFee }
+    );
+    await deployed.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    return deployed;
+  }
+
+  async function openDispute() {
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.disputeMilestone(0, { value: mediationFee });
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, lead, second, third, backup, other] = await ethers.getSigners();
+    EscrowFactory = await ethers.getContractFactory("FreelancerEscrow", client);
+    escrow = await deploy({ coMediators: [second.address, third.address], backupMediator: backup.address });
+    mediationFee = await escrow.mediationFee();
+  });
+
+  it("should store the panel and default to a simple majority", async function () {
+    expect(await escrow.getMediators()).to.deep.equal([lead.address, second.address, third.address]);
+    expect(await escrow.mediator()).to.equal(lead.address);
+    expect(await escrow.quorum()).to.equal(2);
+    expect(await escrow.backupMediator()).to.equal(backup.address);
+    expect(await escrow.escalationWindow()).to.equal(7 * day);
+    expect(await escrow.isMediator(third.address)).to.be.true;
+    expect(await escrow.isMediator(backup.address)).to.be.false;
+  });
+
+  it("should reject panels that cannot work", async function () {
+    const attempt = (panel) =>
+      EscrowFactory.deploy(freelancer.address, lead.address, 0, milestoneAmounts, "", schedule, {
+        coMediators: [],
+        quorum: 0,
+        backupMediator: ethers.ZeroAddress,
+        escalationWindow: 0,
+        responseWindow: 0,
+        mediationFee: 0,
+        mediationFeeBps: 0,
+        ...panel,
+      }, { value: projectFee });
+
+    await expect(attempt({ coMediators: [lead.address] })).to.be.revertedWith("Duplicate mediator");
+    await expect(attempt({ coMediators: [client.address] })).to.be.revertedWith("Invalid mediator");
+    await expect(attempt({ coMediators: [second.address], quorum: 3 })).to.be.revertedWith("Invalid quorum");
+    const crowd = Array.from({ length: 9 }, () => ethers.Wallet.createRandom().address);
+    await expect(attempt({ coMediators: crowd })).to.be.revertedWith("Too many mediators");
+  });
+
+  describe("voting", function () {
+    beforeEach(openDispute);
+
+    it("should settle only once the quorum agrees on one outcome", async function () {
+      await expect(escrow.connect(lead).resolveDispute(0, 10000, 0))
+        .to.emit(escrow, "MediatorVoted")
+        .withArgs(0, lead.address, 10000, 0, 1);
+      // A different outcome does not count towards the first one
+      await expect(escrow.connect(second).resolveDispute(0, 5000, 0))
+        .to.emit(escrow, "MediatorVoted")
+        .withArgs(0, second.address, 5000, 0, 1);
+      expect((await escrow.milestones(0)).disputed).to.be.true; // still disputed
+
+      await expect(escrow.connect(third).resolveDispute(0, 5000, 0))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(0, 5000, milestoneAmounts[0] / 2n, milestoneAmounts[0] / 2n, 0);
+      expect(await escrow.settledMilestones()).to.equal(1);
+
+      // The fee is shared by the members who voted for the outcome
+      expect(await escrow.credits(second.address)).to.equal(mediationFee / 2n);
+      expect(await escrow.credits(third.address)).to.equal(mediationFee - mediationFee / 2n);
+      expect(await escrow.credits(lead.address)).to.equal(0);
+    });
+
+    it("should let each member vote once and keep outsiders out", async function () {
+      await escrow.connect(second).resolveDispute(0, 10000, 0);
+      await expect(escrow.connect(second).resolveDispute(0, 0, 0)).to.be.revertedWith("Already voted");
+      await expect(escrow.connect(backup).resolveDispute(0, 0, 0)).to.be.revertedWith(
+        "Only the mediator can resolve"
+      );
+    });
+  });
+
+  describe("escalation", function () {
+    beforeEach(async function () {
+      escrow = await deploy({
+        coMediators: [second.address],
+        quorum: 2,
+        backupMediator: backup.address,
+        escalationWindow: day,
+      });
+      await openDispute();
+    });
+
+    it("should hand a deadlocked dispute to the backup mediator after the window", async function () {
+      await escrow.connect(lead).resolveDispute(0, 10000, 0);
+      await escrow.connect(second).resolveDispute(0, 0, 0);
+      await expect(escrow.connect(other).escalateDispute(0)).to.be.revertedWith("Escalation window not reached");
+
+      await ethers.provider.send("evm_increaseTime", [day]);
+      await expect(escrow.connect(other).escalateDispute(0))
+        .to.emit(escrow, "DisputeEscalated")
+        .withArgs(0, backup.address);
+      await expect(escrow.escalateDispute(0)).to.be.revertedWith("Already escalated");
+
+      await expect(escrow.connect(lead).resolveDispute(0, 10000, 0)).to.be.revertedWith(
+        "Only the backup mediator can resolve"
+      );
+      await expect(escrow.connect(backup).resolveDispute(0, 10000, 1000))
+        .to.emit(escrow, "DisputeResolved")
+        .withArgs(0, 10000, milestoneAmounts[0], 0, freelancerStake / 10n);
+      expect(await escrow.credits(backup.address)).to.equal(mediationFee);
+      expect((await escrow.disputes(0)).escalated).to.be.false;
+    });
+
+    it("should need a backup mediator to escalate", async function () {
+      escrow = await deploy({ coMediators: [second.address] });
+      await openDispute();
+      await ethers.provider.send("evm_increaseTime", [30 * day]);
+      await expect(escrow.escalateDispute(0)).to.be.revertedWith("No backup mediator");
+    });
+  });
+
+  describe("replacement", function () {
+    it("should replace a member once both parties agree, dropping their open vote", async function () {
+      await openDispute();
+      await escrow.connect(third).resolveDispute(0, 10000, 0);
+      expect(await escrow.outcomeVotes(0, await escrow.mediatorVotes(0, third.address))).to.equal(1);
+
+      await expect(escrow.connect(other).proposeMediatorReplacement(third.address, other.address)).to.be.revertedWith(
+        "Only client or freelancer can replace"
+      );
+      await expect(escrow.proposeMediatorReplacement(third.address, backup.address)).to.be.revertedWith(
+        "Invalid mediator"
+      );
+      await expect(escrow.proposeMediatorReplacement(third.address, other.address))
+        .to.emit(escrow, "MediatorReplacementProposed")
+        .withArgs(client.address, third.address, other.address);
+      await expect(escrow.acceptMediatorReplacement(third.address, other.address)).to.be.revertedWith(
+        "Proposer cannot accept"
+      );
+      await expect(
+        escrow.connect(freelancer).acceptMediatorReplacement(second.address, other.address)
+      ).to.be.revertedWith("Replacement mismatch");
+
+      const vote = await escrow.mediatorVotes(0, third.address);
+      await expect(escrow.connect(freelancer).acceptMediatorReplacement(third.address, other.address))
+        .to.emit(escrow, "MediatorReplaced")
+        .withArgs(third.address, other.address);
+      expect(await escrow.getMediators()).to.deep.equal([lead.address, second.address, other.address]);
+      expect(await escrow.outcomeVotes(0, vote)).to.equal(0);
+
+      // The new member votes afresh; the old one is out
+      await expect(escrow.connect(third).resolveDispute(0, 10000, 0)).to.be.revertedWith(
+        "Only the mediator can resolve"
+      );
+      await escrow.connect(other).resolveDispute(0, 10000, 0);
+      await expect(escrow.connect(lead).resolveDispute(0, 10000, 0)).to.emit(escrow, "DisputeResolved");
+    });
+
+    it("should replace the lead and the backup mediator", async function () {
+      await escrow.connect(freelancer).proposeMediatorReplacement(lead.address, other.address);
+      await escrow.acceptMediatorReplacement(lead.address, other.address);
+      expect(await escrow.mediator()).to.equal(other.address);
+
+      await escrow.proposeMediatorReplacement(backup.address, lead.address);
+      await escrow.connect(freelancer).acceptMediatorReplacement(backup.address, lead.address);
+      expect(await escrow.backupMediator()).to.equal(lead.address);
+    });
+
+    it("should allow one proposal at a time, revocable by its proposer", async function () {
+      await escrow.proposeMediatorReplacement(second.address, other.address);
+      await expect(escrow.connect(freelancer).proposeMediatorReplacement(third.address, other.address)).to.be.revertedWith(
+        "Replacement already proposed"
+      );
+      await expect(escrow.connect(freelancer).revokeMediatorReplacement()).to.be.revertedWith(
+        "Only the proposer can revoke"
+      );
+      await expect(escrow.revokeMediatorReplacement())
+        .to.emit(escrow, "MediatorReplacementRevoked")
+        .withArgs(client.address);
+      await expect(
+        escrow.connect(freelancer).acceptMediatorReplacement(second.address, other.address)
+      ).to.be.revertedWith("No replacement proposed");
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { EscrowClient, toPrerequisites, fromPrerequisites, sequentialDependencies } = require("../lib");
+
+describe("Parallel milestones", function () {
+  let EscrowFactory, escrow, mediationFee;
+  let client, freelancer, mediator;
+  const day = 24 * 60 * 60;
+  const one = ethers.parseEther("1");
+  const milestoneAmounts = [one, one, one];
+  const projectFee = 3n * one;
+  const freelancerStake = ethers.parseEther("1");
+  const panel = {
+    coMediators: [],
+    quorum: 0,
+    backupMediator: ethers.ZeroAddress,
+    escalationWindow: 0,
+    responseWindow: 0,
+    mediationFee: 0,
+    mediationFeeBps: 0,
+  };
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  async function deploy(schedule) {
+    const deployed = await EscrowFactory.deploy(
+      freelancer.address,
+      mediator.address,
+      freelancerStake,
+      milestoneAmounts,
+      "QmExampleIpfsHash",
+      { reviewWindow: 0, deliveryWindows: [], latePenaltyBps: 0, prerequisites: [], ...schedule },
+      panel,
+      { value: projectFee }
+    );
+    await deployed.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    return deployed;
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator] = await ethers.getSigners();
+    EscrowFactory = await ethers.getContractFactory("FreelancerEscrow", client);
+    escrow = await deploy();
+    mediationFee = await escrow.mediationFee();
+  });
+
+  it("should let milestones be submitted and settled in any order", async function () {
+    await escrow.connect(freelancer).markMilestoneCompleted(2);
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.approveMilestone(2);
+    expect(await escrow.settledMilestones()).to.equal(1);
+    await expect(escrow.approveMilestone(2)).to.be.revertedWith("Milestone already settled");
+
+    await escrow.approveMilestone(0);
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    expect(await escrow.contractState()).to.equal(1); // InProgress until the last one is settled
+    await escrow.approveMilestone(1);
+    expect(await escrow.contractState()).to.equal(2); // Completed
+    expect(await escrow.escrowedFees()).to.equal(0);
+    await expect(escrow.approveMilestone(3)).to.be.revertedWith("Not in InProgress state");
+  });
+
+  it("should keep a dispute to its own milestone while the others carry on", async function () {
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await escrow.disputeMilestone(0, { value: mediationFee });
+    await escrow.connect(freelancer).disputeMilestone(1, { value: mediationFee });
+    expect(await escrow.openDisputes()).to.equal(2);
+    expect(await escrow.disputePot()).to.equal(2n * mediationFee);
+    expect((await escrow.disputes(1)).initiator).to.equal(freelancer.address);
+
+    // Milestone #2 is neither blocked nor affected
+    await escrow.connect(freelancer).markMilestoneCompleted(2);
+    await escrow.approveMilestone(2);
+
+    await escrow.connect(mediator).resolveDispute(1, 10000, 0);
+    expect(await escrow.openDisputes()).to.equal(1);
+    expect((await escrow.disputes(1)).initiator).to.equal(ethers.ZeroAddress);
+    expect((await escrow.disputes(0)).initiator).to.equal(client.address);
+    await expect(escrow.connect(mediator).resolveDispute(1, 0, 0)).to.be.revertedWith("Milestone not in dispute");
+
+    await escrow.connect(freelancer).acceptDispute(0);
+    expect(await escrow.contractState()).to.equal(2); // Completed
+    expect(await escrow.disputePot()).to.equal(0);
+  });
+
+  it("should not terminate while any milestone is under dispute", async function () {
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await escrow.disputeMilestone(1, { value: mediationFee });
+    await escrow.proposeTermination();
+    await expect(escrow.connect(freelancer).acceptTermination()).to.be.revertedWith("Dispute in progress");
+
+    await escrow.connect(mediator).resolveDispute(1, 5000, 0);
+    await expect(escrow.connect(freelancer).acceptTermination())
+      .to.emit(escrow, "ProjectTerminated")
+      .withArgs(freelancer.address, 2n * one, freelancerStake);
+  });
+
+  describe("prerequisites", function () {
+    beforeEach(async function () {
+      // #1 waits for #0; #2 waits for both
+      escrow = await deploy({ deliveryWindows: [day, day, 2 * day], prerequisites: [0, 1, 3] });
+    });
+
+    it("should start a milestone once all of its prerequisites are settled", async function () {
+      await expect(escrow.connect(freelancer).markMilestoneCompleted(1)).to.be.revertedWith(
+        "Prerequisites not settled"
+      );
+      expect(await escrow.milestoneStartedAt(1)).to.equal(0);
+      expect(await escrow.milestoneDeadlines(1)).to.deep.equal([0n, 0n]);
+
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await escrow.approveMilestone(0);
+      const firstSettled = (await escrow.milestones(0)).settledAt;
+      expect(await escrow.milestoneStartedAt(1)).to.equal(firstSettled);
+      expect(await escrow.milestoneStartedAt(2)).to.equal(0); // still waits for #1
+
+      await increaseTime(day / 2);
+      await escrow.connect(freelancer).markMilestoneCompleted(1);
+      await escrow.approveMilestone(1);
+      const secondSettled = (await escrow.milestones(1)).settledAt;
+      expect(await escrow.milestoneStartedAt(2)).to.equal(secondSettled);
+      expect(await escrow.milestoneDeadlines(2)).to.deep.equal([secondSettled + BigInt(2 * day), 0n]);
+    });
+
+    it("should count delivery deadlines from when a milestone starts", async function () {
+      await increaseTime(3 * day);
+      // #0 is overdue, #1 has not started so it cannot be
+      await expect(escrow.reclaimOverdueMilestone(1)).to.be.revertedWith("Delivery deadline not reached");
+      await escrow.reclaimOverdueMilestone(0);
+
+      await expect(escrow.reclaimOverdueMilestone(1)).to.be.revertedWith("Delivery deadline not reached");
+      await increaseTime(day + 1);
+      await escrow.reclaimOverdueMilestone(1);
+      expect(await escrow.milestoneStartedAt(2)).to.equal((await escrow.milestones(1)).settledAt);
+    });
+
+    it("should only accept dependencies on earlier milestones", async function () {
+      const attempt = (prerequisites) =>
+        EscrowFactory.deploy(
+          freelancer.address,
+          mediator.address,
+          freelancerStake,
+          milestoneAmounts,
+          "QmExampleIpfsHash",
+          { reviewWindow: 0, deliveryWindows: [], latePenaltyBps: 0, prerequisites },
+          panel,
+          { value: projectFee }
+        );
+      await expect(attempt([0, 1])).to.be.revertedWith("Prerequisites must match milestones");
+      await expect(attempt([0, 2, 0])).to.be.revertedWith("Invalid prerequisites"); // #1 waiting for itself
+      await expect(attempt([0, 0, 4])).to.be.revertedWith("Invalid prerequisites"); // #2 waiting for #2
+    });
+  });
+
+  describe("EscrowClient", function () {
+    it("should convert dependency lists to bitmasks and back", function () {
+      expect(toPrerequisites([[], [0], [0, 1]])).to.deep.equal([0n, 1n, 3n]);
+      expect(toPrerequisites([[], [], []])).to.deep.equal([]);
+      expect(toPrerequisites([[], [3]], 3)).to.deep.equal([0n, 8n]);
+      expect(() => toPrerequisites([[0]])).to.throw(RangeError);
+      expect(fromPrerequisites(5n)).to.deep.equal([0, 2]);
+      expect(sequentialDependencies(3)).to.deep.equal([[], [0], [1]]);
+    });
+
+    it("should deploy dependent milestones and report where each stands", async function () {
+      const escrowClient = await EscrowClient.deploy(client, {
+        freelancer: freelancer.address,
+        mediator: mediator.address,
+        freelancerStake,
+        milestoneAmounts,
+        projectIpfsHash: "QmExampleIpfsHash",
+        sequential: true,
+      });
+      await escrowClient.connect(freelancer).freelancerDepositStake();
+      await escrowClient.connect(freelancer).markMilestoneCompleted(0);
+      await escrowClient.disputeMilestone(0);
+
+      const snapshot = await escrowClient.snapshot();
+      expect(snapshot.milestones.map((m) => m.status)).to.deep.equal(["Disputed", "Waiting", "Waiting"]);
+      expect(snapshot.milestones.map((m) => m.dependsOn)).to.deep.equal([[], [0], [1]]);
+      expect(snapshot.milestones[0].dispute).to.include({ initiator: client.address, escalated: false });
+      expect(snapshot).to.include({ settledMilestones: 0, openDisputes: 1 });
+
+      await escrowClient.connect(mediator).resolveDispute(0, 10000);
+      const next = await escrowClient.getMilestoneStatus(1);
+      expect(next.status).to.equal("Open");
+      expect(next.startedAt).to.equal((await escrowClient.getMilestoneStatus(0)).settledAt);
+    });
+  });
+});
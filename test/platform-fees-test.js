@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { EscrowClient, EscrowFactoryClient, UnauthorizedError } = require("../lib");
+
+describe("Platform and mediation fees", function () {
+  let factory, implementation;
+  let client, freelancer, mediator, operator, other;
+  const day = 24 * 60 * 60;
+  const milestoneAmounts = [ethers.parseEther("2"), ethers.parseEther("1")];
+  const projectFee = ethers.parseEther("3");
+  const freelancerStake = ethers.parseEther("1");
+  const schedule = { reviewWindow: day, deliveryWindows: [], latePenaltyBps: 0, prerequisites: [] };
+  const panel = {
+    coMediators: [],
+    quorum: 0,
+    backupMediator: ethers.ZeroAddress,
+    escalationWindow: 0,
+    responseWindow: 0,
+    mediationFee: 0,
+    mediationFeeBps: 0,
+  };
+
+  async function createProject(fees = {}) {
+    await factory.createProject(
+      freelancer.address,
+      mediator.address,
+      freelancerStake,
+      milestoneAmounts,
+      "QmExampleIpfsHash",
+      schedule,
+      { ...panel, ...fees },
+      { value: projectFee }
+    );
+    const escrow = await ethers.getContractAt(
+      "FreelancerEscrowClone",
+      await factory.projects((await factory.projectCount()) - 1n)
+    );
+    await escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    return escrow;
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, operator, other] = await ethers.getSigners();
+    implementation = await (await ethers.getContractFactory("FreelancerEscrowClone")).deploy();
+    factory = await (await ethers.getContractFactory("FreelancerEscrowFactory", client)).deploy(implementation.target);
+    await factory.setPlatformFee(operator.address, 250); // 2.5%
+  });
+
+  describe("platform fee", function () {
+    it("should take the platform fee from an approved milestone", async function () {
+      const escrow = await createProject();
+      expect(await escrow.feeRecipient()).to.equal(operator.address);
+      expect(await escrow.platformFeeBps()).to.equal(250);
+
+      await expect(escrow.approveMilestone(0))
+        .to.emit(escrow, "PlatformFeePaid")
+        .withArgs(0, operator.address, ethers.parseEther("0.05"))
+        .and.to.emit(escrow, "MilestoneApproved")
+        .withArgs(0, ethers.parseEther("2"));
+      expect(await escrow.credits(freelancer.address)).to.equal(ethers.parseEther("1.95"));
+      expect(await escrow.credits(operator.address)).to.equal(ethers.parseEther("0.05"));
+
+      await expect(escrow.connect(operator).withdraw()).to.changeEtherBalance(operator, ethers.parseEther("0.05"));
+    });
+
+    it("should take it from auto-released milestones and the freelancer's side of a split", async function () {
+      const escrow = await createProject();
+      await ethers.provider.send("evm_increaseTime", [day]);
+      await escrow.connect(freelancer).autoReleaseIfClientAbsent(0);
+      expect(await escrow.credits(freelancer.address)).to.equal(ethers.parseEther("1.95"));
+
+      // 62.5% of 1 ETH to the freelancer, 2.5% of that to the platform; the client's refund is untouched
+      await escrow.connect(freelancer).markMilestoneCompleted(1);
+      await escrow.disputeMilestone(1, { value: await escrow.mediationFeeFor(1) });
+      await expect(escrow.connect(mediator).resolveDispute(1, 6250, 0))
+        .to.emit(escrow, "PlatformFeePaid")
+        .withArgs(1, operator.address, ethers.parseEther("0.015625"));
+      expect(await escrow.credits(freelancer.address)).to.equal(ethers.parseEther("2.559375"));
+      expect(await escrow.credits(client.address)).to.equal(ethers.parseEther("0.375"));
+      expect(await escrow.credits(operator.address)).to.equal(ethers.parseEther("0.065625"));
+    });
+
+    it("should only charge it when the freelancer is paid", async function () {
+      const escrow = await createProject();
+      await escrow.connect(freelancer).disputeMilestone(0, { value: await escrow.mediationFeeFor(0) });
+      // The client concedes: the freelancer wins the milestone and gets the mediation fee back
+      await expect(escrow.acceptDispute(0))
+        .to.emit(escrow, "PlatformFeePaid")
+        .withArgs(0, operator.address, ethers.parseEther("0.05"));
+      expect(await escrow.credits(freelancer.address)).to.equal(ethers.parseEther("1.95") + ethers.parseEther("0.01"));
+
+      await escrow.connect(freelancer).markMilestoneCompleted(1);
+      await escrow.disputeMilestone(1, { value: await escrow.mediationFeeFor(1) });
+      await expect(escrow.connect(mediator).resolveDispute(1, 0, 0)).to.not.emit(escrow, "PlatformFeePaid");
+      expect(await escrow.credits(operator.address)).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("should fix the fee in each project when it is created", async function () {
+      const before = await createProject();
+      await expect(factory.setPlatformFee(ethers.ZeroAddress, 0))
+        .to.emit(factory, "PlatformFeeUpdated")
+        .withArgs(ethers.ZeroAddress, 0);
+      const after = await createProject();
+
+      await before.approveMilestone(0);
+      await after.approveMilestone(0);
+      expect(await before.credits(operator.address)).to.equal(ethers.parseEther("0.05"));
+      expect(await after.credits(freelancer.address)).to.equal(ethers.parseEther("2"));
+      expect(await after.credits(operator.address)).to.equal(0);
+    });
+
+    it("should only let the factory owner set a valid platform fee", async function () {
+      expect(await factory.owner()).to.equal(client.address);
+      await expect(factory.connect(other).setPlatformFee(other.address, 100)).to.be.revertedWith(
+        "Only owner can set fees"
+      );
+      await expect(factory.setPlatformFee(operator.address, 10001)).to.be.revertedWith("Invalid basis points");
+      await expect(factory.setPlatformFee(ethers.ZeroAddress, 100)).to.be.revertedWith("Invalid fee recipient");
+      expect(await factory.platformFeeBps()).to.equal(250);
+    });
+  });
+
+  describe("mediation fee", function () {
+    it("should charge a percentage of the disputed milestone when set", async function () {
+      const escrow = await createProject({ mediationFeeBps: 500 }); // 5%
+      expect(await escrow.mediationFee()).to.equal(0);
+      expect(await escrow.mediationFeeFor(0)).to.equal(ethers.parseEther("0.1"));
+      expect(await escrow.mediationFeeFor(1)).to.equal(ethers.parseEther("0.05"));
+
+      await expect(escrow.disputeMilestone(0, { value: ethers.parseEther("0.01") })).to.be.revertedWith(
+        "Must pay mediation fee"
+      );
+      await expect(escrow.disputeMilestone(0, { value: ethers.parseEther("0.1") }))
+        .to.emit(escrow, "MilestoneDisputed")
+        .withArgs(0, client.address, ethers.parseEther("0.1"));
+      expect((await escrow.disputes(0)).fee).to.equal(ethers.parseEther("0.1"));
+
+      await escrow.connect(mediator).resolveDispute(0, 10000, 0);
+      expect(await escrow.credits(mediator.address)).to.equal(ethers.parseEther("0.1"));
+      expect(await escrow.disputePot()).to.equal(0);
+    });
+
+    it("should take a flat fee, defaulting to 0.01 ETH", async function () {
+      const custom = await createProject({ mediationFee: ethers.parseEther("0.2") });
+      expect(await custom.mediationFeeFor(0)).to.equal(ethers.parseEther("0.2"));
+      expect(await custom.mediationFeeBps()).to.equal(0);
+
+      const standard = await createProject();
+      expect(await standard.mediationFeeFor(1)).to.equal(ethers.parseEther("0.01"));
+      expect(await standard.mediationFee()).to.equal(await standard.DEFAULT_MEDIATION_FEE());
+    });
+
+    it("should reject invalid fee schedules", async function () {
+      const attempt = (fees) =>
+        factory.createProject(
+          freelancer.address,
+          mediator.address,
+          freelancerStake,
+          milestoneAmounts,
+          "",
+          schedule,
+          { ...panel, ...fees },
+          { value: projectFee }
+        );
+      await expect(attempt({ mediationFee: 1, mediationFeeBps: 100 })).to.be.revertedWith("Invalid mediation fee");
+      await expect(attempt({ mediationFeeBps: 10001 })).to.be.revertedWith("Invalid basis points");
+    });
+  });
+
+  describe("EscrowClient / EscrowFactoryClient", function () {
+    it("should preview exactly what the contract pays out", async function () {
+      const escrow = EscrowClient.at((await createProject({ mediationFeeBps: 500 })).target, client);
+      expect(await escrow.fees()).to.deep.equal({
+        mediationFee: 0n,
+        mediationFeeBps: 500,
+        feeRecipient: operator.address,
+        platformFeeBps: 250,
+      });
+
+      const split = await escrow.previewFees(0, { freelancerShareBps: 3333 });
+      expect(split).to.deep.equal({
+        milestoneIndex: 0,
+        amount: ethers.parseEther("2"),
+        freelancerAmount: ethers.parseEther("0.6666"),
+        clientAmount: ethers.parseEther("1.3334"),
+        platformFee: ethers.parseEther("0.016665"),
+        freelancerReceives: ethers.parseEther("0.649935"),
+        mediationFee: ethers.parseEther("0.1"),
+      });
+
+      await escrow.disputeMilestone(0);
+      expect((await escrow.dispute(0)).fee).to.equal(ethers.parseEther("0.1"));
+      await escrow.connect(mediator).resolveDispute(0, 3333);
+      expect(await escrow.credits(freelancer.address)).to.equal(split.freelancerReceives);
+      expect(await escrow.credits(operator.address)).to.equal(split.platformFee);
+      expect(await escrow.credits(client.address)).to.equal(split.clientAmount);
+    });
+
+    it("should set and read the platform fee through the factory client", async function () {
+      const factoryClient = EscrowFactoryClient.at(factory.target, client);
+      expect(await factoryClient.owner()).to.equal(client.address);
+      expect(await factoryClient.platformFee()).to.deep.equal({ feeRecipient: operator.address, platformFeeBps: 250 });
+
+      await factoryClient.setPlatformFee(ethers.ZeroAddress, 0);
+      expect(await factoryClient.platformFee()).to.deep.equal({ feeRecipient: null, platformFeeBps: 0 });
+      await expect(factoryClient.connect(other).setPlatformFee(other.address, 100)).to.be.rejectedWith(
+        UnauthorizedError,
+        "Only owner can set fees"
+      );
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  EscrowClient,
+  ESCROW_ACTIONS,
+  checkAction,
+  availableActions,
+  preflight,
+  paymentFor,
+  UnauthorizedError,
+  GracePeriodNotReachedError,
+  decodeEscrowError,
+} = require("../lib");
+
+describe("Pre-flight checks", function () {
+  const day = 24 * 60 * 60;
+  let client, freelancer, mediator, stranger, second, backup;
+  let escrow;
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  function byAction(actions) {
+    return Object.fromEntries(actions.map((entry) => [entry.action, entry]));
+  }
+
+  /** Arguments to call `action` with: the pending proposal when there is one, else a valid new one. */
+  function argsFor(action, snapshot) {
+    const { mediatorReplacement: replacement, amendment } = snapshot;
+    switch (action) {
+      case "resolve":
+        return [10000, 0];
+      case "request-changes":
+        return ["QmChangesRequested"];
+      case "attach-evidence":
+        return ["QmEvidence", "Chat log"];
+      case "propose-mediator":
+      case "accept-mediator":
+        return replacement ? [replacement.oldMediator, replacement.newMediator] : [mediator.address, stranger.address];
+      case "propose-amendment":
+      case "accept-amendment":
+        if (amendment) {
+          const { milestoneAmounts, deliveryWindows, prerequisites, projectIpfsHash } = amendment;
+          return [milestoneAmounts, deliveryWindows, prerequisites, projectIpfsHash];
+        }
+        // The remaining milestones unchanged, so no top-up or refund is due
+        return [
+          snapshot.milestones.slice(snapshot.firstAmendableMilestone).map((m) => m.amount),
+          [],
+          [],
+          "QmAmendedHash",
+        ];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Runs every action on every milestone for every wallet both ways, through
+   * the checks and as a staticCall, and expects the same outcome and reason.
+   */
+  async function expectChecksMatchContract(signers = [client, freelancer, mediator, stranger]) {
+    const snapshot = await escrow.snapshot();
+    for (const signer of signers) {
+      const credits = await escrow.credits(signer.address);
+      for (const [action, { method, perMilestone }] of Object.entries(ESCROW_ACTIONS)) {
+        for (const index of perMilestone ? [0, 1, 2, 3] : [null]) {
+          const args = argsFor(action, snapshot);
+          let expected = null;
+          try {
+            checkAction(snapshot, signer.address, action, index, args, { credits });
+          } catch (error) {
+            expected = error.reason;
+          }
+
+          let actual = null;
+          try {
+            const call = escrow.contract.connect(signer)[method];
+            const value = paymentFor(snapshot, action, index);
+            await call.staticCall(...(index === null ? [] : [index]), ...args, { value });
+          } catch (error) {
+            actual = decodeEscrowError(error).reason || error.message;
+          }
+          expect(expected, `${action} #${index} by ${signer.address}`).to.equal(actual);
+        }
+      }
+    }
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, stranger, second, backup] = await ethers.getSigners();
+    escrow = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake: ethers.parseEther("1"),
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("1"), ethers.parseEther("1")],
+      projectIpfsHash: "QmExampleIpfsHash",
+      dependsOn: [[], [0], []],
+    });
+  });
+
+  it("should list what each role can do and why the rest is blocked", async function () {
+    let { actions } = await preflight(escrow, freelancer.address);
+    let freelancerActions = byAction(actions);
+    expect(freelancerActions["deposit-stake"]).to.include({ allowed: true, milestones: null });
+    expect(freelancerActions.complete.allowed).to.be.false;
+    expect(freelancerActions.complete.blocked[0]).to.deep.equal({
+      milestone: 0,
+      reason: "Not in InProgress state",
+      availableAt: null,
+    });
+
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+
+    const { snapshot, actions: clientActions } = await preflight(escrow, client.address);
+    const forClient = byAction(clientActions);
+    expect(forClient.approve).to.include({ allowed: true });
+    expect(forClient.approve.milestones).to.deep.equal([0]);
+    expect(forClient.approve.blocked.map((b) => b.reason)).to.deep.equal(Array(2).fill("Milestone not completed"));
+    expect(forClient.dispute.milestones).to.deep.equal([0]);
+    expect(forClient.complete.blocked.map((b) => b.reason)).to.deep.equal(
+      Array(3).fill("Only freelancer can mark completion")
+    );
+    expect(forClient.claim).to.deep.include({
+      allowed: false,
+      blocked: [{ milestone: null, reason: "Nothing to withdraw", availableAt: null }],
+    });
+
+    ({ actions } = await preflight(escrow, freelancer.address));
+    freelancerActions = byAction(actions);
+    expect(freelancerActions.complete.milestones).to.deep.equal([2]); // #1 waits for #0
+    expect(freelancerActions.complete.blocked.map((b) => b.reason)).to.deep.equal([
+      "Already completed",
+      "Prerequisites not settled",
+    ]);
+    expect(freelancerActions["auto-release"].allowed).to.be.false;
+    expect(freelancerActions["auto-release"].blocked[0]).to.deep.equal({
+      milestone: 0,
+      reason: "Grace period not reached",
+      availableAt: snapshot.milestones[0].timestamp + 3 * day,
+    });
+
+    expect(() => checkAction(snapshot, freelancer.address, "approve", 0)).to.throw(
+      UnauthorizedError,
+      "Only client can approve"
+    );
+    expect(() => checkAction(snapshot, freelancer.address, "auto-release", 0))
+      .to.throw(GracePeriodNotReachedError)
+      .with.property("availableAt", snapshot.milestones[0].timestamp + 3 * day);
+
+    await increaseTime(3 * day);
+    const later = byAction(availableActions(await escrow.snapshot(), freelancer.address));
+    expect(later["auto-release"].milestones).to.deep.equal([0]);
+  });
+
+  it("should agree with the contract on every action, milestone and wallet", async function () {
+    await expectChecksMatchContract();
+
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.connect(freelancer).markMilestoneCompleted(2);
+    await escrow.disputeMilestone(2);
+    await expectChecksMatchContract();
+
+    await increaseTime(3 * day);
+    await escrow.connect(mediator).resolveDispute(2, 5000);
+    await escrow.connect(freelancer).autoReleaseIfClientAbsent(0);
+    await expectChecksMatchContract();
+
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await escrow.approveMilestone(1);
+    await expectChecksMatchContract();
+  });
+
+  it("should agree with the contract on a mediator panel's votes, escalations and proposals", async function () {
+    escrow = await EscrowClient.deploy(client, {
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      coMediators: [second.address],
+      quorum: 2,
+      backupMediator: backup.address,
+      escalationWindow: day,
+      freelancerStake: ethers.parseEther("1"),
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("1"), ethers.parseEther("1")],
+      deliveryWindows: [day, day, day],
+      projectIpfsHash: "QmExampleIpfsHash",
+      dependsOn: [[], [0], []],
+    });
+    const everyone = [client, freelancer, mediator, second, backup, stranger];
+    await expectChecksMatchContract(everyone);
+
+    await escrow.connect(freelancer).freelancerDepositStake();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.requestChanges(0, "QmChangesRequested");
+    await escrow.proposeTermination();
+    await escrow.connect(freelancer).proposeMediatorReplacement(second.address, stranger.address);
+    await escrow.proposeAmendment({
+      milestoneAmounts: [ethers.parseEther("1"), ethers.parseEther("1"), ethers.parseEther("1")],
+      projectIpfsHash: "QmAmendedHash",
+    });
+    await expectChecksMatchContract(everyone);
+
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.disputeMilestone(0);
+    await escrow.connect(freelancer).submitEvidence(0, "QmEvidence", "Chat log");
+    await escrow.connect(mediator).resolveDispute(0, 10000);
+    await increaseTime(day + 1); // #2 is overdue and the dispute can be escalated
+    await expectChecksMatchContract(everyone);
+
+    await escrow.escalateDispute(0);
+    await expectChecksMatchContract(everyone);
+  });
+
+  it("should simulate writes before sending them when asked to", async function () {
+    const simulating = EscrowClient.at(escrow.address, client, { simulate: true });
+    await escrow.connect(freelancer).freelancerDepositStake();
+
+    const nonce = await ethers.provider.getTransactionCount(client.address);
+    await expect(simulating.approveMilestone(0)).to.be.rejectedWith("Milestone not completed");
+    await expect(simulating.connect(stranger).markMilestoneCompleted(0)).to.be.rejectedWith(UnauthorizedError);
+    expect(await ethers.provider.getTransactionCount(client.address)).to.equal(nonce);
+
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await simulating.disputeMilestone(0); // pays the mediation fee in the simulation too
+    expect((await escrow.getMilestoneStatus(0)).status).to.equal("Disputed");
+  });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { EscrowClient, UnauthorizedError } = require("../lib");
+
+describe("Revision requests", function () {
+  let EscrowFactory, escrow, mediationFee;
+  let client, freelancer, mediator;
+  const day = 24 * 60 * 60;
+  const one = ethers.parseEther("1");
+  const freelancerStake = ethers.parseEther("1");
+  const reasonCid = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+  const panel = {
+    coMediators: [],
+    quorum: 0,
+    backupMediator: ethers.ZeroAddress,
+    escalationWindow: 0,
+    responseWindow: 0,
+    mediationFee: 0,
+    mediationFeeBps: 0,
+  };
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  async function latest() {
+    return BigInt((await ethers.provider.getBlock("latest")).timestamp);
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator] = await ethers.getSigners();
+    EscrowFactory = await ethers.getContractFactory("FreelancerEscrow", client);
+    // 1-day review window; milestone #0 is due 5 days after it starts
+    escrow = await EscrowFactory.deploy(
+      freelancer.address,
+      mediator.address,
+      freelancerStake,
+      [one, one],
+      "QmExampleIpfsHash",
+      { reviewWindow: day, deliveryWindows: [5 * day, 0], latePenaltyBps: 1000, prerequisites: [] },
+      panel,
+      { value: 2n * one }
+    );
+    await escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    mediationFee = await escrow.mediationFee();
+  });
+
+  it("should send a submission back to the freelancer with the reason's CID", async function () {
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await expect(escrow.requestChanges(0, reasonCid)).to.emit(escrow, "ChangesRequested").withArgs(0, 1, reasonCid);
+
+    const milestone = await escrow.milestones(0);
+    expect(milestone.completed).to.equal(false);
+    expect(milestone.revisions).to.equal(1);
+    expect(milestone.revisedAt).to.equal(await latest());
+    await expect(escrow.approveMilestone(0)).to.be.revertedWith("Milestone not completed");
+    await expect(escrow.disputeMilestone(0, { value: mediationFee })).to.be.revertedWith("Milestone not completed yet");
+
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await expect(escrow.approveMilestone(0)).to.emit(escrow, "MilestoneApproved").withArgs(0, one);
+  });
+
+  it("should only take change requests from the client on undisputed submissions", async function () {
+    await expect(escrow.requestChanges(0, reasonCid)).to.be.revertedWith("Milestone not completed");
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await expect(escrow.connect(freelancer).requestChanges(0, reasonCid)).to.be.revertedWith(
+      "Only client can request changes"
+    );
+    await expect(escrow.requestChanges(0, "")).to.be.revertedWith("Invalid CID");
+    await expect(escrow.requestChanges(0, "x".repeat(101))).to.be.revertedWith("Invalid CID");
+    await expect(escrow.requestChanges(2, reasonCid)).to.be.revertedWith("Wrong milestone index");
+
+    await escrow.disputeMilestone(0, { value: mediationFee });
+    await expect(escrow.requestChanges(0, reasonCid)).to.be.revertedWith("Milestone under dispute");
+    await escrow.connect(mediator).resolveDispute(0, 10000, 0);
+    await expect(escrow.requestChanges(0, reasonCid)).to.be.revertedWith("Milestone already settled");
+  });
+
+  it("should bound the number of revision rounds", async function () {
+    const rounds = Number(await escrow.MAX_REVISIONS());
+    for (let round = 1; round <= rounds; round++) {
+      await escrow.connect(freelancer).markMilestoneCompleted(0);
+      await expect(escrow.requestChanges(0, reasonCid)).to.emit(escrow, "ChangesRequested").withArgs(0, round, reasonCid);
+    }
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await expect(escrow.requestChanges(0, reasonCid)).to.be.revertedWith("Revision limit reached");
+
+    // Retracting does not use up a round, and the client can still approve or dispute
+    await escrow.connect(freelancer).retractSubmission(0);
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.disputeMilestone(0, { value: mediationFee });
+  });
+
+  it("should let the freelancer retract a submission before the client acts on it", async function () {
+    await expect(escrow.connect(freelancer).retractSubmission(0)).to.be.revertedWith("Milestone not completed");
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await expect(escrow.retractSubmission(0)).to.be.revertedWith("Only freelancer can retract");
+    await expect(escrow.connect(freelancer).retractSubmission(0)).to.emit(escrow, "SubmissionRetracted").withArgs(0);
+    expect((await escrow.milestones(0)).completed).to.equal(false);
+    await expect(escrow.approveMilestone(0)).to.be.revertedWith("Milestone not completed");
+
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.connect(freelancer).disputeMilestone(0, { value: mediationFee });
+    await expect(escrow.connect(freelancer).retractSubmission(0)).to.be.revertedWith("Milestone under dispute");
+  });
+
+  it("should restart the review window on every resubmission", async function () {
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await increaseTime(day - 60);
+    await escrow.requestChanges(0, reasonCid);
+    await increaseTime(120);
+    // The first submission's window has passed, but it was sent back
+    await expect(escrow.connect(freelancer).autoReleaseIfClientAbsent(0)).to.be.revertedWith("Milestone not completed");
+
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    const resubmittedAt = await latest();
+    expect((await escrow.milestoneDeadlines(0)).autoReleaseAt).to.equal(resubmittedAt + BigInt(day));
+    await expect(escrow.connect(freelancer).autoReleaseIfClientAbsent(0)).to.be.revertedWith(
+      "Grace period not reached"
+    );
+
+    await escrow.connect(freelancer).retractSubmission(0);
+    await increaseTime(day / 2);
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await increaseTime(day - 60);
+    await expect(escrow.connect(freelancer).autoReleaseIfClientAbsent(0)).to.be.revertedWith(
+      "Grace period not reached"
+    );
+    await increaseTime(60);
+    await expect(escrow.connect(freelancer).autoReleaseIfClientAbsent(0)).to.emit(escrow, "AutoReleased");
+  });
+
+  it("should give the freelancer the delivery window again after a change request, but not after a retraction", async function () {
+    await increaseTime(4 * day);
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.requestChanges(0, reasonCid);
+    const revisedAt = await latest();
+    expect((await escrow.milestoneDeadlines(0)).deliveryDue).to.equal(revisedAt + BigInt(5 * day));
+
+    await increaseTime(2 * day); // past the original deadline
+    await expect(escrow.reclaimOverdueMilestone(0)).to.be.revertedWith("Delivery deadline not reached");
+
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.connect(freelancer).retractSubmission(0);
+    expect((await escrow.milestoneDeadlines(0)).deliveryDue).to.equal(revisedAt + BigInt(5 * day));
+    await increaseTime(3 * day + 1);
+    await expect(escrow.reclaimOverdueMilestone(0)).to.emit(escrow, "MilestoneReclaimed");
+  });
+
+  it("should request changes, retract and list change requests through EscrowClient", async function () {
+    const escrowClient = EscrowClient.at(await escrow.getAddress(), client);
+    const asFreelancer = escrowClient.connect(freelancer);
+
+    await asFreelancer.markMilestoneCompleted(0);
+    await escrowClient.requestChanges(0, reasonCid);
+    let status = await escrowClient.getMilestoneStatus(0);
+    expect(status).to.include({ status: "Open", revisions: 1, revisedAt: Number(await latest()) });
+
+    await asFreelancer.markMilestoneCompleted(0);
+    expect((await escrowClient.getMilestoneStatus(0)).status).to.equal("Submitted");
+    await asFreelancer.retractSubmission(0);
+    status = await escrowClient.getMilestoneStatus(0);
+    expect(status).to.include({ status: "Open", revisions: 1 });
+    await expect(asFreelancer.requestChanges(0, reasonCid)).to.be.rejectedWith(UnauthorizedError, "Only client can request changes");
+
+    const requests = await escrowClient.changeRequests(0);
+    expect(requests).to.have.length(1);
+    expect(requests[0]).to.include({ milestoneIndex: 0, round: 1, reasonCid });
+  });
+});
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  EscrowClient,
+  ACTION_TYPES,
+  escrowDomain,
+  recoverSigner,
+  InvalidSignatureError,
+  SignatureExpiredError,
+  UnauthorizedError,
+} = require("../lib");
+
+describe("Signed actions (EIP-712)", function () {
+  let client, freelancer, mediator, relayer;
+  let escrow, chainId;
+  const milestoneAmounts = [ethers.parseEther("1"), ethers.parseEther("1")];
+  const projectFee = ethers.parseEther("2");
+  const freelancerStake = ethers.parseEther("1");
+  const mediationFee = ethers.parseEther("0.01");
+  const schedule = { reviewWindow: 0, deliveryWindows: [], latePenaltyBps: 0, prerequisites: [] };
+  const panel = {
+    coMediators: [],
+    quorum: 0,
+    backupMediator: ethers.ZeroAddress,
+    escalationWindow: 0,
+    responseWindow: 0,
+    mediationFee: 0,
+    mediationFeeBps: 0,
+  };
+
+  async function deployEscrow() {
+    const contract = await (await ethers.getContractFactory("FreelancerEscrow", client)).deploy(
+      freelancer.address,
+      mediator.address,
+      freelancerStake,
+      milestoneAmounts,
+      "QmExampleIpfsHash",
+      schedule,
+      panel,
+      { value: projectFee }
+    );
+    await contract.connect(freelancer).freelancerDepositStake({ value: freelancerStake });
+    return contract;
+  }
+
+  // Signs a typed action directly, so tests can forge nonces, deadlines and escrows
+  async function sign(signer, action, message, verifyingContract = escrow.target) {
+    const signature = await signer.signTypedData(escrowDomain(verifyingContract, chainId), ACTION_TYPES[action], message);
+    return ethers.Signature.from(signature);
+  }
+
+  async function inOneHour() {
+    return (await time.latest()) + 3600;
+  }
+
+  beforeEach(async function () {
+    [client, freelancer, mediator, relayer] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+    escrow = await deployEscrow();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+  });
+
+  describe("approveMilestoneWithSig", function () {
+    it("should let anyone relay the client's signed approval", async function () {
+      const deadline = await inOneHour();
+      const { v, r, s } = await sign(client, "approveMilestone", { milestoneIndex: 0, nonce: 0, deadline });
+
+      const relayTx = escrow.connect(relayer).approveMilestoneWithSig(0, deadline, v, r, s);
+      await expect(relayTx).to.emit(escrow, "PaymentCredited").withArgs(freelancer.address, milestoneAmounts[0]);
+      await expect(relayTx).to.emit(escrow, "MilestoneApproved").withArgs(0, milestoneAmounts[0]);
+      expect(await escrow.nonces(client.address)).to.equal(1);
+      expect(await escrow.settledMilestones()).to.equal(1);
+    });
+
+    it("should reject a replayed signature", async function () {
+      const deadline = await inOneHour();
+      const { v, r, s } = await sign(client, "approveMilestone", { milestoneIndex: 0, nonce: 0, deadline });
+      await escrow.connect(relayer).approveMilestoneWithSig(0, deadline, v, r, s);
+
+      // The nonce moved on, so the same signature no longer recovers to the client
+      await escrow.connect(freelancer).markMilestoneCompleted(1);
+      await expect(escrow.connect(relayer).approveMilestoneWithSig(0, deadline, v, r, s)).to.be.revertedWith(
+        "Invalid signature"
+      );
+      await expect(escrow.connect(relayer).approveMilestoneWithSig(1, deadline, v, r, s)).to.be.revertedWith(
+        "Invalid signature"
+      );
+    });
+
+    it("should reject an expired signature", async function () {
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await sign(client, "approveMilestone", { milestoneIndex: 0, nonce: 0, deadline });
+
+      await time.increase(61);
+      await expect(escrow.connect(relayer).approveMilestoneWithSig(0, deadline, v, r, s)).to.be.revertedWith(
+        "Signature expired"
+      );
+      expect(await escrow.nonces(client.address)).to.equal(0);
+    });
+
+    it("should reject signatures by anyone but the client, or for another escrow", async function () {
+      const deadline = await inOneHour();
+      const byFreelancer = await sign(freelancer, "approveMilestone", { milestoneIndex: 0, nonce: 0, deadline });
+      await expect(
+        escrow.connect(freelancer).approveMilestoneWithSig(0, deadline, byFreelancer.v, byFreelancer.r, byFreelancer.s)
+      ).to.be.revertedWith("Invalid signature");
+
+      const other = await deployEscrow();
+      const forOther = await sign(client, "approveMilestone", { milestoneIndex: 0, nonce: 0, deadline }, other.target);
+      await expect(
+        escrow.connect(relayer).approveMilestoneWithSig(0, deadline, forOther.v, forOther.r, forOther.s)
+      ).to.be.revertedWith("Invalid signature");
+
+      // A tampered deadline changes the digest too
+      const valid = await sign(client, "approveMilestone", { milestoneIndex: 0, nonce: 0, deadline });
+      await expect(
+        escrow.connect(relayer).approveMilestoneWithSig(0, deadline + 1, valid.v, valid.r, valid.s)
+      ).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("acceptDispute", function () {
+    beforeEach(async function () {
+      await escrow.connect(client).disputeMilestone(0, { value: mediationFee });
+    });
+
+    it("should award the milestone and refund the fee to the initiator when the other party concedes", async function () {
+      expect((await escrow.disputes(0)).initiator).to.equal(client.address);
+      await expect(escrow.connect(client).acceptDispute(0)).to.be.revertedWith("Initiator cannot accept");
+      await expect(escrow.connect(mediator).acceptDispute(0)).to.be.revertedWith(
+        "Only client or freelancer can accept"
+      );
+
+      const acceptTx = escrow.connect(freelancer).acceptDispute(0);
+      await expect(acceptTx)
+        .to.emit(escrow, "PaymentCredited")
+        .withArgs(client.address, milestoneAmounts[0])
+        .and.to.emit(escrow, "PaymentCredited")
+        .withArgs(client.address, mediationFee);
+      await expect(acceptTx)
+        .to.emit(escrow, "DisputeAccepted")
+        .withArgs(0, freelancer.address, 0, milestoneAmounts[0]);
+      expect(await escrow.contractState()).to.equal(1); // InProgress
+      expect((await escrow.disputes(0)).initiator).to.equal(ethers.ZeroAddress);
+      expect(await escrow.credits(client.address)).to.equal(milestoneAmounts[0] + mediationFee);
+      expect(await escrow.credits(mediator.address)).to.equal(0);
+      expect((await escrow.getMilestoneStatus(0))[1]).to.equal(false); // not approved
+      expect(await escrow.settledMilestones()).to.equal(1);
+    });
+
+    it("should accept a relayed concession signed by the other party", async function () {
+      const deadline = await inOneHour();
+      const { v, r, s } = await sign(freelancer, "acceptDispute", { milestoneIndex: 0, nonce: 0, deadline });
+      await expect(
+        escrow.connect(relayer).acceptDisputeWithSig(0, client.address, deadline, v, r, s)
+      ).to.be.revertedWith("Invalid signature");
+
+      await expect(escrow.connect(relayer).acceptDisputeWithSig(0, freelancer.address, deadline, v, r, s))
+        .to.emit(escrow, "DisputeAccepted")
+        .withArgs(0, freelancer.address, 0, milestoneAmounts[0]);
+      expect(await escrow.nonces(freelancer.address)).to.equal(1);
+    });
+  });
+
+  it("should propose and accept a termination from signatures alone", async function () {
+    await escrow.connect(client).approveMilestone(0);
+    const deadline = await inOneHour();
+
+    const proposal = await sign(freelancer, "proposeTermination", { nonce: 0, deadline });
+    await expect(
+      escrow.connect(relayer).proposeTerminationWithSig(freelancer.address, deadline, proposal.v, proposal.r, proposal.s)
+    )
+      .to.emit(escrow, "TerminationProposed")
+      .withArgs(freelancer.address);
+
+    // Nonces are per signer: the client's first signature uses nonce 0 as well
+    const acceptance = await sign(client, "acceptTermination", { nonce: 0, deadline });
+    await expect(
+      escrow.connect(relayer).acceptTerminationWithSig(client.address, deadline, acceptance.v, acceptance.r, acceptance.s)
+    )
+      .to.emit(escrow, "ProjectTerminated")
+      .withArgs(client.address, milestoneAmounts[1], freelancerStake);
+  });
+
+  describe("EscrowClient helpers", function () {
+    let asClient, asRelayer;
+
+    beforeEach(async function () {
+      asClient = EscrowClient.at(escrow.target, client);
+      asRelayer = EscrowClient.at(escrow.target, relayer);
+    });
+
+    it("should sign, verify locally and relay an approval", async function () {
+      const signed = await asClient.signAction("approveMilestone", { milestoneIndex: 0 });
+      expect(signed).to.include({ action: "approveMilestone", signer: client.address, milestoneIndex: 0, nonce: 0 });
+      expect(recoverSigner(signed)).to.equal(client.address);
+      expect(await asRelayer.verifySignedAction(signed)).to.be.true;
+
+      const receipt = await asRelayer.submitSignedAction(JSON.parse(JSON.stringify(signed)));
+      expect(receipt.from).to.equal(relayer.address);
+      expect((await asRelayer.getMilestoneStatus(0)).approved).to.be.true;
+
+      await expect(asRelayer.submitSignedAction(signed)).to.be.rejectedWith(SignatureExpiredError, "already used");
+    });
+
+    it("should refuse tampered, expired and wrong-signer messages before sending them", async function () {
+      const signed = await asClient.signAction("approveMilestone", { milestoneIndex: 0, expiresIn: 60 });
+      await expect(asRelayer.verifySignedAction({ ...signed, milestoneIndex: 1 })).to.be.rejectedWith(
+        InvalidSignatureError
+      );
+      await expect(asRelayer.verifySignedAction({ ...signed, signer: freelancer.address })).to.be.rejectedWith(
+        InvalidSignatureError
+      );
+
+      const byFreelancer = await EscrowClient.at(escrow.target, freelancer).signAction("approveMilestone", {
+        milestoneIndex: 0,
+      });
+      const rejected = asRelayer.verifySignedAction(byFreelancer);
+      await expect(rejected).to.be.rejectedWith(InvalidSignatureError, "may not sign approveMilestone");
+      await expect(asRelayer.verifySignedAction(byFreelancer)).to.be.rejectedWith(UnauthorizedError);
+
+      await time.increase(61);
+      await expect(asRelayer.submitSignedAction(signed)).to.be.rejectedWith(SignatureExpiredError, "Signature expired");
+    });
+  });
+});
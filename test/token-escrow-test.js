@@ -0,0 +1,321 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  EscrowFactoryClient,
+  EscrowClient,
+  TokenTransferError,
+  InvalidStateError,
+  permitDomain,
+  signPermit,
+} = require("../lib");
+
+describe("Token escrows", function () {
+  let client, freelancer, mediator;
+  let usdc, factory;
+  const usd = (amount) => ethers.parseUnits(amount, 6);
+  const milestoneAmounts = [usd("100"), usd("250.5"), usd("49.5")];
+  const projectFee = usd("400");
+  const freelancerStake = usd("50");
+  const mediationFee = usd("10");
+  const ipfsHash = "QmExampleIpfsHash";
+  const schedule = { reviewWindow: 0, deliveryWindows: [], latePenaltyBps: 0, prerequisites: [] };
+  const panel = {
+    coMediators: [],
+    quorum: 0,
+    backupMediator: ethers.ZeroAddress,
+    escalationWindow: 0,
+    responseWindow: 0,
+    mediationFee,
+    mediationFeeBps: 0,
+  };
+
+  beforeEach(async function () {
+    [client, freelancer, mediator] = await ethers.getSigners();
+
+    usdc = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6);
+    await usdc.waitForDeployment();
+    await usdc.mint(client.address, usd("1000"));
+    await usdc.mint(freelancer.address, usd("1000"));
+
+    const implementation = await (await ethers.getContractFactory("FreelancerEscrowClone")).deploy();
+    factory = await (await ethers.getContractFactory("FreelancerEscrowFactory")).deploy(implementation.target);
+    await factory.waitForDeployment();
+  });
+
+  function createTokenProject(signer = client) {
+    return factory
+      .connect(signer)
+      .createTokenProject(
+        usdc.target,
+        freelancer.address,
+        mediator.address,
+        freelancerStake,
+        milestoneAmounts,
+        ipfsHash,
+        schedule,
+        panel
+      );
+  }
+
+  async function fundedProject() {
+    await usdc.connect(client).approve(factory.target, projectFee);
+    await createTokenProject();
+    const escrow = await ethers.getContractAt("FreelancerEscrowClone", await factory.projects(0));
+    await usdc.connect(freelancer).approve(escrow.target, freelancerStake + mediationFee);
+    await escrow.connect(freelancer).freelancerDepositStake();
+    return escrow;
+  }
+
+  it("should pull the project fee from the client into the new escrow", async function () {
+    await usdc.connect(client).approve(factory.target, projectFee);
+    await expect(createTokenProject())
+      .to.emit(factory, "ProjectCreated")
+      .withArgs(0, anyValue, client.address, freelancer.address, mediator.address, usdc.target, projectFee, ipfsHash);
+
+    const escrow = await ethers.getContractAt("FreelancerEscrowClone", await factory.projects(0));
+    expect(await escrow.token()).to.equal(usdc.target);
+    expect(await escrow.projectFee()).to.equal(projectFee);
+    expect(await escrow.mediationFee()).to.equal(mediationFee);
+    expect(await usdc.balanceOf(escrow.target)).to.equal(projectFee);
+    expect(await usdc.balanceOf(client.address)).to.equal(usd("600"));
+  });
+
+  it("should reject token projects without an allowance, a token or valid amounts", async function () {
+    await expect(createTokenProject()).to.be.revertedWith("Token transfer failed");
+
+    await usdc.connect(client).approve(factory.target, projectFee);
+    await expect(
+      factory.createTokenProject(ethers.ZeroAddress, freelancer.address, mediator.address, 0, [1], "", schedule, panel)
+    ).to.be.revertedWith("Invalid token");
+    await expect(
+      factory.createTokenProject(usdc.target, freelancer.address, mediator.address, 0, [usd("1"), 0], "", schedule, panel)
+    ).to.be.revertedWith("Milestone amount must be positive");
+    expect(await factory.projectCount()).to.equal(0);
+  });
+
+  it("should take the stake in tokens and refuse ETH", async function () {
+    await usdc.connect(client).approve(factory.target, projectFee);
+    await createTokenProject();
+    const escrow = await ethers.getContractAt("FreelancerEscrowClone", await factory.projects(0));
+
+    await expect(escrow.connect(freelancer).freelancerDepositStake()).to.be.revertedWith("Token transfer failed");
+    await usdc.connect(freelancer).approve(escrow.target, freelancerStake);
+    await expect(
+      escrow.connect(freelancer).freelancerDepositStake({ value: freelancerStake })
+    ).to.be.revertedWith("ETH not accepted");
+
+    await expect(escrow.connect(freelancer).freelancerDepositStake())
+      .to.emit(escrow, "StakeDeposited")
+      .withArgs(freelancer.address, freelancerStake);
+    expect(await usdc.balanceOf(escrow.target)).to.equal(projectFee + freelancerStake);
+  });
+
+  it("should pay every payout path in the token", async function () {
+    const escrow = await fundedProject();
+
+    // Milestone 0: approved by the client
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await expect(escrow.connect(client).approveMilestone(0))
+      .to.emit(escrow, "PaymentCredited")
+      .withArgs(freelancer.address, milestoneAmounts[0]);
+    await expect(escrow.connect(freelancer).withdraw()).to.changeTokenBalances(
+      usdc,
+      [escrow, freelancer],
+      [-milestoneAmounts[0], milestoneAmounts[0]]
+    );
+
+    // Milestone 1: disputed by the freelancer (fee in tokens), client wins
+    await escrow.connect(freelancer).markMilestoneCompleted(1);
+    await expect(escrow.connect(freelancer).disputeMilestone(1)).to.changeTokenBalance(usdc, freelancer, -mediationFee);
+    await escrow.connect(mediator).disputeResolution(1, false);
+    await expect(escrow.connect(client).withdraw()).to.changeTokenBalance(usdc, client, milestoneAmounts[1]);
+    await expect(escrow.connect(mediator).withdraw()).to.changeTokenBalance(usdc, mediator, mediationFee);
+
+    // Milestone 2: auto-released after the grace period
+    await escrow.connect(freelancer).markMilestoneCompleted(2);
+    await time.increase(3 * 24 * 60 * 60);
+    await escrow.connect(freelancer).autoReleaseIfClientAbsent(2);
+
+    // The stake is collected together with the last credited payment
+    await expect(escrow.connect(freelancer).withdrawRemainingStake()).to.changeTokenBalance(
+      usdc,
+      freelancer,
+      milestoneAmounts[2] + freelancerStake
+    );
+    expect(await usdc.balanceOf(escrow.target)).to.equal(0);
+  });
+
+  it("should not hand out ETH from a token escrow's payouts", async function () {
+    const escrow = await fundedProject();
+    await escrow.connect(freelancer).markMilestoneCompleted(0);
+    await escrow.connect(client).approveMilestone(0);
+    await expect(escrow.connect(freelancer).withdraw()).to.changeEtherBalance(freelancer, 0);
+  });
+
+  it("should reject stray ETH and return tokens sent directly to the client", async function () {
+    const escrow = await fundedProject();
+    await expect(client.sendTransaction({ to: escrow.target, value: 1n })).to.be.revertedWith("ETH not accepted");
+
+    await usdc.connect(freelancer).transfer(escrow.target, usd("5"));
+    expect(await usdc.balanceOf(escrow.target)).to.equal((await escrow.obligations()) + usd("5"));
+    await expect(escrow.returnSurplus()).to.emit(escrow, "SurplusReturned").withArgs(client.address, usd("5"));
+    expect(await usdc.balanceOf(escrow.target)).to.equal(await escrow.obligations());
+  });
+
+  describe("permits", function () {
+    it("should create a project and deposit the stake with EIP-2612 signatures", async function () {
+      const signature = await signPermit(usdc.target, client, factory.target, projectFee);
+      await factory
+        .connect(client)
+        .createTokenProjectWithPermit(
+          usdc.target,
+          freelancer.address,
+          mediator.address,
+          freelancerStake,
+          milestoneAmounts,
+          ipfsHash,
+          schedule,
+          panel,
+          signature
+        );
+      const escrow = await ethers.getContractAt("FreelancerEscrowClone", await factory.projects(0));
+      expect(await usdc.balanceOf(escrow.target)).to.equal(projectFee);
+
+      const { deadline, v, r, s } = await signPermit(usdc.target, freelancer, escrow.target, freelancerStake);
+      await escrow.connect(freelancer).freelancerDepositStakeWithPermit(deadline, v, r, s);
+      expect(await escrow.contractState()).to.equal(1); // InProgress
+      expect(await usdc.allowance(freelancer.address, escrow.target)).to.equal(0);
+    });
+
+    it("should fail the transfer when the permit was signed by someone else", async function () {
+      const signature = await signPermit(usdc.target, freelancer, factory.target, projectFee);
+      await expect(
+        factory
+          .connect(client)
+          .createTokenProjectWithPermit(
+            usdc.target,
+            freelancer.address,
+            mediator.address,
+            freelancerStake,
+            milestoneAmounts,
+            ipfsHash,
+            schedule,
+            panel,
+            signature
+          )
+      ).to.be.revertedWith("Token transfer failed");
+    });
+
+    it("should reject permit deposits on ETH escrows", async function () {
+      const escrow = await (await ethers.getContractFactory("FreelancerEscrow")).deploy(
+        freelancer.address,
+        mediator.address,
+        0,
+        [1],
+        ipfsHash,
+        schedule,
+        panel,
+        { value: 1 }
+      );
+      await expect(
+        escrow.connect(freelancer).freelancerDepositStakeWithPermit(0, 27, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWith("Not a token escrow");
+    });
+  });
+
+  describe("EscrowClient / EscrowFactoryClient", function () {
+    let factoryClient;
+    const params = () => ({
+      token: usdc.target,
+      mediationFee,
+      freelancer: freelancer.address,
+      mediator: mediator.address,
+      freelancerStake,
+      milestoneAmounts,
+      projectIpfsHash: ipfsHash,
+    });
+
+    beforeEach(async function () {
+      factoryClient = await EscrowFactoryClient.deploy(client);
+    });
+
+    it("should approve, create and report amounts in the token's currency", async function () {
+      const escrow = await factoryClient.createProject(params());
+
+      const snapshot = await escrow.snapshot();
+      expect(snapshot.currency).to.deep.equal({ address: usdc.target, symbol: "USDC", decimals: 6 });
+      expect(snapshot.balance).to.equal(projectFee);
+      expect(snapshot.mediationFee).to.equal(mediationFee);
+
+      // Approvals are handled by the client for the stake and the dispute fee
+      const asFreelancer = escrow.connect(freelancer);
+      await asFreelancer.freelancerDepositStake();
+      await asFreelancer.markMilestoneCompleted(0);
+      await asFreelancer.disputeMilestone(0);
+      expect(await escrow.disputePot()).to.equal(mediationFee);
+      expect(await escrow.balance()).to.equal(projectFee + freelancerStake + mediationFee);
+    });
+
+    it("should use permits instead of approve transactions when asked", async function () {
+      const escrow = await factoryClient.createProject({ ...params(), permit: true });
+      await escrow.connect(freelancer).freelancerDepositStake(undefined, { permit: true });
+      expect(await escrow.contractState()).to.equal("InProgress");
+      expect(await usdc.allowance(client.address, factoryClient.address)).to.equal(0);
+    });
+
+    it("should sign permits in the token's own EIP-712 domain version", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const V2 = await ethers.getContractFactory("MockERC20V2");
+      // Like USDC: version "2", read from version() or from EIP-5267's eip712Domain()
+      for (const hasDomain of [false, true]) {
+        const usdcV2 = await V2.deploy("USD Coin", "USDC", 6, hasDomain);
+        await usdcV2.mint(client.address, usd("1000"));
+        await usdcV2.mint(freelancer.address, usd("1000"));
+        expect(await permitDomain(usdcV2.target, client)).to.deep.equal({
+          name: "USD Coin",
+          version: "2",
+          chainId,
+          verifyingContract: usdcV2.target,
+        });
+
+        const escrow = await factoryClient.createProject({ ...params(), token: usdcV2.target, permit: true });
+        await escrow.connect(freelancer).freelancerDepositStake(undefined, { permit: true });
+        expect(await escrow.contractState()).to.equal("InProgress");
+        expect(await usdcV2.balanceOf(escrow.address)).to.equal(projectFee + freelancerStake);
+      }
+      expect((await permitDomain(usdc.target, client)).version).to.equal("1");
+
+      const dai = await (await ethers.getContractFactory("MockDaiPermit")).deploy();
+      await expect(signPermit(dai.target, client, factory.target, projectFee)).to.be.rejectedWith(
+        "does not implement EIP-2612 permits"
+      );
+    });
+
+    it("should surface failed token transfers as named errors", async function () {
+      const escrow = await factoryClient.createProject(params());
+      await usdc.connect(freelancer).transfer(client.address, usd("1000"));
+      await expect(escrow.connect(freelancer).freelancerDepositStake()).to.be.rejectedWith(TokenTransferError);
+      await expect(
+        EscrowClient.at(escrow.address, freelancer).freelancerDepositStake(undefined, { permit: true })
+      ).to.be.rejectedWith(TokenTransferError);
+    });
+
+    it("should require a mediation fee for token projects and the factory for token deploys", async function () {
+      const { mediationFee: _, ...withoutFee } = params();
+      await expect(factoryClient.createProject(withoutFee)).to.be.rejectedWith(TypeError);
+      await expect(EscrowClient.deploy(client, params())).to.be.rejectedWith(TypeError);
+      await expect(
+        factoryClient.connect(client).createProject({ ...params(), milestoneAmounts: [] })
+      ).to.be.rejectedWith("Project fee required");
+    });
+  });
+
+  it("should keep the stake-deposit state checks on token escrows", async function () {
+    const escrow = await fundedProject();
+    await expect(
+      EscrowClient.at(escrow.target, freelancer).freelancerDepositStake()
+    ).to.be.rejectedWith(InvalidStateError);
+  });
+});